@@ -0,0 +1,54 @@
+/**
+ * Node server for the production build with server-side rendering.
+ * Serves the files of build/ and renders every other GET request through
+ * src/server/renderPage (see src/server/requestHandler). Run `npm run build` first, then `npm run serve:ssr`.
+ * With TELEMETRY_FILE set, reports posted to /telemetry are appended to that file;
+ * build with REACT_APP_TELEMETRY_URL=/telemetry to send them there.
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// The app sources are ES modules with JSX; compile them as they are required
+require('@babel/register')({
+  babelrc: false,
+  configFile: false,
+  presets: [
+    ['@babel/preset-env', { targets: { node: 'current' } }],
+    '@babel/preset-react'
+  ],
+  only: [path.resolve(__dirname, '../src')]
+});
+// Stylesheets are already part of the client build
+require.extensions['.css'] = () => {};
+
+// The browser reaches the API relative to the page; the server needs its full address
+const apiBaseUrl = process.env.SSR_API_BASE_URL || process.env.REACT_APP_API_BASE_URL;
+if (!/^https?:\/\//.test(apiBaseUrl || '')) {
+  console.error('Set SSR_API_BASE_URL to the absolute URL of the product API, e.g. https://shop.example.com/api');
+  process.exit(1);
+}
+process.env.REACT_APP_API_BASE_URL = apiBaseUrl;
+
+const { renderPage } = require('../src/server/renderPage');
+const { createTelemetryCollector } = require('../src/server/telemetryCollector');
+const { createRequestHandler } = require('../src/server/requestHandler');
+
+const BUILD_DIR = path.resolve(__dirname, '../build');
+const PORT = Number(process.env.PORT) || 3000;
+
+const collectTelemetry = process.env.TELEMETRY_FILE
+  ? createTelemetryCollector({ file: path.resolve(process.env.TELEMETRY_FILE) })
+  : null;
+
+const server = http.createServer(createRequestHandler({
+  buildDir: BUILD_DIR,
+  template: fs.readFileSync(path.join(BUILD_DIR, 'index.html'), 'utf8'),
+  renderPage,
+  collectTelemetry,
+  siteUrl: process.env.REACT_APP_SITE_URL
+}));
+
+server.listen(PORT, () => {
+  console.log(`Server-side rendering on http://localhost:${PORT}`);
+});
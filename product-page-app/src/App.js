@@ -1,10 +1,120 @@
+import React, { Suspense, lazy, useEffect, useLayoutEffect, useRef } from 'react';
+import { Navigate, matchRoutes, useLocation, useParams, useRoutes } from 'react-router-dom';
+import { LocaleProvider, useTranslation } from './context/LocaleContext';
+import { CartProvider } from './context/CartContext';
+import { InitialDataProvider, useInitialData, useReleaseInitialData } from './context/InitialDataContext';
+import ErrorBoundary from './components/ErrorBoundary/ErrorBoundary';
+import ScrollRestoration from './components/ScrollRestoration/ScrollRestoration';
+import SiteHeader from './components/SiteHeader/SiteHeader';
+import NotFoundPage from './components/NotFoundPage/NotFoundPage';
+import PerformanceOverlay from './components/PerformanceOverlay/PerformanceOverlay';
+import { setMetricContext, startRouteChange } from './services/performanceMonitor';
+import { SUPPORTED_LOCALES } from './utils/i18n';
+import { DEFAULT_LOCALE } from './utils/money';
 import './App.css';
 
-function App() {
+// Each route is its own chunk, so a deep link only downloads the page it shows
+const ProductPage = lazy(() => import('./components/ProductPage/ProductPage'));
+const ProductListPage = lazy(() => import('./components/ProductListPage/ProductListPage'));
+const SearchPage = lazy(() => import('./components/SearchPage/SearchPage'));
+const CartPage = lazy(() => import('./components/CartPage/CartPage'));
+
+// Live metrics while developing; set REACT_APP_PERF_OVERLAY=false to hide them
+const SHOW_PERFORMANCE_OVERLAY = process.env.NODE_ENV === 'development'
+  && process.env.REACT_APP_PERF_OVERLAY !== 'false';
+
+// Path of the product detail route, also matched by the server renderer to prefetch the product
+export const PRODUCT_ROUTE = '/products/:productId';
+
+const ProductRoute = () => {
+  const { productId } = useParams();
+  const prefetched = useInitialData()?.product;
+  const releaseInitialData = useReleaseInitialData();
+
+  // The server's data only serves the hydration render; coming back to the product later fetches it again
+  useEffect(() => {
+    if (prefetched) {
+      releaseInitialData();
+    }
+  }, [prefetched, releaseInitialData]);
+
+  // Keyed by id so moving between products starts from a clean state
+  return (
+    <ProductPage
+      key={productId}
+      productId={productId}
+      initialData={prefetched?.productId === productId ? prefetched : null}
+    />
+  );
+};
+
+const PageLoading = () => {
+  const { t } = useTranslation();
+  return <div role="status" className="route-loading">{t('app.loadingPage')}</div>;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Routes of the app; the server renderer matches requests against them as well
+ */
+export const routes = [
+  { path: '/', element: <Navigate to="/products" replace /> },
+  { path: '/products', element: <ProductListPage /> },
+  { path: PRODUCT_ROUTE, element: <ProductRoute /> },
+  { path: '/search', element: <SearchPage /> },
+  { path: '/cart', element: <CartPage /> },
+  { path: '*', element: <NotFoundPage /> }
+];
+
+// PUBLIC_INTERFACE
+/**
+ * The storefront. Rendered inside a router: BrowserRouter in the browser,
+ * StaticRouter on the server.
+ * @param {Object} props
+ * @param {Object} props.initialData - Data prefetched by the server renderer
+ * @param {string} props.locale - Supported locale of the shopper, from negotiateLocale; sets the currency too
+ */
+function App({ initialData = null, locale = DEFAULT_LOCALE }) {
+  const location = useLocation();
+  const page = useRoutes(routes);
+  const isFirstRouteRef = useRef(true);
+
+  // The first page is measured from navigation start. Layout effects run before the passive
+  // effects of the new page, so its requests start after the route change is timed.
+  useLayoutEffect(() => {
+    if (isFirstRouteRef.current) {
+      isFirstRouteRef.current = false;
+      return;
+    }
+    startRouteChange();
+  }, [location]);
+
+  // Metrics are tagged with the route pattern, not the URL, so product pages group together
+  useEffect(() => {
+    const matches = matchRoutes(routes, location) || [];
+    const match = matches[matches.length - 1];
+    setMetricContext({ route: match?.route.path ?? null, productId: match?.params.productId ?? null });
+  }, [location]);
+
   return (
-    <div className="App">
-      <h1>Product Page Component</h1>
-    </div>
+    <InitialDataProvider data={initialData}>
+      <LocaleProvider locale={locale} currency={SUPPORTED_LOCALES[locale]}>
+        <CartProvider>
+          <div className="App">
+            <SiteHeader />
+            <main>
+              <ErrorBoundary resetKey={location.pathname}>
+                <Suspense fallback={<PageLoading />}>
+                  <ScrollRestoration />
+                  {page}
+                </Suspense>
+              </ErrorBoundary>
+            </main>
+            {SHOW_PERFORMANCE_OVERLAY && <PerformanceOverlay />}
+          </div>
+        </CartProvider>
+      </LocaleProvider>
+    </InitialDataProvider>
   );
 }
 
@@ -1,8 +1,144 @@
-import { render, screen } from '@testing-library/react';
+import { act, render, screen } from '@testing-library/react';
+import { MemoryRouter, useNavigate } from 'react-router-dom';
 import App from './App';
+import { getProductById, listProducts } from './services/productService';
+import { getCart } from './services/cartService';
+import { recordMetric } from './services/performanceMonitor';
 
-test('renders Product Page Component heading', () => {
-  render(<App />);
-  const headingElement = screen.getByText(/Product Page Component/i);
-  expect(headingElement).toBeInTheDocument();
+jest.mock('./services/productService', () => ({
+  ERROR_CODES: { NOT_FOUND: { status: 404, message: 'Requested product could not be found' } },
+  LIST_SORT_OPTIONS: ['featured', 'price-asc', 'price-desc', 'newest', 'rating'],
+  SEARCH_SORT_OPTIONS: ['relevance', 'price-asc', 'price-desc', 'newest', 'rating'],
+  getProductById: jest.fn(),
+  getRelatedProducts: jest.fn(),
+  getFrequentlyBoughtTogether: jest.fn(),
+  getProducts: jest.fn(),
+  listProducts: jest.fn(),
+  searchProducts: jest.fn(),
+  getSearchSuggestions: jest.fn()
+}));
+
+jest.mock('./services/cartService', () => ({
+  MAX_LINE_QUANTITY: 99,
+  getCart: jest.fn()
+}));
+
+jest.mock('./services/stockNotificationService', () => ({
+  subscribeToBackInStock: jest.fn()
+}));
+
+jest.mock('./services/reviewService', () => ({
+  REVIEW_SORT_OPTIONS: ['newest', 'helpful', 'rating-desc', 'rating-asc'],
+  REVIEW_LIMITS: { titleMaxLength: 120, maxPhotos: 5, photoTypes: ['image/jpeg'] },
+  getReviews: jest.fn(),
+  submitReview: jest.fn(),
+  voteReviewHelpful: jest.fn(),
+  validateReview: jest.fn()
+}));
+
+jest.mock('./services/questionsService', () => ({
+  QA_LIMITS: { questionMaxLength: 500, answerMaxLength: 2000 },
+  listQuestions: jest.fn(),
+  askQuestion: jest.fn(),
+  answerQuestion: jest.fn(),
+  upvoteQuestion: jest.fn(),
+  upvoteAnswer: jest.fn(),
+  validateQuestion: jest.fn(),
+  validateAnswer: jest.fn()
+}));
+
+const renderAt = (url, props = {}, children = null) => render(
+  <MemoryRouter initialEntries={[url]}>
+    <App {...props} />
+    {children}
+  </MemoryRouter>
+);
+
+describe('App routes', () => {
+  beforeEach(() => {
+    window.scrollTo = jest.fn();
+    getCart.mockResolvedValue({
+      id: 'cart-1',
+      currency: 'USD',
+      items: [],
+      itemCount: 0,
+      subtotal: { amount: 0, currency: 'USD' }
+    });
+  });
+
+  it('should open a product from a deep link', async () => {
+    getProductById.mockResolvedValueOnce({ id: '42', title: 'Deep Linked Lamp', price: 25 });
+    renderAt('/products/42');
+
+    expect(await screen.findByRole('heading', { name: 'Deep Linked Lamp' })).toBeInTheDocument();
+    expect(getProductById).toHaveBeenCalledWith('42', expect.any(Object));
+  });
+
+  it('should fetch a server-rendered product again when the shopper comes back to it', async () => {
+    let navigate;
+    const CaptureNavigate = () => {
+      navigate = useNavigate();
+      return null;
+    };
+    const initialData = {
+      locale: 'en-US',
+      product: { productId: '42', data: null, error: { message: 'Bad gateway', code: 'SERVER_ERROR' }, fetchedAt: 1 }
+    };
+    getProductById.mockResolvedValueOnce({ id: '42', title: 'Deep Linked Lamp', price: 25 });
+    renderAt('/products/42', { initialData }, <CaptureNavigate />);
+
+    expect(await screen.findByTestId('error-message')).toBeInTheDocument();
+    expect(getProductById).not.toHaveBeenCalled();
+
+    await act(async () => navigate('/cart'));
+    await act(async () => navigate(-1));
+
+    expect(await screen.findByRole('heading', { name: 'Deep Linked Lamp' })).toBeInTheDocument();
+    expect(getProductById).toHaveBeenCalledWith('42', expect.any(Object));
+  });
+
+  it('should tag performance metrics with the route and product', async () => {
+    getProductById.mockResolvedValueOnce({ id: '42', title: 'Deep Linked Lamp', price: 25 });
+    renderAt('/products/42');
+    await screen.findByRole('heading', { name: 'Deep Linked Lamp' });
+
+    expect(recordMetric({ name: 'LCP', value: 1200 })).toMatchObject({ route: '/products/:productId', productId: '42' });
+  });
+
+  it('should show the not found page for products the API does not know', async () => {
+    getProductById.mockRejectedValueOnce(
+      Object.assign(new Error('Requested product could not be found'), { code: 'NOT_FOUND' })
+    );
+    renderAt('/products/gone');
+
+    expect(await screen.findByTestId('not-found-page')).toHaveTextContent('Product not found');
+  });
+
+  it('should show the not found page for unknown URLs', async () => {
+    renderAt('/no/such/page');
+
+    expect(await screen.findByRole('heading', { name: 'Page not found' })).toBeInTheDocument();
+  });
+
+  it('should send the home page to the product listing', async () => {
+    listProducts.mockResolvedValueOnce({ products: [], errors: null, total: 0, page: 1, pageSize: 24, totalPages: 0, facets: {} });
+    renderAt('/');
+
+    expect(await screen.findByTestId('product-list-page')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Products' })).toHaveClass('active');
+  });
+
+  it('should render the cart with the site navigation', async () => {
+    renderAt('/cart');
+
+    expect(await screen.findByTestId('cart-empty')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Cart, 0 items' })).toHaveAttribute('aria-current', 'page');
+  });
+
+  it('should render in the shopper\'s locale', async () => {
+    renderAt('/cart', { locale: 'de-DE' });
+
+    expect(await screen.findByTestId('cart-empty')).toHaveTextContent('Dein Warenkorb ist leer.');
+    expect(screen.getByRole('link', { name: 'Warenkorb, 0 Artikel' })).toHaveAttribute('aria-current', 'page');
+  });
 });
@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { useCart } from '../../context/CartContext';
+import { useTranslation } from '../../context/LocaleContext';
+import { MAX_LINE_QUANTITY } from '../../services/cartService';
+import { useMountedState } from '../../utils/hooks';
+import {
+  AddToCartContainer,
+  QuantityStepper,
+  AddToCartButton
+} from './AddToCart.styles';
+
+// PUBLIC_INTERFACE
+/**
+ * "Add to cart" control with a quantity stepper. The cart is updated
+ * optimistically through the CartProvider; the confirmation is shown once the
+ * cart service has added the item, and a failure rolls the cart back and
+ * shows the error. Renders nothing outside a CartProvider.
+ * @param {Object} props
+ * @param {string} props.productId - Product to add
+ * @param {string} props.variantId - Selected variant, if the product has variants
+ * @param {Object} props.price - Unit price (money value) shown in the cart until the server responds
+ * @param {string} props.title - Product title shown in the cart until the server responds
+ * @param {string} props.image - Product image shown in the cart until the server responds
+ * @param {number} props.maxQuantity - Highest quantity the stepper allows
+ * @param {string} props.label - Button label, e.g. "Pre-order" for items not released yet (defaults to "Add to cart")
+ * @param {boolean} props.disabled - Whether the product cannot be added right now
+ * @param {string} props.disabledLabel - Button label while disabled (defaults to "Unavailable")
+ */
+const AddToCart = ({
+  productId,
+  variantId = null,
+  price,
+  title,
+  image,
+  maxQuantity = MAX_LINE_QUANTITY,
+  label,
+  disabled = false,
+  disabledLabel
+}) => {
+  const { t } = useTranslation();
+  const cart = useCart();
+  const isMounted = useMountedState();
+  const [quantity, setQuantity] = useState(1);
+  const [status, setStatus] = useState({ type: null, message: '' });
+
+  if (!cart) {
+    return null;
+  }
+
+  const limit = Math.max(1, Math.min(maxQuantity ?? MAX_LINE_QUANTITY, MAX_LINE_QUANTITY));
+  const currentQuantity = Math.min(quantity, limit);
+
+  const changeQuantity = (next) => {
+    const parsed = Number.parseInt(next, 10);
+    setQuantity(Number.isNaN(parsed) ? 1 : Math.min(Math.max(parsed, 1), limit));
+  };
+
+  const handleAddToCart = async () => {
+    const added = currentQuantity;
+    // The cart shows the item right away; the confirmation waits for the cart service
+    setStatus({ type: 'pending', message: t('cart.adding') });
+
+    try {
+      await cart.addItem({ productId, variantId, quantity: added, price, title, image });
+      if (isMounted()) {
+        setStatus({ type: 'success', message: t('cart.added', { quantity: added }) });
+      }
+    } catch (error) {
+      if (isMounted()) {
+        setStatus({
+          type: 'error',
+          message: error?.message || t('cart.addFailed')
+        });
+      }
+    }
+  };
+
+  return (
+    <AddToCartContainer data-testid="add-to-cart">
+      <QuantityStepper role="group" aria-label={t('cart.quantity')}>
+        <button
+          type="button"
+          onClick={() => changeQuantity(currentQuantity - 1)}
+          disabled={disabled || currentQuantity <= 1}
+          aria-label={t('cart.decreaseQuantity')}
+          data-testid="quantity-decrease"
+        >
+          −
+        </button>
+        <input
+          type="number"
+          inputMode="numeric"
+          min="1"
+          max={limit}
+          value={currentQuantity}
+          onChange={(event) => changeQuantity(event.target.value)}
+          disabled={disabled}
+          aria-label={t('cart.quantity')}
+          data-testid="quantity-input"
+        />
+        <button
+          type="button"
+          onClick={() => changeQuantity(currentQuantity + 1)}
+          disabled={disabled || currentQuantity >= limit}
+          aria-label={t('cart.increaseQuantity')}
+          data-testid="quantity-increase"
+        >
+          +
+        </button>
+      </QuantityStepper>
+      <AddToCartButton
+        type="button"
+        onClick={handleAddToCart}
+        disabled={disabled}
+        data-testid="add-to-cart-button"
+      >
+        {disabled ? disabledLabel || t('cart.unavailable') : label || t('product.addToCart')}
+      </AddToCartButton>
+      <p
+        className={`cart-status ${status.type || ''}`}
+        role={status.type === 'error' ? 'alert' : 'status'}
+        aria-live={status.type === 'error' ? 'assertive' : 'polite'}
+        data-testid="cart-status"
+      >
+        {status.message}
+      </p>
+    </AddToCartContainer>
+  );
+};
+
+export default AddToCart;
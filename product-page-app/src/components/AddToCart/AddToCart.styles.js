@@ -0,0 +1,93 @@
+import styled from 'styled-components';
+
+export const AddToCartContainer = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 1rem;
+
+  .cart-status {
+    flex-basis: 100%;
+    margin: 0;
+    font-size: 0.9rem;
+  }
+
+  .cart-status.success {
+    color: #2f855a;
+  }
+
+  .cart-status.error {
+    color: #e53e3e;
+  }
+`;
+
+export const QuantityStepper = styled.div`
+  display: inline-flex;
+  align-items: stretch;
+  border: 1px solid #cbd5e0;
+  border-radius: 4px;
+  overflow: hidden;
+
+  button {
+    width: 2.5rem;
+    border: none;
+    background-color: #f7fafc;
+    color: #333;
+    font-size: 1.2rem;
+    cursor: pointer;
+
+    &:disabled {
+      color: #a0aec0;
+      cursor: not-allowed;
+    }
+
+    &:focus-visible {
+      outline: 2px solid #4299e1;
+      outline-offset: -2px;
+    }
+  }
+
+  input {
+    width: 3.5rem;
+    border: none;
+    border-left: 1px solid #cbd5e0;
+    border-right: 1px solid #cbd5e0;
+    text-align: center;
+    font-size: 1rem;
+    -moz-appearance: textfield;
+
+    &::-webkit-outer-spin-button,
+    &::-webkit-inner-spin-button {
+      -webkit-appearance: none;
+      margin: 0;
+    }
+  }
+`;
+
+export const AddToCartButton = styled.button`
+  flex: 1;
+  min-width: 10rem;
+  padding: 0.75rem 1.5rem;
+  border: none;
+  border-radius: 4px;
+  background-color: #2c5282;
+  color: white;
+  font-size: 1rem;
+  font-weight: bold;
+  cursor: pointer;
+  transition: background-color 0.2s ease;
+
+  &:hover:not(:disabled) {
+    background-color: #2a4365;
+  }
+
+  &:disabled {
+    background-color: #a0aec0;
+    cursor: not-allowed;
+  }
+
+  &:focus-visible {
+    outline: 2px solid #4299e1;
+    outline-offset: 2px;
+  }
+`;
@@ -0,0 +1,96 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import AddToCart from '../AddToCart';
+import { CartProvider } from '../../../context/CartContext';
+import { LocaleProvider } from '../../../context/LocaleContext';
+import { addToCart } from '../../../services/cartService';
+
+jest.mock('../../../services/cartService', () => ({
+  MAX_LINE_QUANTITY: 99,
+  getCart: jest.fn(),
+  addToCart: jest.fn()
+}));
+
+const renderWithCart = (props = {}) => render(
+  <CartProvider loadOnMount={false}>
+    <AddToCart productId="123" price={{ amount: 1000, currency: 'USD' }} title="Shirt" {...props} />
+  </CartProvider>
+);
+
+describe('AddToCart', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should render nothing outside a CartProvider', () => {
+    const { container } = render(<AddToCart productId="123" />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('should step the quantity within its limits', () => {
+    renderWithCart({ maxQuantity: 3 });
+    const input = screen.getByTestId('quantity-input');
+
+    expect(input).toHaveValue(1);
+    expect(screen.getByTestId('quantity-decrease')).toBeDisabled();
+
+    fireEvent.click(screen.getByTestId('quantity-increase'));
+    fireEvent.click(screen.getByTestId('quantity-increase'));
+    expect(input).toHaveValue(3);
+    expect(screen.getByTestId('quantity-increase')).toBeDisabled();
+
+    fireEvent.change(input, { target: { value: '50' } });
+    expect(input).toHaveValue(3);
+
+    fireEvent.change(input, { target: { value: '' } });
+    expect(input).toHaveValue(1);
+  });
+
+  it('should add the selected quantity and confirm once the cart service has added it', async () => {
+    addToCart.mockResolvedValueOnce({ id: 'cart-1', items: [], itemCount: 2, subtotal: { amount: 2000, currency: 'USD' } });
+    renderWithCart({ variantId: 'm-blue' });
+
+    fireEvent.click(screen.getByTestId('quantity-increase'));
+    fireEvent.click(screen.getByTestId('add-to-cart-button'));
+
+    expect(screen.getByTestId('cart-status')).toHaveTextContent('Adding to cart…');
+    expect(addToCart).toHaveBeenCalledWith({ productId: '123', variantId: 'm-blue', quantity: 2 });
+    await waitFor(() => {
+      expect(screen.getByTestId('cart-status')).toHaveTextContent('Added 2 to cart');
+    });
+    expect(screen.getByTestId('cart-status')).toHaveAttribute('role', 'status');
+  });
+
+  it('should show the service error when the add is rolled back', async () => {
+    addToCart.mockRejectedValueOnce(new Error('Too many requests to product service'));
+    renderWithCart();
+
+    fireEvent.click(screen.getByTestId('add-to-cart-button'));
+
+    await waitFor(() => {
+      expect(screen.getByTestId('cart-status')).toHaveTextContent('Too many requests to product service');
+    });
+    expect(screen.getByTestId('cart-status')).toHaveAttribute('role', 'alert');
+  });
+
+  it('should disable the control with a reason', () => {
+    renderWithCart({ disabled: true, disabledLabel: 'Out of stock' });
+
+    expect(screen.getByTestId('add-to-cart-button')).toBeDisabled();
+    expect(screen.getByTestId('add-to-cart-button')).toHaveTextContent('Out of stock');
+    expect(screen.getByTestId('quantity-input')).toBeDisabled();
+  });
+
+  it('should render in the shopper\'s language', () => {
+    render(
+      <LocaleProvider locale="de-DE">
+        <CartProvider loadOnMount={false}>
+          <AddToCart productId="123" title="Shirt" />
+        </CartProvider>
+      </LocaleProvider>
+    );
+
+    expect(screen.getByTestId('add-to-cart-button')).toHaveTextContent('In den Warenkorb');
+    expect(screen.getByLabelText('Menge erhöhen')).toBe(screen.getByTestId('quantity-increase'));
+  });
+});
@@ -0,0 +1,2 @@
+export { default as AddToCart } from './AddToCart';
+export * from './AddToCart.styles';
@@ -0,0 +1,70 @@
+import React from 'react';
+import { useLocale } from '../../context/LocaleContext';
+import { AVAILABILITY } from '../../utils/availability';
+import {
+  StatusContainer,
+  StatusBadge,
+  StatusDetail
+} from './AvailabilityStatus.styles';
+
+/**
+ * Builds the headline and explanation shown for an availability state
+ * @param {Object} availability - Normalized availability ({ status, quantity, expectedDate })
+ * @param {Function} formatDate - Formats an ISO date for the shopper
+ * @param {Function} t - Translate function
+ * @returns {{label: string, detail: (string|null)}}
+ */
+const describeAvailability = ({ status, quantity, expectedDate }, formatDate, t) => {
+  const date = expectedDate ? formatDate(expectedDate) : null;
+
+  switch (status) {
+    case AVAILABILITY.LOW_STOCK:
+      return { label: t('availability.lowStock', { quantity: quantity || 0 }), detail: t('availability.orderSoon') };
+    case AVAILABILITY.BACKORDER:
+      return {
+        label: t('availability.backordered'),
+        detail: date ? t('availability.shipsBy', { date }) : t('availability.shipsWhenRestocked')
+      };
+    case AVAILABILITY.PREORDER:
+      return {
+        label: t('availability.preOrder'),
+        detail: date ? t('availability.releases', { date }) : t('availability.shipsOnRelease')
+      };
+    case AVAILABILITY.OUT_OF_STOCK:
+      return { label: t('availability.outOfStock'), detail: date ? t('availability.expectedBack', { date }) : null };
+    case AVAILABILITY.DISCONTINUED:
+      return { label: t('availability.discontinued'), detail: t('availability.noLongerMade') };
+    default:
+      return { label: t('availability.inStock'), detail: null };
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Shows whether the selected product or variant can be bought, how many are
+ * left when stock runs low, and when backordered or pre-ordered items ship.
+ * Renders nothing when the API does not report availability.
+ * @param {Object} props
+ * @param {Object} props.availability - Normalized availability ({ status, quantity, expectedDate }) or null
+ */
+const AvailabilityStatus = ({ availability }) => {
+  const { locale, t } = useLocale();
+
+  if (!availability) {
+    return null;
+  }
+
+  // Expected dates are calendar days, so they are shown as sent rather than in the shopper's time zone
+  const formatDate = (value) => new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone: 'UTC' })
+    .format(new Date(value));
+  const { label, detail } = describeAvailability(availability, formatDate, t);
+
+  return (
+    <StatusContainer role="status" data-testid="availability-status" data-status={availability.status}>
+      <StatusBadge className={availability.status}>{label}</StatusBadge>
+      {detail && <StatusDetail data-testid="availability-detail">{detail}</StatusDetail>}
+    </StatusContainer>
+  );
+};
+
+export default AvailabilityStatus;
@@ -0,0 +1,49 @@
+import styled from 'styled-components';
+
+export const StatusContainer = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: baseline;
+  gap: 0.25rem 0.75rem;
+  font-size: 0.95rem;
+`;
+
+export const StatusBadge = styled.span`
+  display: inline-flex;
+  align-items: center;
+  gap: 0.375rem;
+  font-weight: bold;
+
+  &::before {
+    content: '';
+    width: 0.5rem;
+    height: 0.5rem;
+    border-radius: 50%;
+    background-color: currentColor;
+  }
+
+  &.in_stock {
+    color: #2f855a;
+  }
+
+  &.low_stock {
+    color: #c05621;
+  }
+
+  &.backorder,
+  &.preorder {
+    color: #2b6cb0;
+  }
+
+  &.out_of_stock {
+    color: #c53030;
+  }
+
+  &.discontinued {
+    color: #718096;
+  }
+`;
+
+export const StatusDetail = styled.span`
+  color: #4a5568;
+`;
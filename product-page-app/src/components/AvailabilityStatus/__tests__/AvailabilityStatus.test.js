@@ -0,0 +1,61 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import AvailabilityStatus from '../AvailabilityStatus';
+import { LocaleProvider } from '../../../context/LocaleContext';
+
+describe('AvailabilityStatus', () => {
+  it('should render nothing without availability', () => {
+    const { container } = render(<AvailabilityStatus availability={null} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('should show how many are left when stock runs low', () => {
+    render(<AvailabilityStatus availability={{ status: 'low_stock', quantity: 3, expectedDate: null }} />);
+
+    const status = screen.getByTestId('availability-status');
+    expect(status).toHaveAttribute('data-status', 'low_stock');
+    expect(status).toHaveTextContent('Only 3 left');
+  });
+
+  it('should describe low stock in the shopper\'s language', () => {
+    const { rerender } = render(
+      <LocaleProvider locale="de-DE">
+        <AvailabilityStatus availability={{ status: 'low_stock', quantity: 1, expectedDate: null }} />
+      </LocaleProvider>
+    );
+    expect(screen.getByTestId('availability-status')).toHaveTextContent('Nur noch 1 verfügbar');
+    expect(screen.getByTestId('availability-detail')).toHaveTextContent('Bald bestellen');
+
+    rerender(
+      <LocaleProvider locale="de-DE">
+        <AvailabilityStatus availability={{ status: 'low_stock', quantity: null, expectedDate: null }} />
+      </LocaleProvider>
+    );
+    expect(screen.getByTestId('availability-status')).toHaveTextContent('Geringer Bestand');
+  });
+
+  it('should give the expected date of backorders and pre-orders', () => {
+    const { rerender } = render(
+      <AvailabilityStatus availability={{ status: 'backorder', quantity: 0, expectedDate: '2026-11-20T00:00:00.000Z' }} />
+    );
+    expect(screen.getByTestId('availability-status')).toHaveTextContent('Backordered');
+    expect(screen.getByTestId('availability-detail')).toHaveTextContent('Order now, ships by November 20, 2026');
+
+    rerender(
+      <LocaleProvider locale="de-DE">
+        <AvailabilityStatus availability={{ status: 'preorder', quantity: null, expectedDate: '2027-01-15T00:00:00.000Z' }} />
+      </LocaleProvider>
+    );
+    expect(screen.getByTestId('availability-status')).toHaveTextContent('Vorbestellung');
+    expect(screen.getByTestId('availability-detail')).toHaveTextContent('Erscheint am 15. Januar 2027');
+  });
+
+  it('should label out-of-stock and discontinued items', () => {
+    const { rerender } = render(<AvailabilityStatus availability={{ status: 'out_of_stock', quantity: 0, expectedDate: null }} />);
+    expect(screen.getByTestId('availability-status')).toHaveTextContent('Out of stock');
+    expect(screen.queryByTestId('availability-detail')).not.toBeInTheDocument();
+
+    rerender(<AvailabilityStatus availability={{ status: 'discontinued', quantity: null, expectedDate: null }} />);
+    expect(screen.getByTestId('availability-status')).toHaveTextContent('Discontinued');
+  });
+});
@@ -0,0 +1,2 @@
+export { default as AvailabilityStatus } from './AvailabilityStatus';
+export * from './AvailabilityStatus.styles';
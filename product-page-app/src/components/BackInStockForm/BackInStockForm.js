@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { useTranslation } from '../../context/LocaleContext';
+import { subscribeToBackInStock } from '../../services/stockNotificationService';
+import { useMountedState } from '../../utils/hooks';
+import {
+  NotifyForm,
+  NotifyMessage
+} from './BackInStockForm.styles';
+
+// PUBLIC_INTERFACE
+/**
+ * "Notify me when available" form shown for out-of-stock items. Subscribes
+ * the entered address through the stock notification service and confirms
+ * in place; validation and request errors are shown under the field.
+ * @param {Object} props
+ * @param {string} props.productId - Product the shopper is waiting for
+ * @param {string} props.variantId - Selected variant, if the product has variants
+ * @param {string} props.itemName - Name of the item, used in the form's accessible label; defaults to "this item"
+ */
+const BackInStockForm = ({ productId, variantId = null, itemName }) => {
+  const { t } = useTranslation();
+  const isMounted = useMountedState();
+  const [email, setEmail] = useState('');
+  const [status, setStatus] = useState({ type: null, message: '' });
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setStatus({ type: 'submitting', message: '' });
+
+    try {
+      const subscription = await subscribeToBackInStock({ productId, variantId, email });
+      if (isMounted()) {
+        setStatus({ type: 'success', message: t('backInStock.confirmed', { email: subscription.email }) });
+      }
+    } catch (error) {
+      if (isMounted()) {
+        setStatus({ type: 'error', message: error?.message || t('backInStock.failed') });
+      }
+    }
+  };
+
+  if (status.type === 'success') {
+    return (
+      <NotifyMessage className="success" role="status" data-testid="back-in-stock-confirmation">
+        {status.message}
+      </NotifyMessage>
+    );
+  }
+
+  const submitting = status.type === 'submitting';
+
+  return (
+    <NotifyForm
+      onSubmit={handleSubmit}
+      noValidate
+      aria-label={t('backInStock.label', { item: itemName || t('product.thisItem') })}
+      data-testid="back-in-stock-form"
+    >
+      <label>
+        {t('backInStock.email')}
+        <input
+          type="email"
+          name="email"
+          autoComplete="email"
+          value={email}
+          onChange={event => setEmail(event.target.value)}
+          required
+          aria-invalid={status.type === 'error'}
+          aria-describedby="back-in-stock-message"
+          data-testid="back-in-stock-email"
+        />
+      </label>
+      <button type="submit" disabled={submitting} data-testid="back-in-stock-submit">
+        {submitting ? t('backInStock.saving') : t('backInStock.submit')}
+      </button>
+      <NotifyMessage
+        id="back-in-stock-message"
+        className={status.type === 'error' ? 'error' : undefined}
+        role={status.type === 'error' ? 'alert' : undefined}
+      >
+        {status.message}
+      </NotifyMessage>
+    </NotifyForm>
+  );
+};
+
+export default BackInStockForm;
@@ -0,0 +1,73 @@
+import styled from 'styled-components';
+
+export const NotifyForm = styled.form`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: flex-end;
+  gap: 0.5rem 0.75rem;
+  padding: 1rem;
+  border: 1px solid #e2e8f0;
+  border-radius: 4px;
+  background-color: #f7fafc;
+
+  label {
+    display: flex;
+    flex: 1;
+    flex-direction: column;
+    gap: 0.25rem;
+    min-width: 12rem;
+    font-weight: bold;
+    color: #333;
+  }
+
+  input {
+    padding: 0.5rem 0.75rem;
+    border: 1px solid #cbd5e0;
+    border-radius: 4px;
+    font-size: 1rem;
+
+    &[aria-invalid='true'] {
+      border-color: #e53e3e;
+    }
+
+    &:focus-visible {
+      outline: 2px solid #4299e1;
+      outline-offset: 2px;
+    }
+  }
+
+  button {
+    padding: 0.5rem 1rem;
+    border: none;
+    border-radius: 4px;
+    background-color: #2c5282;
+    color: white;
+    font-size: 1rem;
+    cursor: pointer;
+
+    &:disabled {
+      background-color: #a0aec0;
+      cursor: not-allowed;
+    }
+
+    &:focus-visible {
+      outline: 2px solid #4299e1;
+      outline-offset: 2px;
+    }
+  }
+`;
+
+export const NotifyMessage = styled.p`
+  flex-basis: 100%;
+  margin: 0;
+  font-size: 0.9rem;
+  color: #4a5568;
+
+  &.success {
+    color: #2f855a;
+  }
+
+  &.error {
+    color: #e53e3e;
+  }
+`;
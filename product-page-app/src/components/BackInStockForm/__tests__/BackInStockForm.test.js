@@ -0,0 +1,41 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import BackInStockForm from '../BackInStockForm';
+import { subscribeToBackInStock } from '../../../services/stockNotificationService';
+
+jest.mock('../../../services/stockNotificationService', () => ({
+  subscribeToBackInStock: jest.fn()
+}));
+
+describe('BackInStockForm', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should subscribe the entered address and confirm', async () => {
+    subscribeToBackInStock.mockResolvedValueOnce({ id: 'sub-1', email: 'ada@example.com', status: 'subscribed' });
+    render(<BackInStockForm productId="123" variantId="m-blue" itemName="Shirt" />);
+
+    expect(screen.getByRole('form', { name: 'Get notified when Shirt is back in stock' })).toBeInTheDocument();
+    fireEvent.change(screen.getByTestId('back-in-stock-email'), { target: { value: 'ada@example.com' } });
+    fireEvent.click(screen.getByTestId('back-in-stock-submit'));
+
+    expect(screen.getByTestId('back-in-stock-submit')).toBeDisabled();
+    expect(await screen.findByTestId('back-in-stock-confirmation'))
+      .toHaveTextContent("We'll email ada@example.com when it is back in stock.");
+    expect(subscribeToBackInStock).toHaveBeenCalledWith({ productId: '123', variantId: 'm-blue', email: 'ada@example.com' });
+  });
+
+  it('should show validation and request errors and allow another try', async () => {
+    subscribeToBackInStock.mockRejectedValueOnce({ code: 'VALIDATION_ERROR', message: 'Please enter a valid email address' });
+    render(<BackInStockForm productId="123" />);
+
+    fireEvent.click(screen.getByTestId('back-in-stock-submit'));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Please enter a valid email address');
+    await waitFor(() => {
+      expect(screen.getByTestId('back-in-stock-email')).toHaveAttribute('aria-invalid', 'true');
+    });
+    expect(screen.getByTestId('back-in-stock-submit')).toBeEnabled();
+  });
+});
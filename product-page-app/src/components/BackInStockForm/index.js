@@ -0,0 +1,2 @@
+export { default as BackInStockForm } from './BackInStockForm';
+export * from './BackInStockForm.styles';
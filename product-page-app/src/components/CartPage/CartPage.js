@@ -0,0 +1,110 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useCart } from '../../context/CartContext';
+import { useMoneyFormatter, useTranslation } from '../../context/LocaleContext';
+import { MAX_LINE_QUANTITY } from '../../services/cartService';
+import { isLocalLine } from '../../utils/cart';
+import { PLACEHOLDER_IMAGE } from '../ImageGallery/ImageGallery';
+import {
+  CartContainer,
+  CartLines,
+  CartLine,
+  CartSummary,
+  CartMessage
+} from './CartPage.styles';
+
+// PUBLIC_INTERFACE
+/**
+ * Shopping cart with quantity controls for each line. Changes go through the
+ * CartProvider, so they show immediately and roll back when the cart service fails.
+ */
+const CartPage = () => {
+  const cart = useCart();
+  const { t } = useTranslation();
+  const formatPrice = useMoneyFormatter();
+
+  if (!cart) {
+    return null;
+  }
+
+  const { cart: { items, itemCount, subtotal }, loading, error, isUpdating } = cart;
+
+  // Failures are shown from the provider's error state after the rollback
+  const ignoreFailure = () => {};
+
+  return (
+    <CartContainer aria-labelledby="cart-title" aria-busy={loading || isUpdating} data-testid="cart-page">
+      <h1 id="cart-title">{t('cart.title')}</h1>
+
+      {error && (
+        <CartMessage className="error" role="alert" data-testid="cart-error">
+          {error.message || t('cart.updateFailed')}
+        </CartMessage>
+      )}
+
+      {loading && items.length === 0 && (
+        <CartMessage role="status">{t('cart.loading')}</CartMessage>
+      )}
+
+      {!loading && items.length === 0 && (
+        <CartMessage data-testid="cart-empty">
+          {t('cart.empty')} <Link to="/products">{t('cart.continueShopping')}</Link>
+        </CartMessage>
+      )}
+
+      {items.length > 0 && (
+        <>
+          <CartLines aria-label={t('cart.items')}>
+            {items.map(item => {
+              const title = item.title || t('product.untitled');
+              // Lines still being saved have no server ID to change or remove them by
+              const isSaving = isLocalLine(item);
+              return (
+                <CartLine key={item.id} data-testid={`cart-line-${item.id}`}>
+                  <img src={item.image || PLACEHOLDER_IMAGE} alt="" />
+                  <div>
+                    <Link to={`/products/${encodeURIComponent(item.productId)}`}>{title}</Link>
+                    <div className="line-price">{t('cart.each', { price: formatPrice(item.price) })}</div>
+                  </div>
+                  <div className="line-actions">
+                    <button
+                      type="button"
+                      aria-label={t('cart.decreaseQuantityOf', { title })}
+                      onClick={() => cart.updateQuantity(item.id, item.quantity - 1).catch(ignoreFailure)}
+                      disabled={isSaving || item.quantity <= 1}
+                    >
+                      −
+                    </button>
+                    <span aria-label={t('cart.quantityOf', { title })}>{item.quantity}</span>
+                    <button
+                      type="button"
+                      aria-label={t('cart.increaseQuantityOf', { title })}
+                      onClick={() => cart.updateQuantity(item.id, item.quantity + 1).catch(ignoreFailure)}
+                      disabled={isSaving || item.quantity >= MAX_LINE_QUANTITY}
+                    >
+                      +
+                    </button>
+                    <button
+                      type="button"
+                      aria-label={t('cart.removeItem', { title })}
+                      onClick={() => cart.removeItem(item.id).catch(ignoreFailure)}
+                      disabled={isSaving}
+                    >
+                      {t('cart.remove')}
+                    </button>
+                  </div>
+                </CartLine>
+              );
+            })}
+          </CartLines>
+          <CartSummary data-testid="cart-subtotal">
+            <span>{t('cart.subtotal', { count: itemCount })}</span>
+            <span>{formatPrice(subtotal)}</span>
+          </CartSummary>
+        </>
+      )}
+    </CartContainer>
+  );
+};
+
+export default CartPage;
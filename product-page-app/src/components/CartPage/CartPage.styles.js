@@ -0,0 +1,101 @@
+import styled from 'styled-components';
+
+export const CartContainer = styled.section`
+  display: flex;
+  flex-direction: column;
+  gap: 1.5rem;
+  max-width: 800px;
+  margin: 2rem auto;
+  padding: 0 1rem;
+
+  h1 {
+    margin: 0;
+    color: #333;
+  }
+`;
+
+export const CartLines = styled.ul`
+  display: flex;
+  flex-direction: column;
+  margin: 0;
+  padding: 0;
+  list-style: none;
+  border-top: 1px solid #e2e8f0;
+`;
+
+export const CartLine = styled.li`
+  display: grid;
+  grid-template-columns: 80px 1fr auto;
+  align-items: center;
+  gap: 1rem;
+  padding: 1rem 0;
+  border-bottom: 1px solid #e2e8f0;
+
+  img {
+    width: 80px;
+    height: 80px;
+    object-fit: cover;
+    border-radius: 4px;
+    background-color: #f7fafc;
+  }
+
+  a {
+    color: #333;
+    font-weight: bold;
+    text-decoration: none;
+  }
+
+  .line-price {
+    color: #4a5568;
+  }
+
+  .line-actions {
+    display: flex;
+    align-items: center;
+    gap: 0.5rem;
+  }
+
+  .line-actions button {
+    min-width: 2rem;
+    padding: 0.25rem 0.5rem;
+    border: 1px solid #cbd5e0;
+    border-radius: 4px;
+    background-color: white;
+    cursor: pointer;
+  }
+
+  .line-actions button:disabled {
+    cursor: not-allowed;
+    opacity: 0.5;
+  }
+
+  @media (max-width: 480px) {
+    grid-template-columns: 60px 1fr;
+
+    .line-actions {
+      grid-column: 2;
+    }
+  }
+`;
+
+export const CartSummary = styled.div`
+  display: flex;
+  justify-content: flex-end;
+  gap: 1rem;
+  font-size: 1.25rem;
+  font-weight: bold;
+  color: #2c5282;
+`;
+
+export const CartMessage = styled.p`
+  margin: 0;
+  color: #4a5568;
+
+  &.error {
+    color: #e53e3e;
+  }
+
+  a {
+    color: #3182ce;
+  }
+`;
@@ -0,0 +1,113 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import CartPage from '../CartPage';
+import { CartProvider } from '../../../context/CartContext';
+import { LocaleProvider } from '../../../context/LocaleContext';
+import { updateCartItem, removeCartItem } from '../../../services/cartService';
+
+jest.mock('../../../services/cartService', () => ({
+  MAX_LINE_QUANTITY: 99,
+  getCart: jest.fn(),
+  updateCartItem: jest.fn(),
+  removeCartItem: jest.fn()
+}));
+
+const usd = amount => ({ amount, currency: 'USD' });
+
+const cart = {
+  id: 'cart-1',
+  currency: 'USD',
+  items: [
+    { id: 'line-1', productId: '123', variantId: null, quantity: 2, price: usd(1000), title: 'Shirt', image: null },
+    { id: 'line-2', productId: '456', variantId: 'm', quantity: 1, price: usd(2500), title: 'Jacket', image: '/jacket.jpg' }
+  ],
+  itemCount: 3,
+  subtotal: usd(4500)
+};
+
+const renderCart = (initialCart = cart) => render(
+  <MemoryRouter>
+    <CartProvider initialCart={initialCart} loadOnMount={false}>
+      <CartPage />
+    </CartProvider>
+  </MemoryRouter>
+);
+
+describe('CartPage', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should list the cart lines with links to their products and the subtotal', () => {
+    renderCart();
+
+    expect(screen.getByTestId('cart-line-line-1')).toHaveTextContent('$10.00 each');
+    expect(screen.getByRole('link', { name: 'Jacket' })).toHaveAttribute('href', '/products/456');
+    expect(screen.getByLabelText('Quantity of Shirt')).toHaveTextContent('2');
+    expect(screen.getByLabelText('Decrease quantity of Jacket')).toBeDisabled();
+    expect(screen.getByTestId('cart-subtotal')).toHaveTextContent('Subtotal (3 items)$45.00');
+  });
+
+  it('should change quantities and remove lines right away', async () => {
+    updateCartItem.mockResolvedValueOnce({ ...cart, items: [{ ...cart.items[0], quantity: 3 }, cart.items[1]], itemCount: 4, subtotal: usd(5500) });
+    removeCartItem.mockResolvedValueOnce({ ...cart, items: [{ ...cart.items[0], quantity: 3 }], itemCount: 3, subtotal: usd(3000) });
+    renderCart();
+
+    fireEvent.click(screen.getByLabelText('Increase quantity of Shirt'));
+    expect(screen.getByLabelText('Quantity of Shirt')).toHaveTextContent('3');
+    expect(updateCartItem).toHaveBeenCalledWith('line-1', 3);
+
+    fireEvent.click(screen.getByLabelText('Remove Jacket'));
+    expect(screen.queryByTestId('cart-line-line-2')).not.toBeInTheDocument();
+    await waitFor(() => {
+      expect(screen.getByTestId('cart-subtotal')).toHaveTextContent('$30.00');
+    });
+    expect(removeCartItem).toHaveBeenCalledWith('line-2');
+  });
+
+  it('should disable the actions of lines that are still being saved', () => {
+    renderCart({
+      ...cart,
+      items: [cart.items[0], { ...cart.items[1], id: 'local-456-m' }]
+    });
+
+    expect(screen.getByLabelText('Increase quantity of Jacket')).toBeDisabled();
+    expect(screen.getByLabelText('Remove Jacket')).toBeDisabled();
+    expect(screen.getByLabelText('Increase quantity of Shirt')).toBeEnabled();
+    expect(screen.getByLabelText('Remove Shirt')).toBeEnabled();
+  });
+
+  it('should put a line back and explain when removing it fails', async () => {
+    removeCartItem.mockRejectedValueOnce(new Error('Your cart could not be saved'));
+    renderCart();
+
+    fireEvent.click(screen.getByLabelText('Remove Shirt'));
+
+    expect(await screen.findByTestId('cart-error')).toHaveTextContent('Your cart could not be saved');
+    expect(screen.getByTestId('cart-line-line-1')).toBeInTheDocument();
+  });
+
+  it('should point an empty cart to the product listing', () => {
+    renderCart({ ...cart, items: [], itemCount: 0, subtotal: usd(0) });
+
+    expect(screen.getByTestId('cart-empty')).toHaveTextContent('Your cart is empty.');
+    expect(screen.getByRole('link', { name: 'Continue shopping' })).toHaveAttribute('href', '/products');
+  });
+
+  it('should render in the shopper\'s language', () => {
+    render(
+      <MemoryRouter>
+        <LocaleProvider locale="de-DE">
+          <CartProvider initialCart={{ ...cart, items: [{ ...cart.items[0], title: null }] }} loadOnMount={false}>
+            <CartPage />
+          </CartProvider>
+        </LocaleProvider>
+      </MemoryRouter>
+    );
+
+    expect(screen.getByRole('heading', { name: 'Dein Warenkorb' })).toBeInTheDocument();
+    expect(screen.getByLabelText('Menge von Produkt ohne Namen erhöhen')).toBeEnabled();
+    expect(screen.getByTestId('cart-subtotal')).toHaveTextContent('Zwischensumme (3 Artikel)');
+  });
+});
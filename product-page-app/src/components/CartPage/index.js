@@ -0,0 +1,2 @@
+export { default as CartPage } from './CartPage';
+export * from './CartPage.styles';
@@ -1,7 +1,17 @@
 import React from 'react';
+import LocaleContext from '../../context/LocaleContext';
+import reporter from '../../services/reporter';
 
 // PUBLIC_INTERFACE
+/**
+ * Shows a fallback instead of a crashed subtree
+ * @param {Object} props
+ * @param {*} props.resetKey - Renders the children again once this changes, e.g. after navigating away
+ */
 class ErrorBoundary extends React.Component {
+  // The fallback is rendered in the shopper's language
+  static contextType = LocaleContext;
+
   constructor(props) {
     super(props);
     this.state = { hasError: false, error: null };
@@ -11,14 +21,22 @@ class ErrorBoundary extends React.Component {
     return { hasError: true, error };
   }
 
+  componentDidUpdate(prevProps) {
+    if (this.state.hasError && prevProps.resetKey !== this.props.resetKey) {
+      this.setState({ hasError: false, error: null });
+    }
+  }
+
   componentDidCatch(error, errorInfo) {
     console.error('Error caught by boundary:', error, errorInfo);
+    reporter.captureError(error, { componentStack: errorInfo?.componentStack, resetKey: this.props.resetKey });
   }
 
   render() {
     if (this.state.hasError) {
+      const { t, direction } = this.context;
       return (
-        <div style={{
+        <div dir={direction} style={{
           padding: '20px',
           margin: '20px',
           backgroundColor: '#fff5f5',
@@ -26,8 +44,8 @@ class ErrorBoundary extends React.Component {
           borderRadius: '8px',
           color: '#c53030'
         }}>
-          <h2>Something went wrong</h2>
-          <p>We apologize for the inconvenience. Please try refreshing the page.</p>
+          <h2>{t('errorBoundary.title')}</h2>
+          <p>{t('errorBoundary.message')}</p>
         </div>
       );
     }
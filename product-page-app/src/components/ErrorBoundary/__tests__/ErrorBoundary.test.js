@@ -1,6 +1,8 @@
 import React from 'react';
 import { render, screen } from '@testing-library/react';
 import ErrorBoundary from '../ErrorBoundary';
+import { LocaleProvider } from '../../../context/LocaleContext';
+import reporter from '../../../services/reporter';
 
 // Test component that throws an error
 const ErrorComponent = ({ shouldThrow }) => {
@@ -56,6 +58,22 @@ describe('ErrorBoundary', () => {
     expect(console.error).toHaveBeenCalled();
   });
 
+  it('should report caught errors with the component stack', () => {
+    const captureError = jest.spyOn(reporter, 'captureError');
+
+    render(
+      <ErrorBoundary resetKey="/products/1">
+        <ErrorComponent shouldThrow={true} />
+      </ErrorBoundary>
+    );
+
+    expect(captureError).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Test error' }),
+      expect.objectContaining({ componentStack: expect.any(String), resetKey: '/products/1' })
+    );
+    captureError.mockRestore();
+  });
+
   it('should apply error styles to error message container', () => {
     render(
       <ErrorBoundary>
@@ -73,4 +91,40 @@ describe('ErrorBoundary', () => {
       color: '#c53030'
     });
   });
-});
\ No newline at end of file
+
+  it('should render the children again when the reset key changes', () => {
+    const { rerender } = render(
+      <ErrorBoundary resetKey="/products/1">
+        <ErrorComponent shouldThrow={true} />
+      </ErrorBoundary>
+    );
+    expect(screen.getByText('Something went wrong')).toBeInTheDocument();
+
+    rerender(
+      <ErrorBoundary resetKey="/products/1">
+        <ErrorComponent shouldThrow={false} />
+      </ErrorBoundary>
+    );
+    expect(screen.getByText('Something went wrong')).toBeInTheDocument();
+
+    rerender(
+      <ErrorBoundary resetKey="/products/2">
+        <ErrorComponent shouldThrow={false} />
+      </ErrorBoundary>
+    );
+    expect(screen.getByText('Normal content')).toBeInTheDocument();
+  });
+
+  it('should render the error UI in the provider locale and direction', () => {
+    render(
+      <LocaleProvider locale="de-DE" messages={{ 'errorBoundary.title': 'Da ist etwas schiefgelaufen' }}>
+        <ErrorBoundary>
+          <ErrorComponent shouldThrow={true} />
+        </ErrorBoundary>
+      </LocaleProvider>
+    );
+
+    expect(screen.getByText('Da ist etwas schiefgelaufen')).toBeInTheDocument();
+    expect(screen.getByText('Entschuldige die Unannehmlichkeiten. Bitte lade die Seite neu.')).toBeInTheDocument();
+  });
+});
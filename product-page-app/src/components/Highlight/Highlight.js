@@ -0,0 +1,17 @@
+import React from 'react';
+import { splitHighlights } from '../../utils/highlight';
+
+// PUBLIC_INTERFACE
+/**
+ * Renders text with the words of a query marked
+ * @param {Object} props
+ * @param {string} props.text - Text to show
+ * @param {string} props.query - Words to mark
+ */
+const Highlight = ({ text, query }) => splitHighlights(text, query).map((segment, index) => (
+  segment.match
+    ? <mark key={index}>{segment.text}</mark>
+    : <React.Fragment key={index}>{segment.text}</React.Fragment>
+));
+
+export default Highlight;
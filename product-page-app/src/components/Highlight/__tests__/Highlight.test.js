@@ -0,0 +1,12 @@
+import React from 'react';
+import { render } from '@testing-library/react';
+import Highlight from '../Highlight';
+
+describe('Highlight', () => {
+  it('should mark the words of the query', () => {
+    const { container } = render(<p><Highlight text="Does the lamp dim?" query="lamp DIM" /></p>);
+
+    // Marks have no role, so they are read from the rendered markup
+    expect(container.innerHTML).toBe('<p>Does the <mark>lamp</mark> <mark>dim</mark>?</p>');
+  });
+});
@@ -0,0 +1,194 @@
+import React, { useState, useCallback, useRef } from 'react';
+import { useTranslation } from '../../context/LocaleContext';
+import Lightbox from './Lightbox';
+import {
+  GalleryContainer,
+  MainViewer,
+  ThumbnailList,
+  ThumbnailButton
+} from './ImageGallery.styles';
+
+export const PLACEHOLDER_IMAGE = '/placeholder-image.png';
+
+const HOVER_ZOOM_SCALE = 2;
+const MAX_PINCH_SCALE = 4;
+const NO_ZOOM = { scale: 1, originX: 50, originY: 50 };
+
+/**
+ * Measures the distance between the first two touch points of a touch event
+ * @param {TouchList} touches - Active touches
+ * @returns {number} - Distance in pixels
+ */
+const getTouchDistance = (touches) => Math.hypot(
+  touches[0].clientX - touches[1].clientX,
+  touches[0].clientY - touches[1].clientY
+);
+
+// PUBLIC_INTERFACE
+/**
+ * Product image gallery with a main viewer, thumbnails, hover/pinch zoom,
+ * a fullscreen lightbox and arrow-key navigation. Every image falls back to
+ * a placeholder on its own when it fails to load.
+ * @param {Object} props
+ * @param {Array} props.images - Images normalized by transformImages ({ id, src, thumbnail, zoomSrc, alt })
+ * @param {number} props.initialIndex - Index of the image shown first
+ * @param {string} props.title - Product title, used as alt text for the placeholder; defaults to "Product image"
+ * @param {Function} props.onImageLoad - Called with the image once the main viewer has loaded it
+ */
+const ImageGallery = ({ images = [], initialIndex = 0, title: titleProp, onImageLoad }) => {
+  const { t } = useTranslation();
+  const title = titleProp || t('product.imageFallback');
+  const [activeIndex, setActiveIndex] = useState(initialIndex);
+  const [failedImages, setFailedImages] = useState({});
+  const [isLightboxOpen, setLightboxOpen] = useState(false);
+  const [zoom, setZoom] = useState(NO_ZOOM);
+  const pinchRef = useRef(null);
+
+  const total = images.length;
+  const currentIndex = total > 0 ? Math.min(Math.max(activeIndex, 0), total - 1) : 0;
+  const currentImage = images[currentIndex];
+
+  const resolveSrc = (src) => (!src || failedImages[src] ? PLACEHOLDER_IMAGE : src);
+
+  const markFailed = useCallback((src) => {
+    setFailedImages(prev => (prev[src] ? prev : { ...prev, [src]: true }));
+  }, []);
+
+  const navigate = useCallback((step) => {
+    if (total < 2) return;
+    setActiveIndex(prev => (prev + step + total) % total);
+    setZoom(NO_ZOOM);
+  }, [total]);
+
+  const handleKeyDown = (event) => {
+    switch (event.key) {
+      case 'ArrowLeft':
+        navigate(-1);
+        break;
+      case 'ArrowRight':
+        navigate(1);
+        break;
+      case 'Home':
+        setActiveIndex(0);
+        break;
+      case 'End':
+        setActiveIndex(total - 1);
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  };
+
+  const handleMouseMove = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    if (!rect.width || !rect.height) return;
+    setZoom({
+      scale: HOVER_ZOOM_SCALE,
+      originX: ((event.clientX - rect.left) / rect.width) * 100,
+      originY: ((event.clientY - rect.top) / rect.height) * 100
+    });
+  };
+
+  const handleTouchStart = (event) => {
+    if (event.touches.length === 2) {
+      pinchRef.current = { distance: getTouchDistance(event.touches), scale: zoom.scale };
+    }
+  };
+
+  const handleTouchMove = (event) => {
+    if (event.touches.length !== 2 || !pinchRef.current) return;
+    const ratio = getTouchDistance(event.touches) / pinchRef.current.distance;
+    const scale = Math.min(MAX_PINCH_SCALE, Math.max(1, pinchRef.current.scale * ratio));
+    setZoom(prev => ({ ...prev, scale }));
+  };
+
+  const handleTouchEnd = (event) => {
+    if (event.touches.length < 2) {
+      pinchRef.current = null;
+    }
+  };
+
+  if (!currentImage) {
+    return (
+      <GalleryContainer data-testid="image-gallery">
+        <MainViewer as="div" data-testid="gallery-main-viewer">
+          <img src={PLACEHOLDER_IMAGE} alt={title} data-testid="product-image" />
+        </MainViewer>
+      </GalleryContainer>
+    );
+  }
+
+  return (
+    <GalleryContainer
+      role="region"
+      aria-roledescription="gallery"
+      aria-label={t('gallery.images', { title })}
+      data-testid="image-gallery"
+      onKeyDown={handleKeyDown}
+    >
+      <MainViewer
+        type="button"
+        onClick={() => setLightboxOpen(true)}
+        onMouseMove={handleMouseMove}
+        onMouseLeave={() => setZoom(NO_ZOOM)}
+        onTouchStart={handleTouchStart}
+        onTouchMove={handleTouchMove}
+        onTouchEnd={handleTouchEnd}
+        aria-label={t('gallery.openFullscreen', { index: currentIndex + 1, total })}
+        data-testid="gallery-main-viewer"
+      >
+        <img
+          src={resolveSrc(currentImage.src)}
+          alt={currentImage.alt || title}
+          onLoad={() => onImageLoad?.(currentImage)}
+          onError={() => markFailed(currentImage.src)}
+          style={{
+            transform: `scale(${zoom.scale})`,
+            transformOrigin: `${zoom.originX}% ${zoom.originY}%`
+          }}
+          data-testid="product-image"
+        />
+      </MainViewer>
+
+      {total > 1 && (
+        <ThumbnailList aria-label={t('gallery.thumbnails')} data-testid="gallery-thumbnails">
+          {images.map((image, index) => (
+            <li key={image.id}>
+              <ThumbnailButton
+                type="button"
+                onClick={() => {
+                  setActiveIndex(index);
+                  setZoom(NO_ZOOM);
+                }}
+                aria-label={t('gallery.showImage', { index: index + 1, total })}
+                aria-current={index === currentIndex}
+                data-testid={`gallery-thumbnail-${index}`}
+              >
+                <img
+                  src={resolveSrc(image.thumbnail)}
+                  alt=""
+                  loading="lazy"
+                  onError={() => markFailed(image.thumbnail)}
+                />
+              </ThumbnailButton>
+            </li>
+          ))}
+        </ThumbnailList>
+      )}
+
+      {isLightboxOpen && (
+        <Lightbox
+          image={{ src: resolveSrc(currentImage.zoomSrc), alt: currentImage.alt || title }}
+          index={currentIndex}
+          total={total}
+          onClose={() => setLightboxOpen(false)}
+          onNavigate={navigate}
+          onImageError={() => markFailed(currentImage.zoomSrc)}
+        />
+      )}
+    </GalleryContainer>
+  );
+};
+
+export default ImageGallery;
@@ -0,0 +1,139 @@
+import styled from 'styled-components';
+
+export const GalleryContainer = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 1rem;
+  width: 100%;
+
+  &:focus-visible {
+    outline: 2px solid #4299e1;
+    outline-offset: 4px;
+  }
+`;
+
+export const MainViewer = styled.button`
+  position: relative;
+  width: 100%;
+  min-height: 400px;
+  padding: 0;
+  border: none;
+  border-radius: 8px;
+  background-color: #f5f5f5;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  overflow: hidden;
+  cursor: zoom-in;
+  touch-action: pan-y;
+
+  img {
+    max-width: 100%;
+    max-height: 600px;
+    object-fit: contain;
+    transition: transform 0.1s ease-out;
+  }
+
+  &:focus-visible {
+    outline: 2px solid #4299e1;
+    outline-offset: 2px;
+  }
+`;
+
+export const ThumbnailList = styled.ul`
+  display: flex;
+  gap: 0.5rem;
+  margin: 0;
+  padding: 0;
+  list-style: none;
+  overflow-x: auto;
+`;
+
+export const ThumbnailButton = styled.button`
+  flex: 0 0 auto;
+  width: 72px;
+  height: 72px;
+  padding: 0;
+  border: 2px solid transparent;
+  border-radius: 4px;
+  background-color: #f5f5f5;
+  cursor: pointer;
+  overflow: hidden;
+
+  &[aria-current="true"] {
+    border-color: #2c5282;
+  }
+
+  img {
+    width: 100%;
+    height: 100%;
+    object-fit: cover;
+  }
+
+  &:focus-visible {
+    outline: 2px solid #4299e1;
+    outline-offset: 2px;
+  }
+`;
+
+export const LightboxOverlay = styled.div`
+  position: fixed;
+  inset: 0;
+  z-index: 1000;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  background-color: rgba(0, 0, 0, 0.9);
+
+  img {
+    max-width: 90vw;
+    max-height: 85vh;
+    object-fit: contain;
+  }
+
+  .lightbox-counter {
+    position: absolute;
+    bottom: 1.5rem;
+    left: 50%;
+    transform: translateX(-50%);
+    color: white;
+    font-size: 0.9rem;
+  }
+`;
+
+export const LightboxButton = styled.button`
+  position: absolute;
+  padding: 0.5rem 1rem;
+  border: none;
+  border-radius: 4px;
+  background-color: rgba(255, 255, 255, 0.15);
+  color: white;
+  font-size: 1.5rem;
+  cursor: pointer;
+
+  &:hover {
+    background-color: rgba(255, 255, 255, 0.3);
+  }
+
+  &.close {
+    top: 1rem;
+    right: 1rem;
+  }
+
+  &.previous {
+    left: 1rem;
+    top: 50%;
+    transform: translateY(-50%);
+  }
+
+  &.next {
+    right: 1rem;
+    top: 50%;
+    transform: translateY(-50%);
+  }
+
+  &:focus-visible {
+    outline: 2px solid white;
+    outline-offset: 2px;
+  }
+`;
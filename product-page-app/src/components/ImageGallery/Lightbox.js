@@ -0,0 +1,106 @@
+import React, { useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import { useTranslation } from '../../context/LocaleContext';
+import { LightboxOverlay, LightboxButton } from './ImageGallery.styles';
+
+// PUBLIC_INTERFACE
+/**
+ * Fullscreen image viewer used by the gallery.
+ * Keyboard: ArrowLeft/ArrowRight navigate, Escape closes. Focus moves to the
+ * close button on open and returns to the previously focused element on close.
+ * @param {Object} props
+ * @param {Object} props.image - Image to display ({ src, alt })
+ * @param {number} props.index - Zero-based index of the displayed image
+ * @param {number} props.total - Number of images in the gallery
+ * @param {Function} props.onClose - Called when the lightbox should close
+ * @param {Function} props.onNavigate - Called with -1 or 1 to move between images
+ * @param {Function} props.onImageError - Called when the displayed image fails to load
+ */
+const Lightbox = ({ image, index, total, onClose, onNavigate, onImageError }) => {
+  const { t } = useTranslation();
+  const closeButtonRef = useRef(null);
+
+  useEffect(() => {
+    const previouslyFocused = document.activeElement;
+    if (closeButtonRef.current) {
+      closeButtonRef.current.focus();
+    }
+    return () => {
+      if (previouslyFocused && typeof previouslyFocused.focus === 'function') {
+        previouslyFocused.focus();
+      }
+    };
+  }, []);
+
+  const handleKeyDown = (event) => {
+    switch (event.key) {
+      case 'Escape':
+        onClose();
+        break;
+      case 'ArrowLeft':
+        onNavigate(-1);
+        break;
+      case 'ArrowRight':
+        onNavigate(1);
+        break;
+      default:
+        return;
+    }
+    // Keep the gallery behind the lightbox from handling the same key
+    event.preventDefault();
+    event.stopPropagation();
+  };
+
+  return createPortal(
+    <LightboxOverlay
+      role="dialog"
+      aria-modal="true"
+      aria-label={t('gallery.viewer')}
+      data-testid="gallery-lightbox"
+      onKeyDown={handleKeyDown}
+    >
+      <LightboxButton
+        ref={closeButtonRef}
+        type="button"
+        className="close"
+        onClick={onClose}
+        aria-label={t('gallery.close')}
+        data-testid="lightbox-close"
+      >
+        ✕
+      </LightboxButton>
+      {total > 1 && (
+        <LightboxButton
+          type="button"
+          className="previous"
+          onClick={() => onNavigate(-1)}
+          aria-label={t('gallery.previous')}
+        >
+          ‹
+        </LightboxButton>
+      )}
+      <img
+        src={image.src}
+        alt={image.alt}
+        onError={onImageError}
+        data-testid="lightbox-image"
+      />
+      {total > 1 && (
+        <LightboxButton
+          type="button"
+          className="next"
+          onClick={() => onNavigate(1)}
+          aria-label={t('gallery.next')}
+        >
+          ›
+        </LightboxButton>
+      )}
+      <span className="lightbox-counter" aria-live="polite">
+        {index + 1} / {total}
+      </span>
+    </LightboxOverlay>,
+    document.body
+  );
+};
+
+export default Lightbox;
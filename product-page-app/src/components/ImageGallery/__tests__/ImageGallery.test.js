@@ -0,0 +1,146 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ImageGallery, { PLACEHOLDER_IMAGE } from '../ImageGallery';
+
+describe('ImageGallery', () => {
+  const images = [
+    { id: 'a', src: 'front.jpg', thumbnail: 'front-thumb.jpg', zoomSrc: 'front-large.jpg', alt: 'Jacket' },
+    { id: 'b', src: 'back.jpg', thumbnail: 'back-thumb.jpg', zoomSrc: 'back-large.jpg', alt: 'Jacket (2)' },
+    { id: 'c', src: 'side.jpg', thumbnail: 'side-thumb.jpg', zoomSrc: 'side-large.jpg', alt: 'Jacket (3)' }
+  ];
+
+  it('should render a placeholder when there are no images', () => {
+    render(<ImageGallery images={[]} title="Jacket" />);
+
+    const image = screen.getByTestId('product-image');
+    expect(image).toHaveAttribute('src', PLACEHOLDER_IMAGE);
+    expect(image).toHaveAttribute('alt', 'Jacket');
+    expect(screen.queryByTestId('gallery-thumbnails')).not.toBeInTheDocument();
+  });
+
+  it('should not render thumbnails for a single image', () => {
+    render(<ImageGallery images={images.slice(0, 1)} title="Jacket" />);
+
+    expect(screen.getByRole('img')).toHaveAttribute('src', 'front.jpg');
+    expect(screen.queryByTestId('gallery-thumbnails')).not.toBeInTheDocument();
+  });
+
+  it('should report when the main image has loaded', () => {
+    const onImageLoad = jest.fn();
+    render(<ImageGallery images={images} title="Jacket" onImageLoad={onImageLoad} />);
+
+    fireEvent.load(screen.getByTestId('product-image'));
+
+    expect(onImageLoad).toHaveBeenCalledWith(images[0]);
+  });
+
+  it('should switch the main image from the thumbnails', () => {
+    render(<ImageGallery images={images} title="Jacket" />);
+
+    const thumbnail = screen.getByTestId('gallery-thumbnail-1');
+    expect(thumbnail).toHaveAttribute('aria-label', 'Show image 2 of 3');
+    fireEvent.click(thumbnail);
+
+    expect(screen.getByTestId('product-image')).toHaveAttribute('src', 'back.jpg');
+    expect(thumbnail).toHaveAttribute('aria-current', 'true');
+    expect(screen.getByTestId('gallery-thumbnail-0')).toHaveAttribute('aria-current', 'false');
+  });
+
+  it('should navigate with the arrow keys and wrap around', () => {
+    render(<ImageGallery images={images} title="Jacket" />);
+    const gallery = screen.getByTestId('image-gallery');
+
+    fireEvent.keyDown(gallery, { key: 'ArrowLeft' });
+    expect(screen.getByTestId('product-image')).toHaveAttribute('src', 'side.jpg');
+
+    fireEvent.keyDown(gallery, { key: 'ArrowRight' });
+    expect(screen.getByTestId('product-image')).toHaveAttribute('src', 'front.jpg');
+
+    fireEvent.keyDown(gallery, { key: 'End' });
+    expect(screen.getByTestId('product-image')).toHaveAttribute('src', 'side.jpg');
+
+    fireEvent.keyDown(gallery, { key: 'Home' });
+    expect(screen.getByTestId('product-image')).toHaveAttribute('src', 'front.jpg');
+  });
+
+  it('should start on the requested image', () => {
+    render(<ImageGallery images={images} initialIndex={2} title="Jacket" />);
+    expect(screen.getByTestId('product-image')).toHaveAttribute('src', 'side.jpg');
+  });
+
+  it('should fall back to the placeholder per image', () => {
+    render(<ImageGallery images={images} title="Jacket" />);
+
+    fireEvent.error(screen.getByTestId('product-image'));
+    expect(screen.getByTestId('product-image')).toHaveAttribute('src', PLACEHOLDER_IMAGE);
+
+    // Other images are unaffected by the failure
+    fireEvent.click(screen.getByTestId('gallery-thumbnail-1'));
+    expect(screen.getByTestId('product-image')).toHaveAttribute('src', 'back.jpg');
+  });
+
+  it('should zoom towards the cursor on hover and reset on leave', () => {
+    render(<ImageGallery images={images} title="Jacket" />);
+    const viewer = screen.getByTestId('gallery-main-viewer');
+    viewer.getBoundingClientRect = () => ({ left: 0, top: 0, width: 200, height: 100 });
+
+    fireEvent.mouseMove(viewer, { clientX: 50, clientY: 75 });
+    const image = screen.getByTestId('product-image');
+    expect(image.style.transform).toBe('scale(2)');
+    expect(image.style.transformOrigin).toBe('25% 75%');
+
+    fireEvent.mouseLeave(viewer);
+    expect(image.style.transform).toBe('scale(1)');
+  });
+
+  it('should zoom with a pinch gesture', () => {
+    render(<ImageGallery images={images} title="Jacket" />);
+    const viewer = screen.getByTestId('gallery-main-viewer');
+
+    fireEvent.touchStart(viewer, {
+      touches: [{ clientX: 0, clientY: 0 }, { clientX: 100, clientY: 0 }]
+    });
+    fireEvent.touchMove(viewer, {
+      touches: [{ clientX: 0, clientY: 0 }, { clientX: 250, clientY: 0 }]
+    });
+    expect(screen.getByTestId('product-image').style.transform).toBe('scale(2.5)');
+
+    fireEvent.touchMove(viewer, {
+      touches: [{ clientX: 0, clientY: 0 }, { clientX: 1000, clientY: 0 }]
+    });
+    expect(screen.getByTestId('product-image').style.transform).toBe('scale(4)');
+  });
+
+  it('should open a fullscreen lightbox with keyboard navigation', () => {
+    render(<ImageGallery images={images} title="Jacket" />);
+    const viewer = screen.getByTestId('gallery-main-viewer');
+
+    viewer.focus();
+    fireEvent.click(viewer);
+
+    const lightbox = screen.getByTestId('gallery-lightbox');
+    expect(lightbox).toHaveAttribute('role', 'dialog');
+    expect(lightbox).toHaveAttribute('aria-modal', 'true');
+    expect(screen.getByTestId('lightbox-image')).toHaveAttribute('src', 'front-large.jpg');
+    expect(screen.getByTestId('lightbox-close')).toHaveFocus();
+
+    fireEvent.keyDown(lightbox, { key: 'ArrowRight' });
+    expect(screen.getByTestId('lightbox-image')).toHaveAttribute('src', 'back-large.jpg');
+    expect(screen.getByTestId('product-image')).toHaveAttribute('src', 'back.jpg');
+
+    fireEvent.keyDown(lightbox, { key: 'Escape' });
+    expect(screen.queryByTestId('gallery-lightbox')).not.toBeInTheDocument();
+    expect(viewer).toHaveFocus();
+  });
+
+  it('should fall back to the placeholder inside the lightbox', () => {
+    render(<ImageGallery images={images} title="Jacket" />);
+
+    fireEvent.click(screen.getByTestId('gallery-main-viewer'));
+    fireEvent.error(screen.getByTestId('lightbox-image'));
+
+    expect(screen.getByTestId('lightbox-image')).toHaveAttribute('src', PLACEHOLDER_IMAGE);
+    fireEvent.click(screen.getByTestId('lightbox-close'));
+    expect(screen.getByTestId('product-image')).toHaveAttribute('src', 'front.jpg');
+  });
+});
@@ -0,0 +1,3 @@
+export { default as ImageGallery } from './ImageGallery';
+export { default as Lightbox } from './Lightbox';
+export * from './ImageGallery.styles';
@@ -0,0 +1,39 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { ERROR_CODES } from '../../services/productService';
+import { useDocumentHead } from '../../context/HeadContext';
+import { useTranslation } from '../../context/LocaleContext';
+import { SITE_NAME } from '../../utils/seo';
+import { NotFoundContainer } from './NotFoundPage.styles';
+
+// PUBLIC_INTERFACE
+/**
+ * Page shown for unknown URLs and for products the API reports as NOT_FOUND
+ * @param {Object} props
+ * @param {string} props.title - Heading; a translated "Page not found" by default
+ * @param {string} props.message - Explanation; a translated default when omitted
+ */
+const NotFoundPage = ({ title: titleProp, message: messageProp }) => {
+  const { t } = useTranslation();
+  const title = titleProp ?? t('notFound.title');
+  const message = messageProp ?? t('notFound.message');
+
+  useDocumentHead({
+    title: `${title} | ${SITE_NAME}`,
+    tags: [{ tag: 'meta', attributes: { name: 'robots', content: 'noindex' } }]
+  });
+
+  return (
+    <NotFoundContainer role="alert" aria-labelledby="not-found-title" data-testid="not-found-page">
+      <p className="status-code" aria-hidden="true">{ERROR_CODES.NOT_FOUND.status}</p>
+      <h1 id="not-found-title">{title}</h1>
+      <p>{message}</p>
+      <nav aria-label={t('notFound.navigation')}>
+        <Link to="/products">{t('notFound.browse')}</Link>
+        <Link to="/search">{t('notFound.search')}</Link>
+      </nav>
+    </NotFoundContainer>
+  );
+};
+
+export default NotFoundPage;
@@ -0,0 +1,34 @@
+import styled from 'styled-components';
+
+export const NotFoundContainer = styled.section`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  gap: 1rem;
+  max-width: 600px;
+  margin: 4rem auto;
+  padding: 0 1rem;
+  text-align: center;
+  color: #4a5568;
+
+  .status-code {
+    margin: 0;
+    font-size: 4rem;
+    font-weight: bold;
+    color: #a0aec0;
+  }
+
+  h1 {
+    margin: 0;
+    color: #333;
+  }
+
+  nav {
+    display: flex;
+    gap: 1.5rem;
+  }
+
+  a {
+    color: #3182ce;
+  }
+`;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import NotFoundPage from '../NotFoundPage';
+
+jest.mock('../../../services/productService', () => ({
+  ERROR_CODES: { NOT_FOUND: { status: 404, message: 'Requested product could not be found' } }
+}));
+
+describe('NotFoundPage', () => {
+  it('should show the NOT_FOUND status with links back into the shop', () => {
+    render(<NotFoundPage />, { wrapper: MemoryRouter });
+
+    expect(screen.getByRole('heading', { name: 'Page not found' })).toBeInTheDocument();
+    expect(screen.getByText('404')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Browse products' })).toHaveAttribute('href', '/products');
+    expect(screen.getByRole('link', { name: 'Search' })).toHaveAttribute('href', '/search');
+  });
+
+  it('should accept a custom title and message', () => {
+    render(<NotFoundPage title="Product not found" message="It may have been discontinued." />, { wrapper: MemoryRouter });
+
+    expect(screen.getByRole('heading', { name: 'Product not found' })).toBeInTheDocument();
+    expect(screen.getByText('It may have been discontinued.')).toBeInTheDocument();
+  });
+});
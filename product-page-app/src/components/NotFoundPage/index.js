@@ -0,0 +1,2 @@
+export { default as NotFoundPage } from './NotFoundPage';
+export * from './NotFoundPage.styles';
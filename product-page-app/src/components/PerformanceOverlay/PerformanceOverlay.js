@@ -0,0 +1,57 @@
+import React, { useEffect, useState } from 'react';
+import { getMetrics, subscribeToMetrics } from '../../services/performanceMonitor';
+import { useTranslation } from '../../context/LocaleContext';
+import { OverlayContainer, MetricList } from './PerformanceOverlay.styles';
+
+/**
+ * Formats a metric value; CLS is a unitless score, everything else milliseconds
+ * @param {Object} metric - Recorded metric
+ * @param {Function} t - Translate function
+ * @returns {string} - Display value
+ */
+const formatValue = (metric, t) => (
+  metric.name === 'CLS' ? metric.value.toFixed(3) : t('performance.milliseconds', { value: Math.round(metric.value) })
+);
+
+// PUBLIC_INTERFACE
+/**
+ * Development overlay listing web vitals and the product page marks as they are recorded
+ */
+const PerformanceOverlay = () => {
+  const { t } = useTranslation();
+  const [metrics, setMetrics] = useState(getMetrics);
+  const [isOpen, setOpen] = useState(true);
+
+  useEffect(() => {
+    // Metrics recorded between the first render and subscribing would be missed otherwise
+    setMetrics(getMetrics());
+    return subscribeToMetrics(() => setMetrics(getMetrics()));
+  }, []);
+
+  if (!isOpen) {
+    return null;
+  }
+
+  return (
+    <OverlayContainer aria-label={t('performance.label')} data-testid="performance-overlay">
+      <h2>{t('performance.title')}</h2>
+      <button type="button" onClick={() => setOpen(false)} aria-label={t('performance.close')}>×</button>
+      {metrics.length === 0 ? (
+        <span>{t('performance.waiting')}</span>
+      ) : (
+        <MetricList>
+          {metrics.map(metric => (
+            <React.Fragment key={metric.name}>
+              <dt>{metric.name}</dt>
+              <dd className={metric.rating ?? undefined} data-testid={`metric-${metric.name}`}>
+                {formatValue(metric, t)}
+              </dd>
+            </React.Fragment>
+          ))}
+        </MetricList>
+      )}
+    </OverlayContainer>
+  );
+};
+
+export default PerformanceOverlay;
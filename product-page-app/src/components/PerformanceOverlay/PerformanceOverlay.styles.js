@@ -0,0 +1,62 @@
+import styled from 'styled-components';
+
+export const OverlayContainer = styled.aside`
+  position: fixed;
+  inset-block-end: 1rem;
+  inset-inline-end: 1rem;
+  z-index: 1000;
+  min-width: 14rem;
+  padding: 0.5rem 0.75rem;
+  border-radius: 6px;
+  font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+  font-size: 0.75rem;
+  color: #f7fafc;
+  background-color: rgba(26, 32, 44, 0.9);
+  box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+
+  h2 {
+    margin: 0 0 0.25rem;
+    font-size: 0.75rem;
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+    color: #a0aec0;
+  }
+
+  button {
+    position: absolute;
+    inset-block-start: 0.25rem;
+    inset-inline-end: 0.25rem;
+    border: none;
+    background: none;
+    color: #a0aec0;
+    cursor: pointer;
+  }
+`;
+
+export const MetricList = styled.dl`
+  display: grid;
+  grid-template-columns: auto auto;
+  gap: 0.125rem 1rem;
+  margin: 0;
+
+  dt {
+    font-weight: bold;
+  }
+
+  dd {
+    margin: 0;
+    text-align: end;
+  }
+
+  .good {
+    color: #68d391;
+  }
+
+  .needs-improvement {
+    color: #f6e05e;
+  }
+
+  .poor {
+    color: #fc8181;
+  }
+`;
@@ -0,0 +1,33 @@
+import React from 'react';
+import { render, screen, act, fireEvent } from '@testing-library/react';
+import PerformanceOverlay from '../PerformanceOverlay';
+import { recordMetric } from '../../../services/performanceMonitor';
+
+describe('PerformanceOverlay', () => {
+  it('should show metrics as they are recorded', () => {
+    render(<PerformanceOverlay />);
+    expect(screen.getByText('Waiting for metrics…')).toBeInTheDocument();
+
+    act(() => {
+      recordMetric({ name: 'LCP', value: 2412.4, rating: 'needs-improvement' });
+      recordMetric({ name: 'CLS', value: 0.0123, rating: 'good' });
+    });
+
+    expect(screen.getByTestId('metric-LCP')).toHaveTextContent('2412 ms');
+    expect(screen.getByTestId('metric-LCP')).toHaveClass('needs-improvement');
+    expect(screen.getByTestId('metric-CLS')).toHaveTextContent('0.012');
+
+    act(() => {
+      recordMetric({ name: 'LCP', value: 1900, rating: 'good' });
+    });
+    expect(screen.getByTestId('metric-LCP')).toHaveTextContent('1900 ms');
+  });
+
+  it('should close', () => {
+    render(<PerformanceOverlay />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Close performance metrics' }));
+
+    expect(screen.queryByTestId('performance-overlay')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,2 @@
+export { default as PerformanceOverlay } from './PerformanceOverlay';
+export * from './PerformanceOverlay.styles';
@@ -0,0 +1,71 @@
+import React, { useCallback } from 'react';
+import { useMoneyFormatter, useTranslation } from '../../context/LocaleContext';
+import { useNow } from '../../utils/hooks';
+import { getPricing, getNextSaleBoundary, formatCountdown } from '../../utils/pricing';
+import {
+  PriceContainer,
+  CurrentPrice,
+  CompareAtPrice,
+  DiscountBadge,
+  SaleCountdown
+} from './PriceDisplay.styles';
+
+// PUBLIC_INTERFACE
+/**
+ * Shows the price a shopper pays right now. While a sale runs it adds the
+ * struck-through original price, a discount badge and a countdown to the end
+ * of the promotion, and switches back to the regular price once the window closes.
+ * @param {Object} props
+ * @param {Object} props.price - Listed price (money value)
+ * @param {Object} props.sale - Normalized sale ({ compareAt, discount, startsAt, endsAt }) or null
+ */
+const PriceDisplay = ({ price, sale = null }) => {
+  const { t } = useTranslation();
+  const formatPrice = useMoneyFormatter();
+
+  // Tick every second while the countdown shows, otherwise wake up at the next sale boundary
+  const getNextUpdate = useCallback((now) => {
+    const boundary = getNextSaleBoundary(sale, now);
+    if (boundary === null) return null;
+    return getPricing(price, sale, now).isOnSale && sale.endsAt
+      ? Math.min(boundary, now + 1000)
+      : boundary;
+  }, [price, sale]);
+  const now = useNow(getNextUpdate);
+
+  const pricing = getPricing(price, sale, now);
+  const formattedPrice = formatPrice(pricing.price);
+  const remaining = pricing.endsAt ? new Date(pricing.endsAt).getTime() - now : null;
+
+  return (
+    <PriceContainer data-testid="price-display">
+      <CurrentPrice
+        data-testid="product-price"
+        className={pricing.isOnSale ? 'on-sale' : undefined}
+        aria-label={t(pricing.isOnSale ? 'price.sale' : 'price.current', { price: formattedPrice })}
+      >
+        {formattedPrice}
+      </CurrentPrice>
+      {pricing.isOnSale && (
+        <>
+          <CompareAtPrice
+            data-testid="compare-at-price"
+            aria-label={t('price.original', { price: formatPrice(pricing.compareAt) })}
+          >
+            {formatPrice(pricing.compareAt)}
+          </CompareAtPrice>
+          <DiscountBadge data-testid="discount-badge" aria-label={t('price.percentOff', { percent: pricing.percentOff })}>
+            -{pricing.percentOff}%
+          </DiscountBadge>
+        </>
+      )}
+      {pricing.isOnSale && remaining !== null && (
+        <SaleCountdown role="timer" data-testid="sale-countdown">
+          {t('price.saleEndsIn', { time: formatCountdown(remaining) })}
+        </SaleCountdown>
+      )}
+    </PriceContainer>
+  );
+};
+
+export default PriceDisplay;
@@ -0,0 +1,39 @@
+import styled from 'styled-components';
+
+export const PriceContainer = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: baseline;
+  gap: 0.5rem 0.75rem;
+`;
+
+export const CurrentPrice = styled.div`
+  font-size: 1.5rem;
+  color: #2c5282;
+  font-weight: bold;
+
+  &.on-sale {
+    color: #c53030;
+  }
+`;
+
+export const CompareAtPrice = styled.s`
+  font-size: 1.1rem;
+  color: #718096;
+`;
+
+export const DiscountBadge = styled.span`
+  padding: 0.125rem 0.5rem;
+  border-radius: 4px;
+  background-color: #c53030;
+  color: white;
+  font-size: 0.875rem;
+  font-weight: bold;
+`;
+
+export const SaleCountdown = styled.div`
+  flex-basis: 100%;
+  font-size: 0.875rem;
+  color: #c53030;
+  font-variant-numeric: tabular-nums;
+`;
@@ -0,0 +1,94 @@
+import React from 'react';
+import { render, screen, act } from '@testing-library/react';
+import PriceDisplay from '../PriceDisplay';
+
+describe('PriceDisplay', () => {
+  const usd = amount => ({ amount, currency: 'USD' });
+  const now = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(now);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should render a regular price', () => {
+    render(<PriceDisplay price={usd(9999)} />);
+
+    const price = screen.getByTestId('product-price');
+    expect(price).toHaveTextContent('$99.99');
+    expect(price).toHaveAttribute('aria-label', 'Price: $99.99');
+    expect(screen.queryByTestId('compare-at-price')).not.toBeInTheDocument();
+    expect(screen.queryByTestId('discount-badge')).not.toBeInTheDocument();
+  });
+
+  it('should show the original price, badge and countdown during a sale', () => {
+    const sale = {
+      compareAt: usd(10000),
+      discount: null,
+      startsAt: null,
+      endsAt: new Date(now + ((26 * 60 + 3) * 60 + 4) * 1000).toISOString()
+    };
+    render(<PriceDisplay price={usd(8000)} sale={sale} />);
+
+    expect(screen.getByTestId('product-price')).toHaveTextContent('$80.00');
+    expect(screen.getByTestId('product-price')).toHaveAttribute('aria-label', 'Sale price: $80.00');
+    expect(screen.getByTestId('compare-at-price')).toHaveTextContent('$100.00');
+    expect(screen.getByTestId('compare-at-price').tagName).toBe('S');
+    expect(screen.getByTestId('discount-badge')).toHaveTextContent('-20%');
+    expect(screen.getByTestId('sale-countdown')).toHaveTextContent('Sale ends in 1d 02:03:04');
+
+    act(() => {
+      jest.advanceTimersByTime(1000);
+    });
+    expect(screen.getByTestId('sale-countdown')).toHaveTextContent('Sale ends in 1d 02:03:03');
+  });
+
+  it('should switch back to the regular price when the sale ends', () => {
+    const sale = {
+      compareAt: null,
+      discount: { type: 'percentage', value: 50 },
+      startsAt: null,
+      endsAt: new Date(now + 2000).toISOString()
+    };
+    render(<PriceDisplay price={usd(5000)} sale={sale} />);
+
+    expect(screen.getByTestId('product-price')).toHaveTextContent('$25.00');
+
+    // The countdown re-renders every second until the window closes
+    act(() => {
+      jest.advanceTimersByTime(1000);
+    });
+    expect(screen.getByTestId('sale-countdown')).toHaveTextContent('Sale ends in 00:00:01');
+    act(() => {
+      jest.advanceTimersByTime(1000);
+    });
+
+    expect(screen.getByTestId('product-price')).toHaveTextContent('$50.00');
+    expect(screen.queryByTestId('discount-badge')).not.toBeInTheDocument();
+    expect(screen.queryByTestId('sale-countdown')).not.toBeInTheDocument();
+  });
+
+  it('should start a scheduled sale without a reload', () => {
+    const sale = {
+      compareAt: null,
+      discount: { type: 'amount', value: usd(1000) },
+      startsAt: new Date(now + 60 * 60 * 1000).toISOString(),
+      endsAt: null
+    };
+    render(<PriceDisplay price={usd(5000)} sale={sale} />);
+
+    expect(screen.getByTestId('product-price')).toHaveTextContent('$50.00');
+
+    act(() => {
+      jest.advanceTimersByTime(60 * 60 * 1000);
+    });
+
+    expect(screen.getByTestId('product-price')).toHaveTextContent('$40.00');
+    expect(screen.getByTestId('discount-badge')).toHaveTextContent('-20%');
+    expect(screen.queryByTestId('sale-countdown')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,2 @@
+export { default as PriceDisplay } from './PriceDisplay';
+export * from './PriceDisplay.styles';
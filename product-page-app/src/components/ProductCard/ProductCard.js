@@ -0,0 +1,55 @@
+import React from 'react';
+import { useMoneyFormatter, useTranslation } from '../../context/LocaleContext';
+import { getPricing } from '../../utils/pricing';
+import { PLACEHOLDER_IMAGE } from '../ImageGallery/ImageGallery';
+import {
+  CardContainer,
+  CardLink,
+  CardTitle,
+  CardRating,
+  CardPrice
+} from './ProductCard.styles';
+
+// PUBLIC_INTERFACE
+/**
+ * Product tile for listing and search grids, linking to the product page.
+ * Shows the sale price with the struck-through original while a sale runs.
+ * Other props (e.g. data-testid) go to the list item.
+ * @param {Object} props
+ * @param {Object} props.product - Transformed product
+ * @param {React.ReactNode} props.title - Title content, e.g. with highlighted matches (defaults to product.title)
+ */
+const ProductCard = ({ product, title, ...rest }) => {
+  const { t } = useTranslation();
+  const formatPrice = useMoneyFormatter();
+  const pricing = product.money
+    ? getPricing(product.money, product.sale || null)
+    : { price: product.price, compareAt: null, isOnSale: false };
+  const rating = Number(product.rating);
+  const hasRating = product.rating != null && Number.isFinite(rating);
+
+  return (
+    <CardContainer {...rest}>
+      <CardLink to={`/products/${encodeURIComponent(product.id)}`}>
+        <img src={product.image || PLACEHOLDER_IMAGE} alt="" loading="lazy" />
+        <CardTitle>{title ?? (product.title || t('product.untitled'))}</CardTitle>
+        {hasRating && (
+          <CardRating aria-label={t('card.rating', { rating })}>
+            ★ {rating.toFixed(1)}
+            {product.reviewCount != null && ` (${product.reviewCount})`}
+          </CardRating>
+        )}
+        <CardPrice className={pricing.isOnSale ? 'on-sale' : undefined}>
+          {formatPrice(pricing.price)}
+          {pricing.isOnSale && (
+            <s aria-label={t('price.original', { price: formatPrice(pricing.compareAt) })}>
+              {formatPrice(pricing.compareAt)}
+            </s>
+          )}
+        </CardPrice>
+      </CardLink>
+    </CardContainer>
+  );
+};
+
+export default ProductCard;
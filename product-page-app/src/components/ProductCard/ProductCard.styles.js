@@ -0,0 +1,66 @@
+import styled from 'styled-components';
+import { Link } from 'react-router-dom';
+
+export const CardContainer = styled.li`
+  border: 1px solid #e2e8f0;
+  border-radius: 8px;
+  overflow: hidden;
+  background-color: white;
+  transition: box-shadow 0.2s;
+
+  &:hover {
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.08);
+  }
+`;
+
+export const CardLink = styled(Link)`
+  display: flex;
+  flex-direction: column;
+  gap: 0.5rem;
+  height: 100%;
+  padding-bottom: 1rem;
+  color: inherit;
+  text-decoration: none;
+
+  &:focus-visible {
+    outline: 2px solid #4299e1;
+    outline-offset: 2px;
+  }
+
+  img {
+    width: 100%;
+    aspect-ratio: 1;
+    object-fit: cover;
+    background-color: #f7fafc;
+  }
+`;
+
+export const CardTitle = styled.span`
+  padding: 0 1rem;
+  color: #333;
+`;
+
+export const CardRating = styled.span`
+  padding: 0 1rem;
+  font-size: 0.875rem;
+  color: #975a16;
+`;
+
+export const CardPrice = styled.span`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: baseline;
+  gap: 0.5rem;
+  padding: 0 1rem;
+  font-weight: bold;
+  color: #2c5282;
+
+  &.on-sale {
+    color: #c53030;
+  }
+
+  s {
+    font-weight: normal;
+    color: #718096;
+  }
+`;
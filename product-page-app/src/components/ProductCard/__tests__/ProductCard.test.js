@@ -0,0 +1,33 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import ProductCard from '../ProductCard';
+
+describe('ProductCard', () => {
+  const product = {
+    id: 'sku 1',
+    title: 'Trail Shoe',
+    money: { amount: 8000, currency: 'USD' },
+    image: null
+  };
+
+  it('should link to the product page', () => {
+    render(<ul><ProductCard product={product} /></ul>, { wrapper: MemoryRouter });
+
+    expect(screen.getByRole('link')).toHaveAttribute('href', '/products/sku%201');
+    expect(screen.getByRole('link')).toHaveTextContent('Trail Shoe');
+    expect(screen.getByText('$80.00')).toBeInTheDocument();
+  });
+
+  it('should show the original price during a sale', () => {
+    render(<ul><ProductCard product={{ ...product, sale: { compareAt: { amount: 10000, currency: 'USD' } } }} /></ul>, { wrapper: MemoryRouter });
+
+    expect(screen.getByLabelText('Original price: $100.00')).toHaveTextContent('$100.00');
+  });
+
+  it('should accept custom title content', () => {
+    render(<ul><ProductCard product={product} title={<mark>Trail</mark>} /></ul>, { wrapper: MemoryRouter });
+
+    expect(screen.getByText('Trail', { selector: 'mark' })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,2 @@
+export { default as ProductCard } from './ProductCard';
+export * from './ProductCard.styles';
@@ -0,0 +1,166 @@
+import React, { useCallback, useEffect, useId, useRef, useState } from 'react';
+import { useTranslation } from '../../context/LocaleContext';
+import { useInViewOnce } from '../../utils/hooks';
+import ProductCard from '../ProductCard/ProductCard';
+import {
+  CarouselSection,
+  CarouselHeader,
+  CarouselControls,
+  CarouselTrack,
+  CarouselMessage
+} from './ProductCarousel.styles';
+
+// Keys moving the focus between the products of the track, mapped to the target position
+const FOCUS_KEYS = {
+  ArrowRight: (index) => index + 1,
+  ArrowLeft: (index) => index - 1,
+  Home: () => 0,
+  End: (index, count) => count - 1
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Horizontally scrolling row of product cards. Products are either given, or
+ * loaded once the carousel comes near the viewport; in the latter case render
+ * it with a key that changes with what it shows, so it loads again. The
+ * arrow, Home and End keys move between the products and the previous/next
+ * buttons scroll a page at a time. Nothing is rendered when there are no
+ * products to show or they could not be loaded.
+ * Other props (e.g. data-testid) go to the section.
+ * @param {Object} props
+ * @param {string} props.title - Heading of the carousel
+ * @param {Array<Object>} props.products - Transformed products to show
+ * @param {Function} props.loadProducts - Called with an AbortSignal instead, resolving with the products
+ */
+const ProductCarousel = ({ title, products, loadProducts, ...rest }) => {
+  const { t } = useTranslation();
+  const headingId = useId();
+  const trackId = useId();
+  const sectionRef = useRef(null);
+  const trackRef = useRef(null);
+  const loadRef = useRef(loadProducts);
+  loadRef.current = loadProducts;
+  const visible = useInViewOnce(sectionRef, '200px 0px');
+  const [loaded, setLoaded] = useState({ status: 'idle', products: [] });
+  const [edges, setEdges] = useState({ start: true, end: true });
+
+  useEffect(() => {
+    if (!visible || products || !loadRef.current) {
+      return undefined;
+    }
+    const abortController = new AbortController();
+    setLoaded({ status: 'loading', products: [] });
+
+    loadRef.current(abortController.signal)
+      .then((result) => {
+        if (!abortController.signal.aborted) {
+          setLoaded({ status: 'success', products: result || [] });
+        }
+      })
+      .catch(() => {
+        // Recommendations are optional, so a failure hides the carousel instead of showing an error
+        if (!abortController.signal.aborted) {
+          setLoaded({ status: 'error', products: [] });
+        }
+      });
+
+    return () => {
+      abortController.abort();
+    };
+  }, [visible, products]);
+
+  const shown = products || loaded.products;
+
+  // Which ends the track is scrolled to; at both the products fit and the buttons are hidden
+  const updateEdges = useCallback(() => {
+    const track = trackRef.current;
+    if (!track) {
+      return;
+    }
+    setEdges({
+      start: track.scrollLeft <= 0,
+      end: track.scrollLeft + track.clientWidth >= track.scrollWidth - 1
+    });
+  }, []);
+
+  useEffect(() => {
+    updateEdges();
+    window.addEventListener('resize', updateEdges);
+    return () => {
+      window.removeEventListener('resize', updateEdges);
+    };
+  }, [shown.length, updateEdges]);
+
+  const scrollPage = (direction) => {
+    const track = trackRef.current;
+    // Smooth unless the shopper asked for reduced motion, see the track styles
+    track?.scrollBy?.({ left: direction * track.clientWidth });
+  };
+
+  const handleKeyDown = (event) => {
+    const move = FOCUS_KEYS[event.key];
+    if (!move) {
+      return;
+    }
+    const links = Array.from(trackRef.current.querySelectorAll('a'));
+    const index = links.indexOf(document.activeElement);
+    if (index === -1) {
+      return;
+    }
+    event.preventDefault();
+    const target = links[Math.min(links.length - 1, Math.max(0, move(index, links.length)))];
+    target.focus();
+  };
+
+  if (shown.length === 0 && (products || loaded.status === 'success' || loaded.status === 'error')) {
+    return null;
+  }
+
+  return (
+    <CarouselSection ref={sectionRef} aria-roledescription="carousel" aria-labelledby={headingId} {...rest}>
+      <CarouselHeader>
+        <h2 id={headingId}>{title}</h2>
+        {!(edges.start && edges.end) && (
+          <CarouselControls>
+            <button
+              type="button"
+              onClick={() => scrollPage(-1)}
+              disabled={edges.start}
+              aria-controls={trackId}
+              aria-label={t('carousel.previous', { title })}
+            >
+              ‹
+            </button>
+            <button
+              type="button"
+              onClick={() => scrollPage(1)}
+              disabled={edges.end}
+              aria-controls={trackId}
+              aria-label={t('carousel.next', { title })}
+            >
+              ›
+            </button>
+          </CarouselControls>
+        )}
+      </CarouselHeader>
+
+      {shown.length === 0 ? (
+        <CarouselMessage role="status">{t('carousel.loading')}</CarouselMessage>
+      ) : (
+        <CarouselTrack
+          ref={trackRef}
+          id={trackId}
+          aria-label={title}
+          onScroll={updateEdges}
+          onKeyDown={handleKeyDown}
+        >
+          {shown.map(product => (
+            <ProductCard key={product.id} product={product} data-testid={`carousel-product-${product.id}`} />
+          ))}
+        </CarouselTrack>
+      )}
+    </CarouselSection>
+  );
+};
+
+export default ProductCarousel;
@@ -0,0 +1,75 @@
+import styled from 'styled-components';
+
+export const CarouselSection = styled.section`
+  grid-column: 1 / -1;
+  display: flex;
+  flex-direction: column;
+  gap: 1rem;
+  min-width: 0;
+`;
+
+export const CarouselHeader = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  gap: 1rem;
+
+  h2 {
+    margin: 0;
+    font-size: 1.25rem;
+    color: #333;
+  }
+`;
+
+export const CarouselControls = styled.div`
+  display: flex;
+  gap: 0.5rem;
+
+  button {
+    width: 2.25rem;
+    height: 2.25rem;
+    border: 1px solid #cbd5e0;
+    border-radius: 50%;
+    background-color: white;
+    color: #2c5282;
+    font-size: 1.25rem;
+    line-height: 1;
+    cursor: pointer;
+
+    &:disabled {
+      cursor: not-allowed;
+      opacity: 0.4;
+    }
+
+    &:focus-visible {
+      outline: 2px solid #4299e1;
+      outline-offset: 2px;
+    }
+  }
+`;
+
+export const CarouselTrack = styled.ol`
+  display: grid;
+  grid-auto-flow: column;
+  grid-auto-columns: minmax(10rem, 12rem);
+  gap: 1rem;
+  margin: 0;
+  padding: 0.25rem 0.25rem 1rem;
+  list-style: none;
+  overflow-x: auto;
+  scroll-snap-type: x mandatory;
+  scroll-padding: 0.25rem;
+
+  > li {
+    scroll-snap-align: start;
+  }
+
+  @media (prefers-reduced-motion: no-preference) {
+    scroll-behavior: smooth;
+  }
+`;
+
+export const CarouselMessage = styled.p`
+  margin: 0;
+  color: #4a5568;
+`;
@@ -0,0 +1,111 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import ProductCarousel from '../ProductCarousel';
+
+const renderCarousel = ui => render(ui, { wrapper: MemoryRouter });
+
+const products = ['a', 'b', 'c'].map(id => ({ id, title: `Product ${id}`, price: 10, image: `${id}.jpg` }));
+
+// Gives the track a scroll size, which jsdom does not lay out
+const setTrackSize = (track, { scrollLeft = 0, scrollWidth, clientWidth }) => {
+  Object.defineProperty(track, 'scrollWidth', { value: scrollWidth, configurable: true });
+  Object.defineProperty(track, 'clientWidth', { value: clientWidth, configurable: true });
+  Object.defineProperty(track, 'scrollLeft', { value: scrollLeft, configurable: true, writable: true });
+};
+
+describe('ProductCarousel', () => {
+  const OriginalIntersectionObserver = window.IntersectionObserver;
+  let observers;
+
+  const scrollIntoView = async () => {
+    await act(async () => {
+      observers.forEach(observer => observer.callback([{ isIntersecting: true, target: observer.target }]));
+    });
+  };
+
+  beforeEach(() => {
+    observers = [];
+    window.IntersectionObserver = class {
+      constructor(callback) {
+        this.callback = callback;
+        observers.push(this);
+      }
+
+      observe(target) {
+        this.target = target;
+      }
+
+      disconnect() {}
+    };
+  });
+
+  afterEach(() => {
+    window.IntersectionObserver = OriginalIntersectionObserver;
+  });
+
+  it('should load the products once scrolled into view', async () => {
+    const loadProducts = jest.fn().mockResolvedValue(products);
+    renderCarousel(<ProductCarousel title="Related products" loadProducts={loadProducts} data-testid="related" />);
+
+    expect(screen.getByRole('heading', { name: 'Related products' })).toBeInTheDocument();
+    expect(loadProducts).not.toHaveBeenCalled();
+
+    await scrollIntoView();
+
+    expect(await screen.findByTestId('carousel-product-a')).toHaveTextContent('Product a');
+    expect(screen.getByRole('list', { name: 'Related products' })).toBeInTheDocument();
+    expect(screen.getByTestId('related')).toHaveAttribute('aria-roledescription', 'carousel');
+    expect(loadProducts).toHaveBeenCalledWith(expect.any(AbortSignal));
+  });
+
+  it('should render nothing when there is nothing to recommend', async () => {
+    const loadProducts = jest.fn().mockRejectedValueOnce(new Error('Server error'));
+    renderCarousel(<ProductCarousel title="Related products" loadProducts={loadProducts} data-testid="related" />);
+
+    await scrollIntoView();
+
+    expect(screen.queryByTestId('related')).not.toBeInTheDocument();
+
+    renderCarousel(<ProductCarousel title="Recently viewed" products={[]} data-testid="recent" />);
+    expect(screen.queryByTestId('recent')).not.toBeInTheDocument();
+  });
+
+  it('should move between the products with the arrow, Home and End keys', () => {
+    renderCarousel(<ProductCarousel title="Recently viewed" products={products} />);
+    const links = screen.getAllByRole('link');
+
+    links[0].focus();
+    fireEvent.keyDown(links[0], { key: 'ArrowRight' });
+    expect(links[1]).toHaveFocus();
+
+    fireEvent.keyDown(links[1], { key: 'End' });
+    expect(links[2]).toHaveFocus();
+
+    fireEvent.keyDown(links[2], { key: 'ArrowRight' });
+    expect(links[2]).toHaveFocus();
+
+    fireEvent.keyDown(links[2], { key: 'Home' });
+    expect(links[0]).toHaveFocus();
+  });
+
+  it('should scroll a page at a time with buttons that stop at either end', () => {
+    renderCarousel(<ProductCarousel title="Recently viewed" products={products} />);
+    const track = screen.getByRole('list', { name: 'Recently viewed' });
+    expect(screen.queryByRole('button', { name: 'Next Recently viewed products' })).not.toBeInTheDocument();
+
+    setTrackSize(track, { scrollWidth: 900, clientWidth: 300 });
+    track.scrollBy = jest.fn();
+    fireEvent.scroll(track);
+
+    expect(screen.getByRole('button', { name: 'Previous Recently viewed products' })).toBeDisabled();
+    fireEvent.click(screen.getByRole('button', { name: 'Next Recently viewed products' }));
+    expect(track.scrollBy).toHaveBeenCalledWith({ left: 300 });
+
+    track.scrollLeft = 600;
+    fireEvent.scroll(track);
+
+    expect(screen.getByRole('button', { name: 'Next Recently viewed products' })).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'Previous Recently viewed products' })).toBeEnabled();
+  });
+});
@@ -0,0 +1,2 @@
+export { default as ProductCarousel } from './ProductCarousel';
+export * from './ProductCarousel.styles';
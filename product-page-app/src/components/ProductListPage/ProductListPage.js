@@ -0,0 +1,326 @@
+import React, { useState, useEffect } from 'react';
+import { listProducts, LIST_SORT_OPTIONS } from '../../services/productService';
+import { useMoneyFormatter, useTranslation } from '../../context/LocaleContext';
+import { useQueryParams } from '../../utils/hooks';
+import ProductCard from '../ProductCard/ProductCard';
+import VirtualProductGrid from '../VirtualProductGrid/VirtualProductGrid';
+import {
+  ListContainer,
+  FacetSidebar,
+  FacetActions,
+  ListContent,
+  Toolbar,
+  ProductGrid,
+  Pagination,
+  StatusMessage
+} from './ProductListPage.styles';
+
+// Facets shown in the sidebar, labelled by list.facet.<key>; multiple-choice facets are kept comma separated in the URL
+const FACETS = [
+  { key: 'category', multiple: true },
+  { key: 'brand', multiple: true },
+  { key: 'price', multiple: false },
+  { key: 'rating', multiple: false }
+];
+
+/**
+ * Reads the selected values of a facet from the query parameters
+ * @param {Object} params - Query parameters
+ * @param {Object} facet - Entry of FACETS
+ * @returns {Array<string>} - Selected values
+ */
+const readSelected = (params, facet) => {
+  const raw = params[facet.key];
+  if (!raw) return [];
+  return facet.multiple ? raw.split(',').filter(Boolean) : [raw];
+};
+
+/**
+ * Lists the page numbers to offer, eliding long runs with null
+ * @param {number} page - Current page
+ * @param {number} totalPages - Number of pages
+ * @returns {Array<number|null>} - e.g. [1, null, 4, 5, 6, null, 20]
+ */
+const getPageNumbers = (page, totalPages) => {
+  const pages = [];
+  for (let number = 1; number <= totalPages; number++) {
+    if (number === 1 || number === totalPages || Math.abs(number - page) <= 1) {
+      pages.push(number);
+    } else if (pages[pages.length - 1] !== null) {
+      pages.push(null);
+    }
+  }
+  return pages;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Product listing with facet filters, sorting and pagination. Facets and
+ * their counts come from the server; the selected filters, sort order and
+ * page live in the URL so a filtered listing can be shared.
+ * @param {Object} props
+ * @param {number} props.pageSize - Products per page
+ * @param {boolean} props.infinite - Scroll through a virtualized grid instead of paging, for big categories
+ */
+const ProductListPage = ({ pageSize, infinite = false }) => {
+  const [params, setParams] = useQueryParams();
+  const sort = LIST_SORT_OPTIONS.includes(params.sort) ? params.sort : 'featured';
+  const page = infinite ? 1 : Math.max(1, Number.parseInt(params.page, 10) || 1);
+  const cursor = infinite ? null : params.cursor || null;
+  const { category, brand, price, rating } = params;
+
+  const [listing, setListing] = useState({ status: 'loading', data: null, error: null });
+  const [attempt, setAttempt] = useState(0);
+  const { t } = useTranslation();
+  const formatPrice = useMoneyFormatter();
+
+  useEffect(() => {
+    const abortController = new AbortController();
+    const filters = FACETS.reduce((acc, facet) => {
+      const selected = readSelected({ category, brand, price, rating }, facet);
+      if (selected.length > 0) {
+        acc[facet.key] = facet.multiple ? selected : selected[0];
+      }
+      return acc;
+    }, {});
+
+    setListing(prev => ({ ...prev, status: 'loading', error: null }));
+
+    listProducts({ filters, sort, page, cursor, pageSize }, { signal: abortController.signal })
+      .then((data) => {
+        if (!abortController.signal.aborted) {
+          setListing({ status: 'success', data, error: null });
+        }
+      })
+      .catch((error) => {
+        if (!abortController.signal.aborted && error?.code !== 'REQUEST_CANCELLED') {
+          setListing({ status: 'error', data: null, error });
+        }
+      });
+
+    return () => {
+      abortController.abort();
+    };
+  }, [category, brand, price, rating, sort, page, cursor, pageSize, attempt]);
+
+  // Any change to what is listed starts again at the first page
+  const updateListing = (changes) => {
+    setParams({ ...changes, page: null, cursor: null });
+  };
+
+  const toggleFacetValue = (facet, value) => {
+    const selected = readSelected(params, facet);
+    if (!facet.multiple) {
+      updateListing({ [facet.key]: selected.includes(value) ? null : value });
+      return;
+    }
+    const next = selected.includes(value)
+      ? selected.filter(item => item !== value)
+      : [...selected, value];
+    updateListing({ [facet.key]: next.join(',') });
+  };
+
+  const clearFilters = () => {
+    updateListing(FACETS.reduce((acc, facet) => ({ ...acc, [facet.key]: null }), {}));
+  };
+
+  const goTo = (changes) => {
+    setParams({ page: null, cursor: null, ...changes });
+    window.scrollTo?.(0, 0);
+  };
+
+  const getOptionLabel = (facet, option) => {
+    if (facet.key === 'price' && (option.min != null || option.max != null)) {
+      if (option.min == null || option.min === 0) return t('list.priceUnder', { max: formatPrice(option.max) });
+      if (option.max == null) return t('list.priceFrom', { min: formatPrice(option.min) });
+      return t('list.priceRange', { min: formatPrice(option.min), max: formatPrice(option.max) });
+    }
+    if (facet.key === 'rating') {
+      return t('list.ratingFrom', { rating: option.value });
+    }
+    return option.label;
+  };
+
+  const { status, data, error } = listing;
+  const products = data?.products || [];
+  const hasFilters = FACETS.some(facet => readSelected(params, facet).length > 0);
+  const usesCursor = Boolean(cursor || data?.nextCursor || data?.previousCursor);
+
+  // The virtualized grid loads further pages through getProducts, which sends filters as they are
+  const gridFilters = FACETS.reduce((acc, facet) => {
+    const selected = readSelected(params, facet);
+    return selected.length > 0 ? { ...acc, [facet.key]: selected.join(',') } : acc;
+  }, { sort });
+
+  const renderFacet = (facet) => {
+    const selected = readSelected(params, facet);
+    const options = [...(data?.facets?.[facet.key] || [])];
+    // Keep selected values visible so they can be cleared even when the server no longer lists them
+    selected.forEach((value) => {
+      if (!options.some(option => option.value === value)) {
+        options.push({ value, label: value, count: 0 });
+      }
+    });
+    if (options.length === 0) {
+      return null;
+    }
+
+    return (
+      <fieldset key={facet.key} data-testid={`facet-${facet.key}`}>
+        <legend>{t(`list.facet.${facet.key}`)}</legend>
+        {options.map((option) => {
+          const checked = selected.includes(option.value);
+          const disabled = !checked && option.count === 0;
+          return (
+            <label key={option.value} className={disabled ? 'disabled' : undefined}>
+              <input
+                type={facet.multiple ? 'checkbox' : 'radio'}
+                name={facet.key}
+                value={option.value}
+                checked={checked}
+                disabled={disabled}
+                // Radios cannot be unchecked by the browser, so a click on the selected one clears it
+                onClick={facet.multiple ? undefined : () => toggleFacetValue(facet, option.value)}
+                onChange={facet.multiple ? () => toggleFacetValue(facet, option.value) : () => {}}
+              />
+              {getOptionLabel(facet, option)}
+              {option.count !== null && <span className="facet-count">{option.count}</span>}
+            </label>
+          );
+        })}
+      </fieldset>
+    );
+  };
+
+  return (
+    <ListContainer data-testid="product-list-page">
+      <FacetSidebar aria-label={t('list.filters')}>
+        {FACETS.map(renderFacet)}
+        {hasFilters && (
+          <FacetActions type="button" onClick={clearFilters} data-testid="clear-filters">
+            {t('list.clearFilters')}
+          </FacetActions>
+        )}
+      </FacetSidebar>
+
+      <ListContent aria-label={t('list.products')}>
+        <Toolbar>
+          <StatusMessage role="status" aria-live="polite" data-testid="list-status">
+            {status === 'loading' && !data && t('list.loading')}
+            {data && t('list.count', { count: data.total })}
+          </StatusMessage>
+          <label>
+            {t('sort.label')}
+            <select
+              value={sort}
+              onChange={event => updateListing({ sort: event.target.value === 'featured' ? null : event.target.value })}
+              data-testid="list-sort"
+            >
+              {LIST_SORT_OPTIONS.map(option => (
+                <option key={option} value={option}>{t(`sort.${option}`, undefined, option)}</option>
+              ))}
+            </select>
+          </label>
+        </Toolbar>
+
+        {status === 'error' && (
+          <StatusMessage className="error" role="alert" data-testid="list-error">
+            {error?.message || t('list.loadFailed')}
+            {' '}
+            <FacetActions type="button" onClick={() => setAttempt(count => count + 1)}>
+              {t('list.retry')}
+            </FacetActions>
+          </StatusMessage>
+        )}
+
+        {data?.errors && (
+          <StatusMessage data-testid="list-partial">
+            {t('list.partial')}
+          </StatusMessage>
+        )}
+
+        {status === 'success' && products.length === 0 && (
+          <StatusMessage data-testid="list-empty">
+            {t('list.empty')}
+          </StatusMessage>
+        )}
+
+        {infinite && status === 'success' && products.length > 0 && (
+          <VirtualProductGrid
+            key={JSON.stringify(gridFilters)}
+            filters={gridFilters}
+            pageSize={data.pageSize}
+            initialProducts={products}
+          />
+        )}
+
+        {!infinite && products.length > 0 && (
+          <ProductGrid aria-busy={status === 'loading'} data-testid="product-grid">
+            {products.map(product => (
+              <ProductCard key={product.id} product={product} data-testid={`product-card-${product.id}`} />
+            ))}
+          </ProductGrid>
+        )}
+
+        {!infinite && data && usesCursor && (
+          <Pagination aria-label={t('list.pages')}>
+            <button
+              type="button"
+              onClick={() => goTo({ cursor: data.previousCursor })}
+              disabled={!cursor}
+              data-testid="list-previous-page"
+            >
+              {t('pagination.previous')}
+            </button>
+            <button
+              type="button"
+              onClick={() => goTo({ cursor: data.nextCursor })}
+              disabled={!data.nextCursor}
+              data-testid="list-next-page"
+            >
+              {t('pagination.next')}
+            </button>
+          </Pagination>
+        )}
+
+        {!infinite && data && !usesCursor && data.totalPages > 1 && (
+          <Pagination aria-label={t('list.pages')}>
+            <button
+              type="button"
+              onClick={() => goTo({ page: page - 1 > 1 ? page - 1 : null })}
+              disabled={page <= 1}
+              data-testid="list-previous-page"
+            >
+              {t('pagination.previous')}
+            </button>
+            {getPageNumbers(page, data.totalPages).map((number, index) => (
+              number === null
+                ? <span key={`gap-${index}`} aria-hidden="true">…</span>
+                : (
+                  <button
+                    key={number}
+                    type="button"
+                    aria-label={t('pagination.page', { page: number })}
+                    aria-current={number === page ? 'page' : undefined}
+                    onClick={() => goTo({ page: number > 1 ? number : null })}
+                  >
+                    {number}
+                  </button>
+                )
+            ))}
+            <button
+              type="button"
+              onClick={() => goTo({ page: page + 1 })}
+              disabled={page >= data.totalPages}
+              data-testid="list-next-page"
+            >
+              {t('pagination.next')}
+            </button>
+          </Pagination>
+        )}
+      </ListContent>
+    </ListContainer>
+  );
+};
+
+export default ProductListPage;
@@ -0,0 +1,132 @@
+import styled from 'styled-components';
+
+export const ListContainer = styled.div`
+  display: grid;
+  grid-template-columns: 240px 1fr;
+  gap: 2rem;
+  max-width: 1200px;
+  margin: 2rem auto;
+  padding: 0 1rem;
+
+  @media (max-width: 768px) {
+    grid-template-columns: 1fr;
+  }
+`;
+
+export const FacetSidebar = styled.aside`
+  display: flex;
+  flex-direction: column;
+  gap: 1.5rem;
+
+  fieldset {
+    margin: 0;
+    padding: 0;
+    border: none;
+  }
+
+  legend {
+    margin-bottom: 0.5rem;
+    font-weight: bold;
+    color: #333;
+  }
+
+  label {
+    display: flex;
+    align-items: center;
+    gap: 0.5rem;
+    padding: 0.25rem 0;
+    cursor: pointer;
+  }
+
+  label.disabled {
+    color: #a0aec0;
+    cursor: not-allowed;
+  }
+
+  .facet-count {
+    margin-left: auto;
+    font-size: 0.875rem;
+    color: #718096;
+  }
+`;
+
+export const FacetActions = styled.button`
+  align-self: flex-start;
+  padding: 0;
+  border: none;
+  background: none;
+  color: #3182ce;
+  text-decoration: underline;
+  cursor: pointer;
+`;
+
+export const ListContent = styled.section`
+  display: flex;
+  flex-direction: column;
+  gap: 1.5rem;
+  min-width: 0;
+`;
+
+export const Toolbar = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  justify-content: space-between;
+  gap: 1rem;
+  color: #4a5568;
+
+  select {
+    margin-left: 0.5rem;
+    padding: 0.25rem 0.5rem;
+  }
+`;
+
+export const ProductGrid = styled.ul`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+  gap: 1.5rem;
+  margin: 0;
+  padding: 0;
+  list-style: none;
+
+  &[aria-busy='true'] {
+    opacity: 0.6;
+  }
+`;
+
+export const Pagination = styled.nav`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  justify-content: center;
+  gap: 0.5rem;
+
+  button {
+    min-width: 2.5rem;
+    padding: 0.5rem 0.75rem;
+    border: 1px solid #cbd5e0;
+    border-radius: 4px;
+    background-color: white;
+    cursor: pointer;
+  }
+
+  button[aria-current='page'] {
+    background-color: #2c5282;
+    border-color: #2c5282;
+    color: white;
+  }
+
+  button:disabled {
+    cursor: not-allowed;
+    opacity: 0.5;
+  }
+`;
+
+export const StatusMessage = styled.p`
+  margin: 0;
+  color: #4a5568;
+
+  &.error {
+    color: #e53e3e;
+  }
+`;
@@ -0,0 +1,171 @@
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import { MemoryRouter, useLocation } from 'react-router-dom';
+import ProductListPage from '../ProductListPage';
+import { listProducts, getProducts } from '../../../services/productService';
+
+jest.mock('../../../services/productService', () => ({
+  LIST_SORT_OPTIONS: ['featured', 'price-asc', 'price-desc', 'newest', 'rating'],
+  listProducts: jest.fn(),
+  getProducts: jest.fn()
+}));
+
+const listing = (overrides = {}) => ({
+  products: [
+    { id: '1', title: 'Trail Shoe', price: 89.99, rating: 4.5, reviewCount: 12 },
+    { id: '2', title: 'Road Shoe', price: 120 }
+  ],
+  errors: null,
+  total: 2,
+  page: 1,
+  pageSize: 24,
+  totalPages: 1,
+  facets: {
+    category: [{ value: 'shoes', label: 'Shoes', count: 2 }, { value: 'bags', label: 'Bags', count: 0 }],
+    brand: [{ value: 'acme', label: 'Acme', count: 1 }, { value: 'zenith', label: 'Zenith', count: 1 }],
+    price: [
+      { value: '-50', label: '-50', count: 0, min: null, max: 50 },
+      { value: '50-100', label: '50-100', count: 1, min: 50, max: 100 },
+      { value: '100-', label: '100-', count: 1, min: 100, max: null }
+    ],
+    rating: [{ value: '4', label: '4', count: 1 }]
+  },
+  nextCursor: null,
+  previousCursor: null,
+  ...overrides
+});
+
+let currentLocation;
+
+// Exposes the router location to the assertions
+const LocationProbe = () => {
+  currentLocation = useLocation();
+  return null;
+};
+
+const renderAt = (url, ui = <ProductListPage />) => render(
+  <MemoryRouter initialEntries={[url]}>
+    {ui}
+    <LocationProbe />
+  </MemoryRouter>
+);
+
+describe('ProductListPage', () => {
+  beforeEach(() => {
+    listProducts.mockResolvedValue(listing());
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should render product cards and facet counts from the server', async () => {
+    renderAt('/products');
+
+    expect(await screen.findByTestId('product-card-1')).toHaveTextContent('Trail Shoe');
+    expect(screen.getByTestId('list-status')).toHaveTextContent('2 products');
+    expect(screen.getByTestId('product-card-1')).toHaveTextContent('★ 4.5 (12)');
+
+    const category = within(screen.getByTestId('facet-category'));
+    expect(category.getByLabelText(/Shoes/)).toBeEnabled();
+    expect(category.getByLabelText(/Bags/)).toBeDisabled();
+    expect(within(screen.getByTestId('facet-price')).getByLabelText(/\$50\.00 – \$100\.00/)).toBeInTheDocument();
+    expect(within(screen.getByTestId('facet-price')).getByLabelText(/\$100\.00 and up/)).toBeInTheDocument();
+    expect(within(screen.getByTestId('facet-rating')).getByLabelText(/4★ & up/)).toBeInTheDocument();
+    expect(listProducts).toHaveBeenCalledWith(
+      { filters: {}, sort: 'featured', page: 1, cursor: null, pageSize: undefined },
+      { signal: expect.any(AbortSignal) }
+    );
+  });
+
+  it('should read filters from the URL and keep changes in it', async () => {
+    renderAt('/products?brand=acme&page=2&sort=price-asc');
+    await screen.findByTestId('product-grid');
+
+    expect(listProducts).toHaveBeenLastCalledWith(
+      expect.objectContaining({ filters: { brand: ['acme'] }, sort: 'price-asc', page: 2 }),
+      expect.any(Object)
+    );
+    expect(screen.getByLabelText(/Acme/)).toBeChecked();
+
+    fireEvent.click(screen.getByLabelText(/Zenith/));
+    await screen.findByTestId('product-grid');
+    expect(currentLocation.search).toBe('?brand=acme%2Czenith&sort=price-asc');
+    expect(listProducts).toHaveBeenLastCalledWith(
+      expect.objectContaining({ filters: { brand: ['acme', 'zenith'] }, page: 1 }),
+      expect.any(Object)
+    );
+
+    fireEvent.click(screen.getByLabelText(/\$100\.00 and up/));
+    await screen.findByTestId('product-grid');
+    expect(listProducts).toHaveBeenLastCalledWith(
+      expect.objectContaining({ filters: { brand: ['acme', 'zenith'], price: '100-' } }),
+      expect.any(Object)
+    );
+
+    fireEvent.click(screen.getByTestId('clear-filters'));
+    await screen.findByTestId('product-grid');
+    expect(currentLocation.search).toBe('?sort=price-asc');
+  });
+
+  it('should clear a single-choice facet when its selected option is clicked again', async () => {
+    renderAt('/products?rating=4');
+    await screen.findByTestId('product-grid');
+
+    fireEvent.click(screen.getByLabelText(/4★ & up/));
+    await screen.findByTestId('product-grid');
+    expect(currentLocation.search).toBe('');
+  });
+
+  it('should sort and paginate by page number', async () => {
+    listProducts.mockImplementation(async ({ page }) => listing({ page, total: 100, totalPages: 5 }));
+    renderAt('/products');
+    await screen.findByTestId('product-grid');
+
+    expect(screen.getByRole('button', { name: 'Page 1' })).toHaveAttribute('aria-current', 'page');
+    fireEvent.click(screen.getByRole('button', { name: 'Page 5' }));
+    expect(await screen.findByRole('button', { name: 'Page 5', current: 'page' })).toBeInTheDocument();
+    expect(currentLocation.search).toBe('?page=5');
+
+    fireEvent.change(screen.getByLabelText('Sort by'), { target: { value: 'newest' } });
+    await screen.findByRole('button', { name: 'Page 1', current: 'page' });
+    expect(currentLocation.search).toBe('?sort=newest');
+  });
+
+  it('should paginate by cursor when the server returns cursors', async () => {
+    listProducts.mockImplementation(async ({ cursor }) => (
+      cursor ? listing({ previousCursor: null, nextCursor: 'c3' }) : listing({ nextCursor: 'c2' })
+    ));
+    renderAt('/products');
+    await screen.findByTestId('product-grid');
+
+    expect(screen.getByTestId('list-previous-page')).toBeDisabled();
+    fireEvent.click(screen.getByTestId('list-next-page'));
+    await screen.findByTestId('product-grid');
+    expect(currentLocation.search).toBe('?cursor=c2');
+    expect(listProducts).toHaveBeenLastCalledWith(expect.objectContaining({ cursor: 'c2' }), expect.any(Object));
+    expect(screen.getByTestId('list-previous-page')).toBeEnabled();
+  });
+
+  it('should continue the first page in a virtualized grid when scrolling infinitely', async () => {
+    listProducts.mockResolvedValueOnce(listing({ pageSize: 2, total: 40, totalPages: 20 }));
+    renderAt('/products?brand=acme,zenith&page=3', <ProductListPage infinite />);
+
+    expect(await screen.findByTestId('grid-product-1')).toBeInTheDocument();
+    expect(listProducts).toHaveBeenCalledWith(expect.objectContaining({ page: 1, cursor: null }), expect.any(Object));
+    expect(screen.queryByTestId('list-next-page')).not.toBeInTheDocument();
+    expect(getProducts).not.toHaveBeenCalled();
+  });
+
+  it('should show errors with a retry and an empty state', async () => {
+    listProducts
+      .mockRejectedValueOnce(Object.assign(new Error('Server unavailable'), { code: 'SERVER_ERROR' }))
+      .mockResolvedValueOnce(listing({ products: [], total: 0 }));
+    renderAt('/products');
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Server unavailable');
+    fireEvent.click(screen.getByRole('button', { name: 'Try again' }));
+
+    expect(await screen.findByTestId('list-empty')).toHaveTextContent('No products match these filters.');
+  });
+});
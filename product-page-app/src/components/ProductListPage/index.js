@@ -0,0 +1,2 @@
+export { default as ProductListPage } from './ProductListPage';
+export * from './ProductListPage.styles';
@@ -1,32 +1,71 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { getProductById } from '../../services/productService';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { getProductById, getRelatedProducts, getFrequentlyBoughtTogether } from '../../services/productService';
 import { useMountedState } from '../../utils/hooks';
+import { findVariant, getDefaultSelection, selectOptionValue } from '../../utils/variants';
+import { transformImages } from '../../utils/transformers';
+import { getListedPrice, getPricing, getVariantSale } from '../../utils/pricing';
+import { useLocale } from '../../context/LocaleContext';
+import { translateError } from '../../utils/i18n';
+import { useDocumentHead, useSiteOrigin } from '../../context/HeadContext';
+import { buildProductHead } from '../../utils/seo';
+import { AVAILABILITY, canNotifyWhenAvailable, getSelectedAvailability, isPurchasable } from '../../utils/availability';
+import { addRecentlyViewed } from '../../utils/recentlyViewed';
+import { markPerformance, PERFORMANCE_MARKS } from '../../services/performanceMonitor';
+import VariantSelector from '../VariantSelector/VariantSelector';
+import ImageGallery from '../ImageGallery/ImageGallery';
+import AddToCart from '../AddToCart/AddToCart';
+import PriceDisplay from '../PriceDisplay/PriceDisplay';
+import AvailabilityStatus from '../AvailabilityStatus/AvailabilityStatus';
+import BackInStockForm from '../BackInStockForm/BackInStockForm';
+import Reviews from '../Reviews/Reviews';
+import ProductQA from '../ProductQA/ProductQA';
+import ProductCarousel from '../ProductCarousel/ProductCarousel';
+import NotFoundPage from '../NotFoundPage/NotFoundPage';
 import {
   ProductContainer,
   ProductImage,
   ProductInfo,
   ProductTitle,
   ProductDescription,
-  ProductPrice,
+  ProductSku,
+  SavedDataBanner,
   LoadingContainer,
   ErrorMessage
 } from './ProductPage.styles';
 
 // PUBLIC_INTERFACE
-const ProductPage = ({ productId, cacheTimeout = 300000 }) => {
-  const [state, setState] = useState({
-    product: null,
-    loading: true,
-    error: null,
-    retryCount: 0,
+/**
+ * Product detail page
+ * @param {Object} props
+ * @param {string} props.productId - Product to show
+ * @param {number} props.cacheTimeout - Milliseconds before the shown product is fetched again
+ * @param {Object} props.initialData - Product or error prefetched by the server renderer
+ *   ({ data, error: { message, code }, fetchedAt }); shown without fetching on mount
+ */
+const ProductPage = ({ productId, cacheTimeout = 300000, initialData = null }) => {
+  const [state, setState] = useState(() => ({
+    product: initialData?.data ?? null,
+    loading: !initialData,
+    error: initialData?.error?.message ?? null,
+    errorCode: initialData?.error?.code ?? null,
+    errorKey: null,
+    failedRequestId: initialData?.error?.requestId ?? null,
+    retryCount: initialData?.error ? 1 : 0,
     retryMessage: null,
-    etag: null,
-    lastModified: null,
-    lastFetchTime: null
-  });
+    lastFetchTime: initialData?.data ? initialData.fetchedAt ?? Date.now() : null
+  }));
+  
+  const [selection, setSelection] = useState({ productId: null, values: {} });
+  const [recentlyViewed, setRecentlyViewed] = useState([]);
   
   const isMounted = useMountedState();
   const requestIdRef = useRef(0);
+  // Product the server already rendered; fetching it again on mount would only repeat that request
+  const prefetchedIdRef = useRef(initialData ? productId : null);
+  // Product whose data and first image were already marked for performance monitoring
+  const markedRef = useRef({ data: null, image: null });
+  const { locale, currency, direction, t } = useLocale();
+  const origin = useSiteOrigin();
 
   const fetchProduct = useCallback(async (abortSignal, force = false) => {
     const currentRequestId = ++requestIdRef.current;
@@ -48,7 +87,7 @@ const ProductPage = ({ productId, cacheTimeout = 300000 }) => {
     }));
 
     if (!productId) {
-      safeSetState(prev => ({ ...prev, loading: false, error: 'Product ID is required' }));
+      safeSetState(prev => ({ ...prev, loading: false, error: 'Product ID is required', errorCode: null, errorKey: 'product.idRequired' }));
       return;
     }
 
@@ -58,13 +97,19 @@ const ProductPage = ({ productId, cacheTimeout = 300000 }) => {
         signal: abortSignal,
         timeout: 5000,
         retries: 2,
-        etag: state.etag,
-        lastModified: state.lastModified,
-        cache: !force // Don't use cache if force refresh
+        cache: !force, // Don't use cache if force refresh
+        // A stale cached product was shown; swap in the fresh one once it arrives
+        onRevalidated: (freshProduct) => {
+          if (isMounted()) {
+            setState(prev => (
+              prev.product?.id === freshProduct.id ? { ...prev, product: freshProduct } : prev
+            ));
+          }
+        }
       });
       
       if (!productData) {
-        throw new Error('Product not found');
+        throw Object.assign(new Error('Product not found'), { messageKey: 'product.notFound' });
       }
 
       safeSetState(prev => ({
@@ -73,8 +118,6 @@ const ProductPage = ({ productId, cacheTimeout = 300000 }) => {
         loading: false,
         error: null,
         retryCount: 0, // Reset retry count on success
-        etag: productData.etag || prev.etag,
-        lastModified: productData.lastModified || prev.lastModified,
         lastFetchTime: now // Update last fetch time
       }));
     } catch (err) {
@@ -85,17 +128,26 @@ const ProductPage = ({ productId, cacheTimeout = 300000 }) => {
       safeSetState(prev => ({
         ...prev,
         loading: false,
-        error: err.message || err.toString() || 'Failed to load product information',
+        error: err.message || 'Failed to load product information',
+        errorCode: err.code || null,
+        // Errors without a message of their own are shown with the translated generic one
+        errorKey: err.messageKey || (err.message ? null : 'product.loadFailed'),
+        failedRequestId: err.requestId || null,
         retryCount: prev.retryCount + 1
       }));
     }
   }, [productId]);
 
   useEffect(() => {
+    if (prefetchedIdRef.current === productId) {
+      return undefined;
+    }
+    prefetchedIdRef.current = null;
+
     const abortController = new AbortController();
     
-    // Initial fetch
-    fetchProduct(abortController.signal, true); // Force initial fetch
+    // Initial fetch, answered from the response cache when it is fresh
+    fetchProduct(abortController.signal);
 
     return () => {
       abortController.abort();
@@ -128,31 +180,93 @@ const ProductPage = ({ productId, cacheTimeout = 300000 }) => {
     };
   }, [state.lastFetchTime, cacheTimeout, fetchProduct]);
 
-  // Separate effect for handling retries
+  // Saved data is shown while offline; load the live product once the connection is back
+  const isShowingSavedData = Boolean(state.product?.offline || state.product?.unavailable);
   useEffect(() => {
-    const abortController = new AbortController();
-    let timeoutId;
-
-    if (state.error && state.retryCount < 3) {
-      const retryDelay = Math.min(1000 * Math.pow(2, state.retryCount), 5000);
-      timeoutId = setTimeout(() => {
-        fetchProduct(abortController.signal);
-      }, retryDelay);
+    if (!isShowingSavedData) {
+      return undefined;
     }
+    const abortController = new AbortController();
+    const handleOnline = () => {
+      fetchProduct(abortController.signal, true);
+    };
 
+    window.addEventListener('online', handleOnline);
     return () => {
+      window.removeEventListener('online', handleOnline);
       abortController.abort();
-      if (timeoutId) {
-        clearTimeout(timeoutId);
-      }
     };
-  }, [state.error, state.retryCount, fetchProduct]);
+  }, [isShowingSavedData, fetchProduct]);
 
   const { loading, error, product } = state;
 
+  // Remembers the shown product; the recently viewed carousel lists the others
+  useEffect(() => {
+    if (product) {
+      setRecentlyViewed(addRecentlyViewed(product).filter(item => item.id !== String(product.id)));
+    }
+  }, [product]);
+
+  useEffect(() => {
+    if (product && markedRef.current.data !== product.id) {
+      markedRef.current.data = product.id;
+      markPerformance(PERFORMANCE_MARKS.PRODUCT_DATA_RECEIVED, { productId: String(product.id) });
+    }
+  }, [product]);
+
+  const handleImageLoad = useCallback(() => {
+    if (product && markedRef.current.image !== product.id) {
+      markedRef.current.image = product.id;
+      markPerformance(PERFORMANCE_MARKS.PRODUCT_IMAGE_LOADED, { productId: String(product.id) });
+    }
+  }, [product]);
+
+  // Fall back to the default variant until the shopper picks options for this product
+  const selectedOptions = useMemo(() => (
+    product && selection.productId === product.id ? selection.values : getDefaultSelection(product)
+  ), [product, selection]);
+
+  const selectedVariant = useMemo(() => (
+    product ? findVariant(product.variants, product.options, selectedOptions) : null
+  ), [product, selectedOptions]);
+
+  // Gallery images, starting on the selected variant's shot when it has one
+  const gallery = useMemo(() => {
+    if (!product) {
+      return { images: [], startIndex: 0 };
+    }
+    const title = product.title || t('product.imageFallback');
+    const images = product.images?.length
+      ? product.images
+      : transformImages(product.image ? [product.image] : [], title);
+    const variantImage = selectedVariant?.image;
+    if (!variantImage) {
+      return { images, startIndex: 0 };
+    }
+    const index = images.findIndex(image => image.src === variantImage);
+    return index === -1
+      ? { images: [...transformImages([variantImage], title), ...images], startIndex: 0 }
+      : { images, startIndex: index };
+  }, [product, selectedVariant, t]);
+
+  // Title, description, Open Graph and JSON-LD for search engines and link previews
+  const head = useMemo(() => (
+    product ? buildProductHead({ ...product, title: product.title || t('product.untitled') }, { origin, locale, currency }) : null
+  ), [product, origin, locale, currency, t]);
+  useDocumentHead(head);
+
+  const handleOptionChange = useCallback((key, value) => {
+    setSelection({
+      productId: product?.id ?? null,
+      values: selectOptionValue(product?.variants || [], selectedOptions, key, value)
+    });
+  }, [product, selectedOptions]);
+
   const renderLoadingState = () => {
     if (!loading) return null;
-    const loadingMessage = `Loading product details${productId ? ` for product ${productId}` : ''}`;
+    const loadingMessage = productId
+      ? t('product.loadingById', { productId })
+      : t('product.loading');
     return (
       <LoadingContainer 
         data-testid="loading-container" 
@@ -161,6 +275,7 @@ const ProductPage = ({ productId, cacheTimeout = 300000 }) => {
         aria-busy="true"
         aria-atomic="true"
         aria-label={loadingMessage}
+        dir={direction}
       >
         <span className="loading-spinner" aria-hidden="true">⌛</span>
         <span data-testid="loading-text" className="sr-only">{loadingMessage}</span>
@@ -172,7 +287,8 @@ const ProductPage = ({ productId, cacheTimeout = 300000 }) => {
     if (!error) return null;
 
     const canRetry = state.retryCount < 3;
-    const isNetworkError = error.includes('Network') || error.includes('timeout');
+    const isNetworkError = ['NETWORK_ERROR', 'TIMEOUT'].includes(state.errorCode)
+      || error.includes('Network') || error.includes('timeout');
     const errorClass = isNetworkError ? 'network-error' : 'general-error';
 
     return (
@@ -183,17 +299,23 @@ const ProductPage = ({ productId, cacheTimeout = 300000 }) => {
         aria-live="assertive"
         aria-atomic="true"
         tabIndex="-1"
+        dir={direction}
       >
         <div className="error-content">
           <span className="error-icon">{isNetworkError ? '🌐' : '⚠️'}</span>
-          <p>{error}</p>
+          <p>{errorText}</p>
+          {state.failedRequestId && (
+            <p className="request-id" data-testid="error-request-id">
+              {t('product.requestId', { requestId: state.failedRequestId })}
+            </p>
+          )}
           {canRetry && (
             <button 
               onClick={fetchProduct} 
               data-testid="retry-button"
-              aria-label="Retry loading product"
+              aria-label={t('product.retryLabel')}
             >
-              Try Again
+              {t('product.retry')}
             </button>
           )}
         </div>
@@ -205,6 +327,18 @@ const ProductPage = ({ productId, cacheTimeout = 300000 }) => {
     return renderLoadingState();
   }
 
+  // Errors are shown in the shopper's language by code, and by catalog key for local ones
+  const errorText = error && translateError(
+    t,
+    { code: state.errorCode, message: error, messageKey: state.errorKey },
+    'product.loadFailed'
+  );
+
+  // A product that does not exist is a missing page, not a failure worth retrying
+  if (error && state.errorCode === 'NOT_FOUND') {
+    return <NotFoundPage title={t('product.notFound')} message={errorText} />;
+  }
+
   if (error) {
     return renderErrorState();
   }
@@ -218,46 +352,107 @@ const ProductPage = ({ productId, cacheTimeout = 300000 }) => {
         aria-atomic="true"
         tabIndex="-1"
       >
-        Product not found or no longer available
+        {t('product.unavailable')}
       </ErrorMessage>
     );
   }
 
+  const currentProductId = String(product.id ?? productId);
+  const displayPrice = getListedPrice(product, selectedVariant, currency);
+  const sale = getVariantSale(product, selectedVariant);
+  const sku = selectedVariant?.sku || product.sku;
+  const hasVariants = Boolean(product.variants?.length);
+  const availability = getSelectedAvailability(product, selectedVariant);
+  const canAddToCart = (!hasVariants || Boolean(selectedVariant?.available)) && isPurchasable(availability);
+  // Backorders and pre-orders are not limited by what is on the shelf
+  const ordersAhead = [AVAILABILITY.BACKORDER, AVAILABILITY.PREORDER].includes(availability?.status);
+  let disabledLabel = t('product.outOfStock');
+  if (availability?.status === AVAILABILITY.DISCONTINUED) {
+    disabledLabel = t('product.discontinued');
+  } else if (hasVariants && !selectedVariant) {
+    disabledLabel = t('product.selectOptions');
+  }
+
   return (
     <ProductContainer 
       data-testid="product-container"
       role="main"
-      aria-label="Product Details"
+      dir={direction}
+      lang={locale}
+      aria-label={t('product.details')}
       aria-busy={loading}
       aria-live={loading ? "polite" : "off"}
     >
+      {isShowingSavedData && (
+        <SavedDataBanner role="status" data-testid="saved-data-banner">
+          {t('product.savedData', { reason: product.offline ? 'offline' : 'unavailable' })}
+        </SavedDataBanner>
+      )}
       <ProductImage>
-        <img 
-          src={product.image || '/placeholder-image.png'} 
-          alt={product.title || 'Product image'} 
-          onError={(e) => {
-            e.target.src = '/placeholder-image.png';
-          }}
-          data-testid="product-image"
+        <ImageGallery
+          key={selectedVariant?.image || 'default'}
+          images={gallery.images}
+          initialIndex={gallery.startIndex}
+          title={product.title || t('product.imageFallback')}
+          onImageLoad={handleImageLoad}
         />
       </ProductImage>
       <ProductInfo role="complementary">
         <ProductTitle data-testid="product-title" role="heading" aria-level="1">
-          {product.title || 'Untitled Product'}
+          {product.title || t('product.untitled')}
         </ProductTitle>
-        <ProductPrice 
-          data-testid="product-price"
-          aria-label={`Price: $${typeof product.price === 'number' ? product.price.toFixed(2) : '0.00'}`}
-        >
-          ${typeof product.price === 'number' ? product.price.toFixed(2) : '0.00'}
-        </ProductPrice>
+        <PriceDisplay price={displayPrice} sale={sale} />
+        {sku && (
+          <ProductSku data-testid="product-sku">{t('product.sku', { sku })}</ProductSku>
+        )}
+        <VariantSelector
+          options={product.options}
+          variants={product.variants}
+          selection={selectedOptions}
+          onChange={handleOptionChange}
+        />
+        <AvailabilityStatus availability={availability} />
+        <AddToCart
+          productId={currentProductId}
+          variantId={selectedVariant?.id ?? null}
+          price={getPricing(displayPrice, sale).price}
+          title={product.title}
+          image={selectedVariant?.image || product.image}
+          maxQuantity={ordersAhead ? undefined : selectedVariant?.inventory ?? undefined}
+          label={t(availability?.status === AVAILABILITY.PREORDER ? 'product.preOrder' : 'product.addToCart')}
+          disabled={!canAddToCart}
+          disabledLabel={disabledLabel}
+        />
+        {canNotifyWhenAvailable(availability) && (!hasVariants || selectedVariant) && (
+          <BackInStockForm
+            key={selectedVariant?.id ?? 'product'}
+            productId={currentProductId}
+            variantId={selectedVariant?.id ?? null}
+            itemName={product.title || t('product.thisItem')}
+          />
+        )}
         <ProductDescription 
           data-testid="product-description"
-          aria-label="Product Description"
->
-          {product.description || 'No description available'}
+          aria-label={t('product.description')}
+        >
+          {product.description || t('product.noDescription')}
         </ProductDescription>
       </ProductInfo>
+      <ProductCarousel
+        key={`bought-together-${currentProductId}`}
+        title={t('product.boughtTogether')}
+        loadProducts={signal => getFrequentlyBoughtTogether(currentProductId, {}, { signal }).then(result => result.products)}
+        data-testid="bought-together"
+      />
+      <ProductCarousel
+        key={`related-${currentProductId}`}
+        title={t('product.related')}
+        loadProducts={signal => getRelatedProducts(currentProductId, {}, { signal }).then(result => result.products)}
+        data-testid="related-products"
+      />
+      <Reviews key={`reviews-${currentProductId}`} productId={currentProductId} />
+      <ProductQA key={`questions-${currentProductId}`} productId={currentProductId} />
+      <ProductCarousel title={t('product.recentlyViewed')} products={recentlyViewed} data-testid="recently-viewed" />
     </ProductContainer>
   );
 };
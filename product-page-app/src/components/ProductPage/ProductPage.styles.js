@@ -12,13 +12,15 @@ const srOnlyStyles = css`
   border: 0;
 `;
 
+// Layout uses logical properties, so columns and spacing mirror under dir="rtl"
 export const ProductContainer = styled.div`
   display: grid;
   grid-template-columns: 1fr 1fr;
   gap: 2rem;
   max-width: 1200px;
-  margin: 2rem auto;
-  padding: 0 1rem;
+  margin-block: 2rem;
+  margin-inline: auto;
+  padding-inline: 1rem;
 
   @media (max-width: 768px) {
     grid-template-columns: 1fr;
@@ -27,18 +29,14 @@ export const ProductContainer = styled.div`
 
 export const ProductImage = styled.div`
   width: 100%;
-  min-height: 400px;
-  background-color: #f5f5f5;
-  display: flex;
-  align-items: center;
-  justify-content: center;
-  border-radius: 8px;
+  min-width: 0;
 `;
 
 export const ProductInfo = styled.div`
   display: flex;
   flex-direction: column;
   gap: 1rem;
+  text-align: start;
 `;
 
 export const ProductTitle = styled.h1`
@@ -47,16 +45,28 @@ export const ProductTitle = styled.h1`
   margin: 0;
 `;
 
-export const ProductPrice = styled.div`
-  font-size: 1.5rem;
-  color: #2c5282;
-  font-weight: bold;
+export const ProductSku = styled.div`
+  font-size: 0.875rem;
+  color: #718096;
+  unicode-bidi: plaintext;
 `;
 
 export const ProductDescription = styled.p`
   font-size: 1rem;
   color: #666;
   line-height: 1.6;
+  text-align: start;
+`;
+
+export const SavedDataBanner = styled.div`
+  grid-column: 1 / -1;
+  padding-block: 0.75rem;
+  padding-inline: 1rem;
+  text-align: start;
+  border-radius: 4px;
+  color: #744210;
+  background-color: #fffff0;
+  border: 1px solid #f6e05e;
 `;
 
 export const LoadingContainer = styled.div`
@@ -68,7 +78,8 @@ export const LoadingContainer = styled.div`
   font-size: 1.2rem;
   color: #666;
   background-color: #f7fafc;
-  padding: 1rem 2rem;
+  padding-block: 1rem;
+  padding-inline: 2rem;
   border-radius: 8px;
   box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
   gap: 1rem;
@@ -103,7 +114,8 @@ export const ErrorMessage = styled.div`
   padding: 2rem;
   font-size: 1.2rem;
   border-radius: 8px;
-  margin: 2rem auto;
+  margin-block: 2rem;
+  margin-inline: auto;
   max-width: 600px;
   transition: all 0.3s ease;
 
@@ -128,14 +140,15 @@ export const ErrorMessage = styled.div`
 
   .error-icon {
     font-size: 2rem;
-    margin-bottom: 0.5rem;
+    margin-block-end: 0.5rem;
   }
 
   button {
     background-color: #4299e1;
     color: white;
     border: none;
-    padding: 0.5rem 1.5rem;
+    padding-block: 0.5rem;
+    padding-inline: 1.5rem;
     border-radius: 4px;
     font-size: 1rem;
     cursor: pointer;
@@ -162,7 +175,15 @@ export const ErrorMessage = styled.div`
   }
 
   p {
-    margin: 0.5rem 0;
+    margin-block: 0.5rem;
+    margin-inline: 0;
     line-height: 1.5;
   }
+
+  .request-id {
+    font-size: 0.875rem;
+    font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+    opacity: 0.8;
+    user-select: all;
+  }
 `;
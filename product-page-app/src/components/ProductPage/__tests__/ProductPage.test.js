@@ -3,7 +3,16 @@ const { render, screen, waitFor, fireEvent, act } = require('@testing-library/re
 const ProductPage = require('../ProductPage').default;
 const { getProductById } = require('../../../services/productService');
 const ErrorBoundary = require('../../ErrorBoundary/ErrorBoundary').default;
+const { CartProvider } = require('../../../context/CartContext');
+const { LocaleProvider } = require('../../../context/LocaleContext');
+const { addToCart } = require('../../../services/cartService');
+const { subscribeToBackInStock } = require('../../../services/stockNotificationService');
+const { getReviews } = require('../../../services/reviewService');
+const { listQuestions } = require('../../../services/questionsService');
 const axios = require('axios');
+const { MemoryRouter } = require('react-router-dom');
+const { subscribeToMetrics } = require('../../../services/performanceMonitor');
+const { queryHead } = require('../../../testUtils/documentHead');
 
 // Mock axios module
 jest.mock('axios', () => {
@@ -46,7 +55,41 @@ jest.mock('axios', () => {
 
 // Mock the productService
 jest.mock('../../../services/productService', () => ({
-  getProductById: jest.fn()
+  ERROR_CODES: { NOT_FOUND: { status: 404, message: 'Requested product could not be found' } },
+  getProductById: jest.fn(),
+  getRelatedProducts: jest.fn(),
+  getFrequentlyBoughtTogether: jest.fn()
+}));
+
+// Mock the cartService
+jest.mock('../../../services/cartService', () => ({
+  MAX_LINE_QUANTITY: 99,
+  getCart: jest.fn(),
+  addToCart: jest.fn()
+}));
+
+jest.mock('../../../services/stockNotificationService', () => ({
+  subscribeToBackInStock: jest.fn()
+}));
+
+jest.mock('../../../services/reviewService', () => ({
+  REVIEW_SORT_OPTIONS: ['newest', 'helpful', 'rating-desc', 'rating-asc'],
+  REVIEW_LIMITS: { titleMaxLength: 120, maxPhotos: 5, photoTypes: ['image/jpeg'] },
+  getReviews: jest.fn(),
+  submitReview: jest.fn(),
+  voteReviewHelpful: jest.fn(),
+  validateReview: jest.fn()
+}));
+
+jest.mock('../../../services/questionsService', () => ({
+  QA_LIMITS: { questionMaxLength: 500, answerMaxLength: 2000 },
+  listQuestions: jest.fn(),
+  askQuestion: jest.fn(),
+  answerQuestion: jest.fn(),
+  upvoteQuestion: jest.fn(),
+  upvoteAnswer: jest.fn(),
+  validateQuestion: jest.fn(),
+  validateAnswer: jest.fn()
 }));
 
 describe('ProductPage', () => {
@@ -64,6 +107,8 @@ describe('ProductPage', () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
+    // Starts every test without recently viewed products
+    window.localStorage.clear();
   });
 
   it('should render loading state initially with proper accessibility attributes', async () => {
@@ -194,6 +239,74 @@ describe('ProductPage', () => {
     expect(errorElement).toHaveTextContent('Product not found');
   });
 
+  it('should show the request ID of a failed request for support', async () => {
+    getProductById.mockRejectedValueOnce(
+      Object.assign(new Error('Internal Server Error'), { code: 'SERVER_ERROR', requestId: 'c0ffee00-1234-4abc-8def-000000000042' })
+    );
+
+    render(<ProductPage productId="123" />);
+
+    expect(await screen.findByTestId('error-request-id'))
+      .toHaveTextContent('Request ID: c0ffee00-1234-4abc-8def-000000000042');
+  });
+
+  it('should render the not found page when the API reports NOT_FOUND', async () => {
+    getProductById.mockRejectedValueOnce(
+      Object.assign(new Error('Requested product could not be found'), { code: 'NOT_FOUND' })
+    );
+
+    render(<ProductPage productId="missing" />, { wrapper: MemoryRouter });
+
+    expect(await screen.findByTestId('not-found-page')).toHaveTextContent('Product not found');
+    expect(screen.getByText('Requested product could not be found')).toBeInTheDocument();
+    expect(screen.queryByTestId('retry-button')).not.toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Browse products' })).toHaveAttribute('href', '/products');
+  });
+
+  it('should show a product prefetched by the server without fetching it again', async () => {
+    render(
+      <ProductPage
+        productId="123"
+        initialData={{ productId: '123', data: mockProduct, error: null, fetchedAt: Date.now() }}
+      />
+    );
+
+    expect(screen.queryByTestId('loading-container')).not.toBeInTheDocument();
+    expect(screen.getByTestId('product-title')).toHaveTextContent('Test Product');
+    await act(async () => {
+      await Promise.resolve();
+    });
+    expect(getProductById).not.toHaveBeenCalled();
+  });
+
+  it('should refresh a prefetched product once it is older than the cache timeout', async () => {
+    getProductById.mockResolvedValueOnce({ ...mockProduct, title: 'Fresh Product' });
+    render(
+      <ProductPage
+        productId="123"
+        cacheTimeout={1000}
+        initialData={{ productId: '123', data: mockProduct, error: null, fetchedAt: Date.now() - 5000 }}
+      />
+    );
+
+    expect(await screen.findByText('Fresh Product')).toBeInTheDocument();
+    expect(getProductById).toHaveBeenCalledWith('123', expect.objectContaining({ cache: false }));
+  });
+
+  it('should set the document head and structured data for the product', async () => {
+    getProductById.mockResolvedValueOnce({ ...mockProduct, money: { amount: 9999, currency: 'USD' } });
+    const { unmount } = render(<ProductPage productId="123" />);
+
+    await screen.findByTestId('product-container');
+    expect(document.title).toBe('Test Product | Shop');
+    expect(queryHead('meta[name="description"]')).toHaveAttribute('content', 'Test Description');
+    const structuredData = JSON.parse(queryHead('script[type="application/ld+json"]').textContent);
+    expect(structuredData.offers).toEqual(expect.objectContaining({ price: '99.99', priceCurrency: 'USD' }));
+
+    unmount();
+    expect(queryHead('script[type="application/ld+json"]')).toBeNull();
+  });
+
   it('should refetch product when productId changes', async () => {
     getProductById
       .mockResolvedValueOnce(mockProduct)
@@ -201,7 +314,8 @@ describe('ProductPage', () => {
 
     let rerender;
     await act(async () => {
-      const result = render(<ProductPage productId="123" />);
+      // The first product shows up as recently viewed, and its card links need a router
+      const result = render(<ProductPage productId="123" />, { wrapper: MemoryRouter });
       rerender = result.rerender;
     });
 
@@ -567,4 +681,486 @@ describe('ProductPage', () => {
       global.Date.now = originalDateNow;
     }
   });
+
+  it('should update price, image and SKU for the selected variant', async () => {
+    getProductById.mockResolvedValueOnce({
+      ...mockProduct,
+      options: [
+        { key: 'size', name: 'Size', values: ['S', 'M'] },
+        { key: 'color', name: 'Color', values: ['Red', 'Blue'] }
+      ],
+      variants: [
+        { id: 's-red', sku: 'TS-S-RED', options: { size: 'S', color: 'Red' }, price: '89.99', image: 's-red.jpg', available: true },
+        { id: 's-blue', sku: 'TS-S-BLUE', options: { size: 'S', color: 'Blue' }, price: null, image: null, available: false },
+        { id: 'm-blue', sku: 'TS-M-BLUE', options: { size: 'M', color: 'Blue' }, price: '109.99', image: 'm-blue.jpg', available: true }
+      ]
+    });
+
+    render(<ProductPage productId="123" />);
+
+    await waitFor(() => {
+      expect(screen.getByTestId('product-sku')).toHaveTextContent('SKU: TS-S-RED');
+    });
+    expect(screen.getByTestId('product-price')).toHaveTextContent('$89.99');
+    expect(screen.getByTestId('product-image')).toHaveAttribute('src', 's-red.jpg');
+
+    // Blue is only in stock in size M, so picking it while S is selected switches the size too
+    expect(screen.getByTestId('variant-value-color-Blue')).toHaveClass('changesSelection');
+    expect(screen.getByTestId('variant-value-size-M')).toBeEnabled();
+
+    fireEvent.click(screen.getByTestId('variant-value-color-Blue'));
+    expect(screen.getByTestId('variant-value-size-M')).toHaveAttribute('aria-checked', 'true');
+    expect(screen.getByTestId('product-sku')).toHaveTextContent('SKU: TS-M-BLUE');
+    expect(screen.getByTestId('product-price')).toHaveTextContent('$109.99');
+
+    fireEvent.click(screen.getByTestId('variant-value-size-S'));
+    expect(screen.getByTestId('variant-value-size-S')).toHaveAttribute('aria-checked', 'true');
+  });
+
+  it('should fall back to product price and image when the variant has none', async () => {
+    getProductById.mockResolvedValueOnce({
+      ...mockProduct,
+      options: [{ key: 'size', name: 'Size', values: ['S', 'M'] }],
+      variants: [
+        { id: 's', sku: 'TS-S', options: { size: 'S' }, price: null, image: null, available: true },
+        { id: 'm', sku: 'TS-M', options: { size: 'M' }, price: '79.00', image: null, available: true }
+      ]
+    });
+
+    render(<ProductPage productId="123" />);
+
+    await waitFor(() => {
+      expect(screen.getByTestId('product-price')).toHaveTextContent('$99.99');
+    });
+    expect(screen.getByTestId('product-image')).toHaveAttribute('src', 'test.jpg');
+
+    fireEvent.click(screen.getByTestId('variant-value-size-M'));
+
+    expect(screen.getByTestId('product-price')).toHaveTextContent('$79.00');
+    expect(screen.getByTestId('product-sku')).toHaveTextContent('SKU: TS-M');
+  });
+
+  it('should render a gallery for products with several images', async () => {
+    getProductById.mockResolvedValueOnce({
+      ...mockProduct,
+      images: [
+        { id: 'a', src: 'front.jpg', thumbnail: 'front.jpg', zoomSrc: 'front.jpg', alt: 'Test Product' },
+        { id: 'b', src: 'back.jpg', thumbnail: 'back.jpg', zoomSrc: 'back.jpg', alt: 'Test Product (2)' }
+      ]
+    });
+
+    render(<ProductPage productId="123" />);
+
+    await waitFor(() => {
+      expect(screen.getByTestId('gallery-thumbnails')).toBeInTheDocument();
+    });
+    expect(screen.getByTestId('product-image')).toHaveAttribute('src', 'front.jpg');
+
+    fireEvent.click(screen.getByTestId('gallery-thumbnail-1'));
+    expect(screen.getByTestId('product-image')).toHaveAttribute('src', 'back.jpg');
+  });
+
+  it('should show the selected variant image in the gallery', async () => {
+    getProductById.mockResolvedValueOnce({
+      ...mockProduct,
+      images: [
+        { id: 'a', src: 'front.jpg', thumbnail: 'front.jpg', zoomSrc: 'front.jpg', alt: 'Test Product' },
+        { id: 'b', src: 'blue.jpg', thumbnail: 'blue.jpg', zoomSrc: 'blue.jpg', alt: 'Test Product (2)' }
+      ],
+      options: [{ key: 'color', name: 'Color', values: ['Red', 'Blue'] }],
+      variants: [
+        { id: 'red', sku: 'RED', options: { color: 'Red' }, price: null, image: null, available: true },
+        { id: 'blue', sku: 'BLUE', options: { color: 'Blue' }, price: null, image: 'blue.jpg', available: true }
+      ]
+    });
+
+    render(<ProductPage productId="123" />);
+
+    await waitFor(() => {
+      expect(screen.getByTestId('product-image')).toHaveAttribute('src', 'front.jpg');
+    });
+
+    fireEvent.click(screen.getByTestId('variant-value-color-Blue'));
+    expect(screen.getByTestId('product-image')).toHaveAttribute('src', 'blue.jpg');
+  });
+
+  it('should add the selected variant to the cart', async () => {
+    addToCart.mockResolvedValueOnce({ id: 'cart-1', items: [], itemCount: 1, subtotal: { amount: 10999, currency: 'USD' } });
+    getProductById.mockResolvedValueOnce({
+      ...mockProduct,
+      options: [{ key: 'size', name: 'Size', values: ['S', 'M'] }],
+      variants: [
+        { id: 's', sku: 'TS-S', options: { size: 'S' }, price: null, image: null, inventory: 0, available: false },
+        { id: 'm', sku: 'TS-M', options: { size: 'M' }, price: '109.99', image: null, inventory: 4, available: true }
+      ]
+    });
+
+    render(
+      <CartProvider loadOnMount={false}>
+        <ProductPage productId="123" />
+      </CartProvider>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByTestId('add-to-cart-button')).toBeEnabled();
+    });
+    fireEvent.click(screen.getByTestId('add-to-cart-button'));
+
+    expect(addToCart).toHaveBeenCalledWith({ productId: '123', variantId: 'm', quantity: 1 });
+    await waitFor(() => {
+      expect(screen.getByTestId('cart-status')).toHaveTextContent('Added 1 to cart');
+    });
+  });
+
+  it('should show the availability of the selected variant', async () => {
+    getProductById.mockResolvedValueOnce({
+      ...mockProduct,
+      options: [{ key: 'size', name: 'Size', values: ['S', 'M', 'L'] }],
+      variants: [
+        { id: 's', sku: 'TS-S', options: { size: 'S' }, price: null, image: null, inventory: 2, available: true, availability: { status: 'low_stock', quantity: 2, expectedDate: null } },
+        { id: 'm', sku: 'TS-M', options: { size: 'M' }, price: null, image: null, inventory: 0, available: true, availability: { status: 'backorder', quantity: 0, expectedDate: '2026-11-20T00:00:00.000Z' } },
+        { id: 'l', sku: 'TS-L', options: { size: 'L' }, price: null, image: null, inventory: null, available: true, availability: { status: 'preorder', quantity: null, expectedDate: null } }
+      ]
+    });
+
+    render(
+      <CartProvider loadOnMount={false}>
+        <ProductPage productId="123" />
+      </CartProvider>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByTestId('availability-status')).toHaveTextContent('Only 2 left');
+    });
+    expect(screen.getByTestId('quantity-input')).toHaveAttribute('max', '2');
+
+    fireEvent.click(screen.getByTestId('variant-value-size-M'));
+    expect(screen.getByTestId('availability-status')).toHaveTextContent('Order now, ships by November 20, 2026');
+    expect(screen.getByTestId('add-to-cart-button')).toHaveTextContent('Add to cart');
+    expect(screen.getByTestId('quantity-input')).toHaveAttribute('max', '99');
+
+    fireEvent.click(screen.getByTestId('variant-value-size-L'));
+    expect(screen.getByTestId('add-to-cart-button')).toHaveTextContent('Pre-order');
+    expect(screen.queryByTestId('back-in-stock-form')).not.toBeInTheDocument();
+  });
+
+  it('should offer a back-in-stock notification instead of add to cart', async () => {
+    subscribeToBackInStock.mockResolvedValueOnce({ id: 'sub-1', email: 'ada@example.com', status: 'subscribed' });
+    getProductById.mockResolvedValueOnce({ ...mockProduct, availability: { status: 'out_of_stock', quantity: 0, expectedDate: null } });
+
+    render(
+      <CartProvider loadOnMount={false}>
+        <ProductPage productId="123" />
+      </CartProvider>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByTestId('add-to-cart-button')).toBeDisabled();
+    });
+    expect(screen.getByTestId('add-to-cart-button')).toHaveTextContent('Out of stock');
+
+    fireEvent.change(screen.getByTestId('back-in-stock-email'), { target: { value: 'ada@example.com' } });
+    fireEvent.click(screen.getByTestId('back-in-stock-submit'));
+
+    expect(await screen.findByTestId('back-in-stock-confirmation')).toBeInTheDocument();
+    expect(subscribeToBackInStock).toHaveBeenCalledWith({ productId: '123', variantId: null, email: 'ada@example.com' });
+  });
+
+  it('should not sell or offer notifications for discontinued products', async () => {
+    getProductById.mockResolvedValueOnce({ ...mockProduct, availability: { status: 'discontinued', quantity: null, expectedDate: null } });
+
+    render(
+      <CartProvider loadOnMount={false}>
+        <ProductPage productId="123" />
+      </CartProvider>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByTestId('add-to-cart-button')).toHaveTextContent('Discontinued');
+    });
+    expect(screen.getByTestId('add-to-cart-button')).toBeDisabled();
+    expect(screen.queryByTestId('back-in-stock-form')).not.toBeInTheDocument();
+  });
+
+  it('should show the reviews of the product below it', async () => {
+    getProductById.mockResolvedValueOnce(mockProduct);
+    getReviews.mockResolvedValueOnce({
+      reviews: [{ id: 'r1', rating: 4, title: 'Solid', body: 'Does the job.', author: 'Ada', createdAt: null, verifiedPurchase: false, helpfulCount: 0, photos: [], status: 'published' }],
+      summary: { average: 4, count: 1, histogram: { 5: 0, 4: 1, 3: 0, 2: 0, 1: 0 } },
+      total: 1,
+      page: 1,
+      pageSize: 5,
+      totalPages: 1
+    });
+
+    render(<ProductPage productId="123" />);
+
+    expect(await screen.findByTestId('review-r1')).toHaveTextContent('Solid');
+    expect(screen.getByRole('heading', { name: 'Customer reviews' })).toBeInTheDocument();
+    expect(getReviews).toHaveBeenCalledWith('123', expect.objectContaining({ page: 1 }), expect.any(Object));
+  });
+
+  it('should load the questions once the Q&A section is scrolled into view', async () => {
+    const OriginalIntersectionObserver = window.IntersectionObserver;
+    const observers = [];
+    window.IntersectionObserver = class {
+      constructor(callback) {
+        this.callback = callback;
+        observers.push(this);
+      }
+
+      observe(target) {
+        this.target = target;
+      }
+
+      disconnect() {}
+    };
+    getProductById.mockResolvedValueOnce(mockProduct);
+    listQuestions.mockResolvedValue({
+      questions: [{ id: 'q1', body: 'Is it dimmable?', author: 'Ada', createdAt: null, upvotes: 0, answers: [], answerCount: 0, status: 'published' }],
+      total: 1,
+      page: 1,
+      pageSize: 5,
+      totalPages: 1
+    });
+
+    try {
+      render(<ProductPage productId="123" />);
+
+      expect(await screen.findByTestId('product-qa')).toBeInTheDocument();
+      expect(listQuestions).not.toHaveBeenCalled();
+
+      const observer = observers.find(candidate => candidate.target === screen.getByTestId('product-qa'));
+      await act(async () => {
+        observer.callback([{ isIntersecting: true, target: observer.target }]);
+      });
+
+      expect(await screen.findByTestId('question-q1')).toHaveTextContent('Is it dimmable?');
+      expect(listQuestions).toHaveBeenCalledWith('123', expect.objectContaining({ page: 1 }), expect.any(Object));
+    } finally {
+      window.IntersectionObserver = OriginalIntersectionObserver;
+    }
+  });
+
+  it('should list the other recently viewed products and remember this one', async () => {
+    window.localStorage.setItem('recently-viewed-products', JSON.stringify([{ id: '123', title: 'Test Product' }, { id: '77', title: 'Desk lamp', price: 30 }]));
+    getProductById.mockResolvedValueOnce(mockProduct);
+
+    render(
+      <MemoryRouter>
+        <ProductPage productId="123" />
+      </MemoryRouter>
+    );
+
+    const carousel = await screen.findByTestId('recently-viewed');
+    expect(carousel).toHaveTextContent('Desk lamp');
+    expect(screen.queryByTestId('carousel-product-123')).not.toBeInTheDocument();
+    expect(JSON.parse(window.localStorage.getItem('recently-viewed-products')).map(item => item.id)).toEqual(['123', '77']);
+  });
+
+  it('should mark when the product data and its image arrive', async () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribeToMetrics(listener);
+    getProductById.mockResolvedValueOnce(mockProduct);
+
+    render(<ProductPage productId="123" />);
+
+    const image = await screen.findByTestId('product-image');
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ name: 'product-data-received', productId: '123' }));
+    expect(listener).not.toHaveBeenCalledWith(expect.objectContaining({ name: 'product-image-loaded' }));
+
+    fireEvent.load(image);
+    fireEvent.load(image);
+    unsubscribe();
+
+    const imageMarks = listener.mock.calls.filter(([metric]) => metric.name === 'product-image-loaded');
+    expect(imageMarks).toEqual([[expect.objectContaining({ productId: '123' })]]);
+  });
+
+  it('should not offer add to cart without a CartProvider', async () => {
+    getProductById.mockResolvedValueOnce(mockProduct);
+
+    render(<ProductPage productId="123" />);
+
+    await waitFor(() => {
+      expect(screen.getByTestId('product-container')).toBeInTheDocument();
+    });
+    expect(screen.queryByTestId('add-to-cart')).not.toBeInTheDocument();
+  });
+
+  it('should format string prices returned by the transformer', async () => {
+    getProductById.mockResolvedValueOnce({ ...mockProduct, price: '99.99' });
+
+    render(<ProductPage productId="123" />);
+
+    await waitFor(() => {
+      expect(screen.getByTestId('product-price')).toHaveTextContent('$99.99');
+    });
+    expect(screen.getByTestId('product-price')).toHaveAttribute('aria-label', 'Price: $99.99');
+  });
+
+  it('should format money values for the provided locale', async () => {
+    getProductById
+      .mockResolvedValueOnce({ ...mockProduct, money: { amount: 1200, currency: 'JPY' } })
+      .mockResolvedValueOnce({ ...mockProduct, id: '456', money: { amount: 1250, currency: 'KWD' } });
+
+    const { rerender } = render(
+      <LocaleProvider locale="en-US">
+        <ProductPage productId="123" />
+      </LocaleProvider>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByTestId('product-price')).toHaveTextContent('¥1,200');
+    });
+
+    rerender(
+      <LocaleProvider locale="en-US">
+        <ProductPage productId="456" />
+      </LocaleProvider>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByTestId('product-price')).toHaveTextContent(/KWD\s1\.250/);
+    });
+  });
+
+  it('should show labels and errors in the provider language', async () => {
+    getProductById
+      .mockResolvedValueOnce({ ...mockProduct, description: '' })
+      .mockRejectedValueOnce(Object.assign(new Error('Network error'), { code: 'NETWORK_ERROR' }));
+
+    const { rerender } = render(
+      <LocaleProvider locale="de-DE" currency="EUR">
+        <ProductPage productId="123" />
+      </LocaleProvider>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByTestId('product-description')).toHaveTextContent('Keine Beschreibung vorhanden');
+    });
+    expect(screen.getByTestId('product-container')).toHaveAttribute('aria-label', 'Produktdetails');
+    expect(screen.getByTestId('product-container')).toHaveAttribute('lang', 'de-DE');
+
+    rerender(
+      <LocaleProvider locale="de-DE" currency="EUR">
+        <ProductPage productId="456" />
+      </LocaleProvider>
+    );
+
+    expect(await screen.findByTestId('error-message')).toHaveTextContent('Netzwerkfehler');
+    expect(screen.getByTestId('error-message')).toHaveClass('network-error');
+    expect(screen.getByTestId('retry-button')).toHaveTextContent('Erneut versuchen');
+  });
+
+  it('should translate the generic load error for errors without a message', async () => {
+    getProductById.mockRejectedValueOnce(new Error());
+
+    render(
+      <LocaleProvider locale="de-DE" currency="EUR">
+        <ProductPage productId="123" />
+      </LocaleProvider>
+    );
+
+    expect(await screen.findByTestId('error-message')).toHaveTextContent('Produktinformationen konnten nicht geladen werden');
+  });
+
+  it('should lay out right-to-left locales from the right', async () => {
+    getProductById.mockResolvedValueOnce(mockProduct);
+
+    render(
+      <LocaleProvider locale="ar-EG" currency="EGP">
+        <ProductPage productId="123" />
+      </LocaleProvider>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByTestId('product-container')).toHaveAttribute('dir', 'rtl');
+    });
+  });
+
+  it('should read plain prices in the provider currency', async () => {
+    getProductById.mockResolvedValueOnce({ ...mockProduct, price: '1234.5' });
+
+    render(
+      <LocaleProvider locale="de-DE" currency="EUR">
+        <ProductPage productId="123" />
+      </LocaleProvider>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByTestId('product-price')).toHaveTextContent(/1\.234,50\s€/);
+    });
+  });
+
+  it('should show sale pricing for the product', async () => {
+    getProductById.mockResolvedValueOnce({
+      ...mockProduct,
+      money: { amount: 8000, currency: 'USD' },
+      sale: { compareAt: { amount: 10000, currency: 'USD' }, discount: null, startsAt: null, endsAt: null }
+    });
+
+    render(<ProductPage productId="123" />);
+
+    await waitFor(() => {
+      expect(screen.getByTestId('discount-badge')).toHaveTextContent('-20%');
+    });
+    expect(screen.getByTestId('product-price')).toHaveTextContent('$80.00');
+    expect(screen.getByTestId('compare-at-price')).toHaveTextContent('$100.00');
+  });
+
+  it('should swap in the revalidated product after showing a stale one', async () => {
+    let revalidate;
+    getProductById.mockImplementationOnce((id, options) => {
+      revalidate = options.onRevalidated;
+      return Promise.resolve({ ...mockProduct, cached: true, stale: true });
+    });
+
+    render(<ProductPage productId="123" />);
+
+    await waitFor(() => {
+      expect(screen.getByTestId('product-title')).toHaveTextContent(mockProduct.title);
+    });
+
+    act(() => {
+      revalidate({ ...mockProduct, title: 'Revalidated Product' });
+    });
+
+    expect(screen.getByTestId('product-title')).toHaveTextContent('Revalidated Product');
+  });
+
+  it('should show saved data while offline and reload once back online', async () => {
+    getProductById
+      .mockResolvedValueOnce({ ...mockProduct, cached: true, offline: true })
+      .mockResolvedValueOnce({ ...mockProduct, title: 'Live Product' });
+
+    render(<ProductPage productId="123" />);
+
+    await waitFor(() => {
+      expect(screen.getByTestId('saved-data-banner')).toHaveTextContent("You're offline, showing saved data");
+    });
+
+    act(() => {
+      window.dispatchEvent(new Event('online'));
+    });
+
+    await waitFor(() => {
+      expect(screen.getByTestId('product-title')).toHaveTextContent('Live Product');
+    });
+    expect(screen.queryByTestId('saved-data-banner')).not.toBeInTheDocument();
+    expect(getProductById).toHaveBeenLastCalledWith('123', expect.objectContaining({ cache: false }));
+  });
+
+  it('should say when saved data is shown because the service is unavailable', async () => {
+    getProductById.mockResolvedValueOnce({ ...mockProduct, cached: true, unavailable: true });
+
+    render(<ProductPage productId="123" />);
+
+    await waitFor(() => {
+      expect(screen.getByTestId('saved-data-banner')).toHaveTextContent(
+        'The product service is unavailable, showing saved data'
+      );
+    });
+  });
 });
+
@@ -0,0 +1,431 @@
+import React, { useEffect, useId, useRef, useState } from 'react';
+import {
+  listQuestions,
+  askQuestion,
+  answerQuestion,
+  upvoteQuestion,
+  upvoteAnswer,
+  validateQuestion,
+  validateAnswer,
+  QA_LIMITS
+} from '../../services/questionsService';
+import { useLocale } from '../../context/LocaleContext';
+import { useDebouncedValue, useInViewOnce, useMountedState } from '../../utils/hooks';
+import Highlight from '../Highlight/Highlight';
+import {
+  QASection,
+  QAToolbar,
+  QuestionList,
+  QuestionItem,
+  AnswerList,
+  AnswerItem,
+  UpvoteButton,
+  PostForm,
+  QAMessage
+} from './ProductQA.styles';
+
+const VOTES_STORAGE_KEY = 'qa-upvotes';
+
+/**
+ * Reads the questions and answers the shopper already upvoted on this device
+ * @returns {Array<string>} - Keys of the form 'question:ID' or 'answer:ID'
+ */
+const readVotes = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(VOTES_STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Remembers upvotes so the buttons stay pressed on the next visit
+ * @param {Array<string>} votes - Vote keys
+ */
+const saveVotes = (votes) => {
+  try {
+    window.localStorage.setItem(VOTES_STORAGE_KEY, JSON.stringify(votes));
+  } catch (error) {
+    // The server rejects repeated upvotes anyway; this only keeps the button state
+  }
+};
+
+/**
+ * Orders answers with those from verified staff first, then by upvotes
+ * @param {Array<Object>} answers - Transformed answers
+ * @returns {Array<Object>} - Sorted copy
+ */
+const sortAnswers = answers => [...answers].sort((a, b) => (
+  Number(b.verifiedStaff) - Number(a.verifiedStaff) || b.upvotes - a.upvotes
+));
+
+/**
+ * Form for asking a question or answering one; both take a text and an optional name
+ * @param {Object} props
+ * @param {string} props.field - 'question' or 'answer'
+ * @param {string} props.label - Accessible name of the form
+ * @param {Function} props.validate - Returns a map of field to error message
+ * @param {Function} props.submit - Sends { [field], author } and resolves with the created post
+ * @param {Function} props.onSubmitted - Called with the created post
+ */
+const QAForm = ({ field, label, validate, submit, onSubmitted }) => {
+  const { t } = useLocale();
+  const id = useId();
+  const isMounted = useMountedState();
+  const [post, setPost] = useState({ [field]: '', author: '' });
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState({ type: null, message: '' });
+
+  const update = (name, value) => {
+    setPost(prev => ({ ...prev, [name]: value }));
+    setErrors(prev => (prev[name] ? { ...prev, [name]: undefined } : prev));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const fieldErrors = validate(post);
+    if (Object.keys(fieldErrors).length > 0) {
+      setErrors(fieldErrors);
+      event.currentTarget.elements.namedItem(fieldErrors[field] ? field : 'author')?.focus();
+      return;
+    }
+
+    setErrors({});
+    setStatus({ type: 'submitting', message: '' });
+    try {
+      const created = await submit(post);
+      if (!isMounted()) return;
+      setStatus({
+        type: 'success',
+        message: t(created.status === 'pending' ? 'qa.thanksPending' : 'qa.thanks', { field })
+      });
+      onSubmitted?.(created);
+    } catch (error) {
+      if (!isMounted()) return;
+      if (error?.code === 'VALIDATION_ERROR' && error.details?.fields) {
+        setErrors(error.details.fields);
+        setStatus({ type: null, message: '' });
+        return;
+      }
+      setStatus({ type: 'error', message: error?.message || t('qa.postFailed', { field }) });
+    }
+  };
+
+  const fieldProps = name => ({
+    name,
+    'aria-invalid': Boolean(errors[name]),
+    'aria-describedby': errors[name] ? `${id}-${name}-error` : undefined
+  });
+  const renderError = name => errors[name] && (
+    <QAMessage className="error" id={`${id}-${name}-error`} data-testid={`qa-error-${name}`}>{errors[name]}</QAMessage>
+  );
+
+  if (status.type === 'success') {
+    return <QAMessage role="status" data-testid={`${field}-form-success`}>{status.message}</QAMessage>;
+  }
+
+  return (
+    <PostForm onSubmit={handleSubmit} noValidate aria-label={label} data-testid={`${field}-form`}>
+      <label>
+        {t('qa.text', { field })}
+        <textarea
+          value={post[field]}
+          maxLength={QA_LIMITS[`${field}MaxLength`]}
+          onChange={event => update(field, event.target.value)}
+          {...fieldProps(field)}
+        />
+      </label>
+      {renderError(field)}
+      <label>
+        {t('qa.author')}
+        <input
+          type="text"
+          autoComplete="nickname"
+          value={post.author}
+          onChange={event => update('author', event.target.value)}
+          {...fieldProps('author')}
+        />
+      </label>
+      {renderError('author')}
+      {status.type === 'error' && (
+        <QAMessage className="error" role="alert">{status.message}</QAMessage>
+      )}
+      <button type="submit" disabled={status.type === 'submitting'} data-testid={`${field}-submit`}>
+        {status.type === 'submitting' ? t('qa.posting') : t('qa.post', { field })}
+      </button>
+    </PostForm>
+  );
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Customer questions and answers about a product. Nothing is fetched until the
+ * section is scrolled near the viewport. Shoppers can search the questions,
+ * ask and answer them and upvote useful ones; answers from verified staff are
+ * marked and listed first. Render it with the product ID as key, so another
+ * product starts from a cleared search.
+ * @param {Object} props
+ * @param {string} props.productId - Product whose questions are shown
+ * @param {number} props.pageSize - Questions fetched per page
+ * @param {number} props.debounceDelay - Milliseconds to wait after typing before searching
+ */
+const ProductQA = ({ productId, pageSize, debounceDelay = 300 }) => {
+  const { locale, t } = useLocale();
+  const sectionRef = useRef(null);
+  // Starts loading once the section comes within a screen of the viewport
+  const visible = useInViewOnce(sectionRef, '100% 0px');
+  const [input, setInput] = useState('');
+  const query = useDebouncedValue(input.trim(), debounceDelay);
+  // Tied to the search it was reached in, so a new search starts from its first page
+  const [paging, setPaging] = useState({ query: '', page: 1 });
+  const page = paging.query === query ? paging.page : 1;
+  const [result, setResult] = useState({ status: 'idle', questions: [], total: 0, totalPages: 1, error: null });
+  const [attempt, setAttempt] = useState(0);
+  const [votes, setVotes] = useState(readVotes);
+  const [voteError, setVoteError] = useState(null);
+  const [showAskForm, setShowAskForm] = useState(false);
+  const [answering, setAnswering] = useState(null);
+
+  useEffect(() => {
+    if (!visible) {
+      return undefined;
+    }
+    const abortController = new AbortController();
+    setResult(prev => ({ ...prev, status: 'loading', error: null }));
+
+    const load = async () => {
+      try {
+        const data = await listQuestions(productId, { query, page, pageSize }, { signal: abortController.signal });
+        if (!abortController.signal.aborted) {
+          // Later pages are added below the questions already shown
+          setResult(prev => ({
+            status: 'success',
+            questions: page > 1 ? [...prev.questions, ...data.questions] : data.questions,
+            total: data.total,
+            totalPages: data.totalPages,
+            error: null
+          }));
+        }
+      } catch (error) {
+        if (!abortController.signal.aborted && error?.code !== 'REQUEST_CANCELLED') {
+          setResult(prev => ({ ...prev, status: 'error', error }));
+        }
+      }
+    };
+    load();
+
+    return () => {
+      abortController.abort();
+    };
+  }, [visible, productId, query, page, pageSize, attempt]);
+
+  const updateQuestion = (questionId, change) => {
+    setResult(prev => ({
+      ...prev,
+      questions: prev.questions.map(question => (question.id === questionId ? change(question) : question))
+    }));
+  };
+
+  const setUpvotes = (questionId, answerId, change) => {
+    updateQuestion(questionId, question => (answerId
+      ? {
+        ...question,
+        answers: question.answers.map(answer => (
+          answer.id === answerId ? { ...answer, upvotes: change(answer.upvotes) } : answer
+        ))
+      }
+      : { ...question, upvotes: change(question.upvotes) }));
+  };
+
+  const upvote = async (questionId, answerId = null) => {
+    const key = answerId ? `answer:${answerId}` : `question:${questionId}`;
+    if (votes.includes(key)) return;
+
+    // Counted right away; a failed upvote is taken back
+    const nextVotes = [...votes, key];
+    setVotes(nextVotes);
+    setVoteError(null);
+    setUpvotes(questionId, answerId, count => count + 1);
+
+    try {
+      const { upvotes } = answerId
+        ? await upvoteAnswer(productId, questionId, answerId)
+        : await upvoteQuestion(productId, questionId);
+      saveVotes(nextVotes);
+      if (upvotes !== null) {
+        setUpvotes(questionId, answerId, () => upvotes);
+      }
+    } catch (error) {
+      setVotes(prev => prev.filter(vote => vote !== key));
+      setUpvotes(questionId, answerId, count => Math.max(0, count - 1));
+      setVoteError(error?.message || t('qa.voteFailed'));
+    }
+  };
+
+  const handleAsked = (question) => {
+    if (question.status !== 'pending') {
+      setResult(prev => ({ ...prev, questions: [question, ...prev.questions], total: prev.total + 1 }));
+    }
+  };
+
+  const handleAnswered = (questionId, answer) => {
+    if (answer.status !== 'pending') {
+      updateQuestion(questionId, question => ({
+        ...question,
+        answers: [...question.answers, answer],
+        answerCount: question.answerCount + 1
+      }));
+    }
+  };
+
+  const formatDate = value => new Intl.DateTimeFormat(locale, { dateStyle: 'medium' }).format(new Date(value));
+
+  const renderUpvote = (key, count, onClick, testId) => {
+    const voted = votes.includes(key);
+    return (
+      <UpvoteButton type="button" aria-pressed={voted} onClick={onClick} data-testid={testId}>
+        {t('qa.upvote', { voted, count })}
+      </UpvoteButton>
+    );
+  };
+
+  const { status, questions, total, totalPages, error } = result;
+
+  return (
+    <QASection ref={sectionRef} aria-labelledby="qa-heading" data-testid="product-qa">
+      <h2 id="qa-heading">{t('qa.title')}</h2>
+
+      <QAToolbar>
+        <input
+          type="search"
+          value={input}
+          onChange={event => setInput(event.target.value)}
+          placeholder={t('qa.search')}
+          aria-label={t('qa.search')}
+          data-testid="qa-search"
+        />
+        <button type="button" onClick={() => setShowAskForm(open => !open)} aria-expanded={showAskForm} data-testid="ask-question">
+          {t('qa.ask')}
+        </button>
+      </QAToolbar>
+
+      {showAskForm && (
+        <QAForm
+          field="question"
+          label={t('qa.ask')}
+          validate={validateQuestion}
+          submit={post => askQuestion(productId, post)}
+          onSubmitted={handleAsked}
+        />
+      )}
+
+      {(status === 'idle' || (status === 'loading' && questions.length === 0)) && (
+        <QAMessage role="status">{t('qa.loading')}</QAMessage>
+      )}
+
+      {status === 'error' && (
+        <QAMessage className="error" role="alert" data-testid="qa-error">
+          {error?.message || t('qa.loadFailed')}
+          {' '}
+          <button type="button" onClick={() => setAttempt(count => count + 1)}>{t('qa.retry')}</button>
+        </QAMessage>
+      )}
+
+      {status === 'success' && questions.length === 0 && (
+        <QAMessage data-testid="qa-empty">
+          {query ? t('qa.noMatches', { query }) : t('qa.empty')}
+        </QAMessage>
+      )}
+
+      {voteError && (
+        <QAMessage className="error" role="alert">{voteError}</QAMessage>
+      )}
+
+      {questions.length > 0 && (
+        <QuestionList aria-busy={status === 'loading'} data-testid="question-list">
+          {questions.map(question => (
+            <QuestionItem key={question.id} data-testid={`question-${question.id}`}>
+              <h3><Highlight text={question.body} query={query} /></h3>
+              <span className="qa-meta">
+                {question.author || t('qa.anonymous')}
+                {question.createdAt && <> · <time dateTime={question.createdAt}>{formatDate(question.createdAt)}</time></>}
+              </span>
+              {renderUpvote(
+                `question:${question.id}`,
+                question.upvotes,
+                () => upvote(question.id),
+                `question-upvote-${question.id}`
+              )}
+
+              {question.answers.length > 0 && (
+                <AnswerList aria-label={t('qa.answersTo', { question: question.body })}>
+                  {sortAnswers(question.answers).map(answer => (
+                    <AnswerItem
+                      key={answer.id}
+                      className={answer.verifiedStaff ? 'staff' : undefined}
+                      data-testid={`answer-${answer.id}`}
+                    >
+                      <p><Highlight text={answer.body} query={query} /></p>
+                      <span className="qa-meta">
+                        {answer.author || t('qa.anonymous')}
+                        {answer.verifiedStaff && (
+                          <> <span className="staff-badge" data-testid={`answer-staff-${answer.id}`}>{t('qa.verifiedStaff')}</span></>
+                        )}
+                        {answer.createdAt && <> · <time dateTime={answer.createdAt}>{formatDate(answer.createdAt)}</time></>}
+                      </span>
+                      {renderUpvote(
+                        `answer:${answer.id}`,
+                        answer.upvotes,
+                        () => upvote(question.id, answer.id),
+                        `answer-upvote-${answer.id}`
+                      )}
+                    </AnswerItem>
+                  ))}
+                </AnswerList>
+              )}
+              {question.answerCount > question.answers.length && (
+                <span className="qa-meta">
+                  {t('qa.moreAnswers', { count: question.answerCount - question.answers.length })}
+                </span>
+              )}
+
+              {answering === question.id ? (
+                <QAForm
+                  field="answer"
+                  label={t('qa.answerLabel', { question: question.body })}
+                  validate={validateAnswer}
+                  submit={post => answerQuestion(productId, question.id, post)}
+                  onSubmitted={answer => handleAnswered(question.id, answer)}
+                />
+              ) : (
+                <button
+                  type="button"
+                  className="answer-toggle"
+                  onClick={() => setAnswering(question.id)}
+                  data-testid={`answer-question-${question.id}`}
+                >
+                  {t('qa.answerThis')}
+                </button>
+              )}
+            </QuestionItem>
+          ))}
+        </QuestionList>
+      )}
+
+      {questions.length > 0 && page < totalPages && (
+        <button
+          type="button"
+          className="show-more"
+          onClick={() => setPaging({ query, page: page + 1 })}
+          disabled={status === 'loading'}
+          data-testid="qa-show-more"
+        >
+          {status === 'loading' ? t('qa.loadingMore') : t('qa.showMore', { count: Math.max(0, total - questions.length) })}
+        </button>
+      )}
+    </QASection>
+  );
+};
+
+export default ProductQA;
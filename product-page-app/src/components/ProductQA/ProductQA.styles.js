@@ -0,0 +1,217 @@
+import styled from 'styled-components';
+
+export const QASection = styled.section`
+  grid-column: 1 / -1;
+  display: flex;
+  flex-direction: column;
+  gap: 1.5rem;
+  padding-top: 2rem;
+  border-top: 1px solid #e2e8f0;
+
+  h2 {
+    margin: 0;
+    color: #333;
+  }
+
+  .show-more {
+    align-self: center;
+    padding: 0.5rem 1rem;
+    border: 1px solid #cbd5e0;
+    border-radius: 4px;
+    background-color: white;
+    cursor: pointer;
+
+    &:disabled {
+      cursor: not-allowed;
+      opacity: 0.5;
+    }
+  }
+`;
+
+export const QAToolbar = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 1rem;
+
+  input[type='search'] {
+    flex: 1;
+    min-width: 14rem;
+    padding: 0.5rem 0.75rem;
+    border: 1px solid #cbd5e0;
+    border-radius: 4px;
+    font: inherit;
+
+    &:focus-visible {
+      outline: 2px solid #4299e1;
+      outline-offset: 2px;
+    }
+  }
+
+  button {
+    padding: 0.5rem 1rem;
+    border: 1px solid #2c5282;
+    border-radius: 4px;
+    background-color: white;
+    color: #2c5282;
+    cursor: pointer;
+  }
+`;
+
+export const QuestionList = styled.ol`
+  display: flex;
+  flex-direction: column;
+  gap: 1.5rem;
+  margin: 0;
+  padding: 0;
+  list-style: none;
+`;
+
+export const QuestionItem = styled.li`
+  display: flex;
+  flex-direction: column;
+  gap: 0.5rem;
+  padding-bottom: 1.5rem;
+  border-bottom: 1px solid #edf2f7;
+
+  h3 {
+    margin: 0;
+    font-size: 1.1rem;
+    color: #333;
+  }
+
+  mark {
+    background-color: #fefcbf;
+    color: inherit;
+  }
+
+  .qa-meta {
+    font-size: 0.875rem;
+    color: #718096;
+  }
+
+  .answer-toggle {
+    align-self: flex-start;
+    padding: 0;
+    border: none;
+    background: none;
+    color: #2c5282;
+    font: inherit;
+    text-decoration: underline;
+    cursor: pointer;
+  }
+`;
+
+export const AnswerList = styled.ul`
+  display: flex;
+  flex-direction: column;
+  gap: 1rem;
+  margin: 0.5rem 0 0;
+  padding: 0 0 0 1rem;
+  border-left: 3px solid #e2e8f0;
+  list-style: none;
+`;
+
+export const AnswerItem = styled.li`
+  display: flex;
+  flex-direction: column;
+  gap: 0.375rem;
+
+  p {
+    margin: 0;
+    line-height: 1.6;
+    color: #4a5568;
+    white-space: pre-line;
+  }
+
+  .staff-badge {
+    padding: 0.125rem 0.5rem;
+    border-radius: 999px;
+    background-color: #ebf8ff;
+    color: #2c5282;
+    font-size: 0.75rem;
+    font-weight: bold;
+  }
+`;
+
+export const UpvoteButton = styled.button`
+  align-self: flex-start;
+  padding: 0.25rem 0.75rem;
+  border: 1px solid #cbd5e0;
+  border-radius: 4px;
+  background-color: white;
+  color: #4a5568;
+  font-size: 0.875rem;
+  cursor: pointer;
+
+  &[aria-pressed='true'] {
+    border-color: #2f855a;
+    color: #2f855a;
+    cursor: default;
+  }
+`;
+
+export const PostForm = styled.form`
+  display: flex;
+  flex-direction: column;
+  gap: 0.75rem;
+  padding: 1rem;
+  border: 1px solid #e2e8f0;
+  border-radius: 4px;
+  background-color: #f7fafc;
+
+  label {
+    font-weight: bold;
+    color: #333;
+  }
+
+  input[type='text'],
+  textarea {
+    width: 100%;
+    box-sizing: border-box;
+    margin-top: 0.25rem;
+    padding: 0.5rem 0.75rem;
+    border: 1px solid #cbd5e0;
+    border-radius: 4px;
+    font: inherit;
+
+    &[aria-invalid='true'] {
+      border-color: #e53e3e;
+    }
+
+    &:focus-visible {
+      outline: 2px solid #4299e1;
+      outline-offset: 2px;
+    }
+  }
+
+  textarea {
+    min-height: 5rem;
+    resize: vertical;
+  }
+
+  button[type='submit'] {
+    align-self: flex-start;
+    padding: 0.5rem 1.25rem;
+    border: none;
+    border-radius: 4px;
+    background-color: #2c5282;
+    color: white;
+    font-weight: bold;
+    cursor: pointer;
+
+    &:disabled {
+      background-color: #a0aec0;
+      cursor: not-allowed;
+    }
+  }
+`;
+
+export const QAMessage = styled.p`
+  margin: 0;
+  color: #4a5568;
+
+  &.error {
+    color: #e53e3e;
+  }
+`;
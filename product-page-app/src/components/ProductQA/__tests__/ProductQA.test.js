@@ -0,0 +1,195 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor, act, within } from '@testing-library/react';
+import ProductQA from '../ProductQA';
+import {
+  listQuestions,
+  askQuestion,
+  upvoteAnswer,
+  validateQuestion,
+  validateAnswer
+} from '../../../services/questionsService';
+
+jest.mock('../../../services/questionsService', () => ({
+  QA_LIMITS: { questionMaxLength: 500, answerMaxLength: 2000 },
+  listQuestions: jest.fn(),
+  askQuestion: jest.fn(),
+  answerQuestion: jest.fn(),
+  upvoteQuestion: jest.fn(),
+  upvoteAnswer: jest.fn(),
+  validateQuestion: jest.fn(),
+  validateAnswer: jest.fn()
+}));
+
+const question = (id, overrides = {}) => ({
+  id,
+  body: `Does lamp ${id} dim?`,
+  author: 'Ada',
+  createdAt: '2026-04-02T08:00:00.000Z',
+  upvotes: 1,
+  answers: [],
+  answerCount: 0,
+  status: 'published',
+  ...overrides
+});
+
+const answer = (id, overrides = {}) => ({
+  id,
+  body: 'Yes, it dims smoothly.',
+  author: 'Linus',
+  createdAt: null,
+  upvotes: 0,
+  verifiedStaff: false,
+  status: 'published',
+  ...overrides
+});
+
+const questionPage = (questions, overrides = {}) => ({
+  questions,
+  total: questions.length,
+  page: 1,
+  pageSize: 5,
+  totalPages: 1,
+  ...overrides
+});
+
+describe('ProductQA', () => {
+  const OriginalIntersectionObserver = window.IntersectionObserver;
+  let observers;
+
+  // Reports the section as scrolled into view
+  const scrollIntoView = async () => {
+    await act(async () => {
+      observers.forEach(observer => observer.callback([{ isIntersecting: true, target: observer.target }]));
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    window.localStorage.clear();
+    validateQuestion.mockReturnValue({});
+    validateAnswer.mockReturnValue({});
+    observers = [];
+    window.IntersectionObserver = class {
+      constructor(callback) {
+        this.callback = callback;
+        observers.push(this);
+      }
+
+      observe(target) {
+        this.target = target;
+      }
+
+      disconnect() {}
+    };
+  });
+
+  afterEach(() => {
+    window.IntersectionObserver = OriginalIntersectionObserver;
+  });
+
+  it('should only load the questions once scrolled into view and list staff answers first', async () => {
+    listQuestions.mockResolvedValueOnce(questionPage([
+      question('q1', {
+        answers: [answer('a1', { upvotes: 9 }), answer('a2', { author: 'Grace', verifiedStaff: true })],
+        answerCount: 3
+      })
+    ]));
+    render(<ProductQA productId="123" />);
+
+    expect(screen.getByText('Loading questions…')).toBeInTheDocument();
+    expect(listQuestions).not.toHaveBeenCalled();
+    expect(observers[0].target).toBe(screen.getByTestId('product-qa'));
+
+    await scrollIntoView();
+
+    const item = await screen.findByTestId('question-q1');
+    expect(item).toHaveTextContent('Does lamp q1 dim?');
+    const answers = within(item).getAllByTestId(/^answer-a\d$/);
+    expect(answers.map(node => node.dataset.testid)).toEqual(['answer-a2', 'answer-a1']);
+    expect(screen.getByTestId('answer-staff-a2')).toHaveTextContent('Verified staff');
+    expect(screen.queryByTestId('answer-staff-a1')).not.toBeInTheDocument();
+    expect(item).toHaveTextContent('1 more answer');
+    expect(listQuestions).toHaveBeenCalledWith('123', { query: '', page: 1, pageSize: undefined }, expect.any(Object));
+  });
+
+  it('should load right away where IntersectionObserver is not supported', async () => {
+    delete window.IntersectionObserver;
+    listQuestions.mockResolvedValueOnce(questionPage([]));
+    render(<ProductQA productId="123" />);
+
+    expect(await screen.findByTestId('qa-empty')).toHaveTextContent('No questions yet');
+  });
+
+  it('should search the questions and mark the matching words', async () => {
+    listQuestions
+      .mockResolvedValueOnce(questionPage([question('q1'), question('q2')]))
+      .mockResolvedValueOnce(questionPage([question('q2', { answers: [answer('a1')] })]));
+    render(<ProductQA productId="123" debounceDelay={0} />);
+    await scrollIntoView();
+    await screen.findByTestId('question-q1');
+
+    fireEvent.change(screen.getByTestId('qa-search'), { target: { value: 'dim' } });
+
+    await waitFor(() => {
+      expect(screen.queryByTestId('question-q1')).not.toBeInTheDocument();
+    });
+    expect(listQuestions).toHaveBeenLastCalledWith('123', expect.objectContaining({ query: 'dim', page: 1 }), expect.any(Object));
+    expect(within(screen.getByTestId('question-q2')).getAllByText('dim', { selector: 'mark' })).toHaveLength(2);
+  });
+
+  it('should add the next page of questions below the first', async () => {
+    listQuestions
+      .mockResolvedValueOnce(questionPage([question('q1')], { total: 2, totalPages: 2 }))
+      .mockResolvedValueOnce(questionPage([question('q2')], { total: 2, page: 2, totalPages: 2 }));
+    render(<ProductQA productId="123" />);
+    await scrollIntoView();
+
+    fireEvent.click(await screen.findByTestId('qa-show-more'));
+
+    expect(await screen.findByTestId('question-q2')).toBeInTheDocument();
+    expect(screen.getByTestId('question-q1')).toBeInTheDocument();
+    expect(screen.queryByTestId('qa-show-more')).not.toBeInTheDocument();
+    expect(listQuestions).toHaveBeenLastCalledWith('123', expect.objectContaining({ page: 2 }), expect.any(Object));
+  });
+
+  it('should count upvotes right away and take back the ones that fail', async () => {
+    listQuestions.mockResolvedValueOnce(questionPage([question('q1', { answers: [answer('a1', { upvotes: 2 })], answerCount: 1 })]));
+    upvoteAnswer.mockResolvedValueOnce({ upvotes: 7 });
+    render(<ProductQA productId="123" />);
+    await scrollIntoView();
+
+    fireEvent.click(await screen.findByTestId('answer-upvote-a1'));
+
+    expect(screen.getByTestId('answer-upvote-a1')).toHaveTextContent('Upvoted (3 votes)');
+    await waitFor(() => {
+      expect(screen.getByTestId('answer-upvote-a1')).toHaveTextContent('Upvoted (7 votes)');
+    });
+    expect(upvoteAnswer).toHaveBeenCalledWith('123', 'q1', 'a1');
+    expect(JSON.parse(window.localStorage.getItem('qa-upvotes'))).toEqual(['answer:a1']);
+
+    fireEvent.click(screen.getByTestId('answer-upvote-a1'));
+    expect(upvoteAnswer).toHaveBeenCalledTimes(1);
+  });
+
+  it('should ask a question and say when it awaits moderation', async () => {
+    listQuestions.mockResolvedValueOnce(questionPage([]));
+    askQuestion.mockResolvedValueOnce(question('q9', { status: 'pending' }));
+    render(<ProductQA productId="123" />);
+    await scrollIntoView();
+
+    fireEvent.click(screen.getByTestId('ask-question'));
+    validateQuestion.mockReturnValueOnce({ question: 'Please write at least 10 characters' });
+    fireEvent.click(screen.getByTestId('question-submit'));
+
+    expect(screen.getByTestId('qa-error-question')).toHaveTextContent('at least 10 characters');
+    expect(screen.getByLabelText('Your question')).toHaveFocus();
+    expect(askQuestion).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByLabelText('Your question'), { target: { value: 'Does it fit an E27 socket?' } });
+    fireEvent.click(screen.getByTestId('question-submit'));
+
+    expect(await screen.findByTestId('question-form-success')).toHaveTextContent('will appear once it has been checked');
+    expect(askQuestion).toHaveBeenCalledWith('123', { question: 'Does it fit an E27 socket?', author: '' });
+    expect(screen.queryByTestId('question-q9')).not.toBeInTheDocument();
+  });
+});
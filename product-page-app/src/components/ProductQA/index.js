@@ -0,0 +1,2 @@
+export { default as ProductQA } from './ProductQA';
+export * from './ProductQA.styles';
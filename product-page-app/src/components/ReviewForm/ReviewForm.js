@@ -0,0 +1,198 @@
+import React, { useId, useRef, useState } from 'react';
+import { useTranslation } from '../../context/LocaleContext';
+import { submitReview, validateReview, REVIEW_LIMITS } from '../../services/reviewService';
+import { useMountedState } from '../../utils/hooks';
+import {
+  FormContainer,
+  RatingInput,
+  PhotoList,
+  FieldError,
+  FormMessage
+} from './ReviewForm.styles';
+
+const EMPTY_REVIEW = { rating: 0, title: '', body: '', author: '', photos: [] };
+
+// Fields in the order they appear, so the first invalid one gets the focus
+const FIELD_ORDER = ['rating', 'title', 'body', 'author', 'photos'];
+
+// PUBLIC_INTERFACE
+/**
+ * Form for writing a review with a star rating and photo attachments. Fields
+ * are checked with the same rules the review service applies, errors are shown
+ * next to each field, and the first invalid field is focused.
+ * @param {Object} props
+ * @param {string} props.productId - Product being reviewed
+ * @param {Function} props.onSubmitted - Called with the created review
+ */
+const ReviewForm = ({ productId, onSubmitted }) => {
+  const id = useId();
+  const { t } = useTranslation();
+  const isMounted = useMountedState();
+  const formRef = useRef(null);
+  const [review, setReview] = useState(EMPTY_REVIEW);
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState({ type: null, message: '' });
+
+  const update = (field, value) => {
+    setReview(prev => ({ ...prev, [field]: value }));
+    // A corrected field stops showing its error; the rest wait for the next submit
+    setErrors(prev => (prev[field] ? { ...prev, [field]: undefined } : prev));
+  };
+
+  const focusFirstError = (fieldErrors) => {
+    const field = FIELD_ORDER.find(name => fieldErrors[name]);
+    const element = formRef.current?.elements.namedItem(field);
+    // The star radios come back as a list; focus the first of them
+    (element?.[0] ?? element)?.focus?.();
+  };
+
+  const addPhotos = (event) => {
+    const files = Array.from(event.target.files || []);
+    update('photos', [...review.photos, ...files]);
+    // Lets the same file be picked again after it was removed
+    event.target.value = '';
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const fieldErrors = validateReview(review);
+    if (Object.keys(fieldErrors).length > 0) {
+      setErrors(fieldErrors);
+      setStatus({ type: null, message: '' });
+      focusFirstError(fieldErrors);
+      return;
+    }
+
+    setErrors({});
+    setStatus({ type: 'submitting', message: '' });
+    try {
+      const created = await submitReview(productId, review);
+      if (!isMounted()) return;
+      setReview(EMPTY_REVIEW);
+      setStatus({
+        type: 'success',
+        message: created.status === 'pending'
+          ? t('reviewForm.thanksPending')
+          : t('reviewForm.thanks')
+      });
+      onSubmitted?.(created);
+    } catch (error) {
+      if (!isMounted()) return;
+      if (error?.code === 'VALIDATION_ERROR' && error.details?.fields) {
+        setErrors(error.details.fields);
+        focusFirstError(error.details.fields);
+        setStatus({ type: null, message: '' });
+        return;
+      }
+      setStatus({ type: 'error', message: error?.message || t('reviewForm.failed') });
+    }
+  };
+
+  // Props linking a field to its error message
+  const fieldProps = field => ({
+    name: field,
+    'aria-invalid': Boolean(errors[field]),
+    'aria-describedby': errors[field] ? `${id}-${field}-error` : undefined
+  });
+  const renderError = field => errors[field] && (
+    <FieldError id={`${id}-${field}-error`} data-testid={`review-error-${field}`}>{errors[field]}</FieldError>
+  );
+
+  if (status.type === 'success') {
+    return <FormMessage role="status" data-testid="review-form-success">{status.message}</FormMessage>;
+  }
+
+  return (
+    <FormContainer ref={formRef} onSubmit={handleSubmit} noValidate aria-label={t('reviewForm.label')} data-testid="review-form">
+      <RatingInput aria-describedby={errors.rating ? `${id}-rating-error` : undefined}>
+        <legend>{t('reviewForm.rating')}</legend>
+        {[1, 2, 3, 4, 5].map(stars => (
+          <label key={stars} className={stars <= review.rating ? 'selected' : undefined}>
+            <input
+              type="radio"
+              name="rating"
+              value={stars}
+              checked={review.rating === stars}
+              onChange={() => update('rating', stars)}
+              aria-label={t('reviewForm.stars', { stars })}
+            />
+            <span aria-hidden="true">★</span>
+          </label>
+        ))}
+      </RatingInput>
+      {renderError('rating')}
+
+      <label>
+        {t('reviewForm.title')}
+        <input
+          type="text"
+          value={review.title}
+          maxLength={REVIEW_LIMITS.titleMaxLength}
+          onChange={event => update('title', event.target.value)}
+          {...fieldProps('title')}
+        />
+      </label>
+      {renderError('title')}
+
+      <label>
+        {t('reviewForm.body')}
+        <textarea
+          value={review.body}
+          onChange={event => update('body', event.target.value)}
+          {...fieldProps('body')}
+        />
+      </label>
+      {renderError('body')}
+
+      <label>
+        {t('reviewForm.author')}
+        <input
+          type="text"
+          autoComplete="nickname"
+          value={review.author}
+          onChange={event => update('author', event.target.value)}
+          {...fieldProps('author')}
+        />
+      </label>
+      {renderError('author')}
+
+      <label>
+        {t('reviewForm.photos', { max: REVIEW_LIMITS.maxPhotos })}
+        <input
+          type="file"
+          accept={REVIEW_LIMITS.photoTypes.join(',')}
+          multiple
+          onChange={addPhotos}
+          data-testid="review-photos-input"
+          {...fieldProps('photos')}
+        />
+      </label>
+      {review.photos.length > 0 && (
+        <PhotoList aria-label={t('reviewForm.attachedPhotos')}>
+          {review.photos.map((photo, index) => (
+            <li key={`${photo.name}-${index}`}>
+              {photo.name}
+              <button
+                type="button"
+                onClick={() => update('photos', review.photos.filter((_, position) => position !== index))}
+                aria-label={t('reviewForm.removePhoto', { name: photo.name })}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </PhotoList>
+      )}
+      {renderError('photos')}
+
+      {status.type === 'error' && (
+        <FormMessage className="error" role="alert">{status.message}</FormMessage>
+      )}
+      <button type="submit" disabled={status.type === 'submitting'} data-testid="review-submit">
+        {status.type === 'submitting' ? t('reviewForm.submitting') : t('reviewForm.submit')}
+      </button>
+    </FormContainer>
+  );
+};
+
+export default ReviewForm;
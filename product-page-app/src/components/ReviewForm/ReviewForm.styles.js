@@ -0,0 +1,136 @@
+import styled from 'styled-components';
+
+export const FormContainer = styled.form`
+  display: flex;
+  flex-direction: column;
+  gap: 1rem;
+  padding: 1.25rem;
+  border: 1px solid #e2e8f0;
+  border-radius: 4px;
+  background-color: #f7fafc;
+
+  label,
+  legend {
+    font-weight: bold;
+    color: #333;
+  }
+
+  input[type='text'],
+  textarea {
+    width: 100%;
+    box-sizing: border-box;
+    margin-top: 0.25rem;
+    padding: 0.5rem 0.75rem;
+    border: 1px solid #cbd5e0;
+    border-radius: 4px;
+    font: inherit;
+
+    &[aria-invalid='true'] {
+      border-color: #e53e3e;
+    }
+
+    &:focus-visible {
+      outline: 2px solid #4299e1;
+      outline-offset: 2px;
+    }
+  }
+
+  textarea {
+    min-height: 8rem;
+    resize: vertical;
+  }
+
+  button[type='submit'] {
+    align-self: flex-start;
+    padding: 0.75rem 1.5rem;
+    border: none;
+    border-radius: 4px;
+    background-color: #2c5282;
+    color: white;
+    font-size: 1rem;
+    font-weight: bold;
+    cursor: pointer;
+
+    &:disabled {
+      background-color: #a0aec0;
+      cursor: not-allowed;
+    }
+  }
+`;
+
+export const RatingInput = styled.fieldset`
+  display: flex;
+  gap: 0.25rem;
+  margin: 0;
+  padding: 0;
+  border: none;
+
+  legend {
+    margin-bottom: 0.25rem;
+  }
+
+  label {
+    font-size: 1.75rem;
+    line-height: 1;
+    color: #cbd5e0;
+    cursor: pointer;
+
+    &.selected {
+      color: #d69e2e;
+    }
+  }
+
+  input {
+    position: absolute;
+    opacity: 0;
+    width: 1px;
+    height: 1px;
+  }
+
+  input:focus-visible + span {
+    outline: 2px solid #4299e1;
+    outline-offset: 2px;
+  }
+`;
+
+export const PhotoList = styled.ul`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.5rem;
+  margin: 0.5rem 0 0;
+  padding: 0;
+  list-style: none;
+
+  li {
+    display: flex;
+    align-items: center;
+    gap: 0.25rem;
+    padding: 0.25rem 0.5rem;
+    border: 1px solid #cbd5e0;
+    border-radius: 4px;
+    background-color: white;
+    font-size: 0.875rem;
+  }
+
+  button {
+    border: none;
+    background: none;
+    color: #c53030;
+    cursor: pointer;
+  }
+`;
+
+export const FieldError = styled.p`
+  margin: 0.25rem 0 0;
+  font-size: 0.875rem;
+  color: #e53e3e;
+`;
+
+export const FormMessage = styled.p`
+  margin: 0;
+  color: #2f855a;
+
+  &.error {
+    color: #e53e3e;
+  }
+`;
@@ -0,0 +1,93 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import ReviewForm from '../ReviewForm';
+import { submitReview } from '../../../services/reviewService';
+
+jest.mock('../../../services/reviewService', () => ({
+  ...jest.requireActual('../../../services/reviewService'),
+  submitReview: jest.fn()
+}));
+
+jest.mock('../../../services/api', () => ({
+  __esModule: true,
+  default: {},
+  DEFAULT_CONFIG: { timeout: 5000 }
+}));
+
+jest.mock('../../../services/auth', () => ({
+  __esModule: true,
+  default: { onLogout: jest.fn() }
+}));
+
+const fillIn = () => {
+  fireEvent.click(screen.getByRole('radio', { name: '4 stars' }));
+  fireEvent.change(screen.getByRole('textbox', { name: 'Review' }), { target: { value: 'Comfortable and well made, fits as expected.' } });
+  fireEvent.change(screen.getByRole('textbox', { name: 'Name' }), { target: { value: 'Ada' } });
+};
+
+describe('ReviewForm', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should show field errors and focus the first invalid field', () => {
+    render(<ReviewForm productId="123" />);
+
+    fireEvent.change(screen.getByRole('textbox', { name: 'Review' }), { target: { value: 'Meh' } });
+    fireEvent.click(screen.getByTestId('review-submit'));
+
+    expect(screen.getByTestId('review-error-rating')).toHaveTextContent('Choose a rating from 1 to 5 stars');
+    expect(screen.getByTestId('review-error-body')).toBeInTheDocument();
+    expect(screen.getByTestId('review-error-author')).toBeInTheDocument();
+    expect(screen.getByRole('radio', { name: '1 star' })).toHaveFocus();
+    expect(screen.getByRole('textbox', { name: 'Review' })).toHaveAttribute('aria-invalid', 'true');
+    expect(submitReview).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByRole('radio', { name: '5 stars' }));
+    expect(screen.queryByTestId('review-error-rating')).not.toBeInTheDocument();
+  });
+
+  it('should attach photos, reject unsupported files and allow removing them', () => {
+    render(<ReviewForm productId="123" />);
+    fillIn();
+
+    const input = screen.getByTestId('review-photos-input');
+    fireEvent.change(input, { target: { files: [new File(['jpeg'], 'fit.jpg', { type: 'image/jpeg' })] } });
+    fireEvent.change(input, { target: { files: [new File(['gif'], 'fun.gif', { type: 'image/gif' })] } });
+    expect(screen.getByRole('list', { name: 'Attached photos' })).toHaveTextContent('fit.jpg');
+
+    fireEvent.click(screen.getByTestId('review-submit'));
+    expect(screen.getByTestId('review-error-photos')).toHaveTextContent('Photos must be JPEG, PNG or WebP images');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Remove fun.gif' }));
+    expect(screen.getByRole('list', { name: 'Attached photos' })).not.toHaveTextContent('fun.gif');
+    expect(screen.queryByTestId('review-error-photos')).not.toBeInTheDocument();
+  });
+
+  it('should submit the review and thank the shopper', async () => {
+    const onSubmitted = jest.fn();
+    submitReview.mockResolvedValueOnce({ id: 'r1', rating: 4, status: 'pending' });
+    render(<ReviewForm productId="123" onSubmitted={onSubmitted} />);
+    fillIn();
+
+    fireEvent.click(screen.getByTestId('review-submit'));
+
+    expect(await screen.findByTestId('review-form-success')).toHaveTextContent('It will appear once it has been checked.');
+    expect(submitReview).toHaveBeenCalledWith('123', expect.objectContaining({ rating: 4, author: 'Ada', photos: [] }));
+    expect(onSubmitted).toHaveBeenCalledWith(expect.objectContaining({ id: 'r1' }));
+  });
+
+  it('should show request failures and keep the entered review', async () => {
+    submitReview.mockRejectedValueOnce({ code: 'SERVER_ERROR', message: 'Server error - please try again later' });
+    render(<ReviewForm productId="123" />);
+    fillIn();
+
+    fireEvent.click(screen.getByTestId('review-submit'));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Server error - please try again later');
+    await waitFor(() => {
+      expect(screen.getByTestId('review-submit')).toBeEnabled();
+    });
+    expect(screen.getByRole('textbox', { name: 'Name' })).toHaveValue('Ada');
+  });
+});
@@ -0,0 +1,2 @@
+export { default as ReviewForm } from './ReviewForm';
+export * from './ReviewForm.styles';
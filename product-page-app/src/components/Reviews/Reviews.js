@@ -0,0 +1,293 @@
+import React, { useState, useEffect } from 'react';
+import { getReviews, voteReviewHelpful, REVIEW_SORT_OPTIONS } from '../../services/reviewService';
+import { useLocale } from '../../context/LocaleContext';
+import StarRating from '../StarRating/StarRating';
+import ReviewForm from '../ReviewForm/ReviewForm';
+import {
+  ReviewsSection,
+  ReviewSummary,
+  Histogram,
+  ReviewsToolbar,
+  ReviewList,
+  ReviewItem,
+  ReviewPhotos,
+  HelpfulButton,
+  ReviewsPagination,
+  ReviewsMessage
+} from './Reviews.styles';
+
+const VOTES_STORAGE_KEY = 'helpful-review-votes';
+
+/**
+ * Reads the reviews the shopper already voted helpful on this device
+ * @returns {Array<string>} - Review IDs
+ */
+const readVotes = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(VOTES_STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Remembers helpful votes so the button stays pressed on the next visit
+ * @param {Array<string>} votes - Review IDs
+ */
+const saveVotes = (votes) => {
+  try {
+    window.localStorage.setItem(VOTES_STORAGE_KEY, JSON.stringify(votes));
+  } catch (error) {
+    // The server rejects repeated votes anyway; this only keeps the button state
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Customer reviews of a product: average rating, a histogram that doubles as a
+ * star filter, sortable paginated reviews with helpful voting, and a form for
+ * writing a review. Render it with the product ID as key, so another product
+ * starts from its first page.
+ * @param {Object} props
+ * @param {string} props.productId - Product whose reviews are shown
+ * @param {number} props.pageSize - Reviews per page
+ */
+const Reviews = ({ productId, pageSize }) => {
+  const { locale, t } = useLocale();
+  const [query, setQuery] = useState({ sort: 'newest', page: 1, rating: null });
+  const [result, setResult] = useState({ status: 'loading', data: null, error: null });
+  const [attempt, setAttempt] = useState(0);
+  const [votes, setVotes] = useState(readVotes);
+  const [voteError, setVoteError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const { sort, page, rating } = query;
+
+  useEffect(() => {
+    const abortController = new AbortController();
+    setResult(prev => ({ ...prev, status: 'loading', error: null }));
+
+    const load = async () => {
+      try {
+        const data = await getReviews(productId, { sort, page, rating, pageSize }, { signal: abortController.signal });
+        if (!abortController.signal.aborted) {
+          setResult({ status: 'success', data, error: null });
+        }
+      } catch (error) {
+        if (!abortController.signal.aborted && error?.code !== 'REQUEST_CANCELLED') {
+          setResult({ status: 'error', data: null, error });
+        }
+      }
+    };
+    load();
+
+    return () => {
+      abortController.abort();
+    };
+  }, [productId, sort, page, rating, pageSize, attempt]);
+
+  const changeQuery = (changes) => {
+    setQuery(prev => ({ ...prev, page: 1, ...changes }));
+  };
+
+  const setHelpfulCount = (reviewId, change) => {
+    setResult(prev => ({
+      ...prev,
+      data: prev.data && {
+        ...prev.data,
+        reviews: prev.data.reviews.map(review => (
+          review.id === reviewId ? { ...review, helpfulCount: change(review.helpfulCount) } : review
+        ))
+      }
+    }));
+  };
+
+  const voteHelpful = async (reviewId) => {
+    if (votes.includes(reviewId)) return;
+
+    // Counted right away; a failed vote is taken back
+    const nextVotes = [...votes, reviewId];
+    setVotes(nextVotes);
+    setVoteError(null);
+    setHelpfulCount(reviewId, count => count + 1);
+
+    try {
+      const { helpfulCount } = await voteReviewHelpful(productId, reviewId);
+      saveVotes(nextVotes);
+      if (helpfulCount !== null) {
+        setHelpfulCount(reviewId, () => helpfulCount);
+      }
+    } catch (error) {
+      setVotes(prev => prev.filter(id => id !== reviewId));
+      setHelpfulCount(reviewId, count => Math.max(0, count - 1));
+      setVoteError(error?.message || t('reviews.voteFailed'));
+    }
+  };
+
+  const handleSubmitted = (review) => {
+    // Published reviews show up at the top of the newest ones
+    if (review.status !== 'pending') {
+      setQuery({ sort: 'newest', page: 1, rating: null });
+      setAttempt(count => count + 1);
+    }
+  };
+
+  const formatDate = value => new Intl.DateTimeFormat(locale, { dateStyle: 'medium' }).format(new Date(value));
+
+  const { status, data, error } = result;
+  const summary = data?.summary;
+  const reviews = data?.reviews || [];
+  const totalPages = data?.totalPages || 1;
+
+  return (
+    <ReviewsSection aria-labelledby="reviews-heading" data-testid="reviews">
+      <h2 id="reviews-heading">{t('reviews.title')}</h2>
+
+      {summary && summary.count > 0 && (
+        <ReviewSummary data-testid="review-summary">
+          <div className="average">
+            <span className="average-value" data-testid="review-average">{summary.average.toFixed(1)}</span>
+            <StarRating rating={summary.average} size="1.25rem" label={t('reviews.average', { rating: summary.average.toFixed(1) })} />
+            <span className="average-count">
+              {t('reviews.basedOn', { count: summary.count })}
+            </span>
+          </div>
+          <Histogram aria-label={t('reviews.filterByRating')}>
+            {[5, 4, 3, 2, 1].map((stars) => {
+              const count = summary.histogram[stars] || 0;
+              const percent = summary.count > 0 ? Math.round((count / summary.count) * 100) : 0;
+              return (
+                <li key={stars}>
+                  <button
+                    type="button"
+                    aria-pressed={rating === stars}
+                    disabled={count === 0 && rating !== stars}
+                    onClick={() => changeQuery({ rating: rating === stars ? null : stars })}
+                    aria-label={t('reviews.histogramOption', { stars, count })}
+                    data-testid={`review-histogram-${stars}`}
+                  >
+                    <span>{stars} ★</span>
+                    <span className="bar" aria-hidden="true">
+                      <span className="bar-fill" style={{ width: `${percent}%` }} />
+                    </span>
+                    <span className="percent">{percent}%</span>
+                  </button>
+                </li>
+              );
+            })}
+          </Histogram>
+        </ReviewSummary>
+      )}
+
+      <ReviewsToolbar>
+        <label>
+          {t('sort.label')}
+          <select
+            value={sort}
+            onChange={event => changeQuery({ sort: event.target.value })}
+            data-testid="review-sort"
+          >
+            {REVIEW_SORT_OPTIONS.map(option => (
+              <option key={option} value={option}>{t(`reviews.sort.${option}`, null, option)}</option>
+            ))}
+          </select>
+        </label>
+        {rating !== null && (
+          <button type="button" onClick={() => changeQuery({ rating: null })} data-testid="review-clear-filter">
+            {t('reviews.showingRating', { rating })}
+          </button>
+        )}
+        <button type="button" onClick={() => setShowForm(open => !open)} aria-expanded={showForm} data-testid="write-review">
+          {t('reviews.write')}
+        </button>
+      </ReviewsToolbar>
+
+      {showForm && <ReviewForm productId={productId} onSubmitted={handleSubmitted} />}
+
+      {status === 'loading' && !data && (
+        <ReviewsMessage role="status">{t('reviews.loading')}</ReviewsMessage>
+      )}
+
+      {status === 'error' && (
+        <ReviewsMessage className="error" role="alert" data-testid="reviews-error">
+          {error?.message || t('reviews.loadFailed')}
+          {' '}
+          <button type="button" onClick={() => setAttempt(count => count + 1)}>{t('reviews.retry')}</button>
+        </ReviewsMessage>
+      )}
+
+      {status === 'success' && reviews.length === 0 && (
+        <ReviewsMessage data-testid="reviews-empty">
+          {rating !== null ? t('reviews.emptyRating', { rating }) : t('reviews.empty')}
+        </ReviewsMessage>
+      )}
+
+      {voteError && (
+        <ReviewsMessage className="error" role="alert">{voteError}</ReviewsMessage>
+      )}
+
+      {reviews.length > 0 && (
+        <ReviewList aria-busy={status === 'loading'} data-testid="review-list">
+          {reviews.map((review) => {
+            const voted = votes.includes(review.id);
+            return (
+              <ReviewItem key={review.id} data-testid={`review-${review.id}`}>
+                {review.rating !== null && <StarRating rating={review.rating} />}
+                {review.title && <h3>{review.title}</h3>}
+                <span className="review-meta">
+                  {review.author || t('reviews.anonymous')}
+                  {review.createdAt && <> · <time dateTime={review.createdAt}>{formatDate(review.createdAt)}</time></>}
+                  {review.verifiedPurchase && <> · <span className="verified">{t('reviews.verifiedPurchase')}</span></>}
+                </span>
+                <p>{review.body}</p>
+                {review.photos.length > 0 && (
+                  <ReviewPhotos aria-label={t('reviews.photos')}>
+                    {review.photos.map(photo => (
+                      <li key={photo.id}>
+                        <a href={photo.zoomSrc} target="_blank" rel="noreferrer">
+                          <img src={photo.thumbnail} alt={photo.alt || t('reviews.photoFrom', { author: review.author || t('reviews.anonymous') })} loading="lazy" />
+                        </a>
+                      </li>
+                    ))}
+                  </ReviewPhotos>
+                )}
+                <HelpfulButton
+                  type="button"
+                  aria-pressed={voted}
+                  onClick={() => voteHelpful(review.id)}
+                  data-testid={`review-helpful-${review.id}`}
+                >
+                  {t('reviews.helpful', { voted, count: review.helpfulCount })}
+                </HelpfulButton>
+              </ReviewItem>
+            );
+          })}
+        </ReviewList>
+      )}
+
+      {data && totalPages > 1 && (
+        <ReviewsPagination aria-label={t('reviews.pages')}>
+          <button
+            type="button"
+            onClick={() => changeQuery({ page: page - 1 })}
+            disabled={page <= 1}
+            data-testid="reviews-previous-page"
+          >
+            {t('pagination.previous')}
+          </button>
+          <span>{t('pagination.pageOf', { page, total: totalPages })}</span>
+          <button
+            type="button"
+            onClick={() => changeQuery({ page: page + 1 })}
+            disabled={page >= totalPages}
+            data-testid="reviews-next-page"
+          >
+            {t('pagination.next')}
+          </button>
+        </ReviewsPagination>
+      )}
+    </ReviewsSection>
+  );
+};
+
+export default Reviews;
@@ -0,0 +1,219 @@
+import styled from 'styled-components';
+
+export const ReviewsSection = styled.section`
+  grid-column: 1 / -1;
+  display: flex;
+  flex-direction: column;
+  gap: 1.5rem;
+  padding-top: 2rem;
+  border-top: 1px solid #e2e8f0;
+
+  h2 {
+    margin: 0;
+    color: #333;
+  }
+`;
+
+export const ReviewSummary = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 1.5rem 3rem;
+  align-items: flex-start;
+
+  .average {
+    display: flex;
+    flex-direction: column;
+    gap: 0.25rem;
+  }
+
+  .average-value {
+    font-size: 2.5rem;
+    font-weight: bold;
+    color: #333;
+  }
+
+  .average-count {
+    color: #4a5568;
+  }
+`;
+
+export const Histogram = styled.ul`
+  display: flex;
+  flex: 1;
+  flex-direction: column;
+  gap: 0.375rem;
+  min-width: 16rem;
+  max-width: 28rem;
+  margin: 0;
+  padding: 0;
+  list-style: none;
+
+  button {
+    display: grid;
+    grid-template-columns: 4rem 1fr 3rem;
+    align-items: center;
+    gap: 0.5rem;
+    width: 100%;
+    padding: 0.125rem 0.25rem;
+    border: 1px solid transparent;
+    border-radius: 4px;
+    background: none;
+    color: #2c5282;
+    font: inherit;
+    text-align: left;
+    cursor: pointer;
+
+    &[aria-pressed='true'] {
+      border-color: #2c5282;
+      background-color: #ebf8ff;
+    }
+
+    &:disabled {
+      color: #a0aec0;
+      cursor: default;
+    }
+  }
+
+  .bar {
+    display: block;
+    height: 0.5rem;
+    border-radius: 4px;
+    background-color: #e2e8f0;
+    overflow: hidden;
+  }
+
+  .bar-fill {
+    display: block;
+    height: 100%;
+    background-color: #d69e2e;
+  }
+
+  .percent {
+    color: #4a5568;
+    text-align: right;
+  }
+`;
+
+export const ReviewsToolbar = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  justify-content: space-between;
+  gap: 1rem;
+  color: #4a5568;
+
+  select {
+    margin-left: 0.5rem;
+    padding: 0.25rem 0.5rem;
+  }
+
+  button {
+    padding: 0.5rem 1rem;
+    border: 1px solid #2c5282;
+    border-radius: 4px;
+    background-color: white;
+    color: #2c5282;
+    cursor: pointer;
+  }
+`;
+
+export const ReviewList = styled.ol`
+  display: flex;
+  flex-direction: column;
+  gap: 1.5rem;
+  margin: 0;
+  padding: 0;
+  list-style: none;
+`;
+
+export const ReviewItem = styled.li`
+  display: flex;
+  flex-direction: column;
+  gap: 0.5rem;
+  padding-bottom: 1.5rem;
+  border-bottom: 1px solid #edf2f7;
+
+  h3 {
+    margin: 0;
+    font-size: 1.1rem;
+    color: #333;
+  }
+
+  p {
+    margin: 0;
+    line-height: 1.6;
+    color: #4a5568;
+    white-space: pre-line;
+  }
+
+  .review-meta {
+    font-size: 0.875rem;
+    color: #718096;
+  }
+
+  .verified {
+    color: #2f855a;
+  }
+`;
+
+export const ReviewPhotos = styled.ul`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.5rem;
+  margin: 0;
+  padding: 0;
+  list-style: none;
+
+  img {
+    width: 5rem;
+    height: 5rem;
+    object-fit: cover;
+    border-radius: 4px;
+  }
+`;
+
+export const HelpfulButton = styled.button`
+  align-self: flex-start;
+  padding: 0.25rem 0.75rem;
+  border: 1px solid #cbd5e0;
+  border-radius: 4px;
+  background-color: white;
+  color: #4a5568;
+  font-size: 0.875rem;
+  cursor: pointer;
+
+  &[aria-pressed='true'] {
+    border-color: #2f855a;
+    color: #2f855a;
+    cursor: default;
+  }
+`;
+
+export const ReviewsPagination = styled.nav`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  gap: 1rem;
+
+  button {
+    padding: 0.5rem 1rem;
+    border: 1px solid #cbd5e0;
+    border-radius: 4px;
+    background-color: white;
+    cursor: pointer;
+  }
+
+  button:disabled {
+    cursor: not-allowed;
+    opacity: 0.5;
+  }
+`;
+
+export const ReviewsMessage = styled.p`
+  margin: 0;
+  color: #4a5568;
+
+  &.error {
+    color: #e53e3e;
+  }
+`;
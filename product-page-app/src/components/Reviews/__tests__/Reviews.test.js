@@ -0,0 +1,151 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import Reviews from '../Reviews';
+import { LocaleProvider } from '../../../context/LocaleContext';
+import { getReviews, voteReviewHelpful } from '../../../services/reviewService';
+
+jest.mock('../../../services/reviewService', () => ({
+  REVIEW_SORT_OPTIONS: ['newest', 'helpful', 'rating-desc', 'rating-asc'],
+  REVIEW_LIMITS: { titleMaxLength: 120, maxPhotos: 5, photoTypes: ['image/jpeg'] },
+  getReviews: jest.fn(),
+  voteReviewHelpful: jest.fn(),
+  submitReview: jest.fn(),
+  validateReview: jest.fn()
+}));
+
+const reviewPage = (overrides = {}) => ({
+  reviews: [
+    {
+      id: 'r1',
+      rating: 5,
+      title: 'Great lamp',
+      body: 'Bright and warm.',
+      author: 'Ada',
+      createdAt: '2026-03-01T10:00:00.000Z',
+      verifiedPurchase: true,
+      helpfulCount: 2,
+      photos: [{ id: 'p1', src: 'desk.jpg', thumbnail: 'desk-thumb.jpg', zoomSrc: 'desk.jpg', alt: 'Photo from Ada' }],
+      status: 'published'
+    }
+  ],
+  summary: { average: 4.3, count: 10, histogram: { 5: 6, 4: 3, 3: 0, 2: 0, 1: 1 } },
+  total: 10,
+  page: 1,
+  pageSize: 5,
+  totalPages: 2,
+  ...overrides
+});
+
+describe('Reviews', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    window.localStorage.clear();
+  });
+
+  it('should show the average, histogram and reviews', async () => {
+    getReviews.mockResolvedValueOnce(reviewPage());
+    render(<Reviews productId="123" />);
+
+    expect(await screen.findByTestId('review-average')).toHaveTextContent('4.3');
+    expect(screen.getByRole('img', { name: 'Average rating 4.3 out of 5' })).toBeInTheDocument();
+    expect(screen.getByText('Based on 10 reviews')).toBeInTheDocument();
+    expect(screen.getByTestId('review-histogram-5')).toHaveTextContent('60%');
+    expect(screen.getByTestId('review-histogram-3')).toBeDisabled();
+
+    const review = screen.getByTestId('review-r1');
+    expect(review).toHaveTextContent('Great lamp');
+    expect(review).toHaveTextContent('Verified purchase');
+    expect(screen.getByRole('img', { name: 'Photo from Ada' })).toHaveAttribute('src', 'desk-thumb.jpg');
+    expect(getReviews).toHaveBeenCalledWith('123', { sort: 'newest', page: 1, rating: null, pageSize: undefined }, expect.any(Object));
+  });
+
+  it('should show reviews in the shopper\'s language', async () => {
+    const [review] = reviewPage().reviews;
+    getReviews.mockResolvedValueOnce(reviewPage({
+      reviews: [{ ...review, author: null, helpfulCount: 1, photos: [{ ...review.photos[0], alt: null }] }]
+    }));
+    render(
+      <LocaleProvider locale="de-DE">
+        <Reviews productId="123" />
+      </LocaleProvider>
+    );
+
+    expect(await screen.findByTestId('review-r1')).toHaveTextContent('Verifizierter Kauf');
+    expect(screen.getByRole('heading', { name: 'Kundenbewertungen' })).toBeInTheDocument();
+    expect(screen.getByTestId('review-helpful-r1')).toHaveTextContent('Hilfreich (1 Stimme)');
+    expect(screen.getByRole('option', { name: 'Hilfreichste' })).toBeInTheDocument();
+    expect(screen.getByTestId('review-r1')).toHaveTextContent('Anonym');
+    expect(screen.getByRole('img', { name: 'Foto von Anonym' })).toHaveAttribute('src', 'desk-thumb.jpg');
+  });
+
+  it('should filter by stars, sort and page through reviews', async () => {
+    getReviews.mockResolvedValue(reviewPage());
+    render(<Reviews productId="123" />);
+    await screen.findByTestId('review-list');
+
+    fireEvent.click(screen.getByTestId('reviews-next-page'));
+    await waitFor(() => {
+      expect(getReviews).toHaveBeenLastCalledWith('123', expect.objectContaining({ page: 2 }), expect.any(Object));
+    });
+
+    fireEvent.click(screen.getByTestId('review-histogram-1'));
+    expect(screen.getByTestId('review-histogram-1')).toHaveAttribute('aria-pressed', 'true');
+    await waitFor(() => {
+      expect(getReviews).toHaveBeenLastCalledWith('123', expect.objectContaining({ rating: 1, page: 1 }), expect.any(Object));
+    });
+
+    fireEvent.change(screen.getByTestId('review-sort'), { target: { value: 'helpful' } });
+    await waitFor(() => {
+      expect(getReviews).toHaveBeenLastCalledWith('123', expect.objectContaining({ sort: 'helpful', rating: 1 }), expect.any(Object));
+    });
+
+    fireEvent.click(screen.getByTestId('review-clear-filter'));
+    await waitFor(() => {
+      expect(getReviews).toHaveBeenLastCalledWith('123', expect.objectContaining({ rating: null }), expect.any(Object));
+    });
+  });
+
+  it('should count a helpful vote once and remember it', async () => {
+    getReviews.mockResolvedValueOnce(reviewPage());
+    voteReviewHelpful.mockResolvedValueOnce({ helpfulCount: 5 });
+    render(<Reviews productId="123" />);
+
+    fireEvent.click(await screen.findByTestId('review-helpful-r1'));
+    expect(screen.getByTestId('review-helpful-r1')).toHaveTextContent('Marked helpful (3 votes)');
+
+    await waitFor(() => {
+      expect(screen.getByTestId('review-helpful-r1')).toHaveTextContent('Marked helpful (5 votes)');
+    });
+    fireEvent.click(screen.getByTestId('review-helpful-r1'));
+    expect(voteReviewHelpful).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(window.localStorage.getItem('helpful-review-votes'))).toEqual(['r1']);
+  });
+
+  it('should take back a vote that failed', async () => {
+    getReviews.mockResolvedValueOnce(reviewPage());
+    voteReviewHelpful.mockRejectedValueOnce({ message: 'Too many requests - please try again later' });
+    render(<Reviews productId="123" />);
+
+    fireEvent.click(await screen.findByTestId('review-helpful-r1'));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Too many requests');
+    expect(screen.getByTestId('review-helpful-r1')).toHaveTextContent('Helpful (2 votes)');
+    expect(screen.getByTestId('review-helpful-r1')).toHaveAttribute('aria-pressed', 'false');
+  });
+
+  it('should invite the first review and offer a retry after failures', async () => {
+    getReviews
+      .mockRejectedValueOnce({ code: 'NETWORK_ERROR', message: 'Network error' })
+      .mockResolvedValueOnce(reviewPage({ reviews: [], summary: { average: 0, count: 0, histogram: {} }, total: 0, totalPages: 1 }));
+    render(<Reviews productId="123" />);
+
+    expect(await screen.findByTestId('reviews-error')).toHaveTextContent('Network error');
+    fireEvent.click(screen.getByRole('button', { name: 'Try again' }));
+
+    expect(await screen.findByTestId('reviews-empty')).toHaveTextContent('No reviews yet. Be the first to write one!');
+    expect(screen.queryByTestId('review-summary')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByTestId('write-review'));
+    expect(screen.getByRole('form', { name: 'Write a review' })).toBeInTheDocument();
+  });
+});
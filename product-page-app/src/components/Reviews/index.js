@@ -0,0 +1,2 @@
+export { default as Reviews } from './Reviews';
+export * from './Reviews.styles';
@@ -0,0 +1,92 @@
+import { useEffect, useLayoutEffect, useRef } from 'react';
+import { useLocation, useNavigationType } from 'react-router-dom';
+
+const STORAGE_KEY = 'route-scroll-positions';
+
+/**
+ * Reads the scroll positions saved before the page was last unloaded
+ * @returns {Object} - Scroll offsets by location key
+ */
+const readPositions = () => {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Scroll handling between routes: a new page starts at the top (or at its
+ * #hash target), while back and forward return to where the shopper was.
+ * Positions are kept per history entry and survive a reload of the tab.
+ */
+const ScrollRestoration = () => {
+  const location = useLocation();
+  const navigationType = useNavigationType();
+  const positionsRef = useRef(null);
+  const previousPathRef = useRef(null);
+
+  if (positionsRef.current === null) {
+    positionsRef.current = readPositions();
+  }
+
+  useEffect(() => {
+    if (!('scrollRestoration' in window.history)) return undefined;
+    const previous = window.history.scrollRestoration;
+    window.history.scrollRestoration = 'manual';
+    return () => {
+      window.history.scrollRestoration = previous;
+    };
+  }, []);
+
+  // Recorded while scrolling, since by the time the location changes the next page is already rendered
+  useEffect(() => {
+    const record = () => {
+      positionsRef.current[location.key] = window.scrollY;
+    };
+    const save = () => {
+      try {
+        window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify(positionsRef.current));
+      } catch (error) {
+        // Losing the positions only means starting at the top after a reload
+      }
+    };
+    window.addEventListener('scroll', record, { passive: true });
+    window.addEventListener('pagehide', save);
+    return () => {
+      window.removeEventListener('scroll', record);
+      window.removeEventListener('pagehide', save);
+    };
+  }, [location.key]);
+
+  useLayoutEffect(() => {
+    const pathChanged = previousPathRef.current !== location.pathname;
+    previousPathRef.current = location.pathname;
+
+    if (navigationType === 'POP') {
+      const saved = positionsRef.current[location.key];
+      if (saved !== undefined) {
+        window.scrollTo?.(0, saved);
+        return;
+      }
+    }
+
+    if (location.hash) {
+      const target = document.getElementById(decodeURIComponent(location.hash.slice(1)));
+      if (target) {
+        target.scrollIntoView?.();
+        return;
+      }
+    }
+
+    // Changing filters or the page within a listing manages its own scrolling
+    if (pathChanged && navigationType !== 'POP') {
+      window.scrollTo?.(0, 0);
+    }
+  }, [location.key, location.pathname, location.hash, navigationType]);
+
+  return null;
+};
+
+export default ScrollRestoration;
@@ -0,0 +1,72 @@
+import React from 'react';
+import { render, fireEvent, act } from '@testing-library/react';
+import { MemoryRouter, useNavigate } from 'react-router-dom';
+import ScrollRestoration from '../ScrollRestoration';
+
+describe('ScrollRestoration', () => {
+  const originalScrollTo = window.scrollTo;
+  let navigate;
+
+  const NavigateProbe = () => {
+    navigate = useNavigate();
+    return null;
+  };
+
+  const setScrollY = (value) => {
+    Object.defineProperty(window, 'scrollY', { value, writable: true, configurable: true });
+  };
+
+  const go = async (to) => {
+    await act(async () => {
+      navigate(to);
+    });
+  };
+
+  const renderAt = url => render(
+    <MemoryRouter initialEntries={[url]}>
+      <ScrollRestoration />
+      <NavigateProbe />
+    </MemoryRouter>
+  );
+
+  beforeEach(() => {
+    window.scrollTo = jest.fn((x, y) => setScrollY(y));
+    window.sessionStorage.clear();
+    setScrollY(0);
+  });
+
+  afterEach(() => {
+    window.scrollTo = originalScrollTo;
+  });
+
+  it('should start new pages at the top and return to the previous position on back', async () => {
+    renderAt('/products');
+    setScrollY(800);
+    fireEvent.scroll(window);
+
+    await go('/products/1');
+    expect(window.scrollTo).toHaveBeenLastCalledWith(0, 0);
+
+    await go(-1);
+    expect(window.scrollTo).toHaveBeenLastCalledWith(0, 800);
+  });
+
+  it('should leave the scroll position alone when only the query changes', async () => {
+    renderAt('/products');
+    window.scrollTo.mockClear();
+
+    await go('/products?sort=newest');
+    expect(window.scrollTo).not.toHaveBeenCalled();
+  });
+
+  it('should keep the positions across a reload of the tab', async () => {
+    const { unmount } = renderAt('/products');
+    setScrollY(300);
+    fireEvent.scroll(window);
+    fireEvent(window, new Event('pagehide'));
+    unmount();
+
+    const saved = JSON.parse(window.sessionStorage.getItem('route-scroll-positions'));
+    expect(Object.values(saved)).toEqual([300]);
+  });
+});
@@ -0,0 +1,289 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { searchProducts, getSearchSuggestions, SEARCH_SORT_OPTIONS } from '../../services/productService';
+import { useTranslation } from '../../context/LocaleContext';
+import { useDebouncedValue, useQueryParams } from '../../utils/hooks';
+import ProductCard from '../ProductCard/ProductCard';
+import Highlight from '../Highlight/Highlight';
+import {
+  SearchContainer,
+  SearchForm,
+  SearchInput,
+  SuggestionList,
+  SuggestionItem,
+  Toolbar,
+  ResultsGrid,
+  Pagination,
+  StatusMessage
+} from './SearchPage.styles';
+
+const SUGGESTION_LIST_ID = 'search-suggestions';
+
+// PUBLIC_INTERFACE
+/**
+ * Product search with typeahead suggestions. The query, sort order and page
+ * live in the URL (?q=…&sort=…&page=…), so results can be shared and
+ * survive reloads and back/forward navigation.
+ * @param {Object} props
+ * @param {number} props.debounceDelay - Milliseconds of typing pause before searching
+ */
+const SearchPage = ({ debounceDelay = 300 }) => {
+  const { t } = useTranslation();
+  const [params, setParams] = useQueryParams();
+  const query = (params.q || '').trim();
+  const sort = SEARCH_SORT_OPTIONS.includes(params.sort) ? params.sort : 'relevance';
+  const page = Math.max(1, Number.parseInt(params.page, 10) || 1);
+  const category = params.category || undefined;
+
+  const [input, setInput] = useState(query);
+  const debouncedInput = useDebouncedValue(input, debounceDelay);
+  const [results, setResults] = useState({ status: 'idle', data: null, error: null });
+  const [suggestions, setSuggestions] = useState([]);
+  const [suggestionsOpen, setSuggestionsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  // Query most recently written to the URL by this page
+  const committedQueryRef = useRef(query);
+
+  const commitQuery = (text, { replace = false } = {}) => {
+    const next = text.trim();
+    committedQueryRef.current = next;
+    setSuggestionsOpen(false);
+    setActiveIndex(-1);
+    if (next !== query) {
+      setParams({ q: next, page: null }, { replace });
+    }
+  };
+
+  // Back/forward changed the query: show it in the box
+  useEffect(() => {
+    if (query !== committedQueryRef.current) {
+      committedQueryRef.current = query;
+      setInput(query);
+    }
+  }, [query]);
+
+  // Search once typing pauses; typing replaces the history entry instead of adding one per pause
+  useEffect(() => {
+    const next = debouncedInput.trim();
+    if (next !== committedQueryRef.current) {
+      committedQueryRef.current = next;
+      setParams({ q: next, page: null }, { replace: true });
+    }
+  }, [debouncedInput, setParams]);
+
+  useEffect(() => {
+    if (!query) {
+      setResults({ status: 'idle', data: null, error: null });
+      return undefined;
+    }
+
+    const abortController = new AbortController();
+    setResults(prev => ({ ...prev, status: 'loading', error: null }));
+
+    searchProducts(query, { filters: { category }, sort, page }, { signal: abortController.signal })
+      .then((data) => {
+        if (!abortController.signal.aborted) {
+          setResults({ status: 'success', data, error: null });
+        }
+      })
+      .catch((error) => {
+        if (!abortController.signal.aborted && error?.code !== 'REQUEST_CANCELLED') {
+          setResults({ status: 'error', data: null, error });
+        }
+      });
+
+    return () => {
+      abortController.abort();
+    };
+  }, [query, sort, page, category]);
+
+  useEffect(() => {
+    const abortController = new AbortController();
+
+    getSearchSuggestions(debouncedInput, {}, { signal: abortController.signal })
+      .then((items) => {
+        if (!abortController.signal.aborted) {
+          setSuggestions(items);
+          setActiveIndex(-1);
+        }
+      })
+      .catch(() => {
+        // Suggestions are a convenience; the search itself still works without them
+        if (!abortController.signal.aborted) {
+          setSuggestions([]);
+        }
+      });
+
+    return () => {
+      abortController.abort();
+    };
+  }, [debouncedInput]);
+
+  const showSuggestions = suggestionsOpen && suggestions.length > 0 && input.trim().length > 0;
+
+  const handleInputChange = (event) => {
+    setInput(event.target.value);
+    setSuggestionsOpen(true);
+  };
+
+  const selectSuggestion = (suggestion) => {
+    setInput(suggestion.text);
+    commitQuery(suggestion.text);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      setSuggestionsOpen(false);
+      setActiveIndex(-1);
+      return;
+    }
+    if (!showSuggestions) {
+      if (event.key === 'ArrowDown' && suggestions.length > 0) {
+        event.preventDefault();
+        setSuggestionsOpen(true);
+        setActiveIndex(0);
+      }
+      return;
+    }
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      // Cycles through the suggestions and back to the typed text (-1)
+      setActiveIndex((index) => {
+        const next = index + step;
+        if (next >= suggestions.length) return -1;
+        if (next < -1) return suggestions.length - 1;
+        return next;
+      });
+    }
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (showSuggestions && activeIndex >= 0 && activeIndex < suggestions.length) {
+      selectSuggestion(suggestions[activeIndex]);
+      return;
+    }
+    commitQuery(input);
+  };
+
+  const goToPage = (nextPage) => {
+    setParams({ page: nextPage > 1 ? nextPage : null });
+    window.scrollTo?.(0, 0);
+  };
+
+  const { status, data, error } = results;
+  const products = data?.products || [];
+
+  return (
+    <SearchContainer data-testid="search-page">
+      <SearchForm role="search" onSubmit={handleSubmit}>
+        <label htmlFor="product-search-input">{t('search.label')}</label>
+        <SearchInput
+          id="product-search-input"
+          type="search"
+          role="combobox"
+          autoComplete="off"
+          aria-autocomplete="list"
+          aria-expanded={showSuggestions}
+          aria-controls={SUGGESTION_LIST_ID}
+          aria-activedescendant={showSuggestions && activeIndex >= 0 ? `search-suggestion-${activeIndex}` : undefined}
+          value={input}
+          onChange={handleInputChange}
+          onKeyDown={handleKeyDown}
+          onBlur={() => setSuggestionsOpen(false)}
+          data-testid="search-input"
+        />
+        {showSuggestions && (
+          <SuggestionList id={SUGGESTION_LIST_ID} role="listbox" aria-label={t('search.suggestions')}>
+            {suggestions.map((suggestion, index) => (
+              <SuggestionItem
+                key={suggestion.text}
+                id={`search-suggestion-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                className={index === activeIndex ? 'active' : undefined}
+                // Keep focus in the input so the list does not close before the click lands
+                onMouseDown={event => event.preventDefault()}
+                onClick={() => selectSuggestion(suggestion)}
+                data-testid={`search-suggestion-${index}`}
+              >
+                <Highlight text={suggestion.text} query={input} />
+              </SuggestionItem>
+            ))}
+          </SuggestionList>
+        )}
+      </SearchForm>
+
+      {query && (
+        <Toolbar>
+          <StatusMessage role="status" aria-live="polite" data-testid="search-status">
+            {status === 'loading' && !data && t('search.searching', { query })}
+            {data && t('search.results', { count: data.total, query: data.query })}
+          </StatusMessage>
+          <label>
+            {t('sort.label')}
+            <select
+              value={sort}
+              onChange={event => setParams({ sort: event.target.value === 'relevance' ? null : event.target.value, page: null })}
+              data-testid="search-sort"
+            >
+              {SEARCH_SORT_OPTIONS.map(option => (
+                <option key={option} value={option}>{t(`sort.${option}`, undefined, option)}</option>
+              ))}
+            </select>
+          </label>
+        </Toolbar>
+      )}
+
+      {status === 'error' && (
+        <StatusMessage className="error" role="alert" data-testid="search-error">
+          {error?.message || t('search.unavailable')}
+        </StatusMessage>
+      )}
+
+      {status === 'success' && products.length === 0 && (
+        <StatusMessage data-testid="search-empty">
+          {t('search.empty', { query: data.query })}
+        </StatusMessage>
+      )}
+
+      {products.length > 0 && (
+        <ResultsGrid aria-label={t('search.resultsLabel')} aria-busy={status === 'loading'} data-testid="search-results">
+          {products.map(product => (
+            <ProductCard
+              key={product.id}
+              product={product}
+              title={<Highlight text={product.title || t('product.untitled')} query={data.query} />}
+              data-testid={`search-result-${product.id}`}
+            />
+          ))}
+        </ResultsGrid>
+      )}
+
+      {data && data.totalPages > 1 && (
+        <Pagination aria-label={t('search.pages')}>
+          <button
+            type="button"
+            onClick={() => goToPage(page - 1)}
+            disabled={page <= 1}
+            data-testid="search-previous-page"
+          >
+            {t('pagination.previous')}
+          </button>
+          <span aria-current="page">{t('pagination.pageOf', { page, total: data.totalPages })}</span>
+          <button
+            type="button"
+            onClick={() => goToPage(page + 1)}
+            disabled={page >= data.totalPages}
+            data-testid="search-next-page"
+          >
+            {t('pagination.next')}
+          </button>
+        </Pagination>
+      )}
+    </SearchContainer>
+  );
+};
+
+export default SearchPage;
@@ -0,0 +1,119 @@
+import styled from 'styled-components';
+
+export const SearchContainer = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 1.5rem;
+  max-width: 1200px;
+  margin: 2rem auto;
+  padding: 0 1rem;
+
+  mark {
+    background-color: #fefcbf;
+    color: inherit;
+    font-weight: bold;
+  }
+`;
+
+export const SearchForm = styled.form`
+  position: relative;
+  display: flex;
+  flex-direction: column;
+  gap: 0.5rem;
+
+  label {
+    font-weight: bold;
+    color: #333;
+  }
+`;
+
+export const SearchInput = styled.input`
+  width: 100%;
+  box-sizing: border-box;
+  padding: 0.75rem 1rem;
+  border: 1px solid #cbd5e0;
+  border-radius: 4px;
+  font-size: 1rem;
+
+  &:focus-visible {
+    outline: 2px solid #4299e1;
+    outline-offset: 2px;
+  }
+`;
+
+export const SuggestionList = styled.ul`
+  position: absolute;
+  top: 100%;
+  left: 0;
+  right: 0;
+  z-index: 10;
+  margin: 0.25rem 0 0;
+  padding: 0.25rem 0;
+  list-style: none;
+  background-color: white;
+  border: 1px solid #cbd5e0;
+  border-radius: 4px;
+  box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+`;
+
+export const SuggestionItem = styled.li`
+  padding: 0.5rem 1rem;
+  cursor: pointer;
+
+  &.active,
+  &:hover {
+    background-color: #ebf8ff;
+  }
+`;
+
+export const Toolbar = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  justify-content: space-between;
+  gap: 1rem;
+  color: #4a5568;
+
+  select {
+    margin-left: 0.5rem;
+    padding: 0.25rem 0.5rem;
+  }
+`;
+
+export const ResultsGrid = styled.ul`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(220px, 1fr));
+  gap: 1.5rem;
+  margin: 0;
+  padding: 0;
+  list-style: none;
+`;
+
+export const Pagination = styled.nav`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  gap: 1rem;
+
+  button {
+    padding: 0.5rem 1rem;
+    border: 1px solid #cbd5e0;
+    border-radius: 4px;
+    background-color: white;
+    cursor: pointer;
+  }
+
+  button:disabled {
+    cursor: not-allowed;
+    opacity: 0.5;
+  }
+`;
+
+export const StatusMessage = styled.p`
+  margin: 0;
+  color: #4a5568;
+
+  &.error {
+    color: #e53e3e;
+  }
+`;
@@ -0,0 +1,185 @@
+import React from 'react';
+import { render, screen, within, fireEvent, act } from '@testing-library/react';
+import { MemoryRouter, useLocation, useNavigate } from 'react-router-dom';
+import SearchPage from '../SearchPage';
+import { searchProducts, getSearchSuggestions } from '../../../services/productService';
+
+jest.mock('../../../services/productService', () => ({
+  SEARCH_SORT_OPTIONS: ['relevance', 'price-asc', 'price-desc', 'newest', 'rating'],
+  searchProducts: jest.fn(),
+  getSearchSuggestions: jest.fn()
+}));
+
+const results = (query, overrides = {}) => ({
+  query,
+  products: [
+    { id: '1', title: 'Trail Running Shoe', price: 89.99, image: '/shoe.jpg' },
+    { id: '2', title: 'Shoe Laces', price: 4.5, image: null }
+  ],
+  errors: null,
+  total: 2,
+  page: 1,
+  pageSize: 24,
+  totalPages: 1,
+  ...overrides
+});
+
+let currentLocation;
+let navigate;
+
+// Exposes the router location and navigation to the assertions
+const RouterProbe = () => {
+  currentLocation = useLocation();
+  navigate = useNavigate();
+  return null;
+};
+
+const renderAt = (entries = ['/search']) => render(
+  <MemoryRouter initialEntries={entries} initialIndex={entries.length - 1}>
+    <SearchPage />
+    <RouterProbe />
+  </MemoryRouter>
+);
+
+// Lets the debounce timer fire and pending requests settle
+const advance = async (ms) => {
+  await act(async () => {
+    jest.advanceTimersByTime(ms);
+  });
+  await act(async () => {
+    await Promise.resolve();
+  });
+};
+
+describe('SearchPage', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    searchProducts.mockImplementation(async (query, { page = 1 } = {}) => results(query, { page }));
+    getSearchSuggestions.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.clearAllMocks();
+  });
+
+  it('should search once typing pauses and keep the query in the URL', async () => {
+    renderAt();
+    const input = screen.getByTestId('search-input');
+
+    fireEvent.change(input, { target: { value: 'sh' } });
+    fireEvent.change(input, { target: { value: 'shoe' } });
+    await advance(299);
+    expect(searchProducts).not.toHaveBeenCalled();
+
+    await advance(1);
+    expect(searchProducts).toHaveBeenCalledTimes(1);
+    expect(searchProducts).toHaveBeenCalledWith(
+      'shoe',
+      { filters: { category: undefined }, sort: 'relevance', page: 1 },
+      { signal: expect.any(AbortSignal) }
+    );
+    expect(currentLocation.search).toBe('?q=shoe');
+    expect(screen.getByTestId('search-status')).toHaveTextContent('2 results for “shoe”');
+    expect(screen.getByTestId('search-result-1')).toHaveTextContent('Trail Running Shoe');
+    expect(within(screen.getByTestId('search-result-1')).getByRole('link')).toHaveAttribute('href', '/products/1');
+  });
+
+  it('should highlight the query in result titles', async () => {
+    renderAt(['/search?q=shoe']);
+    await advance(0);
+
+    const result = within(screen.getByTestId('search-result-1'));
+    expect(result.getByText('Shoe', { selector: 'mark' })).toBeInTheDocument();
+    expect(result.queryByText(/Trail/, { selector: 'mark' })).not.toBeInTheDocument();
+  });
+
+  it('should restore the query from the URL on back navigation', async () => {
+    renderAt(['/search?q=sandals', '/search?q=boots']);
+    await advance(0);
+    expect(screen.getByTestId('search-input')).toHaveValue('boots');
+
+    await act(async () => {
+      navigate(-1);
+    });
+    await advance(300);
+
+    expect(screen.getByTestId('search-input')).toHaveValue('sandals');
+    expect(searchProducts).toHaveBeenLastCalledWith('sandals', expect.any(Object), expect.any(Object));
+    expect(currentLocation.search).toBe('?q=sandals');
+  });
+
+  it('should pick a suggestion with the keyboard', async () => {
+    getSearchSuggestions.mockResolvedValue([
+      { text: 'sneakers', productId: null },
+      { text: 'snow boots', productId: null }
+    ]);
+    renderAt();
+    const input = screen.getByTestId('search-input');
+
+    fireEvent.change(input, { target: { value: 'snekers' } });
+    await advance(300);
+    expect(getSearchSuggestions).toHaveBeenLastCalledWith('snekers', {}, { signal: expect.any(AbortSignal) });
+    expect(input).toHaveAttribute('aria-expanded', 'true');
+
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    expect(input).toHaveAttribute('aria-activedescendant', 'search-suggestion-1');
+    expect(screen.getByTestId('search-suggestion-1')).toHaveAttribute('aria-selected', 'true');
+
+    fireEvent.submit(screen.getByRole('search'));
+    await advance(0);
+
+    expect(input).toHaveValue('snow boots');
+    expect(input).toHaveAttribute('aria-expanded', 'false');
+    expect(currentLocation.search).toBe('?q=snow+boots');
+    expect(searchProducts).toHaveBeenLastCalledWith('snow boots', expect.any(Object), expect.any(Object));
+  });
+
+  it('should close suggestions on Escape', async () => {
+    getSearchSuggestions.mockResolvedValue([{ text: 'sneakers', productId: null }]);
+    renderAt();
+    const input = screen.getByTestId('search-input');
+
+    fireEvent.change(input, { target: { value: 'snea' } });
+    await advance(300);
+    expect(screen.getByRole('listbox')).toBeInTheDocument();
+    expect(within(screen.getByTestId('search-suggestion-0')).getByText('snea', { selector: 'mark' })).toBeInTheDocument();
+
+    fireEvent.keyDown(input, { key: 'Escape' });
+    expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+  });
+
+  it('should page and sort through the URL', async () => {
+    searchProducts.mockImplementation(async (query, { page = 1 } = {}) => (
+      results(query, { page, total: 50, totalPages: 3 })
+    ));
+    renderAt(['/search?q=shoe']);
+    await advance(0);
+
+    fireEvent.click(screen.getByTestId('search-next-page'));
+    await advance(0);
+    expect(currentLocation.search).toBe('?q=shoe&page=2');
+    expect(screen.getByText('Page 2 of 3')).toBeInTheDocument();
+    expect(searchProducts).toHaveBeenLastCalledWith('shoe', expect.objectContaining({ page: 2 }), expect.any(Object));
+
+    fireEvent.change(screen.getByLabelText('Sort by'), { target: { value: 'price-asc' } });
+    await advance(0);
+    expect(currentLocation.search).toBe('?q=shoe&sort=price-asc');
+    expect(searchProducts).toHaveBeenLastCalledWith('shoe', expect.objectContaining({ sort: 'price-asc', page: 1 }), expect.any(Object));
+  });
+
+  it('should show an empty state and errors', async () => {
+    searchProducts.mockResolvedValueOnce(results('xyzzy', { products: [], total: 0 }));
+    renderAt(['/search?q=xyzzy']);
+    await advance(0);
+
+    expect(screen.getByTestId('search-empty')).toHaveTextContent('No products match “xyzzy”');
+
+    searchProducts.mockRejectedValueOnce(Object.assign(new Error('Search is down'), { code: 'SERVER_ERROR' }));
+    fireEvent.change(screen.getByTestId('search-input'), { target: { value: 'shoe' } });
+    await advance(300);
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Search is down');
+  });
+});
@@ -0,0 +1,31 @@
+import React from 'react';
+import { Link, NavLink } from 'react-router-dom';
+import { useCart } from '../../context/CartContext';
+import { useTranslation } from '../../context/LocaleContext';
+import { SITE_NAME } from '../../utils/seo';
+import { HeaderContainer, HeaderNav } from './SiteHeader.styles';
+
+// PUBLIC_INTERFACE
+/**
+ * Site header with the main navigation and the number of items in the cart
+ */
+const SiteHeader = () => {
+  const { t } = useTranslation();
+  const itemCount = useCart()?.cart.itemCount || 0;
+
+  return (
+    <HeaderContainer>
+      <Link to="/" className="home-link">{SITE_NAME}</Link>
+      <HeaderNav aria-label={t('header.main')}>
+        <NavLink to="/products">{t('header.products')}</NavLink>
+        <NavLink to="/search">{t('header.search')}</NavLink>
+        <NavLink to="/cart" aria-label={t('header.cartLabel', { count: itemCount })}>
+          {t('header.cart')}
+          {itemCount > 0 && <span className="cart-count" aria-hidden="true">{itemCount}</span>}
+        </NavLink>
+      </HeaderNav>
+    </HeaderContainer>
+  );
+};
+
+export default SiteHeader;
@@ -0,0 +1,43 @@
+import styled from 'styled-components';
+
+export const HeaderContainer = styled.header`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  justify-content: space-between;
+  gap: 1rem;
+  padding: 1rem 2rem;
+  background-color: white;
+  border-bottom: 1px solid #e2e8f0;
+
+  .home-link {
+    font-size: 1.25rem;
+    font-weight: bold;
+    color: #333;
+    text-decoration: none;
+  }
+`;
+
+export const HeaderNav = styled.nav`
+  display: flex;
+  gap: 1.5rem;
+
+  a {
+    color: #4a5568;
+    text-decoration: none;
+  }
+
+  a.active {
+    color: #2c5282;
+    font-weight: bold;
+  }
+
+  .cart-count {
+    margin-left: 0.25rem;
+    padding: 0 0.4rem;
+    border-radius: 999px;
+    background-color: #3182ce;
+    color: white;
+    font-size: 0.75rem;
+  }
+`;
@@ -0,0 +1,2 @@
+export { default as SiteHeader } from './SiteHeader';
+export * from './SiteHeader.styles';
@@ -0,0 +1,36 @@
+import React from 'react';
+import { useTranslation } from '../../context/LocaleContext';
+import {
+  StarsContainer,
+  StarsFill
+} from './StarRating.styles';
+
+const STARS = '★★★★★';
+
+// PUBLIC_INTERFACE
+/**
+ * Read-only star rating; fractional ratings fill part of a star
+ * @param {Object} props
+ * @param {number} props.rating - Rating from 0 to 5
+ * @param {string} props.size - CSS font size of the stars
+ * @param {string} props.label - Accessible label, defaults to "Rated N out of 5"
+ */
+const StarRating = ({ rating, size = '1rem', label, ...rest }) => {
+  const { t } = useTranslation();
+  const value = Math.min(5, Math.max(0, Number(rating) || 0));
+
+  return (
+    <StarsContainer
+      role="img"
+      aria-label={label ?? t('starRating.label', { rating: value })}
+      data-testid="star-rating"
+      {...rest}
+      style={{ fontSize: size, ...rest.style }}
+    >
+      <span aria-hidden="true">{STARS}</span>
+      <StarsFill aria-hidden="true" style={{ width: `${(value / 5) * 100}%` }}>{STARS}</StarsFill>
+    </StarsContainer>
+  );
+};
+
+export default StarRating;
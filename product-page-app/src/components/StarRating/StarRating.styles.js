@@ -0,0 +1,18 @@
+import styled from 'styled-components';
+
+export const StarsContainer = styled.span`
+  position: relative;
+  display: inline-block;
+  line-height: 1;
+  letter-spacing: 0.1em;
+  color: #cbd5e0;
+  white-space: nowrap;
+`;
+
+export const StarsFill = styled.span`
+  position: absolute;
+  top: 0;
+  left: 0;
+  overflow: hidden;
+  color: #d69e2e;
+`;
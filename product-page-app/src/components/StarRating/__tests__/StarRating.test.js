@@ -0,0 +1,13 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import StarRating from '../StarRating';
+
+describe('StarRating', () => {
+  it('should describe the rating and clamp it to five stars', () => {
+    const { rerender } = render(<StarRating rating={4.5} />);
+    expect(screen.getByRole('img', { name: 'Rated 4.5 out of 5' })).toBeInTheDocument();
+
+    rerender(<StarRating rating={9} label="Average rating" />);
+    expect(screen.getByRole('img', { name: 'Average rating' })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,2 @@
+export { default as StarRating } from './StarRating';
+export * from './StarRating.styles';
@@ -0,0 +1,74 @@
+import React from 'react';
+import { useTranslation } from '../../context/LocaleContext';
+import { getOptionValueState } from '../../utils/variants';
+import {
+  VariantContainer,
+  OptionGroup,
+  OptionLabel,
+  OptionValues,
+  OptionButton
+} from './VariantSelector.styles';
+
+// PUBLIC_INTERFACE
+/**
+ * Renders one picker per option axis (size, color, material, ...) of a product.
+ * Values only in stock with other values of the remaining options stay enabled and
+ * are labelled as changing them; values no variant has in stock are disabled.
+ * @param {Object} props
+ * @param {Array} props.options - Normalized option axes ({ key, name, values })
+ * @param {Array} props.variants - Normalized variants
+ * @param {Object} props.selection - Map of option key to selected value
+ * @param {Function} props.onChange - Called with (key, value) when a value is picked
+ */
+const VariantSelector = ({ options = [], variants = [], selection = {}, onChange }) => {
+  const { t } = useTranslation();
+
+  if (options.length === 0) {
+    return null;
+  }
+
+  return (
+    <VariantContainer data-testid="variant-selector">
+      {options.map((option) => {
+        const labelId = `variant-option-label-${option.key}`;
+        return (
+          <OptionGroup
+            key={option.key}
+            role="radiogroup"
+            aria-labelledby={labelId}
+            data-testid={`variant-option-${option.key}`}
+          >
+            <OptionLabel id={labelId}>
+              {option.name}:
+              <span className="selected-value">{selection[option.key] || t('variants.select')}</span>
+            </OptionLabel>
+            <OptionValues>
+              {option.values.map((value) => {
+                const valueState = getOptionValueState(variants, selection, option.key, value);
+                const isSelected = selection[option.key] === value;
+                const isDisabled = valueState === 'soldOut' || valueState === 'unavailable';
+                return (
+                  <OptionButton
+                    key={value}
+                    type="button"
+                    role="radio"
+                    aria-checked={isSelected}
+                    aria-label={valueState === 'available' ? value : t(`variants.${valueState}`, { value })}
+                    className={valueState}
+                    disabled={isDisabled}
+                    onClick={() => onChange && onChange(option.key, value)}
+                    data-testid={`variant-value-${option.key}-${value}`}
+                  >
+                    {value}
+                  </OptionButton>
+                );
+              })}
+            </OptionValues>
+          </OptionGroup>
+        );
+      })}
+    </VariantContainer>
+  );
+};
+
+export default VariantSelector;
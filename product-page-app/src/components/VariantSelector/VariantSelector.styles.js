@@ -0,0 +1,73 @@
+import styled from 'styled-components';
+
+export const VariantContainer = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 1rem;
+`;
+
+export const OptionGroup = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.5rem;
+`;
+
+export const OptionLabel = styled.span`
+  font-size: 0.9rem;
+  font-weight: bold;
+  color: #333;
+
+  .selected-value {
+    font-weight: normal;
+    color: #666;
+    margin-left: 0.25rem;
+  }
+`;
+
+export const OptionValues = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.5rem;
+`;
+
+export const OptionButton = styled.button`
+  min-width: 3rem;
+  padding: 0.5rem 1rem;
+  border: 1px solid #cbd5e0;
+  border-radius: 4px;
+  background-color: white;
+  color: #333;
+  font-size: 0.9rem;
+  cursor: pointer;
+  transition: border-color 0.2s ease, background-color 0.2s ease;
+
+  &:hover:not(:disabled) {
+    border-color: #2c5282;
+  }
+
+  &[aria-checked="true"] {
+    border-color: #2c5282;
+    background-color: #ebf8ff;
+    color: #2c5282;
+    font-weight: bold;
+  }
+
+  &:disabled {
+    color: #a0aec0;
+    background-color: #f7fafc;
+    cursor: not-allowed;
+  }
+
+  &.soldOut {
+    text-decoration: line-through;
+  }
+
+  &.changesSelection {
+    border-style: dashed;
+  }
+
+  &:focus-visible {
+    outline: 2px solid #4299e1;
+    outline-offset: 2px;
+  }
+`;
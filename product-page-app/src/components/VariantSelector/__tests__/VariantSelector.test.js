@@ -0,0 +1,69 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import VariantSelector from '../VariantSelector';
+
+describe('VariantSelector', () => {
+  const options = [
+    { key: 'size', name: 'Size', values: ['S', 'M', 'L'] },
+    { key: 'color', name: 'Color', values: ['Red', 'Blue'] }
+  ];
+  const variants = [
+    { id: 's-red', options: { size: 'S', color: 'Red' }, available: false },
+    { id: 'm-red', options: { size: 'M', color: 'Red' }, available: true },
+    { id: 'm-blue', options: { size: 'M', color: 'Blue' }, available: true }
+  ];
+
+  it('should render nothing for products without options', () => {
+    const { container } = render(<VariantSelector options={[]} variants={[]} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('should render an accessible radio group per option axis', () => {
+    render(<VariantSelector options={options} variants={variants} selection={{ size: 'M', color: 'Red' }} />);
+
+    const sizeGroup = screen.getByTestId('variant-option-size');
+    expect(sizeGroup).toHaveAttribute('role', 'radiogroup');
+    expect(sizeGroup).toHaveAttribute('aria-labelledby', 'variant-option-label-size');
+    expect(screen.getByTestId('variant-value-size-M')).toHaveAttribute('aria-checked', 'true');
+    expect(screen.getByTestId('variant-value-color-Blue')).toHaveAttribute('aria-checked', 'false');
+  });
+
+  it('should disable combinations that are out of stock or do not exist', () => {
+    render(<VariantSelector options={options} variants={variants} selection={{ size: 'M', color: 'Red' }} />);
+
+    const soldOut = screen.getByTestId('variant-value-size-S');
+    expect(soldOut).toBeDisabled();
+    expect(soldOut).toHaveClass('soldOut');
+    expect(soldOut).toHaveAttribute('aria-label', 'S (out of stock)');
+
+    const missing = screen.getByTestId('variant-value-size-L');
+    expect(missing).toBeDisabled();
+    expect(missing).toHaveAttribute('aria-label', 'L (unavailable)');
+
+    expect(screen.getByTestId('variant-value-color-Blue')).toBeEnabled();
+  });
+
+  it('should keep values enabled that are in stock with other selections', () => {
+    render(<VariantSelector options={options} variants={variants} selection={{ size: 'S', color: 'Red' }} />);
+
+    const blue = screen.getByTestId('variant-value-color-Blue');
+    expect(blue).toBeEnabled();
+    expect(blue).toHaveClass('changesSelection');
+    expect(blue).toHaveAttribute('aria-label', 'Blue (changes other selections)');
+  });
+
+  it('should report picked values', () => {
+    const onChange = jest.fn();
+    render(
+      <VariantSelector
+        options={options}
+        variants={variants}
+        selection={{ size: 'M', color: 'Red' }}
+        onChange={onChange}
+      />
+    );
+
+    fireEvent.click(screen.getByTestId('variant-value-color-Blue'));
+    expect(onChange).toHaveBeenCalledWith('color', 'Blue');
+  });
+});
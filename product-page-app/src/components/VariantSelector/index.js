@@ -0,0 +1,2 @@
+export { default as VariantSelector } from './VariantSelector';
+export * from './VariantSelector.styles';
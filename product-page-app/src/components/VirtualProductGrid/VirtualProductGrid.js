@@ -0,0 +1,298 @@
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
+import { useLocation } from 'react-router-dom';
+import { getProducts } from '../../services/productService';
+import { useTranslation } from '../../context/LocaleContext';
+import ProductCard from '../ProductCard/ProductCard';
+import {
+  GridViewport,
+  GridRow,
+  LoadSentinel,
+  GridStatus
+} from './VirtualProductGrid.styles';
+
+const STORAGE_PREFIX = 'product-grid:';
+
+/**
+ * Reads the grid state saved when the shopper last left the listing
+ * @param {string} key - Scroll key of the listing
+ * @returns {Object|null} - { filtersKey, products, nextPage, done, scrollY }
+ */
+const readSavedGrid = (key) => {
+  try {
+    const saved = window.sessionStorage.getItem(STORAGE_PREFIX + key);
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Saves the loaded products and scroll position, so coming back restores them
+ * @param {string} key - Scroll key of the listing
+ * @param {Object} state - { filtersKey, products, nextPage, done, scrollY }
+ */
+const saveGrid = (key, state) => {
+  try {
+    window.sessionStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(state));
+  } catch (error) {
+    // Restoring the scroll position is best effort; a full session storage only loses it
+  }
+};
+
+const createGrid = (filtersKey, initialProducts, pageSize) => ({
+  filtersKey,
+  products: initialProducts || [],
+  nextPage: initialProducts ? 2 : 1,
+  done: Boolean(initialProducts) && initialProducts.length < pageSize,
+  status: 'idle',
+  error: null
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Product grid for long listings. Only the rows near the viewport are mounted,
+ * the next page is requested through getProducts as the shopper nears the end,
+ * and the loaded products and scroll position are restored when the shopper
+ * comes back from a product page.
+ * @param {Object} props
+ * @param {Object} props.filters - Parameters passed to getProducts with every page
+ * @param {number} props.pageSize - Products per page
+ * @param {Array} props.initialProducts - First page when it is already loaded
+ * @param {number} props.rowHeight - Height of a row including the gap, in pixels
+ * @param {number} props.minColumnWidth - Narrowest column before one is dropped, in pixels
+ * @param {number} props.gap - Space between cards, in pixels
+ * @param {number} props.overscan - Rows mounted beyond each edge of the viewport
+ * @param {number} props.columns - Fixed column count instead of fitting the width
+ * @param {string} props.scrollKey - Key the scroll position is saved under (defaults to the URL)
+ */
+const VirtualProductGrid = ({
+  filters = {},
+  pageSize = 24,
+  initialProducts,
+  rowHeight = 400,
+  minColumnWidth = 200,
+  gap = 24,
+  overscan = 2,
+  columns: fixedColumns,
+  scrollKey
+}) => {
+  const filtersKey = JSON.stringify(filters);
+  const { t } = useTranslation();
+  const location = useLocation();
+  const storageKey = scrollKey ?? `${location.pathname}${location.search}`;
+
+  const [restored] = useState(() => {
+    const saved = readSavedGrid(storageKey);
+    return saved && saved.filtersKey === filtersKey ? saved : null;
+  });
+  const [grid, setGrid] = useState(() => (restored
+    ? { ...createGrid(filtersKey), products: restored.products, nextPage: restored.nextPage, done: restored.done }
+    : createGrid(filtersKey, initialProducts, pageSize)));
+  const [width, setWidth] = useState(0);
+  const [range, setRange] = useState({ start: 0, end: 0 });
+
+  const viewportRef = useRef(null);
+  const sentinelRef = useRef(null);
+  const requestRef = useRef(null);
+  const gridTopRef = useRef(0);
+  const scrollYRef = useRef(0);
+  const gridRef = useRef(grid);
+  gridRef.current = grid;
+  // Saved grid whose scroll position is still to be restored; cleared once it has been
+  const pendingRestoreRef = useRef(restored);
+
+  const columns = fixedColumns || Math.max(1, Math.floor((width + gap) / (minColumnWidth + gap)));
+  const rowCount = Math.ceil(grid.products.length / columns);
+
+  const updateRange = useCallback(() => {
+    // Kept from the last scroll, as the page may already be scrolled for the next route when the grid unmounts
+    scrollYRef.current = window.scrollY;
+    const offset = window.scrollY - gridTopRef.current;
+    const start = Math.max(0, Math.floor(offset / rowHeight) - overscan);
+    const end = Math.max(start, Math.ceil((offset + window.innerHeight) / rowHeight) + overscan);
+    setRange(prev => (prev.start === start && prev.end === end ? prev : { start, end }));
+  }, [rowHeight, overscan]);
+
+  const measure = useCallback(() => {
+    const viewport = viewportRef.current;
+    if (!viewport) return;
+    gridTopRef.current = viewport.getBoundingClientRect().top + window.scrollY;
+    setWidth(viewport.clientWidth);
+    updateRange();
+  }, [updateRange]);
+
+  useLayoutEffect(() => {
+    measure();
+    window.addEventListener('resize', measure);
+    window.addEventListener('scroll', updateRange, { passive: true });
+    return () => {
+      window.removeEventListener('resize', measure);
+      window.removeEventListener('scroll', updateRange);
+    };
+  }, [measure, updateRange]);
+
+  // Content above the grid may have changed height along with the products
+  useLayoutEffect(() => {
+    measure();
+  }, [grid.products.length, measure]);
+
+  // Coming back from a product page: put the shopper where they left off
+  useLayoutEffect(() => {
+    const saved = pendingRestoreRef.current;
+    if (!saved) return undefined;
+    pendingRestoreRef.current = null;
+    window.sessionStorage.removeItem(STORAGE_PREFIX + storageKey);
+    window.scrollTo?.(0, saved.scrollY);
+    updateRange();
+    return undefined;
+  }, [storageKey, updateRange]);
+
+  // The browser's own restoration would jump before the rows exist
+  useEffect(() => {
+    if (!('scrollRestoration' in window.history)) return undefined;
+    const previous = window.history.scrollRestoration;
+    window.history.scrollRestoration = 'manual';
+    return () => {
+      window.history.scrollRestoration = previous;
+    };
+  }, []);
+
+  useEffect(() => {
+    const save = () => {
+      const { filtersKey: savedKey, products, nextPage, done } = gridRef.current;
+      saveGrid(storageKey, { filtersKey: savedKey, products, nextPage, done, scrollY: scrollYRef.current });
+    };
+    window.addEventListener('pagehide', save);
+    return () => {
+      window.removeEventListener('pagehide', save);
+      save();
+    };
+  }, [storageKey]);
+
+  // New filters start a new listing; a page still loading for the old ones is cancelled
+  useEffect(() => {
+    setGrid(prev => (prev.filtersKey === filtersKey ? prev : createGrid(filtersKey)));
+    return () => {
+      requestRef.current?.abort();
+      requestRef.current = null;
+    };
+  }, [filtersKey]);
+
+  const loadNextPage = useCallback(() => {
+    const current = gridRef.current;
+    if (requestRef.current || current.done || current.filtersKey !== filtersKey) {
+      return;
+    }
+
+    const abortController = new AbortController();
+    const page = current.nextPage;
+    requestRef.current = abortController;
+    setGrid(prev => ({ ...prev, status: 'loading', error: null }));
+
+    getProducts({ ...JSON.parse(filtersKey), page, pageSize }, { signal: abortController.signal })
+      .then((result) => {
+        if (abortController.signal.aborted) return;
+        const items = result?.products || [];
+        setGrid((prev) => {
+          // Listings can shift while paging; skip products that are already shown
+          const seen = new Set(prev.products.map(product => product.id));
+          return {
+            ...prev,
+            products: [...prev.products, ...items.filter(product => !seen.has(product.id))],
+            nextPage: page + 1,
+            done: items.length < pageSize,
+            status: 'idle'
+          };
+        });
+      })
+      .catch((error) => {
+        if (abortController.signal.aborted || error?.code === 'REQUEST_CANCELLED') return;
+        setGrid(prev => ({ ...prev, status: 'error', error }));
+      })
+      .finally(() => {
+        if (requestRef.current === abortController) {
+          requestRef.current = null;
+        }
+      });
+  }, [filtersKey, pageSize]);
+
+  useEffect(() => {
+    if (grid.products.length === 0 && !grid.done && grid.status === 'idle') {
+      loadNextPage();
+    }
+  }, [grid.products.length, grid.done, grid.status, loadNextPage]);
+
+  // Observed again after every page, so a sentinel that is still in view asks for the next one
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || grid.done || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+    const observer = new IntersectionObserver((entries) => {
+      // After a failed page the shopper retries explicitly instead of on every scroll
+      if (entries.some(entry => entry.isIntersecting) && gridRef.current.status !== 'error') {
+        loadNextPage();
+      }
+    }, { rootMargin: `${rowHeight * 2}px 0px` });
+    observer.observe(sentinel);
+    return () => {
+      observer.disconnect();
+    };
+  }, [grid.products.length, grid.done, loadNextPage, rowHeight]);
+
+  const rows = [];
+  for (let row = range.start; row < Math.min(range.end, rowCount); row++) {
+    rows.push(
+      <GridRow
+        key={row}
+        aria-rowindex={row + 1}
+        style={{
+          transform: `translateY(${row * rowHeight}px)`,
+          height: rowHeight - gap,
+          gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))`,
+          columnGap: gap
+        }}
+        data-testid="virtual-grid-row"
+      >
+        {grid.products.slice(row * columns, (row + 1) * columns).map(product => (
+          <ProductCard key={product.id} product={product} data-testid={`grid-product-${product.id}`} />
+        ))}
+      </GridRow>
+    );
+  }
+
+  return (
+    <>
+      <GridViewport
+        ref={viewportRef}
+        role="region"
+        aria-label={t('list.products')}
+        aria-busy={grid.status === 'loading'}
+        style={{ height: rowCount * rowHeight }}
+        data-testid="virtual-product-grid"
+      >
+        {rows}
+        {!grid.done && (
+          <LoadSentinel ref={sentinelRef} style={{ top: rowCount * rowHeight }} aria-hidden="true" />
+        )}
+      </GridViewport>
+
+      {grid.status === 'loading' && (
+        <GridStatus role="status" data-testid="virtual-grid-loading">{t('grid.loadingMore')}</GridStatus>
+      )}
+      {grid.status === 'error' && (
+        <GridStatus className="error" role="alert" data-testid="virtual-grid-error">
+          {grid.error?.message || t('grid.loadFailed')}
+          <button type="button" onClick={loadNextPage}>{t('grid.retry')}</button>
+        </GridStatus>
+      )}
+      {grid.done && grid.products.length > 0 && (
+        <GridStatus data-testid="virtual-grid-end">
+          {t('grid.end', { count: grid.products.length })}
+        </GridStatus>
+      )}
+    </>
+  );
+};
+
+export default VirtualProductGrid;
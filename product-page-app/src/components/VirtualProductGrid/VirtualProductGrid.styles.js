@@ -0,0 +1,51 @@
+import styled from 'styled-components';
+
+export const GridViewport = styled.div`
+  position: relative;
+  width: 100%;
+`;
+
+export const GridRow = styled.ul`
+  position: absolute;
+  top: 0;
+  left: 0;
+  right: 0;
+  display: grid;
+  margin: 0;
+  padding: 0;
+  list-style: none;
+  box-sizing: border-box;
+
+  > li {
+    min-width: 0;
+  }
+`;
+
+export const LoadSentinel = styled.div`
+  position: absolute;
+  left: 0;
+  width: 100%;
+  height: 1px;
+  pointer-events: none;
+`;
+
+export const GridStatus = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  gap: 1rem;
+  padding: 1rem 0;
+  color: #4a5568;
+
+  &.error {
+    color: #e53e3e;
+  }
+
+  button {
+    padding: 0.5rem 1rem;
+    border: 1px solid #cbd5e0;
+    border-radius: 4px;
+    background-color: white;
+    cursor: pointer;
+  }
+`;
@@ -0,0 +1,196 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import VirtualProductGrid from '../VirtualProductGrid';
+import { getProducts } from '../../../services/productService';
+
+jest.mock('../../../services/productService', () => ({
+  getProducts: jest.fn()
+}));
+
+const makeProducts = (from, count) => Array.from({ length: count }, (_, index) => ({
+  id: `p${from + index}`,
+  title: `Product ${from + index}`,
+  price: 10
+}));
+
+const renderGrid = ui => render(ui, { wrapper: MemoryRouter });
+
+const page = (from, count) => ({ products: makeProducts(from, count), errors: null, metadata: {} });
+
+describe('VirtualProductGrid', () => {
+  const OriginalIntersectionObserver = window.IntersectionObserver;
+  const originalScrollTo = window.scrollTo;
+  let observers;
+
+  // Reports the load sentinel as visible to every live observer
+  const revealSentinel = async () => {
+    await act(async () => {
+      observers
+        .filter(observer => !observer.disconnected)
+        .forEach(observer => observer.callback([{ isIntersecting: true, target: observer.target }]));
+    });
+  };
+
+  const setScrollY = (value) => {
+    Object.defineProperty(window, 'scrollY', { value, writable: true, configurable: true });
+  };
+
+  beforeEach(() => {
+    observers = [];
+    window.IntersectionObserver = class {
+      constructor(callback, options) {
+        this.callback = callback;
+        this.options = options;
+        observers.push(this);
+      }
+
+      observe(target) {
+        this.target = target;
+      }
+
+      unobserve() {}
+
+      disconnect() {
+        this.disconnected = true;
+      }
+    };
+    window.scrollTo = jest.fn((x, y) => setScrollY(y));
+    window.sessionStorage.clear();
+    setScrollY(0);
+  });
+
+  afterEach(() => {
+    window.IntersectionObserver = OriginalIntersectionObserver;
+    window.scrollTo = originalScrollTo;
+    setScrollY(0);
+    jest.clearAllMocks();
+  });
+
+  it('should only mount the rows near the viewport', async () => {
+    getProducts.mockResolvedValueOnce(page(0, 24));
+    renderGrid(<VirtualProductGrid columns={2} rowHeight={100} scrollKey="grid" />);
+
+    // 768px viewport: 8 visible rows plus 2 rows of overscan, 2 cards each
+    expect(await screen.findByTestId('grid-product-p0')).toBeInTheDocument();
+    expect(screen.getAllByTestId('virtual-grid-row')).toHaveLength(10);
+    expect(screen.getByTestId('grid-product-p19')).toBeInTheDocument();
+    expect(screen.queryByTestId('grid-product-p20')).not.toBeInTheDocument();
+    expect(screen.getByTestId('virtual-product-grid')).toHaveStyle({ height: '1200px' });
+
+    setScrollY(1000);
+    fireEvent.scroll(window);
+
+    expect(screen.queryByTestId('grid-product-p0')).not.toBeInTheDocument();
+    expect(screen.getByTestId('grid-product-p16')).toBeInTheDocument();
+    expect(screen.getByTestId('grid-product-p23')).toBeInTheDocument();
+  });
+
+  it('should load the next page when the end comes near', async () => {
+    getProducts
+      .mockResolvedValueOnce(page(0, 4))
+      .mockResolvedValueOnce(page(4, 2));
+    renderGrid(<VirtualProductGrid filters={{ category: 'shoes' }} pageSize={4} columns={2} rowHeight={100} scrollKey="grid" />);
+    await screen.findByTestId('grid-product-p3');
+
+    expect(getProducts).toHaveBeenCalledWith(
+      { category: 'shoes', page: 1, pageSize: 4 },
+      { signal: expect.any(AbortSignal) }
+    );
+
+    await revealSentinel();
+
+    expect(getProducts).toHaveBeenLastCalledWith(
+      { category: 'shoes', page: 2, pageSize: 4 },
+      { signal: expect.any(AbortSignal) }
+    );
+    expect(screen.getByTestId('grid-product-p5')).toBeInTheDocument();
+    expect(screen.getByTestId('virtual-grid-end')).toHaveTextContent('Showing all 6 products');
+    expect(observers.every(observer => observer.disconnected)).toBe(true);
+  });
+
+  it('should start from an already loaded first page', async () => {
+    getProducts.mockResolvedValueOnce(page(2, 2));
+    renderGrid(<VirtualProductGrid initialProducts={makeProducts(0, 2)} pageSize={2} columns={2} rowHeight={100} scrollKey="grid" />);
+
+    expect(screen.getByTestId('grid-product-p1')).toBeInTheDocument();
+    expect(getProducts).not.toHaveBeenCalled();
+
+    await revealSentinel();
+    expect(getProducts).toHaveBeenCalledWith({ page: 2, pageSize: 2 }, expect.any(Object));
+  });
+
+  it('should cancel a prefetch that is still loading when it unmounts', async () => {
+    getProducts
+      .mockResolvedValueOnce(page(0, 4))
+      .mockReturnValueOnce(new Promise(() => {}));
+    const { unmount } = renderGrid(<VirtualProductGrid pageSize={4} columns={2} rowHeight={100} scrollKey="grid" />);
+    await screen.findByTestId('grid-product-p0');
+
+    await revealSentinel();
+    const { signal } = getProducts.mock.calls[1][1];
+    expect(signal.aborted).toBe(false);
+    expect(screen.getByTestId('virtual-grid-loading')).toBeInTheDocument();
+
+    unmount();
+    expect(signal.aborted).toBe(true);
+  });
+
+  it('should cancel the pending page and start over when the filters change', async () => {
+    getProducts
+      .mockReturnValueOnce(new Promise(() => {}))
+      .mockResolvedValueOnce(page(10, 2));
+    const { rerender } = renderGrid(<VirtualProductGrid filters={{ brand: 'acme' }} columns={2} rowHeight={100} scrollKey="grid" />);
+    const { signal } = getProducts.mock.calls[0][1];
+
+    rerender(<VirtualProductGrid filters={{ brand: 'zenith' }} columns={2} rowHeight={100} scrollKey="grid" />);
+
+    expect(signal.aborted).toBe(true);
+    expect(await screen.findByTestId('grid-product-p10')).toBeInTheDocument();
+    expect(getProducts).toHaveBeenLastCalledWith({ brand: 'zenith', page: 1, pageSize: 24 }, expect.any(Object));
+  });
+
+  it('should restore the loaded products and scroll position when coming back', async () => {
+    getProducts.mockResolvedValueOnce(page(0, 24));
+    const { unmount } = renderGrid(<VirtualProductGrid columns={2} rowHeight={100} scrollKey="grid" />);
+    await screen.findByTestId('grid-product-p0');
+
+    setScrollY(1000);
+    fireEvent.scroll(window);
+    unmount();
+    // A full page load starts at the top
+    setScrollY(0);
+
+    renderGrid(<VirtualProductGrid columns={2} rowHeight={100} scrollKey="grid" />);
+
+    expect(getProducts).toHaveBeenCalledTimes(1);
+    expect(window.scrollTo).toHaveBeenCalledWith(0, 1000);
+    expect(screen.getByTestId('grid-product-p23')).toBeInTheDocument();
+    expect(screen.queryByTestId('grid-product-p0')).not.toBeInTheDocument();
+  });
+
+  it('should not restore a listing saved for other filters', async () => {
+    getProducts.mockResolvedValue(page(0, 2));
+    const { unmount } = renderGrid(<VirtualProductGrid filters={{ brand: 'acme' }} columns={2} rowHeight={100} scrollKey="grid" />);
+    await screen.findByTestId('grid-product-p0');
+    unmount();
+
+    renderGrid(<VirtualProductGrid filters={{ brand: 'zenith' }} columns={2} rowHeight={100} scrollKey="grid" />);
+    await screen.findByTestId('grid-product-p0');
+
+    expect(getProducts).toHaveBeenCalledTimes(2);
+    expect(window.scrollTo).not.toHaveBeenCalled();
+  });
+
+  it('should offer a retry when a page fails', async () => {
+    getProducts
+      .mockRejectedValueOnce(Object.assign(new Error('Server unavailable'), { code: 'SERVER_ERROR' }))
+      .mockResolvedValueOnce(page(0, 2));
+    renderGrid(<VirtualProductGrid columns={2} rowHeight={100} scrollKey="grid" />);
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Server unavailable');
+    fireEvent.click(screen.getByRole('button', { name: 'Try again' }));
+
+    expect(await screen.findByTestId('grid-product-p1')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,2 @@
+export { default as VirtualProductGrid } from './VirtualProductGrid';
+export * from './VirtualProductGrid.styles';
@@ -0,0 +1,169 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { getCart, addToCart, updateCartItem, removeCartItem } from '../services/cartService';
+import { useMountedState } from '../utils/hooks';
+import {
+  EMPTY_CART,
+  addLineItem,
+  subtractLineItem,
+  setLineQuantity,
+  removeLineItem,
+  restoreLineItem
+} from '../utils/cart';
+
+const CartContext = createContext(null);
+
+// PUBLIC_INTERFACE
+/**
+ * Provides cart state and optimistic cart operations to its children.
+ * Every operation is applied to the local cart immediately and rolled back
+ * when the cart service reports a failure (the APIError is rethrown).
+ * @param {Object} props
+ * @param {Object} props.initialCart - Cart to start from instead of an empty one
+ * @param {boolean} props.loadOnMount - Whether to fetch the cart when mounted
+ */
+export const CartProvider = ({ children, initialCart = null, loadOnMount = true }) => {
+  const [state, setState] = useState({
+    cart: initialCart || EMPTY_CART,
+    loading: loadOnMount && !initialCart,
+    error: null,
+    pendingCount: 0
+  });
+
+  const isMounted = useMountedState();
+  const cartRef = useRef(state.cart);
+  const mutationCountRef = useRef(0);
+  // Cart of the latest mutation the server answered, by the order mutations were sent in
+  const latestResponseRef = useRef({ sequence: 0, cart: null });
+  cartRef.current = state.cart;
+
+  const safeSetState = useCallback((updater) => {
+    if (isMounted()) {
+      setState(updater);
+    }
+  }, [isMounted]);
+
+  useEffect(() => {
+    if (!loadOnMount || initialCart) {
+      return undefined;
+    }
+
+    const abortController = new AbortController();
+    const mutationCount = mutationCountRef.current;
+
+    getCart({ signal: abortController.signal })
+      .then((cart) => {
+        // A mutation that started meanwhile returns a fresher cart
+        if (mutationCountRef.current !== mutationCount) return;
+        safeSetState(prev => ({ ...prev, cart, loading: false }));
+      })
+      .catch((error) => {
+        if (error.code === 'REQUEST_CANCELLED') return;
+        safeSetState(prev => ({ ...prev, loading: false, error }));
+      });
+
+    return () => {
+      abortController.abort();
+    };
+  }, [loadOnMount, initialCart, safeSetState]);
+
+  /**
+   * Applies an optimistic change, sends the request and rolls back on failure
+   * @param {Function} apply - Produces the optimistic cart from the current one
+   * @param {Function} rollback - Reverts the optimistic change on the current cart
+   * @param {Function} request - Performs the cart service call
+   * @returns {Promise<Object>} - Cart returned by the server
+   */
+  const runMutation = useCallback(async (apply, rollback, request) => {
+    mutationCountRef.current += 1;
+    const sequence = mutationCountRef.current;
+    setState(prev => ({
+      ...prev,
+      cart: apply(prev.cart),
+      pendingCount: prev.pendingCount + 1,
+      error: null
+    }));
+
+    try {
+      const cart = await request();
+      // Responses may arrive out of order; one older than a response already received is stale
+      if (sequence > latestResponseRef.current.sequence) {
+        latestResponseRef.current = { sequence, cart };
+      }
+      const latestCart = latestResponseRef.current.cart;
+      safeSetState(prev => ({
+        ...prev,
+        // Keep showing optimistic state until the last pending operation settles
+        cart: prev.pendingCount > 1 ? prev.cart : latestCart,
+        loading: false,
+        pendingCount: prev.pendingCount - 1
+      }));
+      return cart;
+    } catch (error) {
+      safeSetState(prev => ({
+        ...prev,
+        cart: rollback(prev.cart),
+        pendingCount: prev.pendingCount - 1,
+        error
+      }));
+      throw error;
+    }
+  }, [safeSetState]);
+
+  const addItem = useCallback((item) => {
+    const line = { ...item, variantId: item.variantId ?? null, quantity: item.quantity ?? 1 };
+    return runMutation(
+      cart => addLineItem(cart, line),
+      cart => subtractLineItem(cart, line),
+      () => addToCart({ productId: line.productId, variantId: line.variantId, quantity: line.quantity })
+    );
+  }, [runMutation]);
+
+  const updateQuantity = useCallback((itemId, quantity) => {
+    const previous = cartRef.current.items.find(line => line.id === itemId);
+    return runMutation(
+      cart => setLineQuantity(cart, itemId, quantity),
+      cart => (previous ? setLineQuantity(cart, itemId, previous.quantity) : cart),
+      () => updateCartItem(itemId, quantity)
+    );
+  }, [runMutation]);
+
+  const removeItem = useCallback((itemId) => {
+    const index = cartRef.current.items.findIndex(line => line.id === itemId);
+    const removed = cartRef.current.items[index];
+    return runMutation(
+      cart => removeLineItem(cart, itemId),
+      cart => (removed ? restoreLineItem(cart, removed, index) : cart),
+      () => removeCartItem(itemId)
+    );
+  }, [runMutation]);
+
+  const clearError = useCallback(() => {
+    setState(prev => ({ ...prev, error: null }));
+  }, []);
+
+  const value = useMemo(() => ({
+    cart: state.cart,
+    loading: state.loading,
+    error: state.error,
+    isUpdating: state.pendingCount > 0,
+    addItem,
+    updateQuantity,
+    removeItem,
+    clearError
+  }), [state, addItem, updateQuantity, removeItem, clearError]);
+
+  return (
+    <CartContext.Provider value={value}>
+      {children}
+    </CartContext.Provider>
+  );
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Returns the cart state and operations of the nearest CartProvider
+ * @returns {Object|null} - Cart context value, or null when rendered outside a CartProvider
+ */
+export const useCart = () => useContext(CartContext);
+
+export default CartContext;
@@ -0,0 +1,117 @@
+import React, { createContext, useContext, useEffect, useMemo } from 'react';
+
+// Marks the head elements created by useDocumentHead
+const MANAGED_ATTRIBUTE = 'data-managed-head';
+
+const HeadContext = createContext({ collector: null, origin: null });
+
+/**
+ * Selector of the element a head tag replaces, so a page's description
+ * overrides the one in index.html instead of adding a second
+ * @param {Object} tag - { tag, attributes }
+ * @returns {string|null} - CSS selector, or null for tags that are only ever added
+ */
+const getTagSelector = ({ tag, attributes }) => {
+  if (tag === 'meta' && attributes.name) return `meta[name="${attributes.name}"]`;
+  if (tag === 'meta' && attributes.property) return `meta[property="${attributes.property}"]`;
+  if (tag === 'link' && attributes.rel === 'canonical') return 'link[rel="canonical"]';
+  return null;
+};
+
+/**
+ * Applies head tags to the document
+ * @param {Object} head - { title, tags }
+ * @returns {Function} - Undoes the changes
+ */
+const applyHead = (head) => {
+  const undo = [];
+
+  if (head.title) {
+    const previousTitle = document.title;
+    document.title = head.title;
+    undo.push(() => {
+      document.title = previousTitle;
+    });
+  }
+
+  (head.tags || []).forEach((tag) => {
+    const selector = getTagSelector(tag);
+    const existing = selector ? document.head.querySelector(selector) : null;
+
+    if (existing) {
+      const previous = Object.keys(tag.attributes).map(name => [name, existing.getAttribute(name)]);
+      Object.entries(tag.attributes).forEach(([name, value]) => existing.setAttribute(name, value));
+      undo.push(() => {
+        previous.forEach(([name, value]) => (
+          value === null ? existing.removeAttribute(name) : existing.setAttribute(name, value)
+        ));
+      });
+      return;
+    }
+
+    const element = document.createElement(tag.tag);
+    Object.entries(tag.attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    if (tag.content) {
+      element.textContent = tag.content;
+    }
+    element.setAttribute(MANAGED_ATTRIBUTE, '');
+    document.head.appendChild(element);
+    undo.push(() => element.remove());
+  });
+
+  return () => undo.reverse().forEach(restore => restore());
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Provides head management to its children
+ * @param {Object} props
+ * @param {Object} props.collector - On the server, receives the head of the rendered page ({ head })
+ * @param {string} props.origin - Origin of absolute URLs (canonical, Open Graph);
+ *   defaults to REACT_APP_SITE_URL or the page's own origin
+ */
+export const HeadProvider = ({ collector = null, origin = null, children }) => {
+  const value = useMemo(() => ({ collector, origin }), [collector, origin]);
+
+  return (
+    <HeadContext.Provider value={value}>
+      {children}
+    </HeadContext.Provider>
+  );
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Returns the origin used for absolute URLs in head tags and structured data
+ * @returns {string} - e.g. "https://shop.example.com"
+ */
+export const useSiteOrigin = () => {
+  const { origin } = useContext(HeadContext);
+  if (origin) return origin;
+  if (process.env.REACT_APP_SITE_URL) return process.env.REACT_APP_SITE_URL.replace(/\/$/, '');
+  return typeof window === 'undefined' ? '' : window.location.origin;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Sets the document title and head tags while the calling component is mounted.
+ * On the server the head is handed to the HeadProvider's collector instead,
+ * so the renderer can write it into the HTML.
+ * @param {Object|null} head - { title, tags: [{ tag: 'meta'|'link'|'script', attributes, content }] }
+ */
+export const useDocumentHead = (head) => {
+  const { collector } = useContext(HeadContext);
+  if (collector && head) {
+    collector.head = head;
+  }
+
+  // Compared by content, as callers usually build a new head object on each render
+  const headKey = head ? JSON.stringify(head) : null;
+
+  useEffect(() => {
+    if (!headKey) return undefined;
+    return applyHead(JSON.parse(headKey));
+  }, [headKey]);
+};
+
+export default HeadContext;
@@ -0,0 +1,54 @@
+import React, { createContext, useCallback, useContext, useMemo, useState } from 'react';
+
+// Name of the global the server renderer serializes its prefetched data into
+export const INITIAL_DATA_KEY = '__INITIAL_DATA__';
+
+const InitialDataContext = createContext({ data: null, release: () => {} });
+
+// PUBLIC_INTERFACE
+/**
+ * Provides the data the server prefetched for the first page, so hydrating
+ * reuses it instead of fetching again. The page releases it once it has
+ * mounted, so coming back to that page later fetches fresh data.
+ * @param {Object} props
+ * @param {Object} props.data - { locale, product: { productId, data, error, fetchedAt } }
+ */
+export const InitialDataProvider = ({ data = null, children }) => {
+  const [current, setCurrent] = useState(data);
+  const release = useCallback(() => setCurrent(null), []);
+  const value = useMemo(() => ({ data: current, release }), [current, release]);
+
+  return (
+    <InitialDataContext.Provider value={value}>
+      {children}
+    </InitialDataContext.Provider>
+  );
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Returns the data prefetched by the server renderer
+ * @returns {Object|null} - Initial data, or null when the page was rendered on the client only
+ *   or the data was released
+ */
+export const useInitialData = () => useContext(InitialDataContext).data;
+
+// PUBLIC_INTERFACE
+/**
+ * Returns a function that drops the prefetched data; call it once the page it was
+ * prefetched for has mounted with it
+ * @returns {Function} - () => void
+ */
+export const useReleaseInitialData = () => useContext(InitialDataContext).release;
+
+// PUBLIC_INTERFACE
+/**
+ * Reads the data the server renderer serialized into the page
+ * @returns {Object|null} - Initial data, or null when the page was not rendered on the server
+ */
+export const readInitialData = () => {
+  if (typeof window === 'undefined') return null;
+  return window[INITIAL_DATA_KEY] ?? null;
+};
+
+export default InitialDataContext;
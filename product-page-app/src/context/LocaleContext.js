@@ -0,0 +1,69 @@
+import React, { createContext, useContext, useCallback, useMemo } from 'react';
+import { DEFAULT_CURRENCY, DEFAULT_LOCALE, formatMoney, toMoney } from '../utils/money';
+import { createTranslator, getTextDirection } from '../utils/i18n';
+
+const LocaleContext = createContext({
+  locale: DEFAULT_LOCALE,
+  currency: DEFAULT_CURRENCY,
+  direction: getTextDirection(DEFAULT_LOCALE),
+  t: createTranslator(DEFAULT_LOCALE)
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Provides the shopper's locale and currency to price formatting and message translation
+ * @param {Object} props
+ * @param {string} props.locale - BCP 47 locale (e.g. "de-DE")
+ * @param {string} props.currency - ISO 4217 currency assumed for prices that do not name one
+ * @param {Object} props.messages - Messages overriding the bundled catalogs, by key
+ */
+export const LocaleProvider = ({ locale = DEFAULT_LOCALE, currency = DEFAULT_CURRENCY, messages, children }) => {
+  const value = useMemo(() => ({
+    locale,
+    currency,
+    direction: getTextDirection(locale),
+    t: createTranslator(locale, messages)
+  }), [locale, currency, messages]);
+
+  return (
+    <LocaleContext.Provider value={value}>
+      {children}
+    </LocaleContext.Provider>
+  );
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Returns the locale and currency of the nearest LocaleProvider (en-US/USD without one)
+ * @returns {{locale: string, currency: string, direction: string, t: Function}}
+ */
+export const useLocale = () => useContext(LocaleContext);
+
+// PUBLIC_INTERFACE
+/**
+ * Returns the translate function of the nearest LocaleProvider
+ * @returns {{t: Function, locale: string, direction: string}} - t(key, values, fallback) formats a catalog message
+ */
+export const useTranslation = () => {
+  const { t, locale, direction } = useLocale();
+  return { t, locale, direction };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Returns a function that formats prices for the current locale.
+ * Accepts money values as well as plain prices, which are read in the provider's currency.
+ * @returns {Function} - (price) => formatted string
+ */
+export const useMoneyFormatter = () => {
+  const { locale, currency } = useLocale();
+
+  return useCallback((price) => {
+    const money = price && typeof price === 'object' && 'amount' in price
+      ? price
+      : toMoney(price, currency);
+    return formatMoney(money, locale);
+  }, [locale, currency]);
+};
+
+export default LocaleContext;
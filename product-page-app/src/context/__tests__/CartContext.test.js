@@ -0,0 +1,172 @@
+import React from 'react';
+import { render, screen, waitFor, act } from '@testing-library/react';
+import { CartProvider, useCart } from '../CartContext';
+import { getCart, addToCart, updateCartItem, removeCartItem } from '../../services/cartService';
+
+jest.mock('../../services/cartService', () => ({
+  getCart: jest.fn(),
+  addToCart: jest.fn(),
+  updateCartItem: jest.fn(),
+  removeCartItem: jest.fn()
+}));
+
+const usd = amount => ({ amount, currency: 'USD' });
+
+const serverCart = {
+  id: 'cart-1',
+  currency: 'USD',
+  items: [{ id: 'line-1', productId: '1', variantId: null, quantity: 1, price: usd(1000), title: 'Shirt', image: null }],
+  itemCount: 1,
+  subtotal: usd(1000)
+};
+
+const mountCartConsumer = (props = {}) => {
+  const result = { current: null };
+  const Consumer = () => {
+    result.current = useCart();
+    return <span data-testid="item-count">{result.current.cart.itemCount}</span>;
+  };
+  render(
+    <CartProvider {...props}>
+      <Consumer />
+    </CartProvider>
+  );
+  return result;
+};
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+describe('CartContext', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return null outside a CartProvider', () => {
+    let value;
+    const Consumer = () => {
+      value = useCart();
+      return null;
+    };
+    render(<Consumer />);
+    expect(value).toBeNull();
+  });
+
+  it('should load the cart on mount', async () => {
+    getCart.mockResolvedValueOnce(serverCart);
+
+    const cart = mountCartConsumer();
+    expect(cart.current.loading).toBe(true);
+
+    await waitFor(() => {
+      expect(screen.getByTestId('item-count')).toHaveTextContent('1');
+    });
+    expect(cart.current.loading).toBe(false);
+  });
+
+  it('should skip loading when an initial cart is given', () => {
+    const cart = mountCartConsumer({ initialCart: serverCart });
+
+    expect(getCart).not.toHaveBeenCalled();
+    expect(cart.current.cart).toBe(serverCart);
+  });
+
+  it('should add items optimistically and apply the server cart', async () => {
+    const request = deferred();
+    addToCart.mockReturnValueOnce(request.promise);
+    const cart = mountCartConsumer({ loadOnMount: false });
+
+    let pending;
+    act(() => {
+      pending = cart.current.addItem({ productId: '1', quantity: 2, price: usd(1000), title: 'Shirt' });
+    });
+
+    expect(screen.getByTestId('item-count')).toHaveTextContent('2');
+    expect(cart.current.isUpdating).toBe(true);
+    expect(addToCart).toHaveBeenCalledWith({ productId: '1', variantId: null, quantity: 2 });
+
+    await act(async () => {
+      request.resolve({ ...serverCart, itemCount: 2 });
+      await pending;
+    });
+
+    expect(cart.current.cart.id).toBe('cart-1');
+    expect(cart.current.isUpdating).toBe(false);
+  });
+
+  it('should roll back an optimistic add when the service fails', async () => {
+    const apiError = Object.assign(new Error('Internal Server Error'), { code: 'SERVER_ERROR' });
+    addToCart.mockRejectedValueOnce(apiError);
+    const cart = mountCartConsumer({ initialCart: serverCart });
+
+    await act(async () => {
+      await expect(cart.current.addItem({ productId: '1', quantity: 3, price: usd(1000) })).rejects.toBe(apiError);
+    });
+
+    expect(cart.current.cart.items).toEqual(serverCart.items);
+    expect(cart.current.cart.itemCount).toBe(1);
+    expect(cart.current.error).toBe(apiError);
+
+    act(() => {
+      cart.current.clearError();
+    });
+    expect(cart.current.error).toBeNull();
+  });
+
+  it('should roll back quantity updates and removals', async () => {
+    updateCartItem.mockRejectedValueOnce(new Error('Bad request'));
+    removeCartItem.mockRejectedValueOnce(new Error('Bad request'));
+    const cart = mountCartConsumer({ initialCart: serverCart });
+
+    await act(async () => {
+      await expect(cart.current.updateQuantity('line-1', 5)).rejects.toThrow('Bad request');
+    });
+    expect(cart.current.cart.items[0].quantity).toBe(1);
+
+    await act(async () => {
+      await expect(cart.current.removeItem('line-1')).rejects.toThrow('Bad request');
+    });
+    expect(cart.current.cart.items).toEqual(serverCart.items);
+  });
+
+  it('should apply successful removals', async () => {
+    removeCartItem.mockResolvedValueOnce({ ...serverCart, items: [], itemCount: 0, subtotal: usd(0) });
+    const cart = mountCartConsumer({ initialCart: serverCart });
+
+    await act(async () => {
+      await cart.current.removeItem('line-1');
+    });
+
+    expect(removeCartItem).toHaveBeenCalledWith('line-1');
+    expect(screen.getByTestId('item-count')).toHaveTextContent('0');
+  });
+
+  it('should keep the cart of the latest mutation when responses arrive out of order', async () => {
+    const first = deferred();
+    const second = deferred();
+    updateCartItem.mockReturnValueOnce(first.promise).mockReturnValueOnce(second.promise);
+    const cart = mountCartConsumer({ initialCart: serverCart });
+
+    let pending;
+    act(() => {
+      pending = [cart.current.updateQuantity('line-1', 2), cart.current.updateQuantity('line-1', 3)];
+    });
+
+    await act(async () => {
+      second.resolve({ ...serverCart, items: [{ ...serverCart.items[0], quantity: 3 }], itemCount: 3 });
+      first.resolve({ ...serverCart, items: [{ ...serverCart.items[0], quantity: 2 }], itemCount: 2 });
+      await Promise.all(pending);
+    });
+
+    expect(screen.getByTestId('item-count')).toHaveTextContent('3');
+    expect(cart.current.cart.items[0].quantity).toBe(3);
+    expect(cart.current.isUpdating).toBe(false);
+  });
+});
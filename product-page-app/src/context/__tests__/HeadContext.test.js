@@ -0,0 +1,81 @@
+import React from 'react';
+import { render } from '@testing-library/react';
+import { HeadProvider, useDocumentHead, useSiteOrigin } from '../HeadContext';
+import { countHead, queryHead } from '../../testUtils/documentHead';
+
+const Page = ({ head }) => {
+  useDocumentHead(head);
+  return null;
+};
+
+const OriginProbe = ({ onOrigin }) => {
+  onOrigin(useSiteOrigin());
+  return null;
+};
+
+const productHead = {
+  title: 'Desk Lamp | Shop',
+  tags: [
+    { tag: 'meta', attributes: { name: 'description', content: 'A warm desk lamp' } },
+    { tag: 'meta', attributes: { property: 'og:title', content: 'Desk Lamp' } },
+    { tag: 'link', attributes: { rel: 'canonical', href: 'https://shop.example.com/products/1' } },
+    { tag: 'script', attributes: { type: 'application/ld+json' }, content: '{"@type":"Product"}' }
+  ]
+};
+
+describe('HeadContext', () => {
+  beforeEach(() => {
+    document.head.innerHTML = '<meta name="description" content="Web site created using create-react-app">';
+    document.title = 'React App';
+  });
+
+  it('should set the title and tags while mounted and restore the page afterwards', () => {
+    const { unmount } = render(<Page head={productHead} />);
+
+    expect(document.title).toBe('Desk Lamp | Shop');
+    expect(countHead('meta[name="description"]')).toBe(1);
+    expect(queryHead('meta[name="description"]')).toHaveAttribute('content', 'A warm desk lamp');
+    expect(queryHead('meta[property="og:title"]')).toHaveAttribute('content', 'Desk Lamp');
+    expect(queryHead('link[rel="canonical"]')).toHaveAttribute('href', 'https://shop.example.com/products/1');
+    expect(queryHead('script[type="application/ld+json"]').textContent).toBe('{"@type":"Product"}');
+
+    unmount();
+
+    expect(document.title).toBe('React App');
+    expect(queryHead('meta[name="description"]')).toHaveAttribute('content', 'Web site created using create-react-app');
+    expect(queryHead('meta[property="og:title"]')).toBeNull();
+    expect(queryHead('script[type="application/ld+json"]')).toBeNull();
+  });
+
+  it('should replace the tags when the head changes', () => {
+    const { rerender } = render(<Page head={productHead} />);
+    rerender(<Page head={{ ...productHead, title: 'Floor Lamp | Shop' }} />);
+
+    expect(document.title).toBe('Floor Lamp | Shop');
+    expect(countHead('script[type="application/ld+json"]')).toBe(1);
+  });
+
+  it('should hand the head to the collector when rendering on the server', () => {
+    const collector = { head: null };
+    render(
+      <HeadProvider collector={collector}>
+        <Page head={productHead} />
+      </HeadProvider>
+    );
+
+    expect(collector.head).toBe(productHead);
+  });
+
+  it('should prefer the configured origin over the page origin', () => {
+    const onOrigin = jest.fn();
+    render(<OriginProbe onOrigin={onOrigin} />);
+    expect(onOrigin).toHaveBeenLastCalledWith(window.location.origin);
+
+    render(
+      <HeadProvider origin="https://shop.example.com">
+        <OriginProbe onOrigin={onOrigin} />
+      </HeadProvider>
+    );
+    expect(onOrigin).toHaveBeenLastCalledWith('https://shop.example.com');
+  });
+});
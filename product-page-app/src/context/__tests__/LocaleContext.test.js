@@ -0,0 +1,74 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { LocaleProvider, useLocale, useMoneyFormatter, useTranslation } from '../LocaleContext';
+
+const PriceLabel = ({ price }) => {
+  const { locale, currency } = useLocale();
+  const formatPrice = useMoneyFormatter();
+  return <span data-testid="price" data-locale={locale} data-currency={currency}>{formatPrice(price)}</span>;
+};
+
+const ReviewCount = ({ count }) => {
+  const { t, direction } = useTranslation();
+  return <span data-testid="reviews" dir={direction}>{t('reviews.basedOn', { count })}</span>;
+};
+
+describe('LocaleContext', () => {
+  it('should default to en-US and USD without a provider', () => {
+    render(<PriceLabel price={9.5} />);
+
+    const price = screen.getByTestId('price');
+    expect(price).toHaveAttribute('data-locale', 'en-US');
+    expect(price).toHaveAttribute('data-currency', 'USD');
+    expect(price).toHaveTextContent('$9.50');
+  });
+
+  it('should format plain prices in the provider currency', () => {
+    render(
+      <LocaleProvider locale="en-GB" currency="GBP">
+        <PriceLabel price="12.5" />
+      </LocaleProvider>
+    );
+
+    expect(screen.getByTestId('price')).toHaveTextContent('£12.50');
+  });
+
+  it('should keep the currency of money values', () => {
+    render(
+      <LocaleProvider locale="en-US" currency="EUR">
+        <PriceLabel price={{ amount: 5000, currency: 'JPY' }} />
+      </LocaleProvider>
+    );
+
+    expect(screen.getByTestId('price')).toHaveTextContent('¥5,000');
+  });
+
+  it('should translate messages for the provider locale', () => {
+    render(
+      <LocaleProvider locale="de-DE" currency="EUR">
+        <ReviewCount count={1} />
+      </LocaleProvider>
+    );
+
+    expect(screen.getByTestId('reviews')).toHaveTextContent('Basierend auf 1 Bewertung');
+    expect(screen.getByTestId('reviews')).toHaveAttribute('dir', 'ltr');
+  });
+
+  it('should prefer provided messages and set the direction of rtl locales', () => {
+    const messages = { 'reviews.basedOn': '{count, plural, one {ביקורת אחת} other {# ביקורות}}' };
+    render(
+      <LocaleProvider locale="he-IL" currency="ILS" messages={messages}>
+        <ReviewCount count={3} />
+      </LocaleProvider>
+    );
+
+    expect(screen.getByTestId('reviews')).toHaveTextContent('3 ביקורות');
+    expect(screen.getByTestId('reviews')).toHaveAttribute('dir', 'rtl');
+  });
+
+  it('should translate in English without a provider', () => {
+    render(<ReviewCount count={2} />);
+
+    expect(screen.getByTestId('reviews')).toHaveTextContent('Based on 2 reviews');
+  });
+});
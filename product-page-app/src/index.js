@@ -1,17 +1,33 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
+import { BrowserRouter } from 'react-router-dom';
 import './index.css';
 import App from './App';
-import reportWebVitals from './reportWebVitals';
+import { readInitialData } from './context/InitialDataContext';
+import { getTextDirection, negotiateLocale } from './utils/i18n';
+import { startPerformanceMonitoring } from './services/performanceMonitor';
 
-const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
+const container = document.getElementById('root');
+const initialData = readInitialData();
+// Hydration keeps the locale the server rendered with; otherwise the browser's languages decide
+const locale = initialData?.locale || negotiateLocale(navigator.languages?.length ? navigator.languages : [navigator.language]);
+document.documentElement.lang = locale;
+document.documentElement.dir = getTextDirection(locale);
+
+const app = (
   <React.StrictMode>
-    <App />
+    <BrowserRouter future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+      <App initialData={initialData} locale={locale} />
+    </BrowserRouter>
   </React.StrictMode>
 );
 
-// If you want to start measuring performance in your app, pass a function
-// to log results (for example: reportWebVitals(console.log))
-// or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
-reportWebVitals();
+// Pages rendered by the server renderer are hydrated; the plain build renders into an empty root
+if (container.hasChildNodes()) {
+  ReactDOM.hydrateRoot(container, app);
+} else {
+  ReactDOM.createRoot(container).render(app);
+}
+
+// Sends LCP, CLS, INP, FCP and TTFB with the product page marks to REACT_APP_VITALS_URL
+startPerformanceMonitoring();
@@ -0,0 +1,163 @@
+/**
+ * @jest-environment node
+ */
+import { renderPage, getResponseStatus } from '../renderPage';
+import { getProductById } from '../../services/productService';
+
+jest.mock('../../services/productService', () => ({
+  ERROR_CODES: { NOT_FOUND: { status: 404, message: 'Requested product could not be found' } },
+  LIST_SORT_OPTIONS: ['featured'],
+  SEARCH_SORT_OPTIONS: ['relevance'],
+  getProductById: jest.fn(),
+  getRelatedProducts: jest.fn(),
+  getFrequentlyBoughtTogether: jest.fn(),
+  getProducts: jest.fn(),
+  listProducts: jest.fn(),
+  searchProducts: jest.fn(),
+  getSearchSuggestions: jest.fn()
+}));
+
+jest.mock('../../services/cartService', () => ({
+  MAX_LINE_QUANTITY: 99,
+  getCart: jest.fn()
+}));
+
+jest.mock('../../services/stockNotificationService', () => ({
+  subscribeToBackInStock: jest.fn()
+}));
+
+jest.mock('../../services/reviewService', () => ({
+  REVIEW_SORT_OPTIONS: ['newest', 'helpful', 'rating-desc', 'rating-asc'],
+  REVIEW_LIMITS: { titleMaxLength: 120, maxPhotos: 5, photoTypes: ['image/jpeg'] },
+  getReviews: jest.fn(),
+  submitReview: jest.fn(),
+  voteReviewHelpful: jest.fn(),
+  validateReview: jest.fn()
+}));
+
+jest.mock('../../services/questionsService', () => ({
+  QA_LIMITS: { questionMaxLength: 500, answerMaxLength: 2000 },
+  listQuestions: jest.fn(),
+  askQuestion: jest.fn(),
+  answerQuestion: jest.fn(),
+  upvoteQuestion: jest.fn(),
+  upvoteAnswer: jest.fn(),
+  validateQuestion: jest.fn(),
+  validateAnswer: jest.fn()
+}));
+
+const template = '<!DOCTYPE html><html><head><meta name="description" content="Web site created using create-react-app"/><title>React App</title></head><body><div id="root"></div><script src="/static/js/main.js"></script></body></html>';
+
+const apiError = (message, status, code) => Object.assign(new Error(message), { name: 'APIError', status, code });
+
+// Reads the data serialized for hydration back out of the page
+const readInitialData = (html) => {
+  const [, json] = html.match(/window\.__INITIAL_DATA__=(.*?)<\/script>/);
+  return JSON.parse(json);
+};
+
+describe('renderPage', () => {
+  it('should render a prefetched product page with its styles and data', async () => {
+    getProductById.mockResolvedValueOnce({ id: '42', title: 'Desk Lamp', price: 25, description: 'Warm light' });
+
+    const { status, html } = await renderPage('/products/42', { template, origin: 'https://shop.example.com' });
+
+    expect(status).toBe(200);
+    expect(getProductById).toHaveBeenCalledWith('42', expect.objectContaining({ timeout: 5000, retries: 0 }));
+    expect(html).toContain('Desk Lamp');
+    expect(html).toContain('Warm light');
+    expect(html).not.toContain('loading-container');
+    expect(html).toMatch(/<style data-styled[^>]*>.+<\/style><\/head>/s);
+    expect(readInitialData(html).product).toEqual(expect.objectContaining({
+      productId: '42',
+      data: expect.objectContaining({ title: 'Desk Lamp' }),
+      error: null
+    }));
+  });
+
+  it('should write the product title, meta tags and structured data into the head', async () => {
+    getProductById.mockResolvedValueOnce({ id: '42', title: 'Desk Lamp & Shade', price: 25, description: 'Warm light', brand: 'Lumen' });
+
+    const { html } = await renderPage('/products/42', { template, origin: 'https://shop.example.com' });
+    const [, head] = html.match(/<head>(.*)<\/head>/s);
+
+    expect(head).toContain('<title>Desk Lamp &amp; Shade | Shop</title>');
+    expect(head).not.toContain('React App');
+    expect(head.match(/name="description"/g)).toHaveLength(1);
+    expect(head).toContain('<meta name="description" content="Warm light">');
+    expect(head).toContain('<link rel="canonical" href="https://shop.example.com/products/42">');
+    expect(head).toContain('<meta property="og:title" content="Desk Lamp &amp; Shade">');
+
+    const [, jsonLd] = head.match(/<script type="application\/ld\+json">(.*?)<\/script>/);
+    expect(JSON.parse(jsonLd)).toEqual(expect.objectContaining({
+      '@type': 'Product',
+      name: 'Desk Lamp & Shade',
+      brand: { '@type': 'Brand', name: 'Lumen' },
+      offers: expect.objectContaining({ price: '25.00', priceCurrency: 'USD' })
+    }));
+  });
+
+  it('should render in the requested locale and hydrate in it', async () => {
+    const { html } = await renderPage('/cart', { template, locale: 'de-DE' });
+
+    expect(html).toMatch(/^<!DOCTYPE html><html lang="de-DE" dir="ltr">/);
+    expect(html).toContain('Dein Warenkorb');
+    expect(readInitialData(html).locale).toBe('de-DE');
+  });
+
+  it('should keep search engines away from missing pages', async () => {
+    const { html } = await renderPage('/no/such/page', { template });
+
+    expect(html).toContain('<title>Page not found | Shop</title>');
+    expect(html).toContain('<meta name="robots" content="noindex">');
+  });
+
+  it('should escape product data that would end the inline script', async () => {
+    getProductById.mockResolvedValueOnce({ id: '7', title: '</script><script>alert(1)</script>', price: 1 });
+
+    const { html } = await renderPage('/products/7', { template });
+
+    expect(html).not.toContain('</script><script>alert(1)');
+    expect(readInitialData(html).product.data.title).toBe('</script><script>alert(1)</script>');
+  });
+
+  it('should answer 404 for products the API does not know', async () => {
+    getProductById.mockRejectedValueOnce(apiError('Requested product could not be found', 404, 'NOT_FOUND'));
+
+    const { status, html } = await renderPage('/products/gone', { template });
+
+    expect(status).toBe(404);
+    expect(html).toContain('Product not found');
+    expect(readInitialData(html).product.error).toEqual({ message: 'Requested product could not be found', code: 'NOT_FOUND' });
+  });
+
+  it('should answer with the status of other API errors', async () => {
+    getProductById.mockRejectedValueOnce(apiError('Internal Server Error', 500, 'SERVER_ERROR'));
+
+    const { status, html } = await renderPage('/products/1', { template });
+
+    expect(status).toBe(500);
+    expect(html).toContain('data-testid="error-message"');
+  });
+
+  it('should answer 404 for unknown URLs without prefetching', async () => {
+    const { status, html } = await renderPage('/no/such/page', { template });
+
+    expect(status).toBe(404);
+    expect(html).toContain('Page not found');
+    expect(getProductById).not.toHaveBeenCalled();
+  });
+});
+
+describe('getResponseStatus', () => {
+  it('should use the status of API errors', () => {
+    expect(getResponseStatus(apiError('Forbidden', 403, 'FORBIDDEN'))).toBe(403);
+    expect(getResponseStatus(apiError('Too many requests', 429, 'RATE_LIMIT'))).toBe(429);
+  });
+
+  it('should report failures to reach the API as gateway errors', () => {
+    expect(getResponseStatus(apiError('Request timed out', 408, 'TIMEOUT'))).toBe(504);
+    expect(getResponseStatus(apiError('Network error', 0, 'NETWORK_ERROR'))).toBe(502);
+    expect(getResponseStatus(new Error('Unexpected'))).toBe(500);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequestHandler } from '../requestHandler';
+
+const createRequest = (url, { method = 'GET', host = 'shop.example.com', language } = {}) => ({
+  url,
+  method,
+  headers: { host, 'accept-language': language }
+});
+const createResponse = () => ({ headersSent: false, writeHead: jest.fn(), end: jest.fn() });
+
+describe('requestHandler', () => {
+  const template = '<html><body><div id="root"></div></body></html>';
+  const originalConsoleError = console.error;
+  let buildDir;
+  let renderPage;
+  let handleRequest;
+
+  beforeEach(() => {
+    console.error = jest.fn();
+    buildDir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-'));
+    renderPage = jest.fn().mockResolvedValue({ status: 200, html: '<html>rendered</html>' });
+    handleRequest = createRequestHandler({ buildDir, template, renderPage });
+  });
+
+  afterEach(() => {
+    console.error = originalConsoleError;
+    fs.rmSync(buildDir, { recursive: true, force: true });
+  });
+
+  it('should render app routes', async () => {
+    const response = createResponse();
+
+    await handleRequest(createRequest('/products/42?tab=reviews'), response);
+
+    expect(renderPage).toHaveBeenCalledWith('/products/42?tab=reviews', { template, origin: 'http://shop.example.com', locale: 'en-US' });
+    expect(response.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/html; charset=utf-8' }));
+    expect(response.end).toHaveBeenCalledWith('<html>rendered</html>');
+  });
+
+  it('should render in the language the browser prefers', async () => {
+    const response = createResponse();
+
+    await handleRequest(createRequest('/products/42', { language: 'fr-FR,de-AT;q=0.8,en;q=0.5' }), response);
+
+    expect(renderPage).toHaveBeenCalledWith('/products/42', expect.objectContaining({ locale: 'de-DE' }));
+    expect(response.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({
+      'Content-Language': 'de-DE',
+      Vary: 'Accept-Language'
+    }));
+  });
+
+  it('should answer malformed escapes and Host headers with 400', async () => {
+    const responses = [createResponse(), createResponse()];
+
+    await handleRequest(createRequest('/%zz'), responses[0]);
+    await handleRequest(createRequest('/products/1', { host: 'exa mple.com:x' }), responses[1]);
+
+    expect(responses[0].writeHead).toHaveBeenCalledWith(400, undefined);
+    expect(responses[1].writeHead).toHaveBeenCalledWith(400, undefined);
+    expect(renderPage).not.toHaveBeenCalled();
+  });
+
+  it('should fall back to the client build when rendering fails', async () => {
+    renderPage.mockRejectedValue(new Error('Render failed'));
+    const response = createResponse();
+
+    await handleRequest(createRequest('/products/1'), response);
+
+    expect(response.writeHead).toHaveBeenCalledWith(500, { 'Content-Type': 'text/html; charset=utf-8' });
+    expect(response.end).toHaveBeenCalledWith(template);
+  });
+
+  it('should end the response with a 500 when anything else fails', async () => {
+    const response = createResponse();
+    response.writeHead.mockImplementationOnce(() => {
+      throw new Error('Socket closed');
+    });
+
+    await expect(handleRequest(createRequest('/products/1', { method: 'POST' }), response)).resolves.toBeUndefined();
+
+    expect(response.writeHead).toHaveBeenLastCalledWith(500, undefined);
+    expect(response.end).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { createTelemetryCollector } from '../telemetryCollector';
+
+const createRequest = (method, body = '') => Object.assign(Readable.from(body ? [Buffer.from(body)] : []), { method });
+const createResponse = () => ({ writeHead: jest.fn(), end: jest.fn() });
+
+describe('telemetryCollector', () => {
+  let directory;
+  let file;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'telemetry-'));
+    file = path.join(directory, 'events.ndjson');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should append each posted event as a line of JSON', async () => {
+    const collect = createTelemetryCollector({ file });
+    const response = createResponse();
+
+    await collect(createRequest('POST', JSON.stringify({ events: [{ name: 'a' }, { name: 'b' }] })), response);
+    await collect(createRequest('POST', JSON.stringify({ events: [{ name: 'c' }] })), createResponse());
+
+    expect(response.writeHead).toHaveBeenCalledWith(204);
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(line => line.name)).toEqual(['a', 'b', 'c']);
+    expect(lines[0].received).toEqual(expect.any(String));
+  });
+
+  it('should refuse other methods, malformed batches and oversized bodies', async () => {
+    const collect = createTelemetryCollector({ file, maxBodyBytes: 64 });
+    const responses = [createResponse(), createResponse(), createResponse()];
+
+    await collect(createRequest('GET'), responses[0]);
+    await collect(createRequest('POST', '{"event": {}}'), responses[1]);
+    await collect(createRequest('POST', JSON.stringify({ events: [{ name: 'x'.repeat(100) }] })), responses[2]);
+
+    expect(responses[0].writeHead).toHaveBeenCalledWith(405, { Allow: 'POST' });
+    expect(responses[1].writeHead).toHaveBeenCalledWith(400, expect.any(Object));
+    expect(responses[2].writeHead).toHaveBeenCalledWith(413);
+    expect(fs.existsSync(file)).toBe(false);
+  });
+});
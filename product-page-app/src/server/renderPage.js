@@ -0,0 +1,172 @@
+import React from 'react';
+import { prerenderToNodeStream } from 'react-dom/static';
+import { StaticRouter } from 'react-router-dom/server';
+import { matchRoutes } from 'react-router-dom';
+import { ServerStyleSheet } from 'styled-components';
+import App, { routes, PRODUCT_ROUTE } from '../App';
+import { INITIAL_DATA_KEY } from '../context/InitialDataContext';
+import { HeadProvider } from '../context/HeadContext';
+import { getProductById } from '../services/productService';
+import { getTextDirection } from '../utils/i18n';
+import { DEFAULT_LOCALE } from '../utils/money';
+
+// Failures between this server and the API reach the browser as gateway errors
+const UPSTREAM_STATUS = {
+  TIMEOUT: 504,
+  NETWORK_ERROR: 502
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Maps an error from the product service to the HTTP status of the rendered page
+ * @param {Error} error - APIError (or any other error)
+ * @returns {number} - HTTP status code
+ */
+export const getResponseStatus = (error) => {
+  if (UPSTREAM_STATUS[error?.code]) {
+    return UPSTREAM_STATUS[error.code];
+  }
+  const status = error?.status;
+  return Number.isInteger(status) && status >= 400 && status < 600 ? status : 500;
+};
+
+/**
+ * Serializes data for an inline script; escapes what would end the script or break the JavaScript
+ * @param {*} data - JSON-serializable data
+ * @returns {string} - JavaScript expression
+ */
+const serializeData = data => JSON.stringify(data)
+  .replace(/</g, '\\u003c')
+  .replace(/\u2028/g, '\\u2028')
+  .replace(/\u2029/g, '\\u2029');
+
+/** Escapes text for an HTML attribute value or element content */
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Writes the head collected while rendering into the template, replacing the
+ * template's own title and any meta tag the page sets again
+ * @param {string} template - HTML of the client build
+ * @param {Object} head - { title, tags } passed to useDocumentHead
+ * @returns {string} - Template with the page's head
+ */
+const applyHead = (template, head) => {
+  if (!head) return template;
+  let html = template;
+
+  if (head.title) {
+    html = html.replace(/<title>[\s\S]*?<\/title>/, '');
+  }
+  (head.tags || []).forEach(({ tag, attributes }) => {
+    const key = tag === 'meta' ? attributes.name || attributes.property : null;
+    if (key) {
+      html = html.replace(new RegExp(`<meta[^>]*\\s(?:name|property)="${key}"[^>]*>`), '');
+    }
+  });
+
+  const tags = (head.tags || []).map(({ tag, attributes, content }) => {
+    const attributeList = Object.entries(attributes)
+      .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+      .join('');
+    if (tag === 'script') {
+      return `<script${attributeList}>${serializeData(JSON.parse(content))}</script>`;
+    }
+    return `<${tag}${attributeList}>`;
+  });
+  const title = head.title ? `<title>${escapeHtml(head.title)}</title>` : '';
+
+  return html.replace('</head>', () => `${title}${tags.join('')}</head>`);
+};
+
+/**
+ * Collects a rendered stream into a string
+ * @param {Readable} stream - Prelude of prerenderToNodeStream
+ * @returns {Promise<string>} - HTML
+ */
+const readStream = async (stream) => {
+  let html = '';
+  for await (const chunk of stream) {
+    html += chunk.toString();
+  }
+  return html;
+};
+
+/**
+ * Fetches the product of a product URL ahead of rendering
+ * @param {string} productId - Product in the URL
+ * @returns {Promise<Object>} - { data, error, fetchedAt, status } as serialized for ProductPage
+ */
+const prefetchProduct = async (productId) => {
+  try {
+    // Not retried here: the response is waiting, and the error page lets the shopper try again
+    const data = await getProductById(productId, { timeout: 5000, retries: 0 });
+    return { productId, data, error: null, fetchedAt: Date.now(), status: 200 };
+  } catch (error) {
+    return {
+      productId,
+      data: null,
+      error: {
+        message: error.message,
+        code: error.code || null,
+        // Lets the error page show the ID support needs to find the failed request
+        ...(error.requestId ? { requestId: error.requestId } : {})
+      },
+      fetchedAt: Date.now(),
+      status: getResponseStatus(error)
+    };
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Renders the app for a request URL. Product pages are prefetched through
+ * getProductById and the data is serialized into the page, so the client
+ * hydrates without fetching the product again.
+ * @param {string} url - Request path and query
+ * @param {Object} options
+ * @param {string} options.template - HTML of the client build (build/index.html)
+ * @param {string} options.origin - Origin of the site, for canonical URLs and structured data
+ * @param {string} options.locale - Supported locale to render in, serialized so the client hydrates in it too
+ * @returns {Promise<{status: number, html: string}>} - Response status and HTML
+ */
+export const renderPage = async (url, { template, origin = null, locale = DEFAULT_LOCALE }) => {
+  const matches = matchRoutes(routes, url) || [];
+  const route = matches[matches.length - 1]?.route;
+  const initialData = { locale };
+  let status = route && route.path !== '*' ? 200 : 404;
+
+  if (route?.path === PRODUCT_ROUTE) {
+    const { status: productStatus, ...product } = await prefetchProduct(matches[matches.length - 1].params.productId);
+    initialData.product = product;
+    status = productStatus;
+  }
+
+  const sheet = new ServerStyleSheet();
+  const headCollector = { head: null };
+  try {
+    const { prelude } = await prerenderToNodeStream(sheet.collectStyles(
+      <HeadProvider collector={headCollector} origin={origin}>
+        <StaticRouter location={url} future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+          <App initialData={initialData} locale={locale} />
+        </StaticRouter>
+      </HeadProvider>
+    ));
+    const markup = await readStream(prelude);
+
+    // Replaced through functions, so "$" sequences in the markup are not read as replacement patterns
+    const html = applyHead(template, headCollector.head)
+      .replace(/<html[^>]*>/, () => `<html lang="${escapeHtml(locale)}" dir="${getTextDirection(locale)}">`)
+      .replace('</head>', () => `${sheet.getStyleTags()}</head>`)
+      .replace(
+        '<div id="root"></div>',
+        () => `<div id="root">${markup}</div><script>window.${INITIAL_DATA_KEY}=${serializeData(initialData)}</script>`
+      );
+    return { status, html };
+  } finally {
+    sheet.seal();
+  }
+};
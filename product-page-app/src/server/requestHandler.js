@@ -0,0 +1,136 @@
+import fs from 'fs';
+import path from 'path';
+import { TELEMETRY_PATH } from './telemetryCollector';
+import { negotiateLocale, parseAcceptLanguage } from '../utils/i18n';
+
+const CONTENT_TYPES = {
+  '.css': 'text/css',
+  '.ico': 'image/x-icon',
+  '.js': 'text/javascript',
+  '.json': 'application/json',
+  '.map': 'application/json',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.txt': 'text/plain'
+};
+
+/**
+ * Finds the build file for a request path
+ * @param {string} buildDir - Absolute path of the client build
+ * @param {string} pathname - Decoded request path
+ * @returns {string|null} - Absolute path of the file, or null to render the app
+ */
+const resolveStaticFile = (buildDir, pathname) => {
+  if (pathname === '/' || pathname === '/index.html') return null;
+  const file = path.join(buildDir, path.normalize(pathname));
+  if (!file.startsWith(buildDir + path.sep)) return null;
+  return fs.existsSync(file) && fs.statSync(file).isFile() ? file : null;
+};
+
+/**
+ * Parses the URL of a request
+ * @param {http.IncomingMessage} request - Incoming request
+ * @returns {{url: URL, pathname: string}|null} - URL and decoded path; null when either is malformed
+ */
+const parseRequestUrl = (request) => {
+  try {
+    const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+    return { url, pathname: decodeURIComponent(url.pathname) };
+  } catch (error) {
+    // Invalid Host header or percent escape, such as /%zz
+    return null;
+  }
+};
+
+/**
+ * Ends a response that failed before anything useful could be sent
+ * @param {http.ServerResponse} response - Response
+ * @param {number} status - HTTP status
+ * @param {string} body - Optional body
+ */
+const endWithStatus = (response, status, body) => {
+  if (!response.headersSent) {
+    response.writeHead(status, body ? { 'Content-Type': 'text/html; charset=utf-8' } : undefined);
+  }
+  response.end(body);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Creates the request handler of the SSR server: serves the files of the client build,
+ * passes telemetry to the collector and renders every other GET request in the locale
+ * its Accept-Language header prefers
+ * @param {Object} options - Handler options
+ * @param {string} options.buildDir - Absolute path of the client build
+ * @param {string} options.template - HTML of build/index.html
+ * @param {Function} options.renderPage - renderPage from ./renderPage
+ * @param {Function} options.collectTelemetry - Collector from createTelemetryCollector, if enabled
+ * @param {string} options.siteUrl - Origin used for canonical URLs instead of the Host header
+ * @returns {Function} - Handler for http.createServer; it never rejects
+ */
+export const createRequestHandler = ({ buildDir, template, renderPage, collectTelemetry = null, siteUrl }) => {
+  const handleRequest = async (request, response) => {
+    const parsed = parseRequestUrl(request);
+    if (!parsed) {
+      endWithStatus(response, 400);
+      return;
+    }
+    const { url, pathname } = parsed;
+
+    if (collectTelemetry && url.pathname === TELEMETRY_PATH) {
+      try {
+        await collectTelemetry(request, response);
+      } catch (error) {
+        console.error('Storing telemetry failed:', error);
+        endWithStatus(response, 500);
+      }
+      return;
+    }
+
+    const file = resolveStaticFile(buildDir, pathname);
+
+    if (file) {
+      response.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+        // Hashed bundle names change with their content
+        'Cache-Control': file.includes(`${path.sep}static${path.sep}`) ? 'public, max-age=31536000, immutable' : 'no-cache'
+      });
+      fs.createReadStream(file).pipe(response);
+      return;
+    }
+
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      response.writeHead(405, { Allow: 'GET, HEAD' });
+      response.end();
+      return;
+    }
+
+    try {
+      // Canonical URLs should not depend on the Host header when the site URL is configured
+      const origin = siteUrl || url.origin;
+      const locale = negotiateLocale(parseAcceptLanguage(request.headers['accept-language']));
+      const { status, html } = await renderPage(`${url.pathname}${url.search}`, { template, origin, locale });
+      response.writeHead(status, {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Content-Language': locale,
+        'Cache-Control': 'no-cache',
+        Vary: 'Accept-Language'
+      });
+      response.end(request.method === 'HEAD' ? undefined : html);
+    } catch (error) {
+      console.error('Server-side rendering failed:', error);
+      // The client build can still render the page on its own
+      endWithStatus(response, 500, template);
+    }
+  };
+
+  return async (request, response) => {
+    try {
+      await handleRequest(request, response);
+    } catch (error) {
+      // Last resort: an unhandled rejection would end the server process
+      console.error('Handling the request failed:', error);
+      endWithStatus(response, 500);
+    }
+  };
+};
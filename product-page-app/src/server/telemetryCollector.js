@@ -0,0 +1,73 @@
+import fs from 'fs';
+
+// Path the collector answers on; build the client with REACT_APP_TELEMETRY_URL set to it
+export const TELEMETRY_PATH = '/telemetry';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Reads a request body up to a size limit
+ * @param {http.IncomingMessage} request - Incoming request
+ * @param {number} limit - Maximum body size in bytes
+ * @returns {Promise<string|null>} - Body, or null when it exceeds the limit
+ */
+const readBody = (request, limit) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  let tooLarge = false;
+
+  request.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > limit) {
+      tooLarge = true;
+      chunks.length = 0;
+    } else if (!tooLarge) {
+      chunks.push(chunk);
+    }
+  });
+  request.on('end', () => resolve(tooLarge ? null : Buffer.concat(chunks).toString('utf8')));
+  request.on('error', reject);
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Creates a request handler standing in for a telemetry collector during development and tests.
+ * It accepts the batches of the reporter's HTTP sink ({ events: [...] }) and appends each
+ * event as a line of JSON to a file.
+ * @param {Object} options
+ * @param {string} options.file - File the events are appended to
+ * @param {number} options.maxBodyBytes - Larger batches are refused with 413
+ * @returns {Function} - async (request, response) handler
+ */
+export const createTelemetryCollector = ({ file, maxBodyBytes = MAX_BODY_BYTES }) => async (request, response) => {
+  if (request.method !== 'POST') {
+    response.writeHead(405, { Allow: 'POST' });
+    response.end();
+    return;
+  }
+
+  const body = await readBody(request, maxBodyBytes);
+  if (body === null) {
+    response.writeHead(413);
+    response.end();
+    return;
+  }
+
+  let events;
+  try {
+    events = JSON.parse(body).events;
+  } catch (error) {
+    events = null;
+  }
+  if (!Array.isArray(events)) {
+    response.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+    response.end('Expected a JSON body of the form { "events": [...] }');
+    return;
+  }
+
+  const received = new Date().toISOString();
+  const lines = events.map(event => `${JSON.stringify({ ...event, received })}\n`).join('');
+  await fs.promises.appendFile(file, lines, 'utf8');
+  response.writeHead(204);
+  response.end();
+};
@@ -0,0 +1,133 @@
+import axios from 'axios';
+import api from '../api';
+import auth from '../auth';
+
+jest.mock('axios', () => {
+  // Callable like the axios instance, which replays requests as api(config)
+  const mockAxios = Object.assign(jest.fn(), {
+    interceptors: {
+      request: { use: jest.fn() },
+      response: { use: jest.fn() }
+    },
+    defaults: { headers: {} },
+    isCancel: jest.fn(() => false),
+    post: jest.fn(),
+    create: jest.fn(() => mockAxios)
+  });
+  return mockAxios;
+});
+
+// Interceptors registered when the api module loaded; read before resetMocks clears the calls
+const [[onRequest]] = axios.interceptors.request.use.mock.calls;
+const [[, onResponseError]] = axios.interceptors.response.use.mock.calls;
+
+describe('api interceptors', () => {
+  afterEach(() => {
+    auth.clearTokens();
+  });
+
+  it('should send a request ID and traceparent header', () => {
+    const config = onRequest({ url: '/products/1', headers: {} });
+
+    expect(config.headers['X-Request-ID']).toBe(config.trace.requestId);
+    expect(config.headers.traceparent).toMatch(new RegExp(`^00-${config.trace.traceId}-[\\da-f]{16}-01$`));
+  });
+
+  it('should keep the IDs of a config that is sent again', () => {
+    const first = onRequest({ url: '/products/1', headers: {} });
+    const firstTraceparent = first.headers.traceparent;
+    const second = onRequest(first);
+
+    expect(second.headers['X-Request-ID']).toBe(first.trace.requestId);
+    expect(second.headers.traceparent.split('-')[1]).toBe(firstTraceparent.split('-')[1]);
+  });
+
+  it('should attach the IDs and a translatable message to failed requests', async () => {
+    const config = onRequest({ url: '/products/1', method: 'get', headers: {} });
+    const error = Object.assign(new Error('Request failed with status code 503'), {
+      config,
+      response: { status: 503, headers: {} }
+    });
+
+    await expect(onResponseError(error)).rejects.toMatchObject({
+      requestId: config.trace.requestId,
+      traceId: config.trace.traceId,
+      messageKey: 'api.unavailable',
+      message: 'Service unavailable - please try again later'
+    });
+  });
+
+  describe('authentication', () => {
+    const unauthorized = (config) => Object.assign(new Error('Request failed with status code 401'), {
+      config,
+      response: { status: 401, headers: {} }
+    });
+
+    it('should send the access token as a bearer token', () => {
+      expect(onRequest({ url: '/products/1', headers: {} }).headers.Authorization).toBeUndefined();
+
+      auth.setTokens({ accessToken: 'token-1' });
+
+      expect(onRequest({ url: '/products/1', headers: {} }).headers.Authorization).toBe('Bearer token-1');
+      expect(onRequest({ url: '/public', headers: {}, skipAuth: true }).headers.Authorization).toBeUndefined();
+    });
+
+    it('should refresh the token once on a 401 and replay the request', async () => {
+      auth.setTokens({ accessToken: 'expired', refreshToken: 'refresh-1' });
+      axios.post.mockResolvedValue({ data: { accessToken: 'fresh' } });
+      api.mockImplementation(config => Promise.resolve({ status: 200, data: {}, config: onRequest(config) }));
+      const config = onRequest({ url: '/prices', method: 'get', headers: {} });
+
+      const response = await onResponseError(unauthorized(config));
+
+      expect(axios.post).toHaveBeenCalledWith('/api/auth/refresh', { refreshToken: 'refresh-1' }, { withCredentials: true });
+      expect(api).toHaveBeenCalledTimes(1);
+      expect(response.config.headers.Authorization).toBe('Bearer fresh');
+      expect(response.config.trace).toBe(config.trace);
+    });
+
+    it('should queue concurrent requests behind one refresh', async () => {
+      auth.setTokens({ accessToken: 'expired', refreshToken: 'refresh-1' });
+      let resolveRefresh;
+      axios.post.mockReturnValue(new Promise(resolve => { resolveRefresh = resolve; }));
+      api.mockImplementation(config => Promise.resolve({ status: 200, data: {}, config: onRequest(config) }));
+      const first = onRequest({ url: '/prices/1', method: 'get', headers: {} });
+      const second = onRequest({ url: '/prices/2', method: 'get', headers: {} });
+
+      const replays = [onResponseError(unauthorized(first)), onResponseError(unauthorized(second))];
+      const started = onRequest({ url: '/prices/3', method: 'get', headers: {} });
+      resolveRefresh({ data: { accessToken: 'fresh' } });
+      const responses = await Promise.all(replays);
+
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      expect(responses.map(response => response.config.headers.Authorization)).toEqual(['Bearer fresh', 'Bearer fresh']);
+      await expect(started).resolves.toMatchObject({ headers: { Authorization: 'Bearer fresh' } });
+    });
+
+    it('should emit a logout and keep the 401 when the refresh fails', async () => {
+      auth.setTokens({ accessToken: 'expired', refreshToken: 'refresh-1' });
+      axios.post.mockRejectedValue(new Error('Refresh token expired'));
+      const listener = jest.fn();
+      const unsubscribe = auth.onLogout(listener);
+      const config = onRequest({ url: '/prices', method: 'get', headers: {} });
+
+      await expect(onResponseError(unauthorized(config))).rejects.toMatchObject({
+        messageKey: 'api.unauthorized',
+        response: { status: 401 }
+      });
+
+      expect(listener).toHaveBeenCalledWith({ reason: expect.objectContaining({ message: 'Refresh token expired' }) });
+      expect(api).not.toHaveBeenCalled();
+      expect(auth.hasSession()).toBe(false);
+      unsubscribe();
+    });
+
+    it('should not refresh again when the replayed request is rejected', async () => {
+      auth.setTokens({ accessToken: 'token-1' });
+      const config = { ...onRequest({ url: '/prices', method: 'get', headers: {} }), authRetried: true };
+
+      await expect(onResponseError(unauthorized(config))).rejects.toMatchObject({ response: { status: 401 } });
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import { createAuth } from '../auth';
+
+// Only the default session refreshes through axios; these tests pass their own refresh
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+describe('auth', () => {
+  it('should run one refresh for concurrent callers and keep the refresh token', async () => {
+    let resolveRefresh;
+    const refresh = jest.fn(() => new Promise(resolve => { resolveRefresh = resolve; }));
+    const auth = createAuth({ refresh });
+    auth.setTokens({ accessToken: 'expired', refreshToken: 'refresh-1' });
+
+    const first = auth.refreshSession('expired');
+    const second = auth.refreshSession('expired');
+    expect(auth.getPendingRefresh()).toBe(first);
+    await Promise.resolve();
+    resolveRefresh({ accessToken: 'fresh' });
+
+    await expect(first).resolves.toBe('fresh');
+    await expect(second).resolves.toBe('fresh');
+    expect(refresh).toHaveBeenCalledTimes(1);
+    expect(refresh).toHaveBeenCalledWith('refresh-1');
+    expect(auth.getPendingRefresh()).toBeNull();
+    expect(auth.hasSession()).toBe(true);
+  });
+
+  it('should not refresh again for a request sent with a token that was already replaced', async () => {
+    const refresh = jest.fn();
+    const auth = createAuth({ refresh });
+    auth.setTokens({ accessToken: 'fresh' });
+
+    await expect(auth.refreshSession('expired')).resolves.toBe('fresh');
+    expect(refresh).not.toHaveBeenCalled();
+  });
+
+  it('should end the session and notify listeners when the refresh fails', async () => {
+    const failure = new Error('Refresh token expired');
+    const auth = createAuth({ refresh: jest.fn().mockRejectedValue(failure) });
+    const listener = jest.fn();
+    const unsubscribe = auth.onLogout(listener);
+    auth.setTokens({ accessToken: 'expired', refreshToken: 'refresh-1' });
+
+    await expect(auth.refreshSession('expired')).rejects.toBe(failure);
+
+    expect(listener).toHaveBeenCalledWith({ reason: failure });
+    expect(auth.getAccessToken()).toBeNull();
+    expect(auth.hasSession()).toBe(false);
+
+    unsubscribe();
+    auth.logout();
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('should treat a refresh without an access token as failed', async () => {
+    const auth = createAuth({ refresh: jest.fn().mockResolvedValue({}) });
+    const listener = jest.fn();
+    auth.onLogout(listener);
+    auth.setTokens({ accessToken: 'expired' });
+
+    await expect(auth.refreshSession()).rejects.toThrow('Token refresh returned no access token');
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,163 @@
+import axios from 'axios';
+import { getCart, addToCart, updateCartItem, removeCartItem } from '../cartService';
+import { APIError } from '../productService';
+
+jest.mock('axios', () => {
+  const mockAxios = {
+    get: jest.fn(),
+    post: jest.fn(),
+    patch: jest.fn(),
+    delete: jest.fn(),
+    create: jest.fn(() => mockAxios),
+    isCancel: jest.fn(() => false),
+    defaults: {
+      baseURL: '',
+      headers: {}
+    },
+    interceptors: {
+      request: { use: jest.fn(), eject: jest.fn() },
+      response: { use: jest.fn(), eject: jest.fn() }
+    }
+  };
+  return mockAxios;
+});
+
+const mockAxios = axios;
+
+const rawCart = {
+  id: 'cart-1',
+  items: [
+    { id: 'line-1', productId: '123', variantId: 'm-blue', quantity: 2, price: 19.99, title: 'Shirt' }
+  ]
+};
+
+describe('cartService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  describe('getCart', () => {
+    it('should fetch and transform the cart', async () => {
+      mockAxios.get.mockResolvedValueOnce({ data: rawCart });
+
+      const cart = await getCart();
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/cart', expect.objectContaining({ cache: false }));
+      expect(cart).toEqual({
+        id: 'cart-1',
+        currency: 'USD',
+        items: [{
+          id: 'line-1',
+          productId: '123',
+          variantId: 'm-blue',
+          quantity: 2,
+          price: { amount: 1999, currency: 'USD' },
+          title: 'Shirt',
+          image: null
+        }],
+        itemCount: 2,
+        subtotal: { amount: 3998, currency: 'USD' }
+      });
+    });
+
+    it('should map server failures through handleApiError', async () => {
+      const serverError = new Error('Internal Server Error');
+      serverError.response = { status: 503, data: {} };
+      mockAxios.get.mockRejectedValueOnce(serverError);
+
+      await expect(getCart()).rejects.toMatchObject({
+        name: 'APIError',
+        code: 'SERVER_ERROR',
+        status: 500
+      });
+    });
+
+    it('should report cancelled requests', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      mockAxios.get.mockRejectedValueOnce(new Error('canceled'));
+
+      await expect(getCart({ signal: controller.signal })).rejects.toMatchObject({
+        code: 'REQUEST_CANCELLED',
+        status: 499
+      });
+    });
+  });
+
+  describe('addToCart', () => {
+    it('should post the item and return the updated cart', async () => {
+      mockAxios.post.mockResolvedValueOnce({ data: rawCart });
+
+      const cart = await addToCart({ productId: '123', variantId: 'm-blue', quantity: 2 });
+
+      expect(mockAxios.post).toHaveBeenCalledWith(
+        '/cart/items',
+        { productId: '123', variantId: 'm-blue', quantity: 2 },
+        expect.objectContaining({ cache: false })
+      );
+      expect(cart.itemCount).toBe(2);
+    });
+
+    it('should reject invalid input without calling the API', async () => {
+      await expect(addToCart({ quantity: 1 })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      await expect(addToCart({ productId: '123', quantity: 0 })).rejects.toBeInstanceOf(APIError);
+      await expect(addToCart({ productId: '123', quantity: 1.5 })).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+        details: expect.objectContaining({ field: 'quantity' })
+      });
+      expect(mockAxios.post).not.toHaveBeenCalled();
+    });
+
+    it('should map a 404 to NOT_FOUND', async () => {
+      const notFound = new Error('Not found');
+      notFound.response = { status: 404, data: { message: 'Unknown product' } };
+      mockAxios.post.mockRejectedValueOnce(notFound);
+
+      await expect(addToCart({ productId: '999' })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    });
+  });
+
+  describe('updateCartItem', () => {
+    it('should patch the line quantity', async () => {
+      mockAxios.patch.mockResolvedValueOnce({ data: rawCart });
+
+      await updateCartItem('line-1', 3);
+
+      expect(mockAxios.patch).toHaveBeenCalledWith(
+        '/cart/items/line-1',
+        { quantity: 3 },
+        expect.any(Object)
+      );
+    });
+
+    it('should validate the item ID and quantity', async () => {
+      await expect(updateCartItem(undefined, 1)).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      await expect(updateCartItem('line-1', 100)).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(mockAxios.patch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeCartItem', () => {
+    it('should delete the line', async () => {
+      mockAxios.delete.mockResolvedValueOnce({ data: { id: 'cart-1', items: [] } });
+
+      const cart = await removeCartItem('line-1');
+
+      expect(mockAxios.delete).toHaveBeenCalledWith('/cart/items/line-1', expect.any(Object));
+      expect(cart).toMatchObject({ id: 'cart-1', items: [], itemCount: 0 });
+    });
+
+    it('should encode the line ID into the URL', async () => {
+      mockAxios.delete.mockResolvedValueOnce({ data: { id: 'cart-1', items: [] } });
+
+      await removeCartItem('line/1?x=#');
+
+      expect(mockAxios.delete).toHaveBeenCalledWith('/cart/items/line%2F1%3Fx%3D%23', expect.any(Object));
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import {
+  PERFORMANCE_MARKS,
+  setMetricContext,
+  startRouteChange,
+  recordMetric,
+  markPerformance,
+  getMetrics,
+  subscribeToMetrics,
+  startPerformanceMonitoring,
+  flushMetrics
+} from '../performanceMonitor';
+
+describe('performanceMonitor', () => {
+  const originalSendBeacon = navigator.sendBeacon;
+
+  beforeEach(() => {
+    setMetricContext({ route: '/products/:productId', productId: '42' });
+  });
+
+  afterEach(() => {
+    navigator.sendBeacon = originalSendBeacon;
+    startPerformanceMonitoring({ endpoint: '', onReport: jest.fn() });
+  });
+
+  it('should tag metrics with the route and product and keep the latest of each', () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribeToMetrics(listener);
+
+    recordMetric({ name: 'LCP', value: 1800, rating: 'good', delta: 1800, id: 'v4-1', navigationType: 'navigate' });
+    recordMetric({ name: 'LCP', value: 2600, rating: 'needs-improvement', delta: 800, id: 'v4-1' });
+    unsubscribe();
+    recordMetric({ name: 'CLS', value: 0.02, rating: 'good' });
+
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({
+      name: 'LCP',
+      value: 2600,
+      route: '/products/:productId',
+      productId: '42'
+    }));
+    expect(getMetrics().find(metric => metric.name === 'LCP')).toMatchObject({ value: 2600, delta: 800 });
+  });
+
+  it('should record custom marks on the performance timeline', () => {
+    // jsdom has no User Timing API
+    const mark = jest.fn(() => ({ startTime: 321.5 }));
+    performance.mark = mark;
+
+    const metric = markPerformance(PERFORMANCE_MARKS.PRODUCT_DATA_RECEIVED, { productId: '7' });
+
+    expect(mark).toHaveBeenCalledWith('product-data-received', { detail: { productId: '7' } });
+    expect(metric).toMatchObject({ name: 'product-data-received', value: 321.5, productId: '7', rating: null });
+    delete performance.mark;
+  });
+
+  it('should measure custom marks from the start of a client-side route change', () => {
+    const now = jest.spyOn(performance, 'now').mockReturnValue(5000);
+    performance.mark = jest.fn(() => ({ startTime: 5400 }));
+
+    startRouteChange();
+    const metric = markPerformance(PERFORMANCE_MARKS.PRODUCT_IMAGE_LOADED, { productId: '8' });
+
+    expect(metric).toMatchObject({ name: 'product-image-loaded', value: 400, productId: '8' });
+    delete performance.mark;
+    now.mockReturnValue(0);
+    startRouteChange();
+    now.mockRestore();
+  });
+
+  it('should send metrics to the configured endpoint as beacons', async () => {
+    navigator.sendBeacon = jest.fn(() => true);
+    const onReport = jest.fn();
+
+    startPerformanceMonitoring({ endpoint: '/vitals', sampleRate: 1, onReport });
+    expect(onReport).toHaveBeenCalledWith(recordMetric);
+
+    recordMetric({ name: 'TTFB', value: 120, rating: 'good' });
+    await flushMetrics();
+
+    expect(navigator.sendBeacon).toHaveBeenCalledWith('/vitals', expect.any(Blob));
+  });
+
+  it('should send nothing for page views left out of the sample', async () => {
+    navigator.sendBeacon = jest.fn(() => true);
+
+    startPerformanceMonitoring({ endpoint: '/vitals', sampleRate: 0.1, random: () => 0.5, onReport: jest.fn() });
+    recordMetric({ name: 'INP', value: 80, rating: 'good' });
+    await flushMetrics();
+
+    expect(navigator.sendBeacon).not.toHaveBeenCalled();
+    expect(getMetrics().find(metric => metric.name === 'INP')).toBeDefined();
+  });
+});
@@ -1,6 +1,22 @@
-const { getProductById, getProducts } = require('../productService');
+const {
+  getProductById,
+  getProducts,
+  listProducts,
+  searchProducts,
+  getSearchSuggestions,
+  getRelatedProducts,
+  getFrequentlyBoughtTogether,
+  configureProductCache,
+  configureProductBatching,
+  configureProductRetryPolicy,
+  configureProductValidation
+} = require('../productService');
+const { createMemoryStore } = require('../responseCache');
+const { default: auth } = require('../auth');
+const { addRecentlyViewed, readRecentlyViewed } = require('../../utils/recentlyViewed');
+const { default: reporter, createMemorySink } = require('../reporter');
 const axios = require('axios');
-const { transformProductResponse } = require('../../utils/transformers');
+const { transformProductResponse, transformFacets, TransformError } = require('../../utils/transformers');
 
 // Mock axios module with detailed implementation
 jest.mock('axios', () => {
@@ -66,6 +82,9 @@ describe('productService', () => {
   beforeEach(() => {
     // Clear all mocks before each test
     jest.clearAllMocks();
+    // Start every test with an empty response cache and a single attempt per request
+    configureProductCache({ store: createMemoryStore() });
+    configureProductRetryPolicy({ retries: 0 });
   });
 
   describe('getProductById', () => {
@@ -264,4 +283,783 @@ describe('productService', () => {
       );
     });
   });
+
+  describe('response cache', () => {
+    const productUrl = '/products/123';
+    const product = { id: '123', title: 'Test Product', price: 99.99 };
+    const okResponse = (data, headers = {}) => ({ status: 200, data, headers });
+    // Single attempt per call, so every request shows up once in the axios mock
+    const single = { retries: 0 };
+    let clock;
+
+    beforeEach(() => {
+      clock = 0;
+      configureProductCache({
+        store: createMemoryStore(),
+        maxAge: 300,
+        staleWhileRevalidate: 60,
+        now: () => clock
+      });
+      mockAxios.get.mockReset();
+      transformProductResponse.mockReset();
+      transformProductResponse.mockImplementation(data => ({ ...data }));
+    });
+
+    it('should answer fresh requests from the cache without a request', async () => {
+      mockAxios.get.mockResolvedValueOnce(okResponse(product, { etag: '"v1"' }));
+
+      const first = await getProductById('123', single);
+      clock = 299 * 1000;
+      const second = await getProductById('123', single);
+
+      expect(mockAxios.get).toHaveBeenCalledTimes(1);
+      expect(first).toMatchObject({ ...product, cached: false, etag: '"v1"' });
+      expect(second).toMatchObject({ ...product, cached: true, stale: false, etag: '"v1"' });
+    });
+
+    it('should serve stale responses while revalidating in the background', async () => {
+      const updated = { ...product, title: 'Updated Product' };
+      const onRevalidated = jest.fn();
+      mockAxios.get
+        .mockResolvedValueOnce(okResponse(product, { etag: '"v1"' }))
+        .mockResolvedValueOnce(okResponse(updated, { etag: '"v2"' }));
+
+      await getProductById('123', single);
+      clock = 330 * 1000;
+      const stale = await getProductById('123', { ...single, onRevalidated });
+
+      expect(stale).toMatchObject({ title: 'Test Product', cached: true, stale: true });
+      await waitForRevalidation(onRevalidated);
+
+      expect(mockAxios.get).toHaveBeenLastCalledWith(productUrl, expect.objectContaining({
+        headers: expect.objectContaining({ 'If-None-Match': '"v1"' })
+      }));
+      expect(onRevalidated).toHaveBeenCalledWith(expect.objectContaining({ title: 'Updated Product', etag: '"v2"' }));
+      await expect(getProductById('123', single)).resolves.toMatchObject({ title: 'Updated Product', cached: true });
+    });
+
+    it('should drop cached products and recently viewed ones when the session ends', async () => {
+      let resolvePending;
+      mockAxios.get
+        .mockResolvedValueOnce(okResponse(product))
+        .mockReturnValueOnce(new Promise((resolve) => { resolvePending = resolve; }))
+        .mockResolvedValueOnce(okResponse({ ...product, price: 120 }))
+        .mockResolvedValueOnce(okResponse({ ...product, price: 120 }));
+
+      await getProductById('123', single);
+      addRecentlyViewed(product);
+      const pending = getProductById('456', single);
+      await flushPromises();
+      auth.logout();
+      resolvePending(okResponse({ id: '456', title: 'Member Price', price: 50 }));
+      await pending;
+
+      expect(readRecentlyViewed()).toEqual([]);
+      await expect(getProductById('123', single)).resolves.toMatchObject({ price: 120, cached: false });
+      await getProductById('456', single);
+      expect(mockAxios.get).toHaveBeenCalledTimes(4);
+    });
+
+    it('should answer 304 responses with the stored body', async () => {
+      mockAxios.get
+        .mockResolvedValueOnce(okResponse(product, { etag: '"v1"', 'last-modified': 'Mon, 05 Jan 2026 10:00:00 GMT' }))
+        .mockResolvedValueOnce({ status: 304, data: '', headers: { etag: '"v1"' } });
+
+      await getProductById('123', single);
+      clock = 400 * 1000;
+      const result = await getProductById('123', single);
+
+      expect(mockAxios.get).toHaveBeenLastCalledWith(productUrl, expect.objectContaining({
+        headers: expect.objectContaining({
+          'If-None-Match': '"v1"',
+          'If-Modified-Since': 'Mon, 05 Jan 2026 10:00:00 GMT'
+        })
+      }));
+      expect(result).toMatchObject({ ...product, cached: true, notModified: true, etag: '"v1"' });
+
+      // The 304 made the entry fresh again
+      clock = 600 * 1000;
+      await getProductById('123', single);
+      expect(mockAxios.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('should refetch the body when a 304 does not match a stored response', async () => {
+      mockAxios.get
+        .mockResolvedValueOnce({ status: 304, data: '', headers: { etag: '"v9"' } })
+        .mockResolvedValueOnce(okResponse(product, { etag: '"v9"' }));
+
+      const result = await getProductById('123', { ...single, etag: '"v9"' });
+
+      expect(mockAxios.get).toHaveBeenCalledTimes(2);
+      expect(mockAxios.get).toHaveBeenLastCalledWith(productUrl, expect.objectContaining({
+        headers: expect.objectContaining({ 'If-None-Match': '' })
+      }));
+      expect(result).toMatchObject({ ...product, cached: false });
+    });
+
+    it('should bypass the cache when cache is disabled', async () => {
+      mockAxios.get
+        .mockResolvedValueOnce(okResponse(product))
+        .mockResolvedValueOnce(okResponse({ ...product, title: 'Fresh Product' }));
+
+      await getProductById('123', single);
+      const result = await getProductById('123', { ...single, cache: false });
+
+      expect(mockAxios.get).toHaveBeenCalledTimes(2);
+      expect(result).toMatchObject({ title: 'Fresh Product', cached: false });
+    });
+
+    it('should not store responses marked no-store', async () => {
+      mockAxios.get
+        .mockResolvedValueOnce(okResponse(product, { 'cache-control': 'private, no-store' }))
+        .mockResolvedValueOnce(okResponse(product));
+
+      await getProductById('123', single);
+      await getProductById('123', single);
+
+      expect(mockAxios.get).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('request sharing', () => {
+    const okResponse = data => ({ status: 200, data, headers: {} });
+    const single = { retries: 0, cache: false };
+
+    beforeEach(() => {
+      mockAxios.get.mockReset();
+      transformProductResponse.mockReset();
+      transformProductResponse.mockImplementation(data => ({ ...data }));
+    });
+
+    afterEach(() => {
+      configureProductBatching({ enabled: false });
+    });
+
+    it('should share one request between concurrent callers', async () => {
+      let respond;
+      mockAxios.get.mockImplementationOnce(() => new Promise(resolve => { respond = resolve; }));
+
+      const first = getProductById('123', single);
+      const second = getProductById('123', single);
+      await flushPromises();
+      respond(okResponse({ id: '123', title: 'Shared' }));
+
+      await expect(first).resolves.toMatchObject({ id: '123', title: 'Shared' });
+      await expect(second).resolves.toMatchObject({ id: '123', title: 'Shared' });
+      expect(mockAxios.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only cancel the caller that aborted', async () => {
+      let respond;
+      let requestSignal;
+      mockAxios.get.mockImplementationOnce((url, config) => {
+        requestSignal = config.signal;
+        return new Promise(resolve => { respond = resolve; });
+      });
+      const controller = new AbortController();
+
+      const cancelled = getProductById('123', { ...single, signal: controller.signal });
+      const kept = getProductById('123', single);
+      await flushPromises();
+      controller.abort();
+
+      await expect(cancelled).rejects.toMatchObject({ code: 'REQUEST_CANCELLED' });
+      expect(requestSignal.aborted).toBe(false);
+      respond(okResponse({ id: '123' }));
+      await expect(kept).resolves.toMatchObject({ id: '123' });
+    });
+
+    it('should abort the request once every caller cancelled', async () => {
+      let requestSignal;
+      mockAxios.get.mockImplementationOnce((url, config) => {
+        requestSignal = config.signal;
+        return new Promise(() => {});
+      });
+      const controller = new AbortController();
+
+      const cancelled = getProductById('123', { ...single, signal: controller.signal });
+      await flushPromises();
+      controller.abort();
+
+      await expect(cancelled).rejects.toMatchObject({ code: 'REQUEST_CANCELLED' });
+      expect(requestSignal.aborted).toBe(true);
+    });
+
+    it('should send a new request once the shared one settled', async () => {
+      mockAxios.get
+        .mockResolvedValueOnce(okResponse({ id: '123', title: 'First' }))
+        .mockResolvedValueOnce(okResponse({ id: '123', title: 'Second' }));
+
+      await getProductById('123', single);
+      await expect(getProductById('123', single)).resolves.toMatchObject({ title: 'Second' });
+      expect(mockAxios.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('should batch calls made in the same tick into one request', async () => {
+      configureProductBatching({ enabled: true });
+      mockAxios.get.mockResolvedValueOnce(okResponse([
+        { id: '2', title: 'Two' },
+        { id: 1, title: 'One' },
+        { id: '3', title: 'Three' }
+      ]));
+
+      const results = await Promise.all(['1', '2', '3', '2'].map(id => getProductById(id)));
+
+      expect(mockAxios.get).toHaveBeenCalledTimes(1);
+      expect(mockAxios.get).toHaveBeenCalledWith('/products', expect.objectContaining({
+        params: { ids: '1,2,3' }
+      }));
+      expect(results.map(product => product.title)).toEqual(['One', 'Two', 'Three', 'Two']);
+
+      // Batched products land in the response cache
+      await expect(getProductById('3')).resolves.toMatchObject({ title: 'Three', cached: true });
+      expect(mockAxios.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject batched products missing from the response', async () => {
+      configureProductBatching({ enabled: true });
+      mockAxios.get.mockResolvedValueOnce(okResponse({ products: [{ id: '1', title: 'One' }] }));
+
+      const [found, missing] = await Promise.allSettled([getProductById('1'), getProductById('404')]);
+
+      expect(found.value).toMatchObject({ title: 'One' });
+      expect(missing.reason).toMatchObject({ code: 'NOT_FOUND', status: 404 });
+    });
+
+    it('should leave products out of the batch once their callers cancelled', async () => {
+      configureProductBatching({ enabled: true });
+      mockAxios.get.mockResolvedValueOnce(okResponse([{ id: '2', title: 'Two' }]));
+      const controller = new AbortController();
+
+      const cancelled = getProductById('1', { signal: controller.signal });
+      const kept = getProductById('2');
+      await flushPromises();
+      controller.abort();
+
+      await expect(cancelled).rejects.toMatchObject({ code: 'REQUEST_CANCELLED' });
+      await expect(kept).resolves.toMatchObject({ title: 'Two' });
+      expect(mockAxios.get).toHaveBeenCalledWith('/products', expect.objectContaining({ params: { ids: '2' } }));
+    });
+
+    it('should settle every caller of a product queued twice in one batch', async () => {
+      configureProductBatching({ enabled: true });
+      mockAxios.get.mockResolvedValueOnce(okResponse([{ id: '1', title: 'One' }]));
+
+      const first = getProductById('1');
+      await flushPromises();
+      // Ending the session stops sharing the request, so the next caller queues the product again
+      auth.logout();
+      const second = getProductById('1');
+
+      await expect(Promise.all([first, second])).resolves.toEqual([
+        expect.objectContaining({ title: 'One' }),
+        expect.objectContaining({ title: 'One' })
+      ]);
+      expect(mockAxios.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should split batches larger than maxBatchSize', async () => {
+      configureProductBatching({ enabled: true, maxBatchSize: 2 });
+      mockAxios.get
+        .mockResolvedValueOnce(okResponse([{ id: '1' }, { id: '2' }]))
+        .mockResolvedValueOnce(okResponse([{ id: '3' }]));
+
+      await Promise.all(['1', '2', '3'].map(id => getProductById(id)));
+
+      expect(mockAxios.get.mock.calls.map(([, config]) => config.params.ids)).toEqual(['1,2', '3']);
+    });
+
+    it('should not batch calls that opt out', async () => {
+      configureProductBatching({ enabled: true });
+      mockAxios.get.mockResolvedValueOnce(okResponse({ id: '1' }));
+
+      await getProductById('1', { ...single, batch: false });
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/products/1', expect.any(Object));
+    });
+  });
+
+  describe('retry policy', () => {
+    const product = { id: '123', title: 'Test Product' };
+
+    beforeEach(() => {
+      mockAxios.get.mockReset();
+      transformProductResponse.mockReset();
+      transformProductResponse.mockImplementation(data => ({ ...data }));
+      jest.spyOn(console, 'info').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.info.mockRestore();
+      console.warn.mockRestore();
+    });
+
+    it('should retry server errors once per attempt, honoring Retry-After', async () => {
+      configureProductRetryPolicy({ retries: 2, jitter: 0, budget: false });
+      const unavailable = createApiError('Service Unavailable', 503);
+      unavailable.response.headers = { 'retry-after': '0' };
+      mockAxios.get
+        .mockRejectedValueOnce(unavailable)
+        .mockResolvedValueOnce({ status: 200, data: product, headers: {} });
+
+      await expect(getProductById('123')).resolves.toMatchObject(product);
+      expect(mockAxios.get).toHaveBeenCalledTimes(2);
+      expect(console.info).toHaveBeenCalledWith(
+        'Retrying product request (attempt 1)',
+        expect.objectContaining({ productId: '123', delay: 0 })
+      );
+    });
+
+    it('should not retry errors that are not retryable', async () => {
+      configureProductRetryPolicy({ retries: 2, jitter: 0 });
+      mockAxios.get.mockRejectedValueOnce(createApiError('Not Found', 404));
+
+      await expect(getProductById('123')).rejects.toMatchObject({ code: 'NOT_FOUND', status: 404 });
+      expect(mockAxios.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should send the same request and trace IDs with every attempt and attach them to the error', async () => {
+      configureProductRetryPolicy({ retries: 1, jitter: 0, retryDelay: 0, budget: false });
+      mockAxios.get
+        .mockRejectedValueOnce(createApiError('Internal Server Error', 500))
+        .mockRejectedValueOnce(createApiError('Internal Server Error', 500));
+
+      const error = await getProductById('123').catch(failure => failure);
+
+      const traces = mockAxios.get.mock.calls.map(([, config]) => config.trace);
+      expect(traces).toHaveLength(2);
+      expect(traces[1]).toBe(traces[0]);
+      expect(error).toMatchObject({ code: 'SERVER_ERROR', requestId: traces[0].requestId, traceId: traces[0].traceId });
+    });
+
+    it('should prefer the request ID the server answered with', async () => {
+      configureProductRetryPolicy({ retries: 0 });
+      const notFound = createApiError('Not Found', 404);
+      notFound.response.headers = { 'x-request-id': 'srv-42' };
+      mockAxios.get.mockRejectedValueOnce(notFound);
+
+      await expect(getProductById('123')).rejects.toMatchObject({ code: 'NOT_FOUND', requestId: 'srv-42' });
+    });
+
+    it('should report an open circuit as CIRCUIT_OPEN', async () => {
+      configureProductRetryPolicy({ retries: 0, circuitBreaker: { failureThreshold: 1 } });
+      mockAxios.get.mockRejectedValueOnce(createApiError('Internal Server Error', 500));
+
+      await expect(getProductById('123')).rejects.toMatchObject({ code: 'SERVER_ERROR' });
+      await expect(getProductById('123')).rejects.toMatchObject({ code: 'CIRCUIT_OPEN', status: 503 });
+      expect(mockAxios.get).toHaveBeenCalledTimes(1);
+    });
+  });
+  describe('circuit breaker and offline mode', () => {
+    const productUrl = '/products/123';
+    const product = { id: '123', title: 'Saved Product' };
+    let clock;
+
+    // Stores the product, then lets the entry expire so the next call goes to the network
+    const saveExpiredProduct = async () => {
+      await getProductById('123', { retries: 0 });
+      clock = 10 * 60 * 1000;
+    };
+
+    beforeEach(() => {
+      clock = 0;
+      configureProductCache({ store: createMemoryStore(), now: () => clock });
+      configureProductRetryPolicy({ retries: 0, circuitBreaker: { failureThreshold: 2, resetTimeout: 1000 }, now: () => clock });
+      mockAxios.get.mockReset();
+      mockAxios.get.mockResolvedValueOnce({ status: 200, data: product, headers: {} });
+      transformProductResponse.mockReset();
+      transformProductResponse.mockImplementation(data => ({ ...data }));
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const networkError = () => {
+      const error = new Error('Network Error');
+      error.request = {};
+      return error;
+    };
+
+    it('should open on repeated server or network errors and fail fast', async () => {
+      mockAxios.get
+        .mockReset()
+        .mockRejectedValueOnce(createApiError('Bad Gateway', 502))
+        .mockRejectedValueOnce(networkError());
+
+      await expect(getProductById('1')).rejects.toMatchObject({ code: 'SERVER_ERROR' });
+      await expect(getProductById('2')).rejects.toMatchObject({ code: 'NETWORK_ERROR' });
+      await expect(getProductById('3')).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+      expect(mockAxios.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep failing listings, search and recommendations from opening the product circuit', async () => {
+      mockAxios.get
+        .mockReset()
+        .mockRejectedValueOnce(createApiError('Bad Gateway', 502))
+        .mockRejectedValueOnce(networkError())
+        .mockResolvedValueOnce({ status: 200, data: product, headers: {} });
+
+      await expect(searchProducts('lamp')).rejects.toMatchObject({ code: 'SERVER_ERROR' });
+      await expect(getRelatedProducts('123')).rejects.toMatchObject({ code: 'NETWORK_ERROR' });
+      await expect(listProducts()).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+      await expect(getProductById('123')).resolves.toMatchObject({ title: 'Saved Product' });
+      expect(mockAxios.get).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not open on errors other than SERVER_ERROR and NETWORK_ERROR', async () => {
+      mockAxios.get
+        .mockReset()
+        .mockRejectedValueOnce(createApiError('Too Many Requests', 429))
+        .mockRejectedValueOnce(createApiError('Not Found', 404))
+        .mockRejectedValueOnce(createApiError('Not Found', 404));
+
+      await expect(getProductById('1')).rejects.toMatchObject({ code: 'RATE_LIMIT' });
+      await expect(getProductById('2')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+      await expect(getProductById('3')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    });
+
+    it('should probe for recovery once the reset timeout passed', async () => {
+      mockAxios.get
+        .mockReset()
+        .mockRejectedValueOnce(createApiError('Internal Server Error', 500))
+        .mockRejectedValueOnce(createApiError('Internal Server Error', 500))
+        .mockResolvedValueOnce({ status: 200, data: { id: '3' }, headers: {} });
+
+      await expect(getProductById('1')).rejects.toThrow();
+      await expect(getProductById('2')).rejects.toThrow();
+      clock = 1000;
+
+      await expect(getProductById('3')).resolves.toMatchObject({ id: '3' });
+      expect(mockAxios.get).toHaveBeenCalledTimes(3);
+    });
+
+    it('should serve the saved product without a request while offline', async () => {
+      await saveExpiredProduct();
+      jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false);
+
+      await expect(getProductById('123')).resolves.toMatchObject({
+        ...product,
+        cached: true,
+        stale: true,
+        offline: true
+      });
+      expect(mockAxios.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail fast while offline without saved data', async () => {
+      jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false);
+
+      await expect(getProductById('456')).rejects.toMatchObject({ code: 'NETWORK_ERROR' });
+      expect(mockAxios.get).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the saved product on network errors and an open circuit', async () => {
+      await saveExpiredProduct();
+      mockAxios.get.mockRejectedValue(networkError());
+
+      await expect(getProductById('123')).resolves.toMatchObject({ ...product, offline: true });
+      await expect(getProductById('123')).resolves.toMatchObject({ ...product, offline: true });
+      await expect(getProductById('123')).resolves.toMatchObject({ ...product, unavailable: true, offline: false });
+      expect(mockAxios.get).toHaveBeenLastCalledWith(productUrl, expect.any(Object));
+      expect(mockAxios.get).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not hide other errors behind saved data', async () => {
+      await saveExpiredProduct();
+      mockAxios.get.mockRejectedValueOnce(createApiError('Not Found', 404));
+
+      await expect(getProductById('123')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    });
+  });
+
+  describe('listProducts', () => {
+    beforeEach(() => {
+      transformProductResponse.mockImplementation(product => ({ ...product, transformed: true }));
+      transformFacets.mockImplementation(facets => ({ ...facets, transformed: true }));
+    });
+
+    afterEach(() => {
+      transformProductResponse.mockReset();
+      transformFacets.mockReset();
+    });
+
+    it('should request a page with facet counts and joined multi-value filters', async () => {
+      mockAxios.get.mockResolvedValueOnce({
+        data: { products: [{ id: '1' }], total: 60, page: 3, pageSize: 20, facets: { brand: { acme: 1 } } }
+      });
+
+      const result = await listProducts({ filters: { brand: ['acme', 'zenith'], category: [], price: '' }, sort: 'price-desc', page: 3, pageSize: 20 });
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/products', expect.objectContaining({
+        params: { brand: 'acme,zenith', sort: 'price-desc', page: 3, pageSize: 20, facets: true }
+      }));
+      expect(transformFacets).toHaveBeenCalledWith({ brand: { acme: 1 } });
+      expect(result).toEqual({
+        products: [{ id: '1', transformed: true }],
+        errors: null,
+        total: 60,
+        page: 3,
+        pageSize: 20,
+        totalPages: 3,
+        facets: { brand: { acme: 1 }, transformed: true },
+        nextCursor: null,
+        previousCursor: null
+      });
+    });
+
+    it('should send the cursor instead of a page number', async () => {
+      mockAxios.get.mockResolvedValueOnce({ data: { products: [], nextCursor: 'c3', previousCursor: 'c1' } });
+
+      const result = await listProducts({ cursor: 'c2' });
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/products', expect.objectContaining({
+        params: { cursor: 'c2', sort: 'featured', pageSize: 24, facets: true }
+      }));
+      expect(result).toMatchObject({ nextCursor: 'c3', previousCursor: 'c1' });
+    });
+
+    it('should reject an unknown sort order', async () => {
+      await expect(listProducts({ sort: 'relevance' })).rejects.toMatchObject({ code: 'VALIDATION_ERROR', details: expect.objectContaining({ field: 'sort' }) });
+      expect(mockAxios.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('searchProducts', () => {
+    beforeEach(() => {
+      transformProductResponse.mockImplementation(product => ({ ...product, transformed: true }));
+    });
+
+    afterEach(() => {
+      transformProductResponse.mockReset();
+    });
+
+    it('should send the query, sort, page and filters', async () => {
+      mockAxios.get.mockResolvedValueOnce({
+        data: { products: [{ id: '1', title: 'Red Shoe' }], total: 30, page: 2, pageSize: 24 }
+      });
+
+      const result = await searchProducts('  shoe ', { filters: { category: 'shoes', brand: undefined }, sort: 'price-asc', page: 2 });
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/products', expect.objectContaining({
+        params: { category: 'shoes', q: 'shoe', sort: 'price-asc', page: 2, pageSize: 24 }
+      }));
+      expect(result).toEqual({
+        query: 'shoe',
+        products: [{ id: '1', title: 'Red Shoe', transformed: true }],
+        errors: null,
+        total: 30,
+        page: 2,
+        pageSize: 24,
+        totalPages: 2
+      });
+    });
+
+    it('should accept a plain array of results', async () => {
+      mockAxios.get.mockResolvedValueOnce({ data: [{ id: '1' }, null] });
+
+      const result = await searchProducts('shoe');
+
+      expect(result.products).toEqual([{ id: '1', transformed: true }]);
+      expect(result.errors).toHaveLength(1);
+      expect(result).toMatchObject({ total: 2, page: 1, totalPages: 1 });
+    });
+
+    it('should reject invalid parameters without a request', async () => {
+      await expect(searchProducts(42)).rejects.toMatchObject({ code: 'VALIDATION_ERROR', details: expect.objectContaining({ field: 'query' }) });
+      await expect(searchProducts('shoe', { sort: 'cheapest' })).rejects.toMatchObject({ code: 'VALIDATION_ERROR', details: expect.objectContaining({ field: 'sort' }) });
+      await expect(searchProducts('shoe', { page: 0 })).rejects.toMatchObject({ code: 'VALIDATION_ERROR', details: expect.objectContaining({ field: 'page' }) });
+      expect(mockAxios.get).not.toHaveBeenCalled();
+    });
+
+    it('should standardize request failures', async () => {
+      mockAxios.get.mockRejectedValueOnce(createApiError('Server Error', 500));
+
+      await expect(searchProducts('shoe')).rejects.toMatchObject({ code: 'SERVER_ERROR' });
+    });
+  });
+
+  describe('getSearchSuggestions', () => {
+    it('should not request suggestions for very short text', async () => {
+      await expect(getSearchSuggestions(' s ')).resolves.toEqual([]);
+      expect(mockAxios.get).not.toHaveBeenCalled();
+    });
+
+    it('should normalize, dedupe and limit suggestions', async () => {
+      mockAxios.get.mockResolvedValueOnce({
+        data: { suggestions: ['sneakers', { text: 'Sneakers' }, { text: 'Running shoe', productId: 7 }, { query: 'shoes' }] }
+      });
+
+      const suggestions = await getSearchSuggestions('snekers', { limit: 3 });
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/products/suggest', expect.objectContaining({
+        params: { q: 'snekers', limit: 3 }
+      }));
+      expect(suggestions).toEqual([
+        { text: 'sneakers', productId: null },
+        { text: 'Running shoe', productId: '7' },
+        { text: 'shoes', productId: null }
+      ]);
+    });
+
+    it('should not retry failed suggestions', async () => {
+      configureProductRetryPolicy({ retries: 3, baseDelay: 0, jitter: 0 });
+      mockAxios.get.mockRejectedValueOnce(createApiError('Server Error', 500));
+
+      await expect(getSearchSuggestions('shoe')).rejects.toMatchObject({ code: 'SERVER_ERROR' });
+      expect(mockAxios.get).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('recommendations', () => {
+    beforeEach(() => {
+      transformProductResponse.mockImplementation(product => ({ ...product, id: String(product.id), transformed: true }));
+    });
+
+    afterEach(() => {
+      transformProductResponse.mockReset();
+    });
+
+    it('should fetch related products without the product itself or repeats', async () => {
+      mockAxios.get.mockResolvedValueOnce({ data: { products: [{ id: 2 }, { id: '1' }, { id: 3 }, { id: '2' }, { id: 4 }] } });
+
+      const result = await getRelatedProducts('1', { limit: 2 });
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/products/1/related', expect.objectContaining({ params: { limit: 2 } }));
+      expect(result).toEqual({
+        products: [{ id: '2', transformed: true }, { id: '3', transformed: true }],
+        errors: null
+      });
+    });
+
+    it('should fetch the products frequently bought together', async () => {
+      mockAxios.get.mockResolvedValueOnce({ data: [{ id: 'cable' }] });
+
+      const result = await getFrequentlyBoughtTogether('lamp 1');
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/products/lamp%201/bought-together', expect.objectContaining({ params: { limit: 4 } }));
+      expect(result.products).toEqual([{ id: 'cable', transformed: true }]);
+    });
+
+    it('should reject invalid requests and malformed responses', async () => {
+      await expect(getRelatedProducts(42)).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      await expect(getRelatedProducts('1', { limit: 0 })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(mockAxios.get).not.toHaveBeenCalled();
+
+      mockAxios.get.mockResolvedValueOnce({ data: { products: 'none' } });
+      await expect(getFrequentlyBoughtTogether('1')).rejects.toMatchObject({ code: 'INVALID_RESPONSE' });
+    });
+  });
+
+  describe('reporting', () => {
+    let sink;
+
+    beforeEach(() => {
+      sink = createMemorySink();
+      reporter.configure({ sink });
+    });
+
+    afterEach(() => {
+      reporter.configure({ sink: null });
+    });
+
+    it('should report mapped errors without request credentials', async () => {
+      const networkError = new Error('Network error');
+      networkError.request = { method: 'GET', url: '/products/9', headers: { Authorization: 'Bearer secret' } };
+      mockAxios.get.mockRejectedValueOnce(networkError);
+
+      await expect(getProductById('9')).rejects.toMatchObject({ code: 'NETWORK_ERROR' });
+      await reporter.flush();
+
+      const event = sink.events.find(reported => reported.name === 'NETWORK_ERROR');
+      expect(event).toMatchObject({ type: 'error', level: 'error', data: { errorCode: 'NETWORK_ERROR' } });
+      expect(event.data.details.request.headers).toEqual({ Authorization: '[REDACTED]' });
+    });
+  });
+
+  describe('product validation', () => {
+    let sink;
+
+    beforeEach(() => {
+      sink = createMemorySink();
+      reporter.configure({ sink });
+    });
+
+    afterEach(() => {
+      reporter.configure({ sink: null });
+      configureProductValidation({ mode: 'lenient' });
+    });
+
+    it('should validate received products in the configured mode', async () => {
+      expect(configureProductValidation({ mode: 'strict' })).toEqual({ mode: 'strict' });
+      mockAxios.get.mockResolvedValueOnce({ status: 200, data: { id: '21', title: 'Lamp' }, headers: {} });
+      transformProductResponse.mockImplementationOnce(data => ({ ...data }));
+
+      await getProductById('21');
+
+      expect(transformProductResponse).toHaveBeenCalledWith(
+        { id: '21', title: 'Lamp' },
+        expect.objectContaining({ mode: 'strict', onInvalid: expect.any(Function) })
+      );
+    });
+
+    it('should report the violations of products accepted in lenient mode', async () => {
+      mockAxios.get.mockResolvedValueOnce({ status: 200, data: { id: '22', price: 5 }, headers: {} });
+      transformProductResponse.mockImplementationOnce((data, options) => {
+        options.onInvalid([
+          { field: 'title', step: 'validate', message: 'title is required', value: undefined },
+          { field: 'price', step: 'validate', message: 'price must be at least 0', value: -5 }
+        ]);
+        return { ...data, title: 'Untitled Product' };
+      });
+
+      await expect(getProductById('22')).resolves.toMatchObject({ title: 'Untitled Product' });
+      await reporter.flush();
+
+      const event = sink.events.find(reported => reported.name === 'TRANSFORM_ERROR');
+      expect(event).toMatchObject({ level: 'warn', data: { productId: '22' } });
+      expect(event.data.violations).toEqual([
+        { field: 'title', step: 'validate', message: 'title is required' },
+        { field: 'price', step: 'validate', message: 'price must be at least 0' }
+      ]);
+    });
+
+    it('should reject products failing strict validation with the violated fields', async () => {
+      configureProductValidation({ mode: 'strict' });
+      mockAxios.get.mockResolvedValueOnce({ status: 200, data: { id: '23', title: 'Lamp', price: 5, image: 'ftp://example.com/lamp.jpg' }, headers: {} });
+      transformProductResponse.mockImplementationOnce(() => {
+        throw Object.assign(new TransformError(), {
+          message: 'Invalid product data: image must be a valid url',
+          field: 'image',
+          step: 'validate',
+          issues: [{ field: 'image', message: 'image must be a valid url' }]
+        });
+      });
+
+      await expect(getProductById('23')).rejects.toMatchObject({
+        code: 'TRANSFORM_ERROR',
+        details: {
+          field: 'image',
+          transformationStep: 'validate',
+          violations: [{ field: 'image', message: 'image must be a valid url' }]
+        }
+      });
+    });
+  });
 });
+
+// Lets the background revalidation started by a stale read settle
+async function waitForRevalidation(callback) {
+  for (let tick = 0; tick < 10 && !callback.mock.calls.length; tick++) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+}
+
+// Lets pending promise callbacks run
+async function flushPromises() {
+  for (let tick = 0; tick < 5; tick++) {
+    await Promise.resolve();
+  }
+}
@@ -0,0 +1,134 @@
+import axios from 'axios';
+import {
+  listQuestions,
+  askQuestion,
+  answerQuestion,
+  upvoteQuestion,
+  upvoteAnswer,
+  validateQuestion
+} from '../questionsService';
+
+jest.mock('axios', () => {
+  const mockAxios = {
+    get: jest.fn(),
+    post: jest.fn(),
+    create: jest.fn(() => mockAxios),
+    isCancel: jest.fn(() => false),
+    defaults: {
+      baseURL: '',
+      headers: {}
+    },
+    interceptors: {
+      request: { use: jest.fn(), eject: jest.fn() },
+      response: { use: jest.fn(), eject: jest.fn() }
+    }
+  };
+  return mockAxios;
+});
+
+const mockAxios = axios;
+
+describe('questionsService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  describe('listQuestions', () => {
+    it('should request a page of questions matching the search and transform it', async () => {
+      mockAxios.get.mockResolvedValueOnce({
+        data: { questions: [{ id: 1, body: 'Does it dim?', answers: [{ id: 2, body: 'Yes', verifiedStaff: true }] }], total: 6 }
+      });
+
+      const result = await listQuestions('lamp 1', { query: '  dim ', page: 2 });
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/products/lamp%201/questions', expect.objectContaining({
+        params: { q: 'dim', page: 2, pageSize: 5 }
+      }));
+      expect(result).toMatchObject({
+        questions: [{ id: '1', body: 'Does it dim?', answers: [{ id: '2', verifiedStaff: true }] }],
+        page: 2,
+        totalPages: 2
+      });
+    });
+
+    it('should leave out an empty search and reject invalid parameters', async () => {
+      mockAxios.get.mockResolvedValueOnce({ data: { questions: [] } });
+      await listQuestions('1', { query: '   ' });
+      expect(mockAxios.get.mock.calls[0][1].params).toEqual({ page: 1, pageSize: 5 });
+
+      await expect(listQuestions('')).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      await expect(listQuestions('1', { page: 0 })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(mockAxios.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should map server failures and malformed data', async () => {
+      const serverError = new Error('Internal Server Error');
+      serverError.response = { status: 503, data: {} };
+      mockAxios.get.mockRejectedValueOnce(serverError);
+      await expect(listQuestions('1')).rejects.toMatchObject({ name: 'APIError', code: 'SERVER_ERROR' });
+
+      mockAxios.get.mockResolvedValueOnce({ data: { questions: 'none' } });
+      await expect(listQuestions('1')).rejects.toMatchObject({ code: 'INVALID_RESPONSE' });
+    });
+  });
+
+  describe('askQuestion and answerQuestion', () => {
+    it('should check the length of questions and names', () => {
+      expect(validateQuestion({ question: 'Is it dimmable?' })).toEqual({});
+      expect(Object.keys(validateQuestion({ question: 'Dim?', author: 'x'.repeat(61) }))).toEqual(['question', 'author']);
+    });
+
+    it('should post a question and return it transformed', async () => {
+      mockAxios.post.mockResolvedValueOnce({ data: { id: 'q1', body: 'Is it dimmable?', status: 'pending' } });
+
+      const question = await askQuestion('123', { question: ' Is it dimmable? ', author: 'Ada' });
+
+      expect(mockAxios.post).toHaveBeenCalledWith(
+        '/products/123/questions',
+        { body: 'Is it dimmable?', author: 'Ada' },
+        expect.objectContaining({ cache: false })
+      );
+      expect(question).toMatchObject({ id: 'q1', status: 'pending', answers: [] });
+    });
+
+    it('should post an answer to its question', async () => {
+      mockAxios.post.mockResolvedValueOnce({ data: { id: 'a1', body: 'Yes, with any dimmer.', verifiedStaff: true } });
+
+      const answer = await answerQuestion('123', 'q1', { answer: 'Yes, with any dimmer.' });
+
+      expect(mockAxios.post.mock.calls[0][0]).toBe('/products/123/questions/q1/answers');
+      expect(answer).toMatchObject({ id: 'a1', author: null, verifiedStaff: true });
+    });
+
+    it('should reject invalid posts with the errors of each field', async () => {
+      await expect(askQuestion('123', { question: 'Why?' })).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+        details: expect.objectContaining({ fields: { question: expect.any(String) } })
+      });
+      await expect(answerQuestion('123', '', { answer: 'Yes, with any dimmer.' })).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+        details: expect.objectContaining({ field: 'questionId' })
+      });
+      expect(mockAxios.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('upvotes', () => {
+    it('should post upvotes and return the new count', async () => {
+      mockAxios.post
+        .mockResolvedValueOnce({ data: { upvotes: 5 } })
+        .mockResolvedValueOnce({ data: {} });
+
+      await expect(upvoteQuestion('123', 'q1')).resolves.toEqual({ upvotes: 5 });
+      await expect(upvoteAnswer('123', 'q1', 'a1')).resolves.toEqual({ upvotes: null });
+      expect(mockAxios.post).toHaveBeenNthCalledWith(1, '/products/123/questions/q1/upvote', {}, expect.objectContaining({ cache: false }));
+      expect(mockAxios.post).toHaveBeenNthCalledWith(2, '/products/123/questions/q1/answers/a1/upvote', {}, expect.any(Object));
+      await expect(upvoteAnswer('123', 'q1', null)).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+  });
+});
@@ -0,0 +1,207 @@
+import reporter, {
+  createReporter,
+  createMemorySink,
+  createHttpSink,
+  scrubEvent
+} from '../reporter';
+
+// Window stand-in whose pagehide and visibilitychange listeners the tests can fire
+const createTarget = () => {
+  const target = new EventTarget();
+  target.document = new EventTarget();
+  target.document.visibilityState = 'visible';
+  return target;
+};
+
+describe('reporter', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('scrubEvent', () => {
+    it('should redact sensitive headers and raw products', () => {
+      const scrubbed = scrubEvent({
+        data: {
+          request: { headers: { Authorization: 'Bearer secret', Cookie: 'session=1', Accept: 'application/json' } },
+          rawProduct: { id: '1', owner: 'someone' },
+          missing: { rawProduct: undefined }
+        }
+      });
+
+      expect(scrubbed.data.request.headers).toEqual({
+        Authorization: '[REDACTED]',
+        Cookie: '[REDACTED]',
+        Accept: 'application/json'
+      });
+      expect(scrubbed.data.rawProduct).toBe('[REDACTED]');
+      expect(scrubbed.data.missing).toEqual({});
+    });
+
+    it('should mask email addresses and copy errors and cycles safely', () => {
+      const error = Object.assign(new Error('No account for ana@example.com'), { code: 'NOT_FOUND' });
+      const details = { error };
+      details.self = details;
+
+      const scrubbed = scrubEvent({ message: 'Subscribed jo.doe+shop@mail.example.org', data: details });
+
+      expect(scrubbed.message).toBe('Subscribed [EMAIL]');
+      expect(scrubbed.data.error).toMatchObject({ name: 'Error', message: 'No account for [EMAIL]', code: 'NOT_FOUND' });
+      expect(scrubbed.data.self).toBe('[Circular]');
+    });
+
+    it('should keep the field and step of transform errors but not their value', () => {
+      const error = Object.assign(new Error('Invalid product data'), { field: 'images[0]', step: 'validate', value: 'ana@example.com' });
+
+      expect(scrubEvent({ data: { error } }).data.error).toEqual({
+        name: 'Error',
+        message: 'Invalid product data',
+        field: 'images[0]',
+        step: 'validate',
+        stack: expect.any(String)
+      });
+    });
+  });
+
+  describe('createReporter', () => {
+    it('should send events in batches once a batch is full', async () => {
+      const sink = createMemorySink();
+      const testReporter = createReporter({ sink, batchSize: 2, flushInterval: 0, target: null });
+
+      testReporter.track('first');
+      expect(sink.batches).toHaveLength(0);
+      testReporter.track('second', { value: 1 });
+      await testReporter.flush();
+
+      expect(sink.batches).toHaveLength(1);
+      expect(sink.events.map(event => event.name)).toEqual(['first', 'second']);
+      expect(sink.events[1]).toMatchObject({ type: 'event', level: 'info', data: { value: 1 } });
+      expect(sink.events[1].timestamp).toEqual(expect.any(String));
+    });
+
+    it('should send an incomplete batch after the flush interval', async () => {
+      jest.useFakeTimers();
+      const sink = createMemorySink();
+      const testReporter = createReporter({ sink, batchSize: 10, flushInterval: 1000, target: null });
+
+      testReporter.captureError(Object.assign(new Error('Boom'), { code: 'SERVER_ERROR' }), { productId: '1' });
+      jest.advanceTimersByTime(999);
+      expect(sink.batches).toHaveLength(0);
+
+      jest.advanceTimersByTime(1);
+      await Promise.resolve();
+      await Promise.resolve();
+
+      expect(sink.events).toEqual([
+        expect.objectContaining({
+          type: 'error',
+          name: 'SERVER_ERROR',
+          message: 'Boom',
+          data: expect.objectContaining({ productId: '1', error: expect.objectContaining({ message: 'Boom' }) })
+        })
+      ]);
+    });
+
+    it('should sample telemetry and errors separately', async () => {
+      const sink = createMemorySink();
+      const random = jest.fn().mockReturnValue(0.5);
+      const testReporter = createReporter({ sink, sampleRate: 0.25, errorSampleRate: 1, random, target: null });
+
+      expect(testReporter.track('page.view')).toBe(false);
+      expect(testReporter.captureError(new Error('Kept'))).toBe(true);
+
+      testReporter.configure({ sampleRate: 0.75 });
+      expect(testReporter.track('page.view')).toBe(true);
+      await testReporter.flush();
+
+      expect(sink.events.map(event => event.name)).toEqual(['Error', 'page.view']);
+    });
+
+    it('should drop events without a sink and keep the newest beyond the queue size', async () => {
+      const testReporter = createReporter({ maxQueueSize: 2, batchSize: 10, flushInterval: 0, target: null });
+      expect(testReporter.track('dropped')).toBe(false);
+
+      const sink = createMemorySink();
+      testReporter.configure({ sink });
+      ['a', 'b', 'c'].forEach(name => testReporter.track(name));
+      await testReporter.flush();
+
+      expect(sink.events.map(event => event.name)).toEqual(['b', 'c']);
+    });
+
+    it('should flush through a beacon when the page is hidden', async () => {
+      const sink = createMemorySink();
+      const target = createTarget();
+      const testReporter = createReporter({ sink, flushInterval: 0, target });
+
+      testReporter.track('before-hide');
+      target.document.visibilityState = 'hidden';
+      target.document.dispatchEvent(new Event('visibilitychange'));
+      await Promise.resolve();
+
+      testReporter.track('before-unload');
+      target.dispatchEvent(new Event('pagehide'));
+      await Promise.resolve();
+
+      expect(sink.batches).toEqual([
+        { events: [expect.objectContaining({ name: 'before-hide' })], beacon: true },
+        { events: [expect.objectContaining({ name: 'before-unload' })], beacon: true }
+      ]);
+
+      testReporter.dispose();
+      testReporter.track('after-dispose');
+      target.dispatchEvent(new Event('pagehide'));
+      await Promise.resolve();
+      expect(sink.batches).toHaveLength(2);
+    });
+
+    it('should swallow delivery failures', async () => {
+      const sink = { send: jest.fn().mockRejectedValue(new Error('Collector down')) };
+      const testReporter = createReporter({ sink, flushInterval: 0, target: null });
+
+      testReporter.track('lost');
+      await expect(testReporter.flush()).resolves.toBeUndefined();
+      expect(sink.send).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('createHttpSink', () => {
+    const events = [{ type: 'event', name: 'page.view' }];
+
+    it('should post batches with fetch', async () => {
+      const fetchImpl = jest.fn().mockResolvedValue({ ok: true, status: 204 });
+      const sink = createHttpSink({ url: '/telemetry', fetchImpl, sendBeacon: jest.fn() });
+
+      await sink.send(events);
+
+      expect(fetchImpl).toHaveBeenCalledWith('/telemetry', expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({ events }),
+        keepalive: true
+      }));
+    });
+
+    it('should prefer the beacon while the page is hidden and fall back to fetch', async () => {
+      const fetchImpl = jest.fn().mockResolvedValue({ ok: true, status: 204 });
+      const sendBeacon = jest.fn().mockReturnValueOnce(true).mockReturnValueOnce(false);
+      const sink = createHttpSink({ url: '/telemetry', fetchImpl, sendBeacon });
+
+      await sink.send(events, { beacon: true });
+      expect(sendBeacon).toHaveBeenCalledWith('/telemetry', expect.any(Blob));
+      expect(fetchImpl).not.toHaveBeenCalled();
+
+      await sink.send(events, { beacon: true });
+      expect(fetchImpl).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject when the collector refuses the batch', async () => {
+      const fetchImpl = jest.fn().mockResolvedValue({ ok: false, status: 503 });
+      const sink = createHttpSink({ url: '/telemetry', fetchImpl });
+
+      await expect(sink.send(events)).rejects.toThrow('status 503');
+    });
+  });
+
+  it('should not send anything from the shared reporter without a configured collector', () => {
+    expect(reporter.track('page.view')).toBe(false);
+  });
+});
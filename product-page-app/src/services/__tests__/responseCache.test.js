@@ -0,0 +1,118 @@
+import {
+  createMemoryStore,
+  createLocalStorageStore,
+  createDefaultStore,
+  createResponseCache
+} from '../responseCache';
+
+jest.mock('../api', () => ({
+  DEFAULT_CONFIG: { cacheMaxAge: 300, staleWhileRevalidate: 60 }
+}));
+
+describe('responseCache', () => {
+  describe('createMemoryStore', () => {
+    it('should evict the oldest entries beyond maxEntries', async () => {
+      const store = createMemoryStore({ maxEntries: 2 });
+      await store.set('a', 1);
+      await store.set('b', 2);
+      await store.set('a', 3);
+      await store.set('c', 4);
+
+      expect(await store.get('a')).toBe(3);
+      expect(await store.get('b')).toBeNull();
+      expect(await store.get('c')).toBe(4);
+    });
+  });
+
+  describe('createLocalStorageStore', () => {
+    beforeEach(() => {
+      window.localStorage.clear();
+    });
+
+    it('should round-trip entries under its prefix', async () => {
+      const store = createLocalStorageStore({ prefix: 'test:' });
+      await store.set('/products/1', { data: { id: '1' } });
+
+      expect(window.localStorage.getItem('test:/products/1')).toBe('{"data":{"id":"1"}}');
+      expect(await store.get('/products/1')).toEqual({ data: { id: '1' } });
+    });
+
+    it('should only clear its own entries', async () => {
+      const store = createLocalStorageStore({ prefix: 'test:' });
+      window.localStorage.setItem('other', 'kept');
+      await store.set('/products/1', { data: {} });
+      await store.clear();
+
+      expect(window.localStorage.getItem('test:/products/1')).toBeNull();
+      expect(window.localStorage.getItem('other')).toBe('kept');
+    });
+
+    it('should treat unreadable entries as missing', async () => {
+      const store = createLocalStorageStore({ prefix: 'test:' });
+      window.localStorage.setItem('test:/products/1', '{broken');
+
+      expect(await store.get('/products/1')).toBeNull();
+      expect(window.localStorage.getItem('test:/products/1')).toBeNull();
+    });
+  });
+
+  describe('createDefaultStore', () => {
+    it('should fall back to localStorage without IndexedDB', () => {
+      expect(window.indexedDB).toBeUndefined();
+      expect(createDefaultStore().name).toBe('localStorage');
+    });
+  });
+
+  describe('createResponseCache', () => {
+    let clock;
+    let cache;
+
+    beforeEach(() => {
+      clock = 1000;
+      cache = createResponseCache({
+        store: createMemoryStore(),
+        maxAge: 10,
+        staleWhileRevalidate: 5,
+        now: () => clock
+      });
+    });
+
+    it('should move entries from fresh to stale to expired', async () => {
+      await cache.set('/products/1', { data: { id: '1' }, etag: '"a"' });
+
+      expect(await cache.get('/products/1')).toMatchObject({ data: { id: '1' }, etag: '"a"', state: 'fresh' });
+      clock += 10 * 1000;
+      expect((await cache.get('/products/1')).state).toBe('stale');
+      clock += 5 * 1000;
+      expect((await cache.get('/products/1')).state).toBe('expired');
+    });
+
+    it('should only match entries stored with the requested ETag', async () => {
+      await cache.set('/products/1', { data: {}, etag: '"a"' });
+
+      expect(await cache.get('/products/1', { etag: '"a"' })).not.toBeNull();
+      expect(await cache.get('/products/1', { etag: '"b"' })).toBeNull();
+    });
+
+    it('should make entries fresh again when touched', async () => {
+      await cache.set('/products/1', { data: {}, etag: '"a"' });
+      clock += 20 * 1000;
+      await cache.touch('/products/1', await cache.get('/products/1'));
+
+      const entry = await cache.get('/products/1');
+      expect(entry.state).toBe('fresh');
+      expect(entry.storedAt).toBe(clock);
+    });
+
+    it('should read a failing store as a cache miss', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const failing = createResponseCache({
+        store: { get: () => Promise.reject(new Error('blocked')), set: jest.fn() }
+      });
+
+      await expect(failing.get('/products/1')).resolves.toBeNull();
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,229 @@
+import {
+  createRetryPolicy,
+  createRetryBudget,
+  createCircuitBreaker,
+  parseRetryAfter,
+  CircuitOpenError
+} from '../retryPolicy';
+
+jest.mock('../api', () => ({
+  DEFAULT_CONFIG: { maxRetryAttempts: 3, retryDelay: 1000 }
+}));
+
+// Standardized errors as produced by handleApiError
+const retryableError = (details = {}) => Object.assign(new Error('Internal Server Error'), {
+  code: 'SERVER_ERROR',
+  retryable: true,
+  retryDelay: 1,
+  details
+});
+const fatalError = () => Object.assign(new Error('Not found'), { code: 'NOT_FOUND', details: {} });
+
+describe('retryPolicy', () => {
+  describe('parseRetryAfter', () => {
+    it('should read seconds and HTTP dates', () => {
+      const now = Date.parse('Mon, 05 Jan 2026 10:00:00 GMT');
+
+      expect(parseRetryAfter('120')).toBe(120000);
+      expect(parseRetryAfter('Mon, 05 Jan 2026 10:00:30 GMT', now)).toBe(30000);
+      expect(parseRetryAfter('Mon, 05 Jan 2026 09:00:00 GMT', now)).toBe(0);
+      expect(parseRetryAfter('soon')).toBeNull();
+      expect(parseRetryAfter(undefined)).toBeNull();
+    });
+  });
+
+  describe('createRetryPolicy', () => {
+    const policyOptions = { jitter: 0, budget: false, circuitBreaker: false };
+
+    it('should retry retryable errors until an attempt succeeds', async () => {
+      const operation = jest.fn()
+        .mockRejectedValueOnce(retryableError())
+        .mockRejectedValueOnce(retryableError())
+        .mockResolvedValueOnce('ok');
+
+      await expect(createRetryPolicy(policyOptions).execute(operation)).resolves.toBe('ok');
+      expect(operation.mock.calls.map(([attempt]) => attempt)).toEqual([0, 1, 2]);
+    });
+
+    it('should not retry errors ERROR_CODES marks as final', async () => {
+      const operation = jest.fn().mockRejectedValue(fatalError());
+
+      await expect(createRetryPolicy(policyOptions).execute(operation)).rejects.toMatchObject({ code: 'NOT_FOUND' });
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop after the configured retries, with per-call overrides', async () => {
+      const policy = createRetryPolicy({ ...policyOptions, retries: 3 });
+      const operation = jest.fn().mockRejectedValue(retryableError());
+
+      await expect(policy.execute(operation, { retries: 1 })).rejects.toMatchObject({ code: 'SERVER_ERROR' });
+      expect(operation).toHaveBeenCalledTimes(2);
+    });
+
+    it('should back off exponentially from the error retry delay', async () => {
+      const delays = [];
+      const operation = jest.fn().mockRejectedValue(retryableError());
+
+      await expect(createRetryPolicy({ ...policyOptions, retries: 3 }).execute(operation, {
+        onRetry: ({ delay }) => delays.push(delay)
+      })).rejects.toThrow();
+
+      expect(delays).toEqual([1, 2, 4]);
+    });
+
+    it('should wait as long as Retry-After asks', async () => {
+      const delays = [];
+      const operation = jest.fn()
+        .mockRejectedValueOnce(retryableError({ retryAfter: 5 }))
+        .mockResolvedValueOnce('ok');
+
+      await createRetryPolicy(policyOptions).execute(operation, {
+        onRetry: ({ delay }) => delays.push(delay)
+      });
+
+      expect(delays).toEqual([5]);
+    });
+
+    it('should cap Retry-After at maxRetryAfter', async () => {
+      const delays = [];
+      const operation = jest.fn()
+        .mockRejectedValueOnce(retryableError({ retryAfter: 60000 }))
+        .mockResolvedValueOnce('ok');
+
+      await createRetryPolicy({ ...policyOptions, maxRetryAfter: 3 }).execute(operation, {
+        onRetry: ({ delay }) => delays.push(delay)
+      });
+
+      expect(delays).toEqual([3]);
+    });
+
+    it('should stop waiting when the signal aborts', async () => {
+      const controller = new AbortController();
+      const operation = jest.fn().mockRejectedValue(retryableError());
+
+      const pending = createRetryPolicy(policyOptions).execute(operation, {
+        signal: controller.signal,
+        retryDelay: 60000,
+        onRetry: () => controller.abort()
+      });
+
+      await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not retry beyond the retry budget', async () => {
+      const policy = createRetryPolicy({
+        ...policyOptions,
+        retries: 5,
+        budget: { ratio: 0, minRetries: 2 }
+      });
+      const operation = jest.fn().mockRejectedValue(retryableError());
+
+      await expect(policy.execute(operation)).rejects.toThrow();
+      await expect(policy.execute(operation)).rejects.toThrow();
+
+      // Two retries for the first call, none left for the second
+      expect(operation).toHaveBeenCalledTimes(4);
+    });
+
+    it('should fail fast while the circuit is open', async () => {
+      const policy = createRetryPolicy({
+        ...policyOptions,
+        retries: 0,
+        circuitBreaker: { failureThreshold: 2, resetTimeout: 1000 }
+      });
+      const operation = jest.fn().mockRejectedValue(retryableError());
+
+      await expect(policy.execute(operation)).rejects.toMatchObject({ code: 'SERVER_ERROR' });
+      await expect(policy.execute(operation)).rejects.toMatchObject({ code: 'SERVER_ERROR' });
+      await expect(policy.execute(operation)).rejects.toBeInstanceOf(CircuitOpenError);
+      expect(operation).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not count final errors against the circuit', async () => {
+      const policy = createRetryPolicy({
+        ...policyOptions,
+        circuitBreaker: { failureThreshold: 1 }
+      });
+
+      await expect(policy.execute(() => Promise.reject(fatalError()))).rejects.toThrow();
+      expect(policy.breaker.getState()).toBe('closed');
+    });
+  });
+
+  describe('createRetryBudget', () => {
+    it('should earn retries from requests within the window', () => {
+      let clock = 0;
+      const budget = createRetryBudget({ ratio: 0.5, minRetries: 0, windowMs: 1000, now: () => clock });
+
+      expect(budget.canRetry()).toBe(false);
+      budget.recordRequest();
+      budget.recordRequest();
+      expect(budget.canRetry()).toBe(true);
+      budget.recordRetry();
+      expect(budget.canRetry()).toBe(false);
+
+      clock = 1000;
+      expect(budget.canRetry()).toBe(false);
+      budget.recordRequest();
+      budget.recordRequest();
+      expect(budget.canRetry()).toBe(true);
+    });
+  });
+
+  describe('createCircuitBreaker', () => {
+    let clock;
+    let breaker;
+
+    beforeEach(() => {
+      clock = 0;
+      breaker = createCircuitBreaker({ failureThreshold: 2, resetTimeout: 1000, now: () => clock });
+    });
+
+    it('should open after consecutive failures', () => {
+      breaker.recordFailure();
+      breaker.recordSuccess();
+      breaker.recordFailure();
+      expect(breaker.getState()).toBe('closed');
+
+      breaker.recordFailure();
+      expect(breaker.getState()).toBe('open');
+      expect(breaker.canRequest()).toBe(false);
+      expect(breaker.retryAt()).toBe(1000);
+    });
+
+    it('should let a single probe through when half-open', () => {
+      breaker.recordFailure();
+      breaker.recordFailure();
+      clock = 1000;
+
+      expect(breaker.getState()).toBe('half-open');
+      expect(breaker.canRequest()).toBe(true);
+      expect(breaker.canRequest()).toBe(false);
+
+      breaker.recordSuccess();
+      expect(breaker.getState()).toBe('closed');
+    });
+
+    it('should open again when the probe fails', () => {
+      breaker.recordFailure();
+      breaker.recordFailure();
+      clock = 1000;
+      breaker.canRequest();
+      breaker.recordFailure();
+
+      expect(breaker.getState()).toBe('open');
+      expect(breaker.retryAt()).toBe(2000);
+    });
+
+    it('should free the probe slot when the probe is cancelled', () => {
+      breaker.recordFailure();
+      breaker.recordFailure();
+      clock = 1000;
+      breaker.canRequest();
+      breaker.releaseProbe();
+
+      expect(breaker.canRequest()).toBe(true);
+    });
+  });
+});
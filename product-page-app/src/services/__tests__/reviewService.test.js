@@ -0,0 +1,121 @@
+import axios from 'axios';
+import { getReviews, submitReview, voteReviewHelpful, validateReview } from '../reviewService';
+
+jest.mock('axios', () => {
+  const mockAxios = {
+    get: jest.fn(),
+    post: jest.fn(),
+    create: jest.fn(() => mockAxios),
+    isCancel: jest.fn(() => false),
+    defaults: {
+      baseURL: '',
+      headers: {}
+    },
+    interceptors: {
+      request: { use: jest.fn(), eject: jest.fn() },
+      response: { use: jest.fn(), eject: jest.fn() }
+    }
+  };
+  return mockAxios;
+});
+
+const mockAxios = axios;
+
+const validReview = {
+  rating: 4,
+  title: 'Nice',
+  body: 'Comfortable and well made, fits as expected.',
+  author: 'Ada'
+};
+
+describe('reviewService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  describe('getReviews', () => {
+    it('should request a page of reviews and transform it', async () => {
+      mockAxios.get.mockResolvedValueOnce({
+        data: { reviews: [{ id: 1, rating: 5, body: 'Love it' }], summary: { average: 4.5, count: 12, histogram: { 5: 8, 4: 4 } } }
+      });
+
+      const result = await getReviews('lamp 1', { sort: 'helpful', page: 2, rating: 5 });
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/products/lamp%201/reviews', expect.objectContaining({
+        params: { sort: 'helpful', page: 2, pageSize: 5, rating: 5 }
+      }));
+      expect(result).toMatchObject({
+        reviews: [{ id: '1', rating: 5, body: 'Love it' }],
+        summary: { average: 4.5, count: 12 },
+        page: 2,
+        totalPages: 3
+      });
+    });
+
+    it('should reject invalid parameters without calling the API', async () => {
+      await expect(getReviews('', {})).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      await expect(getReviews('1', { sort: 'random' })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      await expect(getReviews('1', { page: 0 })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      await expect(getReviews('1', { rating: 6 })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(mockAxios.get).not.toHaveBeenCalled();
+    });
+
+    it('should map server failures and malformed data', async () => {
+      const serverError = new Error('Internal Server Error');
+      serverError.response = { status: 503, data: {} };
+      mockAxios.get.mockRejectedValueOnce(serverError);
+      await expect(getReviews('1')).rejects.toMatchObject({ name: 'APIError', code: 'SERVER_ERROR' });
+
+      mockAxios.get.mockResolvedValueOnce({ data: { reviews: 'none' } });
+      await expect(getReviews('1')).rejects.toMatchObject({ code: 'INVALID_RESPONSE' });
+    });
+  });
+
+  describe('submitReview', () => {
+    it('should report every invalid field', () => {
+      const photo = new File(['x'], 'notes.txt', { type: 'text/plain' });
+      expect(validateReview(validReview)).toEqual({});
+      expect(Object.keys(validateReview({ rating: 0, body: 'Too short', photos: [photo] })))
+        .toEqual(['rating', 'body', 'author', 'photos']);
+    });
+
+    it('should upload the review and its photos as form data', async () => {
+      mockAxios.post.mockResolvedValueOnce({ data: { id: 'r1', ...validReview, status: 'pending' } });
+      const photo = new File(['jpeg'], 'fit.jpg', { type: 'image/jpeg' });
+
+      const review = await submitReview('123', { ...validReview, photos: [photo] });
+
+      const [url, form] = mockAxios.post.mock.calls[0];
+      expect(url).toBe('/products/123/reviews');
+      expect(form.get('rating')).toBe('4');
+      expect(form.get('author')).toBe('Ada');
+      expect(form.getAll('photos')).toHaveLength(1);
+      expect(review).toMatchObject({ id: 'r1', rating: 4, status: 'pending' });
+    });
+
+    it('should reject invalid reviews with the errors of each field', async () => {
+      await expect(submitReview('123', { ...validReview, rating: 7, author: '' })).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+        details: expect.objectContaining({
+          fields: { rating: expect.any(String), author: expect.any(String) }
+        })
+      });
+      expect(mockAxios.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('voteReviewHelpful', () => {
+    it('should post the vote and return the new count', async () => {
+      mockAxios.post.mockResolvedValueOnce({ data: { helpfulCount: 8 } });
+
+      await expect(voteReviewHelpful('123', 'r1')).resolves.toEqual({ helpfulCount: 8 });
+      expect(mockAxios.post).toHaveBeenCalledWith('/products/123/reviews/r1/helpful', {}, expect.objectContaining({ cache: false }));
+      await expect(voteReviewHelpful('123', null)).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+  });
+});
@@ -0,0 +1,79 @@
+import axios from 'axios';
+import { subscribeToBackInStock } from '../stockNotificationService';
+
+jest.mock('axios', () => {
+  const mockAxios = {
+    get: jest.fn(),
+    post: jest.fn(),
+    create: jest.fn(() => mockAxios),
+    isCancel: jest.fn(() => false),
+    defaults: {
+      baseURL: '',
+      headers: {}
+    },
+    interceptors: {
+      request: { use: jest.fn(), eject: jest.fn() },
+      response: { use: jest.fn(), eject: jest.fn() }
+    }
+  };
+  return mockAxios;
+});
+
+const mockAxios = axios;
+
+describe('stockNotificationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+    console.error.mockRestore();
+  });
+
+  it('should post the subscription and return it', async () => {
+    mockAxios.post.mockResolvedValueOnce({ data: { id: 42, status: 'pending_confirmation' } });
+
+    const subscription = await subscribeToBackInStock({ productId: 'a/1', variantId: 'm', email: ' ada@example.com ' });
+
+    expect(mockAxios.post).toHaveBeenCalledWith(
+      '/products/a%2F1/stock-notifications',
+      { variantId: 'm', email: 'ada@example.com' },
+      expect.objectContaining({ cache: false })
+    );
+    expect(subscription).toEqual({
+      id: '42',
+      productId: 'a/1',
+      variantId: 'm',
+      email: 'ada@example.com',
+      status: 'pending_confirmation'
+    });
+  });
+
+  it('should accept an empty response', async () => {
+    mockAxios.post.mockResolvedValueOnce({ data: '' });
+
+    await expect(subscribeToBackInStock({ productId: '1', email: 'ada@example.com' }))
+      .resolves.toMatchObject({ id: null, variantId: null, status: 'subscribed' });
+  });
+
+  it('should reject invalid input without calling the API', async () => {
+    await expect(subscribeToBackInStock({ email: 'ada@example.com' })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    await expect(subscribeToBackInStock({ productId: '1', email: 'ada@' })).rejects.toMatchObject({
+      code: 'VALIDATION_ERROR',
+      details: expect.objectContaining({ field: 'email' })
+    });
+    expect(mockAxios.post).not.toHaveBeenCalled();
+  });
+
+  it('should map server failures through handleApiError', async () => {
+    const notFound = new Error('Not Found');
+    notFound.response = { status: 404, data: {} };
+    mockAxios.post.mockRejectedValueOnce(notFound);
+
+    await expect(subscribeToBackInStock({ productId: '999', email: 'ada@example.com' }))
+      .rejects.toMatchObject({ code: 'NOT_FOUND' });
+  });
+});
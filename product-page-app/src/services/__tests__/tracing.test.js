@@ -0,0 +1,32 @@
+import { createRequestId, createRequestTrace, formatTraceparent, parseTraceparent } from '../tracing';
+
+describe('tracing', () => {
+  it('should create version 4 UUIDs', () => {
+    const ids = new Set(Array.from({ length: 20 }, createRequestId));
+
+    expect(ids.size).toBe(20);
+    ids.forEach(id => expect(id).toMatch(/^[\da-f]{8}-[\da-f]{4}-4[\da-f]{3}-[89ab][\da-f]{3}-[\da-f]{12}$/));
+  });
+
+  it('should format a traceparent per attempt that keeps the trace ID', () => {
+    const trace = createRequestTrace();
+
+    const first = parseTraceparent(formatTraceparent(trace));
+    const second = parseTraceparent(formatTraceparent(trace));
+
+    expect(trace.traceId).toMatch(/^[\da-f]{32}$/);
+    expect(first).toEqual({ version: '00', traceId: trace.traceId, spanId: expect.stringMatching(/^[\da-f]{16}$/), sampled: true });
+    expect(second.traceId).toBe(first.traceId);
+    expect(second.spanId).not.toBe(first.spanId);
+    expect(formatTraceparent(trace, '00f067aa0ba902b7')).toBe(`00-${trace.traceId}-00f067aa0ba902b7-01`);
+  });
+
+  it('should reject invalid traceparent headers', () => {
+    expect(parseTraceparent('00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-00'))
+      .toMatchObject({ traceId: '4bf92f3577b34da6a3ce929d0e0e4736', sampled: false });
+    expect(parseTraceparent('00-00000000000000000000000000000000-00f067aa0ba902b7-01')).toBeNull();
+    expect(parseTraceparent('ff-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01')).toBeNull();
+    expect(parseTraceparent('not a header')).toBeNull();
+    expect(parseTraceparent(undefined)).toBeNull();
+  });
+});
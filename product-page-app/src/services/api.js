@@ -1,4 +1,9 @@
 import axios from 'axios';
+import reporter from './reporter';
+import auth from './auth';
+import { createRequestTrace, formatTraceparent } from './tracing';
+import { translate } from '../utils/i18n';
+import { DEFAULT_LOCALE } from '../utils/money';
 
 // Default configuration
 const DEFAULT_CONFIG = {
@@ -7,28 +12,10 @@ const DEFAULT_CONFIG = {
   cacheMaxAge: 300, // 5 minutes
   staleWhileRevalidate: 60, // 1 minute
   maxRetryAttempts: 3,
-  retryStatusCodes: [408, 429, 500, 502, 503, 504],
   validateStatus: status => status >= 200 && status < 300
 };
 
 
-/**
- * Creates a delay promise for retry mechanism
- * @param {number} ms - Milliseconds to delay
- * @returns {Promise} - Promise that resolves after the delay
- */
-const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
-
-/**
- * Determines if a request should be retried based on error
- * @param {Error} error - The error from the request
- * @returns {boolean} - Whether the request should be retried
- */
-const isRetryableError = (error) => {
-  if (!error.response) return true; // Network errors should be retried
-  return DEFAULT_CONFIG.retryStatusCodes.includes(error.response.status);
-};
-
 // Create axios instance with default config
 const api = axios.create({
   baseURL: process.env.REACT_APP_API_BASE_URL || '/api',
@@ -40,125 +27,157 @@ const api = axios.create({
   validateStatus: DEFAULT_CONFIG.validateStatus
 });
 
+/**
+ * Sends the session's access token, and remembers which one went out so a 401 can tell
+ * whether the session was refreshed since
+ * @param {Object} config - Axios request config
+ * @returns {Object} - The config
+ */
+const applyAuthorization = (config) => {
+  const token = config.skipAuth ? null : auth.getAccessToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  } else {
+    // A replayed config may still carry the token of a session that has ended
+    delete config.headers.Authorization;
+  }
+  config.sentAccessToken = token;
+  return config;
+};
+
 // Add request interceptor for handling common request tasks
 api.interceptors.request.use(
   (config) => {
     // Ensure headers exist
     config.headers = config.headers || {};
+    config.startedAt = Date.now();
+
+    // Correlation IDs for backend logs. A trace passed in by the caller, or kept on a config
+    // that is sent again, is reused, so every attempt of a request shares its IDs.
+    config.trace = config.trace || createRequestTrace();
+    config.headers['X-Request-ID'] = config.trace.requestId;
+    config.headers.traceparent = formatTraceparent(config.trace);
     
     // Set cache control headers if not explicitly disabled
     if (config.cache !== false) {
       config.headers['Cache-Control'] = `max-age=${DEFAULT_CONFIG.cacheMaxAge}, stale-while-revalidate=${DEFAULT_CONFIG.staleWhileRevalidate}`;
     }
 
-    // Initialize retry count
-    config.retryCount = config.retryCount || 0;
-    
-    return config;
+    // Requests started while the token is being refreshed wait for the new one
+    const pendingRefresh = auth.getPendingRefresh();
+    if (pendingRefresh) {
+      const proceed = () => applyAuthorization(config);
+      return pendingRefresh.then(proceed, proceed);
+    }
+    return applyAuthorization(config);
   },
   (error) => {
     return Promise.reject(error);
   }
 );
 
+// Catalog keys of the messages for error statuses; other statuses use api.requestFailed
+const STATUS_MESSAGE_KEYS = {
+  400: 'api.badRequest',
+  401: 'api.unauthorized',
+  403: 'api.forbidden',
+  404: 'api.notFound',
+  429: 'api.rateLimited',
+  500: 'api.serverError',
+  502: 'api.badGateway',
+  503: 'api.unavailable'
+};
+
+/**
+ * Sets an error's English message and keeps its catalog key, so screens can translate it
+ * @param {Object} error - Error to describe
+ * @param {string} key - Catalog key
+ * @param {Object} values - Message arguments
+ * @returns {Object} - The error
+ */
+const describeError = (error, key, values) => {
+  error.message = translate(DEFAULT_LOCALE, key, values);
+  error.messageKey = key;
+  error.messageValues = values;
+  return error;
+};
+
+/**
+ * Summarizes a finished request for the reporter
+ * @param {Object} config - Axios request config
+ * @param {number} status - Response status, if there was a response
+ * @returns {Object} - Method, URL, status, correlation IDs, duration and request headers
+ */
+const describeRequest = (config = {}, status) => ({
+  method: config.method,
+  url: config.url,
+  status,
+  requestId: config.trace?.requestId,
+  traceId: config.trace?.traceId,
+  duration: config.startedAt ? Date.now() - config.startedAt : undefined,
+  headers: config.headers
+});
+
 // Add response interceptor for handling common responses/errors
 api.interceptors.response.use(
   (response) => {
-    // Validate response data
-    if (!response || !response.data) {
-      throw new Error('Invalid response received from server');
+    // Validate response data (304 Not Modified has no body; it is answered from the response cache)
+    if (!response || (!response.data && response.status !== 304)) {
+      throw describeError(new Error(), 'api.invalidResponse');
     }
 
-    // Clear retry count on successful response
-    if (response.config.retryCount) {
-      delete response.config.retryCount;
-    }
+    reporter.track('api.request', describeRequest(response.config, response.status));
     return response;
   },
   async (error) => {
     // Handle request cancellation
     if (axios.isCancel(error)) {
-      return Promise.reject({
-        message: 'Request cancelled',
+      return Promise.reject(describeError({
         isAxiosError: true,
         isCancelled: true,
         timestamp: new Date().toISOString()
-      });
+      }, 'api.cancelled'));
     }
 
     const config = error.config;
 
-    // Handle timeout errors specifically
-    if (error.code === 'ECONNABORTED' && error.message.includes('timeout')) {
-      error.message = `Request timed out after ${config.timeout}ms`;
-      return Promise.reject(error);
-    }
-
-    // Check if we should retry the request
-    if (config && config.retryCount < DEFAULT_CONFIG.maxRetryAttempts && isRetryableError(error)) {
-      config.retryCount = (config.retryCount || 0) + 1;
-
-      // Exponential backoff delay with jitter
-      const backoffDelay = DEFAULT_CONFIG.retryDelay * Math.pow(2, config.retryCount - 1);
-      const jitter = Math.random() * 100; // Add random jitter between 0-100ms
-      await delay(backoffDelay + jitter);
-
-      // Create new cancel token for retry
-      const source = axios.CancelToken.source();
-      config.cancelToken = source.token;
-      if (typeof window !== 'undefined') {
-        window.cancelRequest = source.cancel;
+    // An expired access token: refresh it once and replay the request with the new one.
+    // Concurrent 401s share the refresh; a failed refresh ends the session and the 401 stands.
+    if (error.response?.status === 401 && config && !config.skipAuth && !config.authRetried && auth.hasSession()) {
+      config.authRetried = true;
+      const refreshed = await auth.refreshSession(config.sentAccessToken).then(() => true, () => false);
+      if (refreshed) {
+        return api(config);
       }
-
-      // Retry the request
-      return api(config);
     }
 
-    // Handle common error scenarios
-    if (error.response) {
+    if (error.code === 'ECONNABORTED' && error.message.includes('timeout')) {
+      // Handle timeout errors specifically
+      describeError(error, 'api.timeout', { timeout: config.timeout });
+    } else if (error.response) {
       // Server responded with error status
-      switch (error.response.status) {
-        case 400:
-          error.message = 'Bad request - please check your input';
-          break;
-        case 401:
-          error.message = 'Unauthorized - please authenticate';
-          break;
-        case 403:
-          error.message = 'Forbidden - you don\'t have permission to access this resource';
-          break;
-        case 404:
-          error.message = 'Resource not found';
-          break;
-        case 429:
-          error.message = 'Too many requests - please try again later';
-          break;
-        case 500:
-          error.message = 'Internal server error';
-          break;
-        case 502:
-          error.message = 'Bad gateway - the server is unreachable';
-          break;
-        case 503:
-          error.message = 'Service unavailable - please try again later';
-          break;
-        default:
-          error.message = 'An error occurred while processing your request';
-      }
+      describeError(error, STATUS_MESSAGE_KEYS[error.response.status] || 'api.requestFailed');
     } else if (error.request) {
       // Request made but no response received
-      error.message = error.request.status === 0 
-        ? 'Unable to connect to the server - please check your internet connection'
-        : 'No response received from server';
-    } else {
+      describeError(error, error.request.status === 0 ? 'api.offline' : 'api.noResponse');
+    } else if (!error.message) {
       // Something happened in setting up the request
-      error.message = error.message || 'An unexpected error occurred';
+      describeError(error, 'api.unexpected');
     }
 
     // Add additional error context
     error.isAxiosError = true;
     error.timestamp = new Date().toISOString();
-    error.retryAttempts = config ? config.retryCount || 0 : 0;
+    error.requestId = error.response?.headers?.['x-request-id'] || config?.trace?.requestId;
+    error.traceId = config?.trace?.traceId;
+    // The services report the error itself once they map it; this records the failed request
+    reporter.report({
+      type: 'event',
+      name: 'api.failure',
+      level: 'warn',
+      message: error.message,
+      data: describeRequest(config, error.response?.status)
+    });
     
     return Promise.reject(error);
   }
@@ -0,0 +1,128 @@
+import axios from 'axios';
+
+// The refresh call goes through plain axios, so it skips the api interceptors and cannot loop
+const REFRESH_URL = process.env.REACT_APP_AUTH_REFRESH_URL
+  || `${process.env.REACT_APP_API_BASE_URL || '/api'}/auth/refresh`;
+
+/**
+ * Exchanges the session for a new access token. The refresh token is sent in the body
+ * when the client holds one; otherwise the server reads it from its HTTP-only cookie.
+ * @param {string|null} refreshToken - Current refresh token
+ * @returns {Promise<Object>} - { accessToken, refreshToken }
+ */
+const requestTokenRefresh = async (refreshToken) => {
+  const response = await axios.post(
+    REFRESH_URL,
+    refreshToken ? { refreshToken } : null,
+    { withCredentials: true }
+  );
+  return response.data;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Creates an auth session holding the tokens the api client sends. Tokens live in memory only,
+ * out of reach of scripts reading Web Storage.
+ * @param {Object} options - Session options
+ * @param {Function} options.refresh - Called with the refresh token; resolves to { accessToken, refreshToken }
+ * @returns {Object} - { getAccessToken, hasSession, setTokens, clearTokens, refreshSession,
+ *   getPendingRefresh, logout, onLogout }
+ */
+export const createAuth = ({ refresh = requestTokenRefresh } = {}) => {
+  let accessToken = null;
+  let refreshToken = null;
+  let pendingRefresh = null;
+  const listeners = new Set();
+
+  const getAccessToken = () => accessToken;
+
+  const hasSession = () => Boolean(accessToken || refreshToken);
+
+  /**
+   * Stores the tokens of a login or refresh; a refresh token left out keeps the current one
+   * @param {Object} tokens - { accessToken, refreshToken }
+   */
+  const setTokens = (tokens = {}) => {
+    accessToken = tokens.accessToken || null;
+    refreshToken = tokens.refreshToken || refreshToken;
+  };
+
+  const clearTokens = () => {
+    accessToken = null;
+    refreshToken = null;
+  };
+
+  /**
+   * Ends the session and tells the listeners, e.g. to show the login screen
+   * @param {Error} reason - Why the session ended; undefined when the customer logged out
+   */
+  const logout = (reason) => {
+    clearTokens();
+    listeners.forEach(listener => listener({ reason }));
+  };
+
+  /**
+   * Refreshes the access token. Only one refresh runs at a time: callers arriving while it is
+   * in flight share its promise. A failed refresh ends the session.
+   * @param {string} staleToken - Token the rejected request was sent with. When the session
+   *   already holds a different one, it was refreshed meanwhile and that token is returned.
+   * @returns {Promise<string>} - The new access token
+   */
+  const refreshSession = (staleToken) => {
+    if (pendingRefresh) {
+      return pendingRefresh;
+    }
+    if (staleToken && accessToken && staleToken !== accessToken) {
+      return Promise.resolve(accessToken);
+    }
+
+    pendingRefresh = Promise.resolve()
+      .then(() => refresh(refreshToken))
+      .then((tokens) => {
+        if (!tokens?.accessToken) {
+          throw new Error('Token refresh returned no access token');
+        }
+        setTokens(tokens);
+        return accessToken;
+      })
+      .catch((error) => {
+        logout(error);
+        throw error;
+      })
+      .finally(() => {
+        pendingRefresh = null;
+      });
+    return pendingRefresh;
+  };
+
+  /**
+   * @returns {Promise<string>|null} - The refresh in flight, if any
+   */
+  const getPendingRefresh = () => pendingRefresh;
+
+  /**
+   * Subscribes to the end of the session
+   * @param {Function} listener - Called with { reason }
+   * @returns {Function} - Unsubscribes the listener
+   */
+  const onLogout = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    getAccessToken,
+    hasSession,
+    setTokens,
+    clearTokens,
+    refreshSession,
+    getPendingRefresh,
+    logout,
+    onLogout
+  };
+};
+
+// Session shared by the api client and the login flow
+const auth = createAuth();
+
+export default auth;
@@ -0,0 +1,174 @@
+import api, { DEFAULT_CONFIG } from './api';
+import { APIError, handleApiError, validateResponse } from './productService';
+import { transformCartResponse } from '../utils/transformers';
+
+const MAX_LINE_QUANTITY = 99;
+
+/**
+ * Validates a cart line quantity
+ * @param {number} quantity - Requested quantity
+ * @param {Object} context - Additional details for the validation error
+ * @throws {APIError} When the quantity is not an integer between 1 and MAX_LINE_QUANTITY
+ */
+const validateQuantity = (quantity, context = {}) => {
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_LINE_QUANTITY) {
+    throw new APIError(
+      `Quantity must be a whole number between 1 and ${MAX_LINE_QUANTITY}`,
+      400,
+      'VALIDATION_ERROR',
+      {
+        ...context,
+        field: 'quantity',
+        value: quantity
+      }
+    );
+  }
+};
+
+/**
+ * Validates a cart line identifier
+ * @param {string} itemId - Cart line ID
+ * @throws {APIError} When the ID is missing or not a string
+ */
+const validateItemId = (itemId) => {
+  if (!itemId || typeof itemId !== 'string') {
+    throw new APIError(
+      'Invalid or missing cart item ID',
+      400,
+      'VALIDATION_ERROR',
+      {
+        field: 'itemId',
+        value: itemId,
+        expectedType: 'string',
+        receivedType: typeof itemId
+      }
+    );
+  }
+};
+
+/**
+ * Sends a cart request and transforms the returned cart
+ * @param {Function} request - Function performing the api call
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - AbortController signal for cancellation
+ * @param {Object} context - Context passed to handleApiError on failure
+ * @returns {Promise<Object>} - Transformed cart
+ * @throws {APIError} When the request or transformation fails
+ */
+const sendCartRequest = async (request, options, context) => {
+  const { signal, timeout = DEFAULT_CONFIG.timeout } = options;
+
+  try {
+    const response = await request({ signal, timeout, cache: false });
+    const data = validateResponse(response, { allowEmpty: false });
+    return transformCartResponse(data);
+  } catch (error) {
+    if (error.name === 'AbortError' || (signal && signal.aborted)) {
+      throw new APIError(
+        'Cart request cancelled',
+        499,
+        'REQUEST_CANCELLED',
+        context
+      );
+    }
+    if (error instanceof APIError) {
+      throw error;
+    }
+    handleApiError(error, context);
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Fetches the current shopper's cart
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - AbortController signal for cancellation
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {Promise<Object>} - Transformed cart
+ * @throws {APIError} When the request fails
+ */
+const getCart = (options = {}) => sendCartRequest(
+  config => api.get('/cart', config),
+  options,
+  { operation: 'getCart' }
+);
+
+// PUBLIC_INTERFACE
+/**
+ * Adds a product (or one of its variants) to the cart
+ * @param {Object} item - Item to add
+ * @param {string} item.productId - Product ID
+ * @param {string} [item.variantId] - Selected variant ID
+ * @param {number} item.quantity - Quantity to add
+ * @param {Object} options - Request options (see getCart)
+ * @returns {Promise<Object>} - Updated cart
+ * @throws {APIError} When validation or the request fails
+ */
+const addToCart = async ({ productId, variantId = null, quantity = 1 } = {}, options = {}) => {
+  if (!productId || typeof productId !== 'string') {
+    throw new APIError(
+      'Invalid or missing product ID',
+      400,
+      'VALIDATION_ERROR',
+      {
+        field: 'productId',
+        value: productId,
+        expectedType: 'string',
+        receivedType: typeof productId
+      }
+    );
+  }
+  validateQuantity(quantity, { productId });
+
+  return sendCartRequest(
+    config => api.post('/cart/items', { productId, variantId, quantity }, config),
+    options,
+    { operation: 'addToCart', productId, variantId, quantity }
+  );
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Changes the quantity of a cart line
+ * @param {string} itemId - Cart line ID
+ * @param {number} quantity - New quantity
+ * @param {Object} options - Request options (see getCart)
+ * @returns {Promise<Object>} - Updated cart
+ * @throws {APIError} When validation or the request fails
+ */
+const updateCartItem = async (itemId, quantity, options = {}) => {
+  validateItemId(itemId);
+  validateQuantity(quantity, { itemId });
+
+  return sendCartRequest(
+    config => api.patch(`/cart/items/${encodeURIComponent(itemId)}`, { quantity }, config),
+    options,
+    { operation: 'updateCartItem', itemId, quantity }
+  );
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Removes a line from the cart
+ * @param {string} itemId - Cart line ID
+ * @param {Object} options - Request options (see getCart)
+ * @returns {Promise<Object>} - Updated cart
+ * @throws {APIError} When validation or the request fails
+ */
+const removeCartItem = async (itemId, options = {}) => {
+  validateItemId(itemId);
+
+  return sendCartRequest(
+    config => api.delete(`/cart/items/${encodeURIComponent(itemId)}`, config),
+    options,
+    { operation: 'removeCartItem', itemId }
+  );
+};
+
+export {
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeCartItem,
+  MAX_LINE_QUANTITY
+};
@@ -0,0 +1,141 @@
+import { createReporter, createHttpSink } from './reporter';
+import reportWebVitals from '../reportWebVitals';
+
+// Custom marks set while a product page loads
+export const PERFORMANCE_MARKS = {
+  PRODUCT_DATA_RECEIVED: 'product-data-received',
+  PRODUCT_IMAGE_LOADED: 'product-image-loaded'
+};
+
+// Page the metrics are measured on; kept current by the app as the shopper navigates
+let metricContext = { route: null, productId: null };
+// When the current page started: navigation start for the first page, the route change after that
+let routeStartTime = 0;
+const latestMetrics = new Map();
+const listeners = new Set();
+
+// Metrics go to their own reporter, so they are batched apart from errors and sent as beacons
+const metricsReporter = createReporter({ batchSize: 10, flushInterval: 10000 });
+
+const getPerformance = () => (typeof performance !== 'undefined' ? performance : null);
+
+// PUBLIC_INTERFACE
+/**
+ * Updates the route and product the following metrics are tagged with
+ * @param {Object} changes - { route, productId }
+ */
+export const setMetricContext = (changes) => {
+  metricContext = { ...metricContext, ...changes };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Starts measuring custom marks from now, for a client-side route change. Without it,
+ * marks of the pages shown after the first one would include the time spent on earlier pages.
+ */
+export const startRouteChange = () => {
+  const timeline = getPerformance();
+  routeStartTime = timeline && typeof timeline.now === 'function' ? timeline.now() : 0;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Records a metric: keeps it for the overlay and sends it, tagged with route and product
+ * @param {Object} metric - Web vitals metric ({ name, value, rating, delta, id, navigationType })
+ *   or custom mark ({ name, value })
+ * @returns {Object} - The recorded, tagged metric
+ */
+export const recordMetric = (metric) => {
+  const entry = {
+    name: metric.name,
+    value: metric.value,
+    rating: metric.rating ?? null,
+    delta: metric.delta ?? metric.value,
+    id: metric.id ?? null,
+    navigationType: metric.navigationType ?? null,
+    route: metricContext.route,
+    productId: metricContext.productId,
+    ...metric.tags
+  };
+
+  latestMetrics.set(entry.name, entry);
+  listeners.forEach(listener => listener(entry));
+  metricsReporter.report({ type: 'metric', name: entry.name, data: entry });
+  return entry;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Sets a performance mark and records the time since the page started as a metric:
+ * since navigation start on the first page, since the route change on later ones
+ * @param {string} name - Mark name, one of PERFORMANCE_MARKS
+ * @param {Object} tags - Extra tags, e.g. { productId }
+ * @returns {Object|null} - Recorded metric, or null when the browser has no performance timeline
+ */
+export const markPerformance = (name, tags = {}) => {
+  const timeline = getPerformance();
+  if (!timeline || typeof timeline.now !== 'function') {
+    return null;
+  }
+
+  let startTime = timeline.now();
+  if (typeof timeline.mark === 'function') {
+    try {
+      startTime = timeline.mark(name, { detail: tags })?.startTime ?? startTime;
+    } catch (error) {
+      // Older browsers do not accept mark options; the time from now() is as good
+    }
+  }
+  return recordMetric({ name, value: Math.max(0, startTime - routeStartTime), tags });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Returns the latest value of every metric recorded so far
+ * @returns {Array<Object>} - Metrics in the order they were first recorded
+ */
+export const getMetrics = () => Array.from(latestMetrics.values());
+
+// PUBLIC_INTERFACE
+/**
+ * Calls a listener with every metric recorded from now on
+ * @param {Function} listener - (metric) => void
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToMetrics = (listener) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Starts measuring LCP, CLS, INP, FCP and TTFB and sends them with the custom marks to an endpoint.
+ * Metrics are always recorded for the overlay; they are only sent when an endpoint is configured.
+ * @param {Object} options
+ * @param {string} options.endpoint - Collector URL (REACT_APP_VITALS_URL, else REACT_APP_TELEMETRY_URL)
+ * @param {number} options.sampleRate - Share of page views whose metrics are sent, from 0 to 1
+ * @param {Function} options.random - Random source for sampling
+ * @param {Function} options.onReport - Replaces reportWebVitals, for tests
+ */
+export const startPerformanceMonitoring = ({
+  endpoint = process.env.REACT_APP_VITALS_URL || process.env.REACT_APP_TELEMETRY_URL,
+  sampleRate = Number(process.env.REACT_APP_VITALS_SAMPLE_RATE ?? 1),
+  random = Math.random,
+  onReport = reportWebVitals
+} = {}) => {
+  // All metrics of a page view are sent or none, so they can be compared with each other
+  const sampled = random() < sampleRate;
+  metricsReporter.configure({
+    sink: endpoint && sampled ? createHttpSink({ url: endpoint, preferBeacon: true }) : null
+  });
+  onReport(recordMetric);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Sends the queued metrics right away
+ * @returns {Promise<void>}
+ */
+export const flushMetrics = () => metricsReporter.flush({ beacon: true });
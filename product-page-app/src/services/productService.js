@@ -1,5 +1,14 @@
 import api, { DEFAULT_CONFIG } from './api';
-import { transformProductResponse, TransformError } from '../utils/transformers';
+import auth from './auth';
+import { createResponseCache } from './responseCache';
+import { createRetryPolicy, CircuitOpenError, parseRetryAfter } from './retryPolicy';
+import { transformProductResponse, transformFacets, TransformError } from '../utils/transformers';
+import { SCHEMA_MODES } from '../utils/schema';
+import reporter from './reporter';
+import { createRequestTrace } from './tracing';
+import { translate } from '../utils/i18n';
+import { DEFAULT_LOCALE } from '../utils/money';
+import { clearRecentlyViewed } from '../utils/recentlyViewed';
 
 // Shared request configuration
 const REQUEST_CONFIG = {
@@ -12,8 +21,6 @@ const REQUEST_CONFIG = {
     return (status >= 200 && status < 300) || status === 304;
   },
   timeout: DEFAULT_CONFIG.timeout,
-  retries: DEFAULT_CONFIG.retries,
-  retryDelay: DEFAULT_CONFIG.retryDelay,
   cache: true
 };
 
@@ -25,6 +32,9 @@ class APIError extends Error {
     this.status = status;
     this.code = code;
     this.details = details;
+    // Correlates the error with backend logs; shown to shoppers so support can look it up
+    this.requestId = details?.requestId && details.requestId !== 'unknown' ? details.requestId : null;
+    this.traceId = details?.traceId ?? null;
     this.timestamp = new Date().toISOString();
   }
 
@@ -35,82 +45,98 @@ class APIError extends Error {
       status: this.status,
       code: this.code,
       details: this.details,
+      requestId: this.requestId,
+      traceId: this.traceId,
       timestamp: this.timestamp
     };
   }
 }
 
-// Error codes mapping with detailed messages and retry strategies
+/**
+ * Returns the English catalog message of an error code
+ * @param {string} code - Error code
+ * @returns {string} - Message used for APIError.message and logs
+ */
+const englishMessage = (code) => translate(DEFAULT_LOCALE, `errors.${code}`);
+
+// Error codes mapping with detailed messages and retry strategies.
+// Messages are English for logs; screens translate errors by code (see translateError).
 const ERROR_CODES = {
   TIMEOUT: { 
     status: 408, 
-    message: 'Request timed out', 
+    message: englishMessage('TIMEOUT'), 
     retryable: true,
     retryDelay: 1000
   },
   NETWORK_ERROR: { 
     status: 0, 
-    message: 'Network error', 
+    message: englishMessage('NETWORK_ERROR'), 
     retryable: true,
     retryDelay: 2000
   },
   INVALID_RESPONSE: { 
     status: 500, 
-    message: 'Internal Server Error', 
+    message: englishMessage('INVALID_RESPONSE'), 
     retryable: false,
     logLevel: 'error'
   },
   VALIDATION_ERROR: { 
     status: 400, 
-    message: 'Invalid product information or parameters provided', 
+    message: englishMessage('VALIDATION_ERROR'), 
     retryable: false,
     logLevel: 'warn'
   },
   NOT_FOUND: { 
     status: 404, 
-    message: 'Requested product could not be found', 
+    message: englishMessage('NOT_FOUND'), 
     retryable: false,
     logLevel: 'warn'
   },
   SERVER_ERROR: { 
     status: 500, 
-    message: 'Internal Server Error', 
+    message: englishMessage('SERVER_ERROR'), 
     retryable: true,
     retryDelay: 3000
   },
   TRANSFORM_ERROR: { 
     status: 422, 
-    message: 'Failed to process or transform product data', 
+    message: englishMessage('TRANSFORM_ERROR'), 
     retryable: false,
     logLevel: 'error'
   },
   REQUEST_CANCELLED: { 
     status: 499, 
-    message: 'Product data request was cancelled', 
+    message: englishMessage('REQUEST_CANCELLED'), 
     retryable: false,
     logLevel: 'info'
   },
   UNAUTHORIZED: {
     status: 401,
-    message: 'Unauthorized access to product data',
+    message: englishMessage('UNAUTHORIZED'),
     retryable: false,
     logLevel: 'warn'
   },
   FORBIDDEN: {
     status: 403,
-    message: 'Access forbidden to product data',
+    message: englishMessage('FORBIDDEN'),
     retryable: false,
     logLevel: 'warn'
   },
   RATE_LIMIT: {
     status: 429,
-    message: 'Too many requests to product service',
+    message: englishMessage('RATE_LIMIT'),
     retryable: true,
     retryDelay: 5000
   },
+  CIRCUIT_OPEN: {
+    status: 503,
+    message: englishMessage('CIRCUIT_OPEN'),
+    retryable: false,
+    logLevel: 'warn'
+  },
   UNKNOWN_ERROR: { 
     status: 500, 
-    message: 'An unexpected error occurred while processing product data', 
+    message: englishMessage('UNKNOWN_ERROR'), 
     retryable: true,
     retryDelay: 2000
   }
@@ -125,7 +151,13 @@ const ERROR_CODES = {
  */
 const handleApiError = (error, context = {}) => {
   let errorCode = 'UNKNOWN_ERROR';
-  let details = { ...context };
+  // IDs the request interceptor sent; the services' retries pass theirs in the context
+  const trace = error?.config?.trace;
+  let details = {
+    ...context,
+    requestId: trace?.requestId ?? context.requestId,
+    traceId: trace?.traceId ?? context.traceId
+  };
   let originalMessage = '';
 
   // Safely extract error message
@@ -148,7 +180,14 @@ const handleApiError = (error, context = {}) => {
       ...details,
       field: error.field || 'unknown',
       value: error.value,
-      transformationStep: error.step || 'unknown'
+      transformationStep: error.step || 'unknown',
+      violations: error.issues?.map(({ field, message }) => ({ field, message }))
+    };
+  } else if (error instanceof CircuitOpenError) {
+    errorCode = 'CIRCUIT_OPEN';
+    details = {
+      ...details,
+      retryAt: error.retryAt ? new Date(error.retryAt).toISOString() : null
     };
   } else if (error.code === 'ECONNABORTED') {
     errorCode = 'TIMEOUT';
@@ -200,8 +239,17 @@ const handleApiError = (error, context = {}) => {
       errorData: responseData,
       endpoint: error.config?.url || 'unknown',
       method: error.config?.method || 'unknown',
-      requestId: error.response.headers?.['x-request-id'] || 'unknown'
+      // The server's own ID wins: it is the one its logs are indexed by
+      requestId: error.response.headers?.['x-request-id'] || details.requestId || 'unknown'
     };
+
+    // Servers ask for a pause on 429 and 503 through Retry-After
+    if (responseStatus === 429 || responseStatus === 503) {
+      const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+      if (retryAfter !== null) {
+        details.retryAfter = retryAfter;
+      }
+    }
   } else if (error.request) {
     errorCode = 'NETWORK_ERROR';
     details = {
@@ -251,6 +299,7 @@ const handleApiError = (error, context = {}) => {
     default:
       console.error(logMessage, logData);
   }
+  reporter.report({ type: 'error', name: errorCode, level: logLevel, message: logMessage, data: logData });
 
   // Create standardized API error with enhanced details and consistent structure
   const apiError = new APIError(
@@ -266,7 +315,7 @@ const handleApiError = (error, context = {}) => {
       retryInfo: {
         retryable,
         retryDelay,
-        maxAttempts: DEFAULT_CONFIG.retries,
+        maxAttempts: DEFAULT_CONFIG.maxRetryAttempts,
         currentAttempt: context.attempt || 0
       },
       requestContext: {
@@ -283,7 +332,7 @@ const handleApiError = (error, context = {}) => {
     apiError.retryable = true;
     apiError.retryDelay = retryDelay;
     apiError.retryStrategy = {
-      maxAttempts: DEFAULT_CONFIG.retries,
+      maxAttempts: DEFAULT_CONFIG.maxRetryAttempts,
       baseDelay: retryDelay,
       currentAttempt: context.attempt || 0
     };
@@ -382,19 +431,586 @@ const validateResponse = (response, options = {}) => {
   return data;
 };
 
+// Product responses cached by URL; replaced through configureProductCache
+let productCache = createResponseCache();
+
+// Bumped whenever the cache is cleared, so responses requested before then are not stored
+let cacheGeneration = 0;
+
+// Background revalidations in flight, by URL
+const revalidations = new Map();
+
+// Failures that count towards opening the product circuit breaker
+const CIRCUIT_FAILURE_CODES = ['SERVER_ERROR', 'NETWORK_ERROR'];
+
+// Failures after which the last saved product is shown instead of an error
+const SAVED_DATA_FALLBACK_CODES = ['NETWORK_ERROR', 'CIRCUIT_OPEN'];
+
+/**
+ * Checks whether a failed attempt counts towards opening the circuit breaker
+ * @param {Object} error - Standardized error
+ * @returns {boolean}
+ */
+const isCircuitFailure = (error) => CIRCUIT_FAILURE_CODES.includes(error?.code);
+
+// Retry policy of product details; replaced through configureProductRetryPolicy
+let productRetryPolicy = createRetryPolicy({ isFailure: isCircuitFailure });
+
+// Retry policy of listings, search, suggestions and recommendations. Its own circuit breaker
+// keeps failures of these optional widgets from making product details fail fast.
+let discoveryRetryPolicy = createRetryPolicy({ isFailure: isCircuitFailure });
+
+// PUBLIC_INTERFACE
+/**
+ * Replaces the retry policies used for product requests. Product details and the
+ * listing, search, suggestion and recommendation requests get a policy each, with
+ * the same settings but separate circuit breakers. A breaker opens on SERVER_ERROR
+ * and NETWORK_ERROR failures unless isFailure is given.
+ * @param {Object} options - Options for createRetryPolicy (retries, delays, budget, circuitBreaker)
+ * @returns {Object} - The new policy of product details
+ */
+const configureProductRetryPolicy = (options = {}) => {
+  productRetryPolicy = createRetryPolicy({ isFailure: isCircuitFailure, ...options });
+  discoveryRetryPolicy = createRetryPolicy({ isFailure: isCircuitFailure, ...options });
+  return productRetryPolicy;
+};
+
+// How product payloads are checked against PRODUCT_SCHEMA; replaced through configureProductValidation
+let productValidationMode = process.env.REACT_APP_SCHEMA_MODE === SCHEMA_MODES.STRICT
+  ? SCHEMA_MODES.STRICT
+  : SCHEMA_MODES.LENIENT;
+
+// PUBLIC_INTERFACE
+/**
+ * Sets how product payloads are validated. Strict mode rejects a product violating the
+ * schema with TRANSFORM_ERROR; lenient mode shows it with defaults and reports the violations.
+ * @param {Object} options
+ * @param {string} options.mode - One of SCHEMA_MODES
+ * @returns {Object} - Current validation settings
+ */
+const configureProductValidation = ({ mode = SCHEMA_MODES.LENIENT } = {}) => {
+  productValidationMode = mode;
+  return { mode: productValidationMode };
+};
+
+/**
+ * Transforms a product received from the API, validating it in the configured mode
+ * @param {Object} data - Raw product data
+ * @returns {Object} - Transformed product data
+ * @throws {TransformError} When strict validation or the transformation fails
+ */
+const transformReceivedProduct = (data) => transformProductResponse(data, {
+  mode: productValidationMode,
+  onInvalid: (violations) => {
+    reporter.report({
+      type: 'error',
+      name: 'TRANSFORM_ERROR',
+      level: 'warn',
+      message: `Product ${data.id} violates the product schema`,
+      data: {
+        productId: data.id,
+        // The offending values stay out of reports; they may hold customer or pricing data
+        violations: violations.map(({ field, step, message }) => ({ field, step, message }))
+      }
+    });
+  }
+});
+
+/**
+ * Checks whether the browser reports having no network connection
+ * @returns {boolean}
+ */
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+/**
+ * Builds a product from a cached response
+ * @param {Object} entry - Cache entry
+ * @param {Object} metadata - Extra caching metadata (stale, offline, unavailable)
+ * @returns {Object} - Transformed product data with caching metadata
+ */
+const fromCacheEntry = (entry, metadata = {}) => ({
+  // Cached data was validated when it was received
+  ...transformProductResponse(entry.data),
+  cached: true,
+  etag: entry.etag,
+  lastModified: entry.lastModified,
+  ...metadata
+});
+
+/**
+ * Checks whether an error comes from a cancelled request
+ * @param {Object} error - Request error
+ * @returns {boolean}
+ */
+const isCancellation = (error) => (
+  error?.name === 'AbortError' || error?.name === 'CanceledError' || Boolean(error?.isCancelled)
+);
+
+/**
+ * Runs a request through a retry policy. Failed attempts are standardized
+ * with handleApiError first, so ERROR_CODES decides which of them are retried.
+ * @param {Function} request - Performs one attempt; receives the trace to send as the `trace` request option
+ * @param {Object} context - Context passed to handleApiError
+ * @param {Object} overrides - Per-call policy settings ({ signal, retries, retryDelay })
+ * @param {Object} policy - Retry policy to run in; the one of product details by default
+ * @returns {Promise<*>} - Result of the first successful attempt
+ * @throws {APIError|CircuitOpenError} When the last attempt failed or the circuit is open
+ */
+const runWithRetries = (request, context, overrides = {}, policy = productRetryPolicy) => {
+  // Every attempt sends the same request and trace IDs, so retries are correlated in backend logs
+  const trace = createRequestTrace();
+  const tracedContext = { ...context, requestId: trace.requestId, traceId: trace.traceId };
+
+  return policy.execute(
+    async (attempt) => {
+      try {
+        return await request(trace);
+      } catch (error) {
+        if (error instanceof APIError) {
+          throw error;
+        }
+        if (isCancellation(error) || overrides.signal?.aborted) {
+          throw new APIError('Product request cancelled', 499, 'REQUEST_CANCELLED', { ...tracedContext, attempt });
+        }
+        return handleApiError(error, { ...tracedContext, attempt: attempt + 1 });
+      }
+    },
+    {
+      ...overrides,
+      onRetry: ({ attempt, delay, error }) => {
+        console.info(`Retrying product request (attempt ${attempt})`, {
+          ...tracedContext,
+          delay,
+          error: error.message
+        });
+      }
+    }
+  );
+};
+
 // PUBLIC_INTERFACE
 /**
- * Fetches product details by ID
+ * Replaces the response cache used for product requests
+ * @param {Object} options - Options for createResponseCache ({ store, maxAge, staleWhileRevalidate })
+ * @returns {Object} - The new cache
+ */
+const configureProductCache = (options = {}) => {
+  productCache = createResponseCache(options);
+  revalidations.clear();
+  return productCache;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Removes all cached product responses. Requests in flight are neither shared with
+ * later callers nor stored once they complete.
+ * @returns {Promise<void>}
+ */
+const clearProductCache = () => {
+  cacheGeneration += 1;
+  revalidations.clear();
+  inFlightRequests.clear();
+  return productCache.clear();
+};
+
+// Prices may depend on the signed-in customer, so nothing fetched for a session outlives it
+auth.onLogout(() => {
+  clearProductCache();
+  clearRecentlyViewed();
+});
+
+/**
+ * Checks whether the server asked for a response not to be stored
+ * @param {Object} response - Axios response
+ * @returns {boolean}
+ */
+const isNoStore = (response) => /no-store/i.test(response.headers?.['cache-control'] || '');
+
+/**
+ * Requests a product, answering 304 Not Modified from the response cache
+ * @param {string} url - Product URL
+ * @param {Object} config - Axios request config
+ * @param {Object} validators - { etag, lastModified } for a conditional request
+ * @returns {Promise<Object>} - Transformed product data with caching metadata
+ * @throws {APIError|TransformError} When the response is invalid
+ */
+const requestProduct = async (url, config, validators = {}) => {
+  const generation = cacheGeneration;
+  const withValidators = ({ etag = '', lastModified = '' }) => ({
+    ...config,
+    headers: {
+      ...config.headers,
+      'If-None-Match': etag || '',
+      'If-Modified-Since': lastModified || ''
+    }
+  });
+
+  let response = await api.get(url, withValidators(validators));
+
+  if (response.status === 304) {
+    const entry = await productCache.get(url, { etag: response.headers?.etag || validators.etag });
+    if (entry) {
+      await productCache.touch(url, entry);
+      return {
+        ...transformProductResponse(entry.data),
+        cached: true,
+        notModified: true,
+        etag: entry.etag,
+        lastModified: entry.lastModified
+      };
+    }
+
+    // Nothing stored for these validators, so the body has to be fetched again
+    response = await api.get(url, withValidators({}));
+    if (response.status === 304) {
+      throw new APIError(
+        'Server answered 304 without a cached response',
+        500,
+        'INVALID_RESPONSE',
+        { url, validationType: 'uncached_not_modified' }
+      );
+    }
+  }
+
+  const data = validateResponse(response, { 
+    allowEmpty: false 
+  });
+
+  // Validate product data structure
+  if (!data || typeof data !== 'object') {
+    throw new APIError(
+      'Invalid product data format',
+      500,
+      'INVALID_RESPONSE',
+      {
+        receivedType: typeof data,
+        url
+      }
+    );
+  }
+
+  const transformedProduct = transformReceivedProduct(data);
+  const etag = response.headers?.etag;
+  const lastModified = response.headers?.['last-modified'];
+
+  if (!isNoStore(response) && generation === cacheGeneration) {
+    await productCache.set(url, { data, etag, lastModified });
+  }
+
+  // Add caching metadata
+  return {
+    ...transformedProduct,
+    cached: false,
+    etag,
+    lastModified
+  };
+};
+
+/**
+ * Refreshes a stale cache entry in the background, once per URL at a time
+ * @param {string} url - Product URL
+ * @param {Object} entry - Stale cache entry
+ * @param {Function} onRevalidated - Called with the product when the server sent new data
+ */
+const revalidateInBackground = (url, entry, onRevalidated) => {
+  if (revalidations.has(url)) {
+    return;
+  }
+
+  const config = {
+    timeout: DEFAULT_CONFIG.timeout,
+    validateStatus: REQUEST_CONFIG.validateStatus,
+    cache: true,
+    headers: REQUEST_CONFIG.headers
+  };
+
+  const revalidation = runWithRetries(trace => requestProduct(url, { ...config, trace }, entry), { url, revalidation: true })
+    .then((product) => {
+      if (!product.notModified && typeof onRevalidated === 'function') {
+        onRevalidated(product);
+      }
+    })
+    .catch((error) => {
+      console.warn('[CACHE] Background revalidation failed', { url, error: error?.message });
+    })
+    .finally(() => {
+      revalidations.delete(url);
+    });
+
+  revalidations.set(url, revalidation);
+};
+
+// Network requests in flight, by URL, shared by concurrent callers
+const inFlightRequests = new Map();
+
+/**
+ * Creates the error a caller's promise rejects with when its signal aborts
+ * @returns {Error} - Error named AbortError
+ */
+const createAbortError = () => {
+  const abortError = new Error('Request cancelled');
+  abortError.name = 'AbortError';
+  return abortError;
+};
+
+/**
+ * Runs a request once for every concurrent caller of the same key. A caller's
+ * signal only cancels its own wait; the request is aborted once every caller
+ * that passed a signal has cancelled and no caller without one is waiting.
+ * @param {string} key - Request key (URL)
+ * @param {AbortSignal} signal - Caller's signal
+ * @param {Function} startRequest - Receives the shared signal and returns the request promise
+ * @returns {Promise<*>} - Result of the shared request
+ */
+const shareRequest = (key, signal, startRequest) => {
+  let shared = inFlightRequests.get(key);
+
+  if (!shared) {
+    const controller = new AbortController();
+    shared = { controller, waiting: 0 };
+    shared.promise = startRequest(controller.signal).finally(() => {
+      if (inFlightRequests.get(key) === shared) {
+        inFlightRequests.delete(key);
+      }
+    });
+    // Every caller may have cancelled; the outcome is then nobody's to handle
+    shared.promise.catch(() => {});
+    inFlightRequests.set(key, shared);
+  }
+
+  shared.waiting += 1;
+  if (!signal || typeof signal.addEventListener !== 'function') {
+    return shared.promise;
+  }
+
+  const current = shared;
+  return new Promise((resolve, reject) => {
+    const handleAbort = () => {
+      current.waiting -= 1;
+      if (current.waiting === 0) {
+        if (inFlightRequests.get(key) === current) {
+          inFlightRequests.delete(key);
+        }
+        current.controller.abort();
+      }
+      reject(createAbortError());
+    };
+
+    if (signal.aborted) {
+      handleAbort();
+      return;
+    }
+
+    signal.addEventListener('abort', handleAbort, { once: true });
+    current.promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', handleAbort));
+  });
+};
+
+// Batching of getProductById calls into /products?ids=…
+const batchSettings = {
+  enabled: false,
+  maxBatchSize: 50,
+  delay: 0
+};
+let pendingBatch = null;
+
+// PUBLIC_INTERFACE
+/**
+ * Turns batching of getProductById calls on or off. While enabled, uncached
+ * products requested within the same tick are fetched with one
+ * GET /products?ids=… request and handed back to each caller.
+ * @param {Object} options
+ * @param {boolean} options.enabled - Whether calls are batched by default
+ * @param {number} options.maxBatchSize - Most IDs sent in one request
+ * @param {number} options.delay - Milliseconds to wait for more calls before sending
+ * @returns {Object} - Current batch settings
+ */
+const configureProductBatching = ({ enabled = true, maxBatchSize = 50, delay = 0 } = {}) => {
+  Object.assign(batchSettings, {
+    enabled,
+    maxBatchSize: Math.max(1, maxBatchSize),
+    delay: Math.max(0, delay)
+  });
+  return { ...batchSettings };
+};
+
+/**
+ * Reads the products of a batch response, which is either an array or { products: [] }
+ * @param {Object} response - Axios response
+ * @returns {Array} - Raw products
+ * @throws {APIError} When the response holds no product list
+ */
+const readBatchProducts = (response) => {
+  const data = validateResponse(response);
+  const products = Array.isArray(data) ? data : data?.products;
+  if (!Array.isArray(products)) {
+    throw new APIError(
+      'Invalid response format: expected array',
+      500,
+      'INVALID_RESPONSE',
+      {
+        receivedType: typeof data,
+        validationType: 'type_mismatch',
+        expectedType: 'array'
+      }
+    );
+  }
+  return products;
+};
+
+/**
+ * Fetches one batch of products and settles each caller with its own product
+ * @param {Map} callers - Product ID → waiters ({ resolve, reject }) still waiting for it
+ */
+const sendBatch = async (callers) => {
+  const ids = [...callers.keys()];
+  const generation = cacheGeneration;
+  const settle = (productId, settleCaller) => {
+    // A copy, as waiters that abort meanwhile remove themselves from the list
+    [...callers.get(productId)].forEach(settleCaller);
+    callers.delete(productId);
+  };
+
+  try {
+    const response = await runWithRetries(trace => api.get('/products', {
+      params: { ids: ids.join(',') },
+      timeout: DEFAULT_CONFIG.timeout,
+      cache: true,
+      headers: REQUEST_CONFIG.headers,
+      trace
+    }), { batch: ids });
+    const products = readBatchProducts(response);
+
+    await Promise.all(products.map(async (data) => {
+      const productId = data && data.id != null ? String(data.id) : null;
+      if (!callers.has(productId)) {
+        return;
+      }
+      try {
+        const product = transformReceivedProduct(data);
+        if (generation === cacheGeneration) {
+          await productCache.set(`/products/${productId}`, { data });
+        }
+        settle(productId, caller => caller.resolve({ ...product, cached: false }));
+      } catch (error) {
+        settle(productId, caller => caller.reject(error));
+      }
+    }));
+
+    // IDs the server left out of the response do not exist
+    [...callers.keys()].forEach((productId) => {
+      settle(productId, caller => caller.reject(new APIError(
+        ERROR_CODES.NOT_FOUND.message,
+        ERROR_CODES.NOT_FOUND.status,
+        'NOT_FOUND',
+        { productId, batch: ids }
+      )));
+    });
+  } catch (error) {
+    [...callers.keys()].forEach((productId) => {
+      settle(productId, caller => caller.reject(error));
+    });
+  }
+};
+
+/**
+ * Queues a product for the next batch request. Every caller of a product waits on its
+ * entry; one whose signal aborts is rejected on its own, and a product nobody waits
+ * for any more when the batch is sent is left out of it.
+ * @param {string} productId - Product ID
+ * @param {AbortSignal} signal - Cancels this caller's wait
+ * @returns {Promise<Object>} - Transformed product
+ */
+const enqueueBatchedProduct = (productId, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+
+  if (!pendingBatch) {
+    pendingBatch = new Map();
+    setTimeout(() => {
+      const queued = [...pendingBatch].filter(([, waiters]) => waiters.length > 0);
+      pendingBatch = null;
+      for (let index = 0; index < queued.length; index += batchSettings.maxBatchSize) {
+        sendBatch(new Map(queued.slice(index, index + batchSettings.maxBatchSize)));
+      }
+    }, batchSettings.delay);
+  }
+
+  if (!pendingBatch.has(productId)) {
+    pendingBatch.set(productId, []);
+  }
+  const waiters = pendingBatch.get(productId);
+  const handleAbort = () => {
+    waiters.splice(waiters.indexOf(waiter), 1);
+    reject(createAbortError());
+  };
+  const waiter = {
+    resolve: (product) => {
+      signal?.removeEventListener('abort', handleAbort);
+      resolve(product);
+    },
+    reject: (error) => {
+      signal?.removeEventListener('abort', handleAbort);
+      reject(error);
+    }
+  };
+  waiters.push(waiter);
+  signal?.addEventListener('abort', handleAbort, { once: true });
+});
+
+/**
+ * Requests a product through the product retry policy
+ * @param {string} productId - Product ID
+ * @param {string} url - Product URL
+ * @param {Object} options - { signal, timeout, cache, retries, retryDelay }
+ * @param {Object} validators - { etag, lastModified } for a conditional request
+ * @returns {Promise<Object>} - Transformed product data with caching metadata
+ * @throws {APIError|CircuitOpenError} When every attempt failed or the circuit is open
+ */
+const fetchProductWithRetries = (productId, url, options, validators) => {
+  const { signal, timeout, cache, retries, retryDelay } = options;
+  const config = {
+    signal,
+    timeout,
+    validateStatus: REQUEST_CONFIG.validateStatus,
+    cache,
+    headers: REQUEST_CONFIG.headers
+  };
+
+  return runWithRetries(
+    trace => requestProduct(url, { ...config, trace }, validators),
+    { productId },
+    { signal, retries, retryDelay }
+  );
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Fetches product details by ID.
+ * Fresh cached responses are returned without a request; stale ones are returned
+ * immediately and revalidated in the background; otherwise a conditional request
+ * is sent and a 304 is answered from the cache. Concurrent calls for the same
+ * product share one request. While offline, or when the request fails with
+ * NETWORK_ERROR or CIRCUIT_OPEN, the last cached product is returned instead.
  * @param {string} productId - The ID of the product to fetch
  * @param {Object} options - Request options
  * @param {AbortSignal} options.signal - AbortController signal for cancellation
  * @param {number} options.timeout - Request timeout in milliseconds
- * @param {number} options.retries - Number of retry attempts
- * @param {number} options.retryDelay - Delay between retries in milliseconds
- * @param {boolean} options.cache - Whether to use cache
- * @param {string} options.etag - ETag for conditional requests
- * @param {string} options.lastModified - Last-Modified date for conditional requests
+ * @param {number} options.retries - Retry attempts, overriding the retry policy
+ * @param {number} options.retryDelay - Backoff base in milliseconds, overriding the retry policy
+ * @param {boolean} options.cache - Whether cached responses may be returned (false forces a request)
+ * @param {string} options.etag - ETag for conditional requests when nothing is cached
+ * @param {string} options.lastModified - Last-Modified date for conditional requests when nothing is cached
+ * @param {Function} options.onRevalidated - Called with the updated product when a stale response was
+ *   returned and the background revalidation brought new data
+ * @param {boolean} options.batch - Whether to batch the request with other calls made in the same tick
+ *   (defaults to the configureProductBatching setting)
  * @returns {Promise<Object>} - Transformed product data with caching metadata
+ *   (cached, stale, notModified, offline, unavailable, etag, lastModified)
  * @throws {APIError} When API request fails or data transformation fails
  */
 const getProductById = async (productId, options = {}) => {
@@ -416,118 +1032,54 @@ const getProductById = async (productId, options = {}) => {
   const {
     signal,
     timeout = DEFAULT_CONFIG.timeout,
-    retries = DEFAULT_CONFIG.retries,
-    retryDelay = DEFAULT_CONFIG.retryDelay,
+    retries,
+    retryDelay,
     cache = true,
     etag = '',
-    lastModified = ''
+    lastModified = '',
+    onRevalidated,
+    batch
   } = options;
 
+  const url = `/products/${productId}`;
+  const entry = await productCache.get(url);
+
   try {
-    const config = {
-      signal,
-      timeout,
-      validateStatus: REQUEST_CONFIG.validateStatus,
-      cache,
-      headers: {
-        ...REQUEST_CONFIG.headers,
-        'If-None-Match': etag,
-        'If-Modified-Since': lastModified
+    // Without a connection there is no point in going through the retry ladder
+    if (isOffline()) {
+      if (entry) {
+        return fromCacheEntry(entry, { stale: entry.state !== 'fresh', offline: true });
       }
-    };
-
-    let lastError;
-    let attempt;
-
-    for (attempt = 0; attempt <= retries; attempt++) {
-      try {
-        const response = await api.get(`/products/${productId}`, config);
-        
-        // Handle 304 Not Modified
-        if (response.status === 304) {
-          return {
-            cached: true,
-            notModified: true,
-            etag: response.headers?.etag,
-            lastModified: response.headers?.['last-modified']
-          };
-        }
-
-        const data = validateResponse(response, { 
-          allowEmpty: false 
-        });
-
-        // Validate product data structure
-        if (!data || typeof data !== 'object') {
-          throw new APIError(
-            'Invalid product data format',
-            500,
-            'INVALID_RESPONSE',
-            {
-              receivedType: typeof data,
-              productId
-            }
-          );
-        }
-
-        const transformedProduct = transformProductResponse(data);
-
-        // Add caching metadata
-        return {
-          ...transformedProduct,
-          cached: false,
-          etag: response.headers?.etag,
-          lastModified: response.headers?.['last-modified']
-        };
-
-      } catch (error) {
-        // Handle request cancellation
-        if (error.name === 'AbortError' || (signal && signal.aborted)) {
-          throw new APIError(
-            'Product request cancelled',
-            499,
-            'REQUEST_CANCELLED',
-            { 
-              productId,
-              attempt,
-              totalAttempts: retries + 1
-            }
-          );
-        }
-
-        lastError = error;
-
-        // Check if error is retryable
-        const errorCode = error instanceof APIError ? error.code : 'UNKNOWN_ERROR';
-        const errorInfo = ERROR_CODES[errorCode];
+      throw new APIError(
+        ERROR_CODES.NETWORK_ERROR.message,
+        ERROR_CODES.NETWORK_ERROR.status,
+        'NETWORK_ERROR',
+        { productId, networkInfo: { online: false } }
+      );
+    }
 
-        if (!errorInfo?.retryable || attempt >= retries) {
-          break;
-        }
+    if (cache && entry && entry.state !== 'expired') {
+      if (entry.state === 'stale') {
+        revalidateInBackground(url, entry, onRevalidated);
+      }
+      return fromCacheEntry(entry, { stale: entry.state === 'stale' });
+    }
 
-        // Calculate retry delay with exponential backoff
-        const backoffDelay = retryDelay * Math.pow(2, attempt);
-        await new Promise(resolve => setTimeout(resolve, backoffDelay));
-        
-        // Log retry attempt
-        console.info(`Retrying product request (attempt ${attempt + 1}/${retries + 1})`, {
-          productId,
-          attempt,
-          delay: backoffDelay,
-          error: error.message
-        });
+    const validators = entry
+      ? { etag: entry.etag, lastModified: entry.lastModified }
+      : { etag, lastModified };
 
-        continue;
-      }
+    // Expired entries still have validators worth a conditional request, so only misses are batched
+    if ((batch ?? batchSettings.enabled) && !entry && !etag && !lastModified) {
+      return await shareRequest(url, signal, sharedSignal => enqueueBatchedProduct(productId, sharedSignal));
     }
 
-    // Handle final error
-    handleApiError(lastError, { 
+    return await shareRequest(url, signal, (sharedSignal) => fetchProductWithRetries(
       productId,
-      attempt,
-      totalAttempts: retries + 1
-    });
-
+      url,
+      { signal: sharedSignal, timeout, cache, retries, retryDelay },
+      validators
+    ));
   } catch (error) {
     // Handle request cancellation at the top level
     if (error.name === 'AbortError' || (signal && signal.aborted)) {
@@ -539,18 +1091,90 @@ const getProductById = async (productId, options = {}) => {
       );
     }
 
-    // Handle all other errors
-    handleApiError(error, { 
-      productId,
-      options: {
-        timeout,
-        retries,
-        cache
+    // Errors from a shared or batched request have already been standardized
+    let apiError = error;
+    if (!(error instanceof APIError)) {
+      try {
+        handleApiError(error, { 
+          productId,
+          options: {
+            timeout,
+            retries,
+            cache
+          }
+        });
+      } catch (standardizedError) {
+        apiError = standardizedError;
       }
-    });
+    }
+
+    // The last saved product beats an error page while the network or the service is down
+    if (entry && SAVED_DATA_FALLBACK_CODES.includes(apiError.code)) {
+      return fromCacheEntry(entry, {
+        stale: true,
+        offline: apiError.code === 'NETWORK_ERROR',
+        unavailable: apiError.code === 'CIRCUIT_OPEN'
+      });
+    }
+
+    throw apiError;
   }
 };
 
+/**
+ * Transforms a list of raw products, collecting per-product failures instead of failing the list
+ * @param {Array} data - Raw products
+ * @returns {{products: Array, errors: Array}} - Transformed products and transformation errors
+ */
+const transformProductList = (data) => {
+  const transformedProducts = [];
+  const transformErrors = [];
+
+  // Transform products and collect errors
+  data.forEach((product, index) => {
+    try {
+      if (!product || typeof product !== 'object') {
+        throw new TransformError(
+          'Invalid product data format',
+          'product_format',
+          { index, value: product },
+          'product'
+        );
+      }
+
+      const transformedProduct = transformReceivedProduct(product);
+      transformedProducts.push(transformedProduct);
+    } catch (error) {
+      const transformError = error instanceof TransformError 
+        ? error 
+        : new TransformError(
+            'Product transformation failed',
+            'transform',
+            { originalError: error },
+            'product'
+          );
+
+      console.error(`[TRANSFORM_ERROR] Failed to process or transform product data at index ${index}:`, error);
+      const transformFailure = {
+        index,
+        productId: product?.id,
+        error: transformError,
+        rawProduct: process.env.NODE_ENV === 'development' ? product : undefined
+      };
+      transformErrors.push(transformFailure);
+      reporter.report({
+        type: 'error',
+        name: 'TRANSFORM_ERROR',
+        level: 'error',
+        message: transformError.message,
+        data: transformFailure
+      });
+    }
+  });
+
+  return { products: transformedProducts, errors: transformErrors };
+};
+
 // PUBLIC_INTERFACE
 /**
  * Fetches a list of products with optional filters
@@ -593,50 +1217,19 @@ const getProducts = async (filters = {}, options = {}) => {
         }
         return acc;
       }, {}),
+      signal,
+      timeout,
       validateStatus
     };
 
     try {
-      const response = await api.get('/products', config);
+      const response = await runWithRetries(trace => api.get('/products', { ...config, trace }), { filters }, { signal });
       const data = validateResponse(response, { 
         requireArray: true, 
         allowEmpty 
       });
 
-      const transformedProducts = [];
-      const transformErrors = [];
-
-      // Transform products and collect errors
-      data.forEach((product, index) => {
-        try {
-          if (!product || typeof product !== 'object') {
-            throw new TransformError(
-              'Invalid product data format',
-              'product_format',
-              { index, value: product }
-            );
-          }
-
-          const transformedProduct = transformProductResponse(product);
-          transformedProducts.push(transformedProduct);
-        } catch (error) {
-          const transformError = error instanceof TransformError 
-            ? error 
-            : new TransformError(
-                'Product transformation failed',
-                'transform',
-                { originalError: error }
-              );
-
-          console.error(`[TRANSFORM_ERROR] Failed to process or transform product data at index ${index}:`, error);
-          transformErrors.push({
-            index,
-            productId: product?.id,
-            error: transformError,
-            rawProduct: process.env.NODE_ENV === 'development' ? product : undefined
-          });
-        }
-      });
+      const { products: transformedProducts, errors: transformErrors } = transformProductList(data);
 
       // Return standardized response format
       const responseData = {
@@ -671,13 +1264,421 @@ const getProducts = async (filters = {}, options = {}) => {
       throw error; // Re-throw for handleApiError
     }
   } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
     handleApiError(error, { filters });
   }
 };
 
+// Most recommendations a carousel asks for
+const RECOMMENDATION_LIMIT = 12;
+
+/**
+ * Fetches products recommended for another product. The product itself and
+ * repeated products are left out, as shoppers should not be offered either.
+ * @param {string} productId - Product the recommendations are for
+ * @param {string} kind - Endpoint below the product, e.g. 'related'
+ * @param {number} limit - Most products to return
+ * @param {Object} options - Request options ({ signal, timeout })
+ * @returns {Promise<{products: Array, errors: (Array|null)}>} - Transformed products and transformation errors
+ * @throws {APIError} When the parameters are invalid or the request fails
+ */
+const getRecommendations = async (productId, kind, limit, options = {}) => {
+  const { signal, timeout = DEFAULT_CONFIG.timeout } = options;
+
+  if (!productId || typeof productId !== 'string') {
+    throw new APIError(
+      'Invalid or missing product ID',
+      400,
+      'VALIDATION_ERROR',
+      { field: 'productId', value: productId, expectedType: 'string', receivedType: typeof productId }
+    );
+  }
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new APIError(
+      'Limit must be a positive whole number',
+      400,
+      'VALIDATION_ERROR',
+      { field: 'limit', value: limit }
+    );
+  }
+
+  const context = { operation: 'getRecommendations', kind, productId };
+
+  try {
+    const response = await runWithRetries(trace => api.get(`/products/${encodeURIComponent(productId)}/${kind}`, {
+      signal,
+      timeout,
+      params: { limit },
+      trace
+    }), context, { signal }, discoveryRetryPolicy);
+    const data = validateResponse(response) ?? [];
+    const items = Array.isArray(data) ? data : (data.products ?? data.items);
+
+    if (!Array.isArray(items)) {
+      throw new APIError(
+        'Invalid response format: expected array',
+        500,
+        'INVALID_RESPONSE',
+        { ...context, receivedType: typeof items, validationType: 'type_mismatch', expectedType: 'array' }
+      );
+    }
+
+    const { products, errors } = transformProductList(items);
+    const seen = new Set([productId]);
+    return {
+      products: products
+        .filter((product) => {
+          const id = String(product.id);
+          if (seen.has(id)) {
+            return false;
+          }
+          seen.add(id);
+          return true;
+        })
+        .slice(0, limit),
+      errors: errors.length > 0 ? errors : null
+    };
+  } catch (error) {
+    if (error.name === 'AbortError' || (signal && signal.aborted)) {
+      throw new APIError(
+        'Recommendations request cancelled',
+        499,
+        'REQUEST_CANCELLED',
+        context
+      );
+    }
+    if (error instanceof APIError) {
+      throw error;
+    }
+    handleApiError(error, context);
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Fetches products related to a product, such as alternatives from the same category
+ * @param {string} productId - Product ID
+ * @param {Object} params - Request parameters
+ * @param {number} params.limit - Most products to return
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - AbortController signal for cancellation
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {Promise<{products: Array, errors: (Array|null)}>} - Transformed products and transformation errors
+ * @throws {APIError} When the parameters are invalid or the request fails
+ */
+const getRelatedProducts = (productId, { limit = RECOMMENDATION_LIMIT } = {}, options = {}) => (
+  getRecommendations(productId, 'related', limit, options)
+);
+
+// PUBLIC_INTERFACE
+/**
+ * Fetches products that are often ordered together with a product
+ * @param {string} productId - Product ID
+ * @param {Object} params - Request parameters
+ * @param {number} params.limit - Most products to return
+ * @param {Object} options - Request options (see getRelatedProducts)
+ * @returns {Promise<{products: Array, errors: (Array|null)}>} - Transformed products and transformation errors
+ * @throws {APIError} When the parameters are invalid or the request fails
+ */
+const getFrequentlyBoughtTogether = (productId, { limit = 4 } = {}, options = {}) => (
+  getRecommendations(productId, 'bought-together', limit, options)
+);
+
+// Sort orders the search and listing endpoints understand
+const SEARCH_SORT_OPTIONS = ['relevance', 'price-asc', 'price-desc', 'newest', 'rating'];
+const LIST_SORT_OPTIONS = ['featured', 'price-asc', 'price-desc', 'newest', 'rating'];
+const SEARCH_PAGE_SIZE = 24;
+const SUGGESTION_MIN_LENGTH = 2;
+
+/**
+ * Drops undefined and null values from request parameters
+ * @param {Object} params - Parameters
+ * @returns {Object} - Parameters with values
+ */
+const compactParams = (params) => Object.entries(params).reduce((acc, [key, value]) => {
+  if (value !== undefined && value !== null) {
+    acc[key] = value;
+  }
+  return acc;
+}, {});
+
+/**
+ * Reads one page of a product listing or search response
+ * @param {Array|Object} data - Array of products, or { products|items, total, page, pageSize, facets, nextCursor, previousCursor }
+ * @param {Object} requested - { page, pageSize } asked for, used when the response does not say
+ * @returns {Object} - { products, errors, total, page, pageSize, totalPages, facets, nextCursor, previousCursor }
+ * @throws {APIError} When the response holds no product array
+ */
+const readProductPage = (data, { page, pageSize }) => {
+  const body = data ?? [];
+  const items = Array.isArray(body) ? body : (body.products ?? body.items);
+
+  if (!Array.isArray(items)) {
+    throw new APIError(
+      'Invalid response format: expected array',
+      500,
+      'INVALID_RESPONSE',
+      { receivedType: typeof items, validationType: 'type_mismatch', expectedType: 'array' }
+    );
+  }
+
+  const { products, errors } = transformProductList(items);
+  const total = Number.isFinite(Number(body.total)) ? Number(body.total) : items.length;
+  const resultPageSize = Number(body.pageSize) || pageSize;
+
+  return {
+    products,
+    errors: errors.length > 0 ? errors : null,
+    total,
+    page: Number(body.page) || page,
+    pageSize: resultPageSize,
+    totalPages: Math.max(1, Math.ceil(total / resultPageSize)),
+    facets: transformFacets(body.facets),
+    nextCursor: body.nextCursor ?? null,
+    previousCursor: body.previousCursor ?? null
+  };
+};
+
+/**
+ * Validates the filters and page of a listing or search request
+ * @param {Object} filters - Filters sent as query parameters
+ * @param {number} page - Page number
+ * @throws {APIError} When either is invalid
+ */
+const validatePageRequest = (filters, page) => {
+  if (!Number.isInteger(page) || page < 1) {
+    throw new APIError(
+      'Page must be a positive whole number',
+      400,
+      'VALIDATION_ERROR',
+      { field: 'page', value: page }
+    );
+  }
+  if (!filters || typeof filters !== 'object') {
+    throw new APIError(
+      'Invalid filters parameter',
+      400,
+      'VALIDATION_ERROR',
+      { field: 'filters', receivedType: typeof filters, expectedType: 'object' }
+    );
+  }
+};
+
+/**
+ * Turns filters into query parameters; multi-value filters are sent comma separated
+ * @param {Object} filters - Map of facet name to a value or array of values
+ * @returns {Object} - Query parameters
+ */
+const toFilterParams = (filters) => compactParams(Object.entries(filters).reduce((acc, [key, value]) => {
+  if (Array.isArray(value)) {
+    acc[key] = value.length > 0 ? value.join(',') : undefined;
+  } else {
+    acc[key] = value === '' ? undefined : value;
+  }
+  return acc;
+}, {}));
+
+// PUBLIC_INTERFACE
+/**
+ * Fetches one page of the product listing with facet counts for the sidebar.
+ * The server paginates by page number, or by cursor when it returns nextCursor/previousCursor.
+ * @param {Object} params - Listing parameters
+ * @param {Object} params.filters - Facet filters (e.g. { category: ['shoes'], price: '25-50' })
+ * @param {string} params.sort - One of LIST_SORT_OPTIONS
+ * @param {number} params.page - Page number, starting at 1 (ignored when a cursor is given)
+ * @param {string} params.cursor - Cursor from a previous page
+ * @param {number} params.pageSize - Products per page
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - AbortController signal for cancellation
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {Promise<Object>} - { products, errors, total, page, pageSize, totalPages, facets, nextCursor, previousCursor }
+ * @throws {APIError} When the parameters are invalid or the request fails
+ */
+const listProducts = async (params = {}, options = {}) => {
+  const {
+    filters = {},
+    sort = 'featured',
+    page = 1,
+    cursor = null,
+    pageSize = SEARCH_PAGE_SIZE
+  } = params;
+  const { signal, timeout = DEFAULT_CONFIG.timeout } = options;
+
+  if (!LIST_SORT_OPTIONS.includes(sort)) {
+    throw new APIError(
+      'Invalid sort order',
+      400,
+      'VALIDATION_ERROR',
+      { field: 'sort', value: sort, allowedValues: LIST_SORT_OPTIONS }
+    );
+  }
+  validatePageRequest(filters, page);
+
+  const context = { operation: 'listProducts', filters, sort, page, cursor };
+
+  try {
+    const response = await runWithRetries(trace => api.get('/products', {
+      signal,
+      timeout,
+      params: compactParams({
+        ...toFilterParams(filters),
+        sort,
+        page: cursor ? undefined : page,
+        cursor: cursor || undefined,
+        pageSize,
+        facets: true
+      }),
+      trace
+    }), context, { signal }, discoveryRetryPolicy);
+
+    return readProductPage(validateResponse(response), { page, pageSize });
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    handleApiError(error, context);
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Searches products
+ * @param {string} query - Search text
+ * @param {Object} params - Search parameters
+ * @param {Object} params.filters - Additional filters sent as query parameters (e.g. { category })
+ * @param {string} params.sort - One of SEARCH_SORT_OPTIONS
+ * @param {number} params.page - Page number, starting at 1
+ * @param {number} params.pageSize - Results per page
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - AbortController signal for cancellation
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {Promise<Object>} - { query, products, errors, total, page, pageSize, totalPages }
+ * @throws {APIError} When the parameters are invalid or the request fails
+ */
+const searchProducts = async (query, params = {}, options = {}) => {
+  const {
+    filters = {},
+    sort = 'relevance',
+    page = 1,
+    pageSize = SEARCH_PAGE_SIZE
+  } = params;
+  const { signal, timeout = DEFAULT_CONFIG.timeout } = options;
+
+  if (typeof query !== 'string') {
+    throw new APIError(
+      'Invalid search query',
+      400,
+      'VALIDATION_ERROR',
+      { field: 'query', value: query, expectedType: 'string', receivedType: typeof query }
+    );
+  }
+  if (!SEARCH_SORT_OPTIONS.includes(sort)) {
+    throw new APIError(
+      'Invalid sort order',
+      400,
+      'VALIDATION_ERROR',
+      { field: 'sort', value: sort, allowedValues: SEARCH_SORT_OPTIONS }
+    );
+  }
+  validatePageRequest(filters, page);
+
+  const trimmedQuery = query.trim();
+  const context = { operation: 'searchProducts', query: trimmedQuery, sort, page };
+
+  try {
+    const response = await runWithRetries(trace => api.get('/products', {
+      signal,
+      timeout,
+      params: compactParams({ ...toFilterParams(filters), q: trimmedQuery, sort, page, pageSize }),
+      trace
+    }), context, { signal }, discoveryRetryPolicy);
+    const { facets, nextCursor, previousCursor, ...result } = readProductPage(validateResponse(response), { page, pageSize });
+
+    return { query: trimmedQuery, ...result };
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    handleApiError(error, context);
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Fetches search suggestions for partially typed text. Spelling correction
+ * happens on the server, so suggestions may not contain the typed text.
+ * @param {string} query - Text typed so far
+ * @param {Object} params - Suggestion parameters
+ * @param {number} params.limit - Most suggestions to return
+ * @param {Object} options - Request options ({ signal, timeout })
+ * @returns {Promise<Array>} - [{ text, productId }]; productId is set for suggestions naming one product
+ * @throws {APIError} When the request fails
+ */
+const getSearchSuggestions = async (query, { limit = 8 } = {}, options = {}) => {
+  const { signal, timeout = DEFAULT_CONFIG.timeout } = options;
+  const trimmedQuery = typeof query === 'string' ? query.trim() : '';
+
+  if (trimmedQuery.length < SUGGESTION_MIN_LENGTH) {
+    return [];
+  }
+
+  const context = { operation: 'getSearchSuggestions', query: trimmedQuery };
+
+  try {
+    // Suggestions go stale as the shopper types, so a failed one is not worth retrying
+    const response = await runWithRetries(trace => api.get('/products/suggest', {
+      signal,
+      timeout,
+      params: { q: trimmedQuery, limit },
+      trace
+    }), context, { signal, retries: 0 }, discoveryRetryPolicy);
+    const data = validateResponse(response) ?? [];
+    const items = Array.isArray(data) ? data : (data.suggestions ?? []);
+    const seen = new Set();
+
+    return items
+      .map(item => (typeof item === 'string'
+        ? { text: item, productId: null }
+        : {
+            text: item?.text ?? item?.query ?? item?.title ?? '',
+            productId: item?.productId != null ? String(item.productId) : null
+          }))
+      .filter(({ text }) => {
+        const key = text.trim().toLowerCase();
+        if (!key || seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      })
+      .slice(0, limit);
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    handleApiError(error, context);
+  }
+};
+
 export {
   getProductById,
   getProducts,
+  getRelatedProducts,
+  getFrequentlyBoughtTogether,
+  listProducts,
+  searchProducts,
+  getSearchSuggestions,
+  configureProductCache,
+  clearProductCache,
+  configureProductBatching,
+  configureProductRetryPolicy,
+  configureProductValidation,
+  handleApiError,
+  validateResponse,
   APIError,
-  ERROR_CODES
+  ERROR_CODES,
+  SEARCH_SORT_OPTIONS,
+  LIST_SORT_OPTIONS
 };
@@ -0,0 +1,310 @@
+import api, { DEFAULT_CONFIG } from './api';
+import { APIError, handleApiError, validateResponse } from './productService';
+import { transformAnswer, transformQuestion, transformQuestionsResponse } from '../utils/transformers';
+
+const QUESTION_PAGE_SIZE = 5;
+
+// Limits of asked questions and answers; the forms check the same ones before sending
+const QA_LIMITS = {
+  questionMinLength: 10,
+  questionMaxLength: 500,
+  answerMinLength: 10,
+  answerMaxLength: 2000,
+  authorMaxLength: 60
+};
+
+/**
+ * Validates the identifiers in a Q&A request
+ * @param {Object} ids - { productId, questionId, answerId }; only the given ones are checked
+ * @throws {APIError} When an identifier is missing or not a string
+ */
+const validateIds = (ids) => {
+  Object.entries(ids).forEach(([field, value]) => {
+    if (!value || typeof value !== 'string') {
+      throw new APIError(
+        `Invalid or missing ${field === 'productId' ? 'product' : field.replace('Id', '')} ID`,
+        400,
+        'VALIDATION_ERROR',
+        {
+          field,
+          value,
+          expectedType: 'string',
+          receivedType: typeof value
+        }
+      );
+    }
+  });
+};
+
+/**
+ * Checks a question or answer text and the optional name shown with it
+ * @param {string} field - 'question' or 'answer'
+ * @param {*} text - Entered text
+ * @param {*} author - Entered name
+ * @returns {Object} - Map of field name to error message
+ */
+const validatePost = (field, text, author) => {
+  const errors = {};
+  const value = String(text ?? '').trim();
+  const min = QA_LIMITS[`${field}MinLength`];
+  const max = QA_LIMITS[`${field}MaxLength`];
+
+  if (value.length < min) {
+    errors[field] = `Please write at least ${min} characters`;
+  } else if (value.length > max) {
+    errors[field] = `Keep your ${field} under ${max} characters`;
+  }
+  if (String(author ?? '').trim().length > QA_LIMITS.authorMaxLength) {
+    errors.author = `Keep your name under ${QA_LIMITS.authorMaxLength} characters`;
+  }
+  return errors;
+};
+
+/**
+ * Throws the validation errors of a post, if there are any
+ * @param {Object} errors - Map of field name to error message
+ * @param {Object} context - Additional details for the error
+ * @throws {APIError} With the map in details.fields
+ */
+const assertValid = (errors, context) => {
+  const fields = Object.keys(errors);
+  if (fields.length > 0) {
+    throw new APIError(
+      errors[fields[0]],
+      400,
+      'VALIDATION_ERROR',
+      { ...context, field: fields[0], fields: errors }
+    );
+  }
+};
+
+/**
+ * Runs a Q&A request and maps its failure like the other services
+ * @param {Function} request - Function performing the api call
+ * @param {Object} options - Request options ({ signal, timeout })
+ * @param {Object} context - Context passed to handleApiError on failure
+ * @returns {Promise<Object>} - Validated response data
+ * @throws {APIError} When the request fails
+ */
+const sendQuestionsRequest = async (request, options, context) => {
+  const { signal, timeout = DEFAULT_CONFIG.timeout } = options;
+
+  try {
+    const response = await request({ signal, timeout });
+    return validateResponse(response);
+  } catch (error) {
+    if (error.name === 'AbortError' || (signal && signal.aborted)) {
+      throw new APIError(
+        'Questions request cancelled',
+        499,
+        'REQUEST_CANCELLED',
+        context
+      );
+    }
+    if (error instanceof APIError) {
+      throw error;
+    }
+    handleApiError(error, context);
+  }
+};
+
+/**
+ * Transforms response data, reporting malformed data as an invalid response
+ * @param {Function} transform - Transformer to apply
+ * @param {Object} data - Response data
+ * @param {Object} context - Context of the request
+ * @returns {Object} - Transformed data
+ * @throws {APIError} When the data cannot be transformed
+ */
+const transformResponse = (transform, data, context) => {
+  try {
+    return transform(data);
+  } catch (error) {
+    throw new APIError(
+      'Invalid questions data received from server',
+      500,
+      'INVALID_RESPONSE',
+      { ...context, field: error.field, validationType: 'transform_failed' }
+    );
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Checks a question before it is asked
+ * @param {Object} post - { question, author }
+ * @returns {Object} - Map of field name to error message; empty when the question is valid
+ */
+const validateQuestion = ({ question, author } = {}) => validatePost('question', question, author);
+
+// PUBLIC_INTERFACE
+/**
+ * Checks an answer before it is posted
+ * @param {Object} post - { answer, author }
+ * @returns {Object} - Map of field name to error message; empty when the answer is valid
+ */
+const validateAnswer = ({ answer, author } = {}) => validatePost('answer', answer, author);
+
+// PUBLIC_INTERFACE
+/**
+ * Fetches one page of a product's customer questions with their answers
+ * @param {string} productId - Product ID
+ * @param {Object} params - Query parameters
+ * @param {string} params.query - Only questions or answers containing these words
+ * @param {number} params.page - Page number, starting at 1
+ * @param {number} params.pageSize - Questions per page
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - AbortController signal for cancellation
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {Promise<Object>} - { questions, total, page, pageSize, totalPages }
+ * @throws {APIError} When the parameters are invalid or the request fails
+ */
+const listQuestions = async (productId, params = {}, options = {}) => {
+  const { query = '', page = 1, pageSize = QUESTION_PAGE_SIZE } = params;
+
+  validateIds({ productId });
+  if (!Number.isInteger(page) || page < 1) {
+    throw new APIError(
+      'Page must be a positive whole number',
+      400,
+      'VALIDATION_ERROR',
+      { field: 'page', value: page }
+    );
+  }
+
+  const search = String(query ?? '').trim();
+  const context = { operation: 'listQuestions', productId, query: search, page };
+  const data = await sendQuestionsRequest(
+    config => api.get(`/products/${encodeURIComponent(productId)}/questions`, {
+      ...config,
+      params: search ? { q: search, page, pageSize } : { page, pageSize }
+    }),
+    options,
+    context
+  );
+
+  return transformResponse(raw => transformQuestionsResponse(raw ?? {}, { page, pageSize }), data, context);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Asks a question about a product
+ * @param {string} productId - Product ID
+ * @param {Object} post - Question to ask
+ * @param {string} post.question - Question text
+ * @param {string} [post.author] - Name shown with the question
+ * @param {Object} options - Request options (see listQuestions)
+ * @returns {Promise<Object>} - The created question; its status is 'pending' while it awaits moderation
+ * @throws {APIError} When validation or the request fails; validation errors carry
+ *   a map of field to message in details.fields
+ */
+const askQuestion = async (productId, { question, author = '' } = {}, options = {}) => {
+  validateIds({ productId });
+  assertValid(validateQuestion({ question, author }), { productId });
+
+  const body = { body: String(question).trim(), author: String(author).trim() };
+  const context = { operation: 'askQuestion', productId };
+  const data = await sendQuestionsRequest(
+    config => api.post(`/products/${encodeURIComponent(productId)}/questions`, body, { ...config, cache: false }),
+    options,
+    context
+  );
+
+  return transformResponse(transformQuestion, data && typeof data === 'object' ? data : { ...body, status: 'pending' }, context);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Answers a customer question
+ * @param {string} productId - Product ID
+ * @param {string} questionId - Question to answer
+ * @param {Object} post - Answer to post
+ * @param {string} post.answer - Answer text
+ * @param {string} [post.author] - Name shown with the answer
+ * @param {Object} options - Request options (see listQuestions)
+ * @returns {Promise<Object>} - The created answer; verifiedStaff is only set by the server
+ * @throws {APIError} When validation or the request fails
+ */
+const answerQuestion = async (productId, questionId, { answer, author = '' } = {}, options = {}) => {
+  validateIds({ productId, questionId });
+  assertValid(validateAnswer({ answer, author }), { productId, questionId });
+
+  const body = { body: String(answer).trim(), author: String(author).trim() };
+  const context = { operation: 'answerQuestion', productId, questionId };
+  const data = await sendQuestionsRequest(
+    config => api.post(
+      `/products/${encodeURIComponent(productId)}/questions/${encodeURIComponent(questionId)}/answers`,
+      body,
+      { ...config, cache: false }
+    ),
+    options,
+    context
+  );
+
+  return transformResponse(transformAnswer, data && typeof data === 'object' ? data : { ...body, status: 'pending' }, context);
+};
+
+/**
+ * Posts an upvote and reads back the new count
+ * @param {string} path - Path of the voted question or answer
+ * @param {Object} options - Request options
+ * @param {Object} context - Context of the request
+ * @returns {Promise<{upvotes: (number|null)}>} - Count after the vote, null when the server does not say
+ */
+const sendUpvote = async (path, options, context) => {
+  const data = await sendQuestionsRequest(
+    config => api.post(`${path}/upvote`, {}, { ...config, cache: false }),
+    options,
+    context
+  );
+  const count = Number.parseInt(data?.upvotes, 10);
+  return { upvotes: Number.isNaN(count) ? null : count };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Upvotes a customer question, so others see it first
+ * @param {string} productId - Product ID
+ * @param {string} questionId - Question ID
+ * @param {Object} options - Request options (see listQuestions)
+ * @returns {Promise<{upvotes: (number|null)}>} - Count after the vote
+ * @throws {APIError} When validation or the request fails
+ */
+const upvoteQuestion = async (productId, questionId, options = {}) => {
+  validateIds({ productId, questionId });
+  return sendUpvote(
+    `/products/${encodeURIComponent(productId)}/questions/${encodeURIComponent(questionId)}`,
+    options,
+    { operation: 'upvoteQuestion', productId, questionId }
+  );
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Upvotes an answer that helped
+ * @param {string} productId - Product ID
+ * @param {string} questionId - Question the answer belongs to
+ * @param {string} answerId - Answer ID
+ * @param {Object} options - Request options (see listQuestions)
+ * @returns {Promise<{upvotes: (number|null)}>} - Count after the vote
+ * @throws {APIError} When validation or the request fails
+ */
+const upvoteAnswer = async (productId, questionId, answerId, options = {}) => {
+  validateIds({ productId, questionId, answerId });
+  return sendUpvote(
+    `/products/${encodeURIComponent(productId)}/questions/${encodeURIComponent(questionId)}/answers/${encodeURIComponent(answerId)}`,
+    options,
+    { operation: 'upvoteAnswer', productId, questionId, answerId }
+  );
+};
+
+export {
+  listQuestions,
+  askQuestion,
+  answerQuestion,
+  upvoteQuestion,
+  upvoteAnswer,
+  validateQuestion,
+  validateAnswer,
+  QA_LIMITS
+};
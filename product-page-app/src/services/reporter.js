@@ -0,0 +1,275 @@
+const REDACTED = '[REDACTED]';
+
+// Headers carrying credentials or session identifiers
+const SENSITIVE_HEADERS = new Set([
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key',
+  'x-auth-token',
+  'x-csrf-token'
+]);
+
+// Fields holding whole API payloads, which may contain customer data
+const DROPPED_FIELDS = new Set(['rawProduct']);
+
+const EMAIL_PATTERN = /[^\s@"'<>]+@[^\s@"'<>]+\.[a-z]{2,}/gi;
+const MAX_DEPTH = 8;
+
+/**
+ * Copies a value for reporting with credentials and personal data removed
+ * @param {*} value - Value to scrub
+ * @param {string} key - Property name the value was found under
+ * @param {number} depth - Nesting depth
+ * @param {WeakSet} seen - Objects already visited, to cut cycles
+ * @returns {*} - Scrubbed copy
+ */
+const scrubValue = (value, key, depth, seen) => {
+  if (key && (DROPPED_FIELDS.has(key) || SENSITIVE_HEADERS.has(key.toLowerCase()))) {
+    return value === undefined ? undefined : REDACTED;
+  }
+  if (typeof value === 'string') {
+    return value.replace(EMAIL_PATTERN, '[EMAIL]');
+  }
+  if (!value || typeof value !== 'object') {
+    return typeof value === 'function' ? undefined : value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return scrubValue({
+      name: value.name,
+      message: value.message,
+      code: value.code,
+      status: value.status,
+      // Where a TransformError happened; its value is left out as it holds API data
+      field: value.field,
+      step: value.step,
+      stack: value.stack
+    }, null, depth, seen);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => scrubValue(item, null, depth + 1, seen));
+  }
+  return Object.keys(value).reduce((copy, name) => {
+    const scrubbed = scrubValue(value[name], name, depth + 1, seen);
+    if (scrubbed !== undefined) {
+      copy[name] = scrubbed;
+    }
+    return copy;
+  }, {});
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Removes credentials and personal data from an event before it leaves the browser:
+ * sensitive headers and rawProduct payloads are redacted and email addresses masked
+ * @param {Object} event - Reported event
+ * @returns {Object} - Scrubbed copy of the event
+ */
+export const scrubEvent = (event) => scrubValue(event, null, 0, new WeakSet());
+
+// PUBLIC_INTERFACE
+/**
+ * Creates a sink posting event batches to a collector endpoint.
+ * Uses fetch instead of the api instance, whose interceptors report to the reporter themselves.
+ * @param {Object} options
+ * @param {string} options.url - Collector URL
+ * @param {Function} options.fetchImpl - fetch implementation
+ * @param {Function} options.sendBeacon - navigator.sendBeacon, used while the page is being hidden
+ * @param {boolean} options.preferBeacon - Send every batch as a beacon when the browser accepts it
+ * @returns {Object} - Sink with send(events, { beacon })
+ */
+export const createHttpSink = ({
+  url,
+  fetchImpl = typeof fetch === 'function' ? fetch : undefined,
+  sendBeacon = typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function'
+    ? navigator.sendBeacon.bind(navigator)
+    : undefined,
+  preferBeacon = false
+} = {}) => ({
+  name: 'http',
+  send: async (events, { beacon = false } = {}) => {
+    const body = JSON.stringify({ events });
+
+    // A beacon survives the page unloading; fall back to fetch when the browser refuses it
+    if ((beacon || preferBeacon) && sendBeacon && sendBeacon(url, new Blob([body], { type: 'application/json' }))) {
+      return;
+    }
+    if (!fetchImpl) {
+      return;
+    }
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true
+    });
+    if (!response.ok) {
+      throw new Error(`Telemetry collector answered with status ${response.status}`);
+    }
+  }
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Creates a sink keeping events in memory, standing in for a collector in tests and development
+ * @returns {Object} - Sink with send(events, { beacon }), the received events and the batches they came in
+ */
+export const createMemorySink = () => {
+  const events = [];
+  const batches = [];
+
+  return {
+    name: 'memory',
+    events,
+    batches,
+    send: async (batch, { beacon = false } = {}) => {
+      batches.push({ events: batch, beacon });
+      events.push(...batch);
+    }
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Creates a reporter that batches, samples and scrubs errors and telemetry events
+ * before handing them to a sink
+ * @param {Object} options
+ * @param {Object} options.sink - Sink with send(events, { beacon }); events are dropped without one
+ * @param {number} options.batchSize - Events sent together; a full batch is sent at once
+ * @param {number} options.flushInterval - Milliseconds an incomplete batch waits before it is sent
+ * @param {number} options.maxQueueSize - Oldest events are dropped beyond this count
+ * @param {number} options.sampleRate - Share of telemetry events kept, from 0 to 1
+ * @param {number} options.errorSampleRate - Share of errors kept, from 0 to 1
+ * @param {Function} options.random - Random source for sampling
+ * @param {Object} options.target - Window whose pagehide flushes the queue through a beacon
+ * @returns {Object} - Reporter with report/captureError/track/flush/configure/dispose
+ */
+export const createReporter = ({
+  sink = null,
+  batchSize = 20,
+  flushInterval = 5000,
+  maxQueueSize = 200,
+  sampleRate = 1,
+  errorSampleRate = 1,
+  random = Math.random,
+  target = typeof window !== 'undefined' ? window : undefined
+} = {}) => {
+  const settings = { sink, sampleRate, errorSampleRate };
+  let queue = [];
+  let timer = null;
+
+  const flush = ({ beacon = false } = {}) => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (queue.length === 0 || !settings.sink) {
+      return Promise.resolve();
+    }
+
+    const events = queue;
+    queue = [];
+    // Reporting must never break the page; a batch the sink fails to deliver is dropped
+    return Promise.resolve()
+      .then(() => settings.sink.send(events, { beacon }))
+      .catch(() => {});
+  };
+
+  const schedule = () => {
+    if (!timer && flushInterval > 0) {
+      timer = setTimeout(() => {
+        timer = null;
+        flush();
+      }, flushInterval);
+    }
+  };
+
+  const report = ({ type = 'event', name, level = 'info', message, data } = {}) => {
+    if (!settings.sink) {
+      return false;
+    }
+    const rate = type === 'error' ? settings.errorSampleRate : settings.sampleRate;
+    if (rate < 1 && random() >= rate) {
+      return false;
+    }
+
+    queue.push(scrubEvent({
+      type,
+      name,
+      level,
+      message,
+      data,
+      timestamp: new Date().toISOString(),
+      page: typeof window !== 'undefined' ? window.location?.pathname : undefined
+    }));
+    if (queue.length > maxQueueSize) {
+      queue.shift();
+    }
+
+    if (queue.length >= batchSize) {
+      flush();
+    } else {
+      schedule();
+    }
+    return true;
+  };
+
+  // The page may be closed after it is hidden; a beacon still reaches the collector then
+  const handlePageHide = () => {
+    flush({ beacon: true });
+  };
+  const handleVisibilityChange = () => {
+    if (target?.document?.visibilityState === 'hidden') {
+      flush({ beacon: true });
+    }
+  };
+  if (target?.addEventListener) {
+    target.addEventListener('pagehide', handlePageHide);
+    target.document?.addEventListener('visibilitychange', handleVisibilityChange);
+  }
+
+  return {
+    report,
+    captureError: (error, data = {}) => report({
+      type: 'error',
+      name: error?.code || error?.name || 'Error',
+      level: 'error',
+      message: error?.message,
+      data: { ...data, error }
+    }),
+    track: (name, data = {}) => report({ type: 'event', name, level: 'info', data }),
+    flush,
+    configure: (changes = {}) => {
+      Object.assign(settings, changes);
+    },
+    dispose: () => {
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      queue = [];
+      if (target?.removeEventListener) {
+        target.removeEventListener('pagehide', handlePageHide);
+        target.document?.removeEventListener('visibilitychange', handleVisibilityChange);
+      }
+    }
+  };
+};
+
+// Shared reporter of the app; it sends to REACT_APP_TELEMETRY_URL when that is configured
+const reporter = createReporter({
+  sink: process.env.REACT_APP_TELEMETRY_URL
+    ? createHttpSink({ url: process.env.REACT_APP_TELEMETRY_URL })
+    : null
+});
+
+export default reporter;
@@ -0,0 +1,270 @@
+import { DEFAULT_CONFIG } from './api';
+
+const STORAGE_PREFIX = 'product-cache:';
+const IDB_NAME = 'product-page-cache';
+const IDB_STORE = 'responses';
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} - Request result
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Creates a cache store kept in memory for the lifetime of the page
+ * @param {Object} options
+ * @param {number} options.maxEntries - Oldest entries are evicted beyond this count
+ * @returns {Object} - Store with async get/set/delete/clear
+ */
+export const createMemoryStore = ({ maxEntries = 100 } = {}) => {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    get: async (key) => entries.get(key) ?? null,
+    set: async (key, entry) => {
+      entries.delete(key);
+      entries.set(key, entry);
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+    clear: async () => {
+      entries.clear();
+    }
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Creates a cache store backed by Web Storage (localStorage by default)
+ * @param {Object} options
+ * @param {Storage} options.storage - Storage area to use
+ * @param {string} options.prefix - Key prefix separating cache entries from other data
+ * @returns {Object} - Store with async get/set/delete/clear
+ */
+export const createLocalStorageStore = ({
+  storage = typeof window !== 'undefined' ? window.localStorage : undefined,
+  prefix = STORAGE_PREFIX
+} = {}) => {
+  const ownKeys = () => {
+    const keys = [];
+    for (let index = 0; index < storage.length; index++) {
+      const key = storage.key(index);
+      if (key && key.startsWith(prefix)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  };
+
+  const clear = async () => {
+    ownKeys().forEach(key => storage.removeItem(key));
+  };
+
+  return {
+    name: 'localStorage',
+    get: async (key) => {
+      const stored = storage.getItem(prefix + key);
+      if (stored === null) {
+        return null;
+      }
+      try {
+        return JSON.parse(stored);
+      } catch (error) {
+        storage.removeItem(prefix + key);
+        return null;
+      }
+    },
+    set: async (key, entry) => {
+      const serialized = JSON.stringify(entry);
+      try {
+        storage.setItem(prefix + key, serialized);
+      } catch (error) {
+        // Quota exceeded: drop our own entries and try once more
+        await clear();
+        try {
+          storage.setItem(prefix + key, serialized);
+        } catch (retryError) {
+          // Caching is best effort
+        }
+      }
+    },
+    delete: async (key) => {
+      storage.removeItem(prefix + key);
+    },
+    clear
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Creates a cache store backed by IndexedDB
+ * @param {Object} options
+ * @param {IDBFactory} options.indexedDB - IndexedDB implementation to use
+ * @param {string} options.databaseName - Database name
+ * @param {string} options.storeName - Object store name
+ * @returns {Object} - Store with async get/set/delete/clear
+ */
+export const createIndexedDBStore = ({
+  indexedDB = typeof window !== 'undefined' ? window.indexedDB : undefined,
+  databaseName = IDB_NAME,
+  storeName = IDB_STORE
+} = {}) => {
+  let databasePromise = null;
+
+  const openDatabase = () => {
+    if (!databasePromise) {
+      const request = indexedDB.open(databaseName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(storeName);
+      };
+      databasePromise = promisifyRequest(request).catch((error) => {
+        databasePromise = null;
+        throw error;
+      });
+    }
+    return databasePromise;
+  };
+
+  const run = async (mode, operation) => {
+    const database = await openDatabase();
+    const store = database.transaction(storeName, mode).objectStore(storeName);
+    return promisifyRequest(operation(store));
+  };
+
+  return {
+    name: 'indexedDB',
+    get: async (key) => (await run('readonly', store => store.get(key))) ?? null,
+    set: async (key, entry) => {
+      await run('readwrite', store => store.put(entry, key));
+    },
+    delete: async (key) => {
+      await run('readwrite', store => store.delete(key));
+    },
+    clear: async () => {
+      await run('readwrite', store => store.clear());
+    }
+  };
+};
+
+/**
+ * Checks whether Web Storage can be written to (it throws in some private modes)
+ * @param {Storage} storage - Storage area to probe
+ * @returns {boolean}
+ */
+const isStorageUsable = (storage) => {
+  try {
+    const probe = `${STORAGE_PREFIX}probe`;
+    storage.setItem(probe, probe);
+    storage.removeItem(probe);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Picks the most durable store the environment supports:
+ * IndexedDB, then localStorage, then memory
+ * @returns {Object} - Cache store
+ */
+export const createDefaultStore = () => {
+  if (typeof window === 'undefined') {
+    return createMemoryStore();
+  }
+  if (window.indexedDB) {
+    return createIndexedDBStore();
+  }
+  if (window.localStorage && isStorageUsable(window.localStorage)) {
+    return createLocalStorageStore();
+  }
+  return createMemoryStore();
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Creates an HTTP response cache on top of a store. Entries are keyed by URL and
+ * remember the ETag/Last-Modified validators they were served with.
+ * An entry is "fresh" for maxAge seconds, then "stale" (usable while it is
+ * revalidated) for another staleWhileRevalidate seconds, then "expired"
+ * (only its validators are still useful for a conditional request).
+ * @param {Object} options
+ * @param {Object} options.store - Store from createMemoryStore/createLocalStorageStore/createIndexedDBStore
+ * @param {number} options.maxAge - Seconds an entry is fresh
+ * @param {number} options.staleWhileRevalidate - Seconds a stale entry may still be served
+ * @param {Function} options.now - Clock, for tests
+ * @returns {Object} - Cache with async get/set/touch/delete/clear
+ */
+export const createResponseCache = ({
+  store = createDefaultStore(),
+  maxAge = DEFAULT_CONFIG.cacheMaxAge,
+  staleWhileRevalidate = DEFAULT_CONFIG.staleWhileRevalidate,
+  now = () => Date.now()
+} = {}) => {
+  const getState = (entry) => {
+    const age = now() - entry.storedAt;
+    if (age < maxAge * 1000) return 'fresh';
+    if (age < (maxAge + staleWhileRevalidate) * 1000) return 'stale';
+    return 'expired';
+  };
+
+  // A broken store must never break a request, so store failures read as cache misses
+  const safely = async (operation, fallback = null) => {
+    try {
+      return await operation();
+    } catch (error) {
+      console.warn('[CACHE] Response cache store failed', error);
+      return fallback;
+    }
+  };
+
+  return {
+    store,
+    /**
+     * Looks up a cached response
+     * @param {string} url - Request URL
+     * @param {Object} match - { etag } the entry must have been stored with
+     * @returns {Promise<Object|null>} - { data, etag, lastModified, storedAt, state } or null
+     */
+    get: async (url, { etag } = {}) => {
+      const entry = await safely(() => store.get(url));
+      if (!entry || (etag && entry.etag && entry.etag !== etag)) {
+        return null;
+      }
+      return { ...entry, state: getState(entry) };
+    },
+    /**
+     * Stores a response body with its validators
+     * @param {string} url - Request URL
+     * @param {Object} response - { data, etag, lastModified }
+     */
+    set: async (url, { data, etag = null, lastModified = null }) => {
+      await safely(() => store.set(url, { url, data, etag, lastModified, storedAt: now() }));
+    },
+    /**
+     * Marks a cached response as fresh again after the server answered 304
+     * @param {string} url - Request URL
+     * @param {Object} entry - Entry returned by get()
+     */
+    touch: async (url, entry) => {
+      const { state, ...stored } = entry;
+      await safely(() => store.set(url, { ...stored, storedAt: now() }));
+    },
+    delete: async (url) => {
+      await safely(() => store.delete(url));
+    },
+    clear: async () => {
+      await safely(() => store.clear());
+    }
+  };
+};
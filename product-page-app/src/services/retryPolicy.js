@@ -0,0 +1,279 @@
+import { DEFAULT_CONFIG } from './api';
+
+// Thrown instead of sending a request while the circuit breaker is open
+export class CircuitOpenError extends Error {
+  constructor(message, retryAt) {
+    super(message);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+export const DEFAULT_RETRY_POLICY = {
+  retries: DEFAULT_CONFIG.maxRetryAttempts,
+  baseDelay: DEFAULT_CONFIG.retryDelay,
+  maxDelay: 30000,
+  jitter: 100,
+  maxRetryAfter: 60000,
+  budget: {
+    ratio: 0.2,
+    minRetries: 10,
+    windowMs: 10000
+  },
+  circuitBreaker: {
+    failureThreshold: 5,
+    resetTimeout: 30000
+  }
+};
+
+/**
+ * Waits for a delay, rejecting early with an AbortError when the signal aborts
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Optional signal
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const abortError = () => {
+    const error = new Error('Request cancelled');
+    error.name = 'AbortError';
+    return error;
+  };
+
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+
+  const handleAbort = () => {
+    clearTimeout(timeoutId);
+    reject(abortError());
+  };
+  const timeoutId = setTimeout(() => {
+    signal?.removeEventListener?.('abort', handleAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener?.('abort', handleAbort, { once: true });
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Parses a Retry-After header value
+ * @param {string|number} value - Delay in seconds or an HTTP date
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} - Delay in milliseconds, or null when the value is missing or invalid
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Creates a retry budget: within a sliding window, retries may not exceed
+ * minRetries plus ratio times the number of requests, so an outage cannot
+ * multiply the load on the backend.
+ * @param {Object} options
+ * @param {number} options.ratio - Retries allowed per request
+ * @param {number} options.minRetries - Retries always allowed per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {Function} options.now - Clock, for tests
+ * @returns {Object} - { recordRequest, canRetry, recordRetry }
+ */
+export const createRetryBudget = ({
+  ratio = DEFAULT_RETRY_POLICY.budget.ratio,
+  minRetries = DEFAULT_RETRY_POLICY.budget.minRetries,
+  windowMs = DEFAULT_RETRY_POLICY.budget.windowMs,
+  now = () => Date.now()
+} = {}) => {
+  let requests = [];
+  let retries = [];
+
+  const prune = () => {
+    const cutoff = now() - windowMs;
+    requests = requests.filter(timestamp => timestamp > cutoff);
+    retries = retries.filter(timestamp => timestamp > cutoff);
+  };
+
+  return {
+    recordRequest: () => {
+      requests.push(now());
+    },
+    canRetry: () => {
+      prune();
+      return retries.length < minRetries + ratio * requests.length;
+    },
+    recordRetry: () => {
+      retries.push(now());
+    }
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Creates a circuit breaker. After failureThreshold consecutive failures the
+ * circuit opens and requests fail fast; after resetTimeout it lets a single
+ * probe through (half-open), which closes the circuit on success or opens it again.
+ * @param {Object} options
+ * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+ * @param {number} options.resetTimeout - Milliseconds before a probe is let through
+ * @param {Function} options.now - Clock, for tests
+ * @returns {Object} - { getState, canRequest, recordSuccess, recordFailure, releaseProbe, retryAt }
+ */
+export const createCircuitBreaker = ({
+  failureThreshold = DEFAULT_RETRY_POLICY.circuitBreaker.failureThreshold,
+  resetTimeout = DEFAULT_RETRY_POLICY.circuitBreaker.resetTimeout,
+  now = () => Date.now()
+} = {}) => {
+  let failures = 0;
+  let openedAt = null;
+  let probing = false;
+
+  const getState = () => {
+    if (openedAt === null) return 'closed';
+    return now() - openedAt >= resetTimeout ? 'half-open' : 'open';
+  };
+
+  return {
+    getState,
+    canRequest: () => {
+      const state = getState();
+      if (state === 'closed') return true;
+      if (state === 'open' || probing) return false;
+      probing = true;
+      return true;
+    },
+    recordSuccess: () => {
+      failures = 0;
+      openedAt = null;
+      probing = false;
+    },
+    recordFailure: () => {
+      failures += 1;
+      if (probing || failures >= failureThreshold) {
+        openedAt = now();
+      }
+      probing = false;
+    },
+    // A cancelled probe tells nothing about the backend, so let the next request probe
+    releaseProbe: () => {
+      probing = false;
+    },
+    retryAt: () => (openedAt === null ? null : openedAt + resetTimeout)
+  };
+};
+
+/**
+ * Reads the server-requested delay of a standardized error (Retry-After on 429/503)
+ * @param {Object} error - Failed attempt
+ * @returns {number|null} - Delay in milliseconds
+ */
+const getRetryAfter = (error) => {
+  const retryAfter = error?.details?.retryAfter;
+  return Number.isFinite(retryAfter) ? retryAfter : null;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Creates a retry policy. Attempts are expected to fail with standardized
+ * errors (see handleApiError), whose retryable flag and retryDelay come from
+ * ERROR_CODES. Every call shares the policy's retry budget and circuit breaker.
+ * @param {Object} options - Overrides for DEFAULT_RETRY_POLICY
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.baseDelay - Backoff base when the error has no retryDelay
+ * @param {number} options.maxDelay - Longest backoff delay
+ * @param {number} options.jitter - Random milliseconds added to each backoff delay
+ * @param {number} options.maxRetryAfter - Longest Retry-After delay that is honored
+ * @param {Object|false} options.budget - Options for createRetryBudget, or false for no budget
+ * @param {Object|false} options.circuitBreaker - Options for createCircuitBreaker, or false for none
+ * @param {Function} options.isRetryable - Decides whether a failed attempt may be retried
+ * @param {Function} options.isFailure - Decides whether a failed attempt counts against the circuit
+ * @param {Function} options.now - Clock, for tests
+ * @returns {Object} - { execute, breaker, budget, settings }
+ */
+export const createRetryPolicy = (options = {}) => {
+  const settings = { ...DEFAULT_RETRY_POLICY, ...options };
+  const now = settings.now || (() => Date.now());
+  const budget = settings.budget
+    ? createRetryBudget({ ...DEFAULT_RETRY_POLICY.budget, ...settings.budget, now })
+    : null;
+  const breaker = settings.circuitBreaker
+    ? createCircuitBreaker({ ...DEFAULT_RETRY_POLICY.circuitBreaker, ...settings.circuitBreaker, now })
+    : null;
+  const isRetryable = settings.isRetryable || (error => Boolean(error?.retryable));
+  const isFailure = settings.isFailure || isRetryable;
+
+  const getDelay = (error, attempt, call) => {
+    const retryAfter = getRetryAfter(error);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, call.maxRetryAfter);
+    }
+    const base = call.retryDelay ?? error?.retryDelay ?? call.baseDelay;
+    const backoff = Math.min(base * Math.pow(2, attempt), call.maxDelay);
+    return backoff + Math.random() * call.jitter;
+  };
+
+  /**
+   * Runs an operation, retrying failed attempts the policy allows
+   * @param {Function} operation - Receives the attempt number (0 for the first) and returns a promise
+   * @param {Object} overrides - Per-call settings
+   * @param {AbortSignal} overrides.signal - Stops retrying and waiting when aborted
+   * @param {number} overrides.retries - Retries after the first attempt
+   * @param {number} overrides.retryDelay - Backoff base, taking precedence over the error's retryDelay
+   * @param {Function} overrides.onRetry - Called with { attempt, delay, error } before each retry
+   * @returns {Promise<*>} - Result of the first successful attempt
+   * @throws {Error} The last failure, or CircuitOpenError while the circuit is open
+   */
+  const execute = async (operation, overrides = {}) => {
+    const call = { ...settings };
+    Object.entries(overrides).forEach(([key, value]) => {
+      if (value !== undefined) {
+        call[key] = value;
+      }
+    });
+    budget?.recordRequest();
+
+    for (let attempt = 0; ; attempt++) {
+      if (breaker && !breaker.canRequest()) {
+        throw new CircuitOpenError('Circuit breaker is open', breaker.retryAt());
+      }
+
+      try {
+        const result = await operation(attempt);
+        breaker?.recordSuccess();
+        return result;
+      } catch (error) {
+        if (call.signal?.aborted || error?.code === 'REQUEST_CANCELLED') {
+          breaker?.releaseProbe();
+          throw error;
+        }
+        if (isFailure(error)) {
+          breaker?.recordFailure();
+        } else if (!isRetryable(error)) {
+          // A final answer means the backend is reachable
+          breaker?.recordSuccess();
+        } else {
+          breaker?.releaseProbe();
+        }
+
+        const circuitOpened = breaker && breaker.getState() !== 'closed';
+        if (attempt >= call.retries || circuitOpened || !isRetryable(error) || (budget && !budget.canRetry())) {
+          throw error;
+        }
+
+        budget?.recordRetry();
+        const delay = getDelay(error, attempt, call);
+        call.onRetry?.({ attempt: attempt + 1, delay, error });
+        await sleep(delay, call.signal);
+      }
+    }
+  };
+
+  return { execute, breaker, budget, settings };
+};
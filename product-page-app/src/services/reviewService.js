@@ -0,0 +1,271 @@
+import api, { DEFAULT_CONFIG } from './api';
+import { APIError, handleApiError, validateResponse } from './productService';
+import { transformReview, transformReviewsResponse } from '../utils/transformers';
+
+const REVIEW_SORT_OPTIONS = ['newest', 'helpful', 'rating-desc', 'rating-asc'];
+
+const REVIEW_PAGE_SIZE = 5;
+
+// Limits of a submitted review; the form checks the same ones before sending
+const REVIEW_LIMITS = {
+  titleMaxLength: 120,
+  bodyMinLength: 20,
+  bodyMaxLength: 5000,
+  authorMaxLength: 60,
+  maxPhotos: 5,
+  maxPhotoSize: 5 * 1024 * 1024,
+  photoTypes: ['image/jpeg', 'image/png', 'image/webp']
+};
+
+/**
+ * Validates a product ID
+ * @param {string} productId - Product ID
+ * @throws {APIError} When the ID is missing or not a string
+ */
+const validateProductId = (productId) => {
+  if (!productId || typeof productId !== 'string') {
+    throw new APIError(
+      'Invalid or missing product ID',
+      400,
+      'VALIDATION_ERROR',
+      {
+        field: 'productId',
+        value: productId,
+        expectedType: 'string',
+        receivedType: typeof productId
+      }
+    );
+  }
+};
+
+/**
+ * Runs a review request and maps its failure like the other services
+ * @param {Function} request - Function performing the api call
+ * @param {Object} options - Request options ({ signal, timeout })
+ * @param {Object} context - Context passed to handleApiError on failure
+ * @returns {Promise<Object>} - Validated response data
+ * @throws {APIError} When the request fails
+ */
+const sendReviewRequest = async (request, options, context) => {
+  const { signal, timeout = DEFAULT_CONFIG.timeout } = options;
+
+  try {
+    const response = await request({ signal, timeout });
+    return validateResponse(response);
+  } catch (error) {
+    if (error.name === 'AbortError' || (signal && signal.aborted)) {
+      throw new APIError(
+        'Review request cancelled',
+        499,
+        'REQUEST_CANCELLED',
+        context
+      );
+    }
+    if (error instanceof APIError) {
+      throw error;
+    }
+    handleApiError(error, context);
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Checks a review before it is submitted
+ * @param {Object} review - { rating, title, body, author, photos }
+ * @returns {Object} - Map of field name to error message; empty when the review is valid
+ */
+const validateReview = ({ rating, title = '', body = '', author = '', photos = [] } = {}) => {
+  const errors = {};
+  const text = String(body).trim();
+
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    errors.rating = 'Choose a rating from 1 to 5 stars';
+  }
+  if (String(title).trim().length > REVIEW_LIMITS.titleMaxLength) {
+    errors.title = `Keep the title under ${REVIEW_LIMITS.titleMaxLength} characters`;
+  }
+  if (text.length < REVIEW_LIMITS.bodyMinLength) {
+    errors.body = `Tell us a bit more, at least ${REVIEW_LIMITS.bodyMinLength} characters`;
+  } else if (text.length > REVIEW_LIMITS.bodyMaxLength) {
+    errors.body = `Keep your review under ${REVIEW_LIMITS.bodyMaxLength} characters`;
+  }
+  if (!String(author).trim()) {
+    errors.author = 'Enter the name to show with your review';
+  } else if (String(author).trim().length > REVIEW_LIMITS.authorMaxLength) {
+    errors.author = `Keep your name under ${REVIEW_LIMITS.authorMaxLength} characters`;
+  }
+  if (photos.length > REVIEW_LIMITS.maxPhotos) {
+    errors.photos = `Attach up to ${REVIEW_LIMITS.maxPhotos} photos`;
+  } else if (photos.some(photo => !REVIEW_LIMITS.photoTypes.includes(photo?.type))) {
+    errors.photos = 'Photos must be JPEG, PNG or WebP images';
+  } else if (photos.some(photo => photo.size > REVIEW_LIMITS.maxPhotoSize)) {
+    errors.photos = `Photos must be smaller than ${REVIEW_LIMITS.maxPhotoSize / (1024 * 1024)} MB`;
+  }
+
+  return errors;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Fetches one page of a product's reviews with its rating summary
+ * @param {string} productId - Product ID
+ * @param {Object} params - Query parameters
+ * @param {string} params.sort - One of REVIEW_SORT_OPTIONS
+ * @param {number} params.page - Page number, starting at 1
+ * @param {number} params.pageSize - Reviews per page
+ * @param {number} params.rating - Only reviews with this many stars
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - AbortController signal for cancellation
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {Promise<Object>} - { reviews, summary: { average, count, histogram }, total, page, pageSize, totalPages }
+ * @throws {APIError} When the parameters are invalid or the request fails
+ */
+const getReviews = async (productId, params = {}, options = {}) => {
+  const { sort = 'newest', page = 1, pageSize = REVIEW_PAGE_SIZE, rating = null } = params;
+
+  validateProductId(productId);
+  if (!REVIEW_SORT_OPTIONS.includes(sort)) {
+    throw new APIError(
+      'Invalid sort order',
+      400,
+      'VALIDATION_ERROR',
+      { field: 'sort', value: sort, allowedValues: REVIEW_SORT_OPTIONS }
+    );
+  }
+  if (!Number.isInteger(page) || page < 1) {
+    throw new APIError(
+      'Page must be a positive whole number',
+      400,
+      'VALIDATION_ERROR',
+      { field: 'page', value: page }
+    );
+  }
+  if (rating !== null && (!Number.isInteger(rating) || rating < 1 || rating > 5)) {
+    throw new APIError(
+      'Rating filter must be a whole number from 1 to 5',
+      400,
+      'VALIDATION_ERROR',
+      { field: 'rating', value: rating }
+    );
+  }
+
+  const context = { operation: 'getReviews', productId, sort, page, rating };
+  const query = { sort, page, pageSize };
+  if (rating !== null) {
+    query.rating = rating;
+  }
+
+  const data = await sendReviewRequest(
+    config => api.get(`/products/${encodeURIComponent(productId)}/reviews`, { ...config, params: query }),
+    options,
+    context
+  );
+
+  try {
+    return transformReviewsResponse(data ?? {}, { page, pageSize });
+  } catch (error) {
+    throw new APIError(
+      'Invalid reviews data received from server',
+      500,
+      'INVALID_RESPONSE',
+      { ...context, field: error.field, validationType: 'transform_failed' }
+    );
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Submits a review. Photos are uploaded with it as multipart form data.
+ * @param {string} productId - Product ID
+ * @param {Object} review - Review to submit
+ * @param {number} review.rating - 1 to 5 stars
+ * @param {string} [review.title] - Headline
+ * @param {string} review.body - Review text
+ * @param {string} review.author - Name shown with the review
+ * @param {Array<File>} [review.photos] - JPEG, PNG or WebP images
+ * @param {Object} options - Request options (see getReviews)
+ * @returns {Promise<Object>} - The created review; its status is 'pending' while it awaits moderation
+ * @throws {APIError} When validation or the request fails; validation errors carry
+ *   a map of field to message in details.fields
+ */
+const submitReview = async (productId, review = {}, options = {}) => {
+  validateProductId(productId);
+  const errors = validateReview(review);
+  if (Object.keys(errors).length > 0) {
+    throw new APIError(
+      Object.values(errors)[0],
+      400,
+      'VALIDATION_ERROR',
+      { productId, field: Object.keys(errors)[0], fields: errors }
+    );
+  }
+
+  const form = new FormData();
+  form.append('rating', String(review.rating));
+  form.append('title', String(review.title ?? '').trim());
+  form.append('body', String(review.body).trim());
+  form.append('author', String(review.author).trim());
+  (review.photos || []).forEach(photo => form.append('photos', photo, photo.name));
+
+  const data = await sendReviewRequest(
+    // The browser sets the multipart boundary once the JSON default is cleared
+    config => api.post(`/products/${encodeURIComponent(productId)}/reviews`, form, {
+      ...config,
+      cache: false,
+      headers: { 'Content-Type': undefined }
+    }),
+    options,
+    { operation: 'submitReview', productId }
+  );
+
+  return transformReview(data && typeof data === 'object' ? data : {
+    rating: review.rating,
+    title: review.title,
+    body: review.body,
+    author: review.author,
+    status: 'pending'
+  });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Records that the shopper found a review helpful
+ * @param {string} productId - Product ID
+ * @param {string} reviewId - Review ID
+ * @param {Object} options - Request options (see getReviews)
+ * @returns {Promise<{helpfulCount: (number|null)}>} - Count after the vote, null when the server does not say
+ * @throws {APIError} When validation or the request fails
+ */
+const voteReviewHelpful = async (productId, reviewId, options = {}) => {
+  validateProductId(productId);
+  if (!reviewId || typeof reviewId !== 'string') {
+    throw new APIError(
+      'Invalid or missing review ID',
+      400,
+      'VALIDATION_ERROR',
+      { field: 'reviewId', value: reviewId }
+    );
+  }
+
+  const data = await sendReviewRequest(
+    config => api.post(
+      `/products/${encodeURIComponent(productId)}/reviews/${encodeURIComponent(reviewId)}/helpful`,
+      {},
+      { ...config, cache: false }
+    ),
+    options,
+    { operation: 'voteReviewHelpful', productId, reviewId }
+  );
+
+  const count = Number.parseInt(data?.helpfulCount, 10);
+  return { helpfulCount: Number.isNaN(count) ? null : count };
+};
+
+export {
+  getReviews,
+  submitReview,
+  voteReviewHelpful,
+  validateReview,
+  REVIEW_SORT_OPTIONS,
+  REVIEW_LIMITS
+};
@@ -0,0 +1,93 @@
+import api, { DEFAULT_CONFIG } from './api';
+import { APIError, handleApiError, validateResponse } from './productService';
+
+// Deliberately loose; the server sends a confirmation mail to prove the address
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Validates the identifiers and address of a back-in-stock subscription
+ * @param {string} productId - Product ID
+ * @param {string} email - Trimmed email address
+ * @throws {APIError} When the product ID or email address is invalid
+ */
+const validateSubscription = (productId, email) => {
+  if (!productId || typeof productId !== 'string') {
+    throw new APIError(
+      'Invalid or missing product ID',
+      400,
+      'VALIDATION_ERROR',
+      {
+        field: 'productId',
+        value: productId,
+        expectedType: 'string',
+        receivedType: typeof productId
+      }
+    );
+  }
+  if (!EMAIL_PATTERN.test(email)) {
+    throw new APIError(
+      'Please enter a valid email address',
+      400,
+      'VALIDATION_ERROR',
+      {
+        productId,
+        field: 'email'
+      }
+    );
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Asks to be emailed when an out-of-stock product or variant can be bought again
+ * @param {Object} subscription - Subscription to create
+ * @param {string} subscription.productId - Product ID
+ * @param {string} [subscription.variantId] - Variant the shopper is waiting for
+ * @param {string} subscription.email - Address to notify
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - AbortController signal for cancellation
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {Promise<Object>} - { id, productId, variantId, email, status } as confirmed by the server
+ * @throws {APIError} When validation or the request fails
+ */
+const subscribeToBackInStock = async ({ productId, variantId = null, email } = {}, options = {}) => {
+  const address = typeof email === 'string' ? email.trim() : '';
+  validateSubscription(productId, address);
+
+  const { signal, timeout = DEFAULT_CONFIG.timeout } = options;
+  const context = { operation: 'subscribeToBackInStock', productId, variantId };
+
+  try {
+    const response = await api.post(
+      `/products/${encodeURIComponent(productId)}/stock-notifications`,
+      { variantId, email: address },
+      { signal, timeout, cache: false }
+    );
+    // A 201 or 204 without a body still means the subscription exists
+    const data = validateResponse(response) || {};
+    return {
+      id: data.id != null ? String(data.id) : null,
+      productId,
+      variantId,
+      email: address,
+      status: data.status ?? 'subscribed'
+    };
+  } catch (error) {
+    if (error.name === 'AbortError' || (signal && signal.aborted)) {
+      throw new APIError(
+        'Notification request cancelled',
+        499,
+        'REQUEST_CANCELLED',
+        context
+      );
+    }
+    if (error instanceof APIError) {
+      throw error;
+    }
+    handleApiError(error, context);
+  }
+};
+
+export {
+  subscribeToBackInStock
+};
@@ -0,0 +1,90 @@
+// Version and sampled flag of the W3C trace context headers this client sends
+const TRACEPARENT_VERSION = '00';
+const SAMPLED_FLAG = '01';
+
+const TRACEPARENT_PATTERN = /^([\da-f]{2})-([\da-f]{32})-([\da-f]{16})-([\da-f]{2})$/;
+
+/**
+ * Returns random bytes, from the Web Crypto API when the runtime has it
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} - Random bytes
+ */
+const randomBytes = (length) => {
+  const bytes = new Uint8Array(length);
+  const cryptoApi = typeof crypto !== 'undefined' ? crypto : undefined;
+  if (cryptoApi?.getRandomValues) {
+    cryptoApi.getRandomValues(bytes);
+  } else {
+    for (let index = 0; index < length; index++) {
+      bytes[index] = Math.floor(Math.random() * 256);
+    }
+  }
+  return bytes;
+};
+
+const toHex = bytes => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Returns random hex that is not all zeros, which trace context treats as invalid
+ * @param {number} length - Number of bytes
+ * @returns {string} - Lower-case hex string
+ */
+const randomId = (length) => {
+  const id = toHex(randomBytes(length));
+  return /^0+$/.test(id) ? randomId(length) : id;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Generates a version 4 UUID
+ * @returns {string} - UUID such as "3b241101-e2bb-4255-8caf-4136c566a962"
+ */
+export const createRequestId = () => {
+  const bytes = randomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = toHex(bytes);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Creates the correlation data of one logical request. Retries reuse it, so every attempt
+ * carries the same request ID and trace ID and shows up together in backend logs.
+ * @returns {{requestId: string, traceId: string}}
+ */
+export const createRequestTrace = () => ({
+  requestId: createRequestId(),
+  traceId: randomId(16)
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Builds a W3C traceparent header for one attempt of a traced request.
+ * Each attempt is its own span of the trace, so it gets a fresh parent ID.
+ * @param {Object} trace - Trace from createRequestTrace
+ * @param {string} spanId - Span ID of the attempt; generated when omitted
+ * @returns {string} - Header value such as "00-<trace id>-<span id>-01"
+ */
+export const formatTraceparent = (trace, spanId = randomId(8)) => (
+  `${TRACEPARENT_VERSION}-${trace.traceId}-${spanId}-${SAMPLED_FLAG}`
+);
+
+// PUBLIC_INTERFACE
+/**
+ * Reads a W3C traceparent header
+ * @param {string} value - Header value
+ * @returns {{version: string, traceId: string, spanId: string, sampled: boolean}|null} - null when invalid
+ */
+export const parseTraceparent = (value) => {
+  const match = TRACEPARENT_PATTERN.exec(String(value ?? '').trim().toLowerCase());
+  if (!match || match[1] === 'ff' || /^0+$/.test(match[2]) || /^0+$/.test(match[3])) {
+    return null;
+  }
+  return {
+    version: match[1],
+    traceId: match[2],
+    spanId: match[3],
+    sampled: (parseInt(match[4], 16) & 1) === 1
+  };
+};
@@ -0,0 +1,17 @@
+// Head tags have no accessible role or text, so tests look them up by selector
+
+// PUBLIC_INTERFACE
+/**
+ * Finds the first element in the document head matching a selector
+ * @param {string} selector - CSS selector, e.g. 'meta[name="description"]'
+ * @returns {Element|null} - Matching element
+ */
+export const queryHead = selector => document.head.querySelector(selector);
+
+// PUBLIC_INTERFACE
+/**
+ * Counts the elements in the document head matching a selector
+ * @param {string} selector - CSS selector
+ * @returns {number} - Number of matches
+ */
+export const countHead = selector => document.head.querySelectorAll(selector).length;
@@ -0,0 +1,35 @@
+import {
+  AVAILABILITY,
+  isPurchasable,
+  canNotifyWhenAvailable,
+  getSelectedAvailability
+} from '../availability';
+
+describe('availability', () => {
+  it('should only block out-of-stock and discontinued items', () => {
+    expect(isPurchasable(null)).toBe(true);
+    expect(isPurchasable({ status: AVAILABILITY.LOW_STOCK })).toBe(true);
+    expect(isPurchasable({ status: AVAILABILITY.BACKORDER })).toBe(true);
+    expect(isPurchasable({ status: AVAILABILITY.PREORDER })).toBe(true);
+    expect(isPurchasable({ status: AVAILABILITY.OUT_OF_STOCK })).toBe(false);
+    expect(isPurchasable({ status: AVAILABILITY.DISCONTINUED })).toBe(false);
+  });
+
+  it('should offer notifications only for items that will come back', () => {
+    expect(canNotifyWhenAvailable({ status: AVAILABILITY.OUT_OF_STOCK })).toBe(true);
+    expect(canNotifyWhenAvailable({ status: AVAILABILITY.DISCONTINUED })).toBe(false);
+    expect(canNotifyWhenAvailable(null)).toBe(false);
+  });
+
+  it('should prefer the variant unless the product is discontinued', () => {
+    const variant = { availability: { status: AVAILABILITY.LOW_STOCK, quantity: 2 } };
+    const product = { availability: { status: AVAILABILITY.IN_STOCK } };
+
+    expect(getSelectedAvailability(product, variant)).toBe(variant.availability);
+    expect(getSelectedAvailability(product, null)).toBe(product.availability);
+    expect(getSelectedAvailability({}, {})).toBeNull();
+
+    const discontinued = { availability: { status: AVAILABILITY.DISCONTINUED } };
+    expect(getSelectedAvailability(discontinued, variant)).toBe(discontinued.availability);
+  });
+});
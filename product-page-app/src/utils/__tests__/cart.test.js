@@ -0,0 +1,70 @@
+import {
+  EMPTY_CART,
+  addLineItem,
+  subtractLineItem,
+  setLineQuantity,
+  removeLineItem,
+  restoreLineItem,
+  isLocalLine
+} from '../cart';
+
+describe('cart', () => {
+  const usd = amount => ({ amount, currency: 'USD' });
+  const shirt = { productId: '1', variantId: 'm', quantity: 2, price: usd(1000), title: 'Shirt' };
+
+  it('should add a new line and recompute totals', () => {
+    const cart = addLineItem(EMPTY_CART, shirt);
+
+    expect(cart.items).toEqual([{
+      id: 'local-1-m',
+      productId: '1',
+      variantId: 'm',
+      quantity: 2,
+      price: usd(1000),
+      title: 'Shirt',
+      image: null
+    }]);
+    expect(cart.itemCount).toBe(2);
+    expect(cart.subtotal).toEqual(usd(2000));
+  });
+
+  it('should tell lines the server has not created yet', () => {
+    expect(isLocalLine(addLineItem(EMPTY_CART, shirt).items[0])).toBe(true);
+    expect(isLocalLine({ id: 'line-1' })).toBe(false);
+  });
+
+  it('should merge quantities for the same product and variant', () => {
+    const cart = addLineItem(addLineItem(EMPTY_CART, shirt), { ...shirt, quantity: 1 });
+    expect(cart.items).toHaveLength(1);
+    expect(cart.items[0].quantity).toBe(3);
+
+    const otherVariant = addLineItem(cart, { ...shirt, variantId: 'l', quantity: 1 });
+    expect(otherVariant.items).toHaveLength(2);
+  });
+
+  it('should subtract quantities and drop empty lines', () => {
+    const cart = addLineItem(EMPTY_CART, shirt);
+
+    expect(subtractLineItem(cart, { ...shirt, quantity: 1 }).items[0].quantity).toBe(1);
+    expect(subtractLineItem(cart, shirt)).toEqual(EMPTY_CART);
+  });
+
+  it('should set, remove and restore lines by id', () => {
+    const cart = addLineItem(addLineItem(EMPTY_CART, shirt), { ...shirt, productId: '2', price: usd(500), quantity: 1 });
+
+    const updated = setLineQuantity(cart, 'local-1-m', 4);
+    expect(updated.itemCount).toBe(5);
+    expect(updated.subtotal).toEqual(usd(4500));
+
+    const removed = removeLineItem(updated, 'local-1-m');
+    expect(removed.items.map(line => line.id)).toEqual(['local-2-m']);
+
+    const restored = restoreLineItem(removed, updated.items[0], 0);
+    expect(restored).toEqual(updated);
+  });
+
+  it('should price lines without a known price at zero in the cart currency', () => {
+    const cart = addLineItem({ ...EMPTY_CART, currency: 'JPY', subtotal: { amount: 0, currency: 'JPY' } }, { productId: '1', quantity: 1 });
+    expect(cart.items[0].price).toEqual({ amount: 0, currency: 'JPY' });
+  });
+});
@@ -0,0 +1,34 @@
+import { splitHighlights } from '../highlight';
+
+describe('splitHighlights', () => {
+  it('should mark every occurrence of each query word', () => {
+    expect(splitHighlights('Red running shoe, red laces', 'red shoe')).toEqual([
+      { text: 'Red', match: true },
+      { text: ' running ', match: false },
+      { text: 'shoe', match: true },
+      { text: ', ', match: false },
+      { text: 'red', match: true },
+      { text: ' laces', match: false }
+    ]);
+  });
+
+  it('should ignore diacritics and keep the original characters', () => {
+    expect(splitHighlights('Crème brûlée', 'creme brulee')).toEqual([
+      { text: 'Crème', match: true },
+      { text: ' ', match: false },
+      { text: 'brûlée', match: true }
+    ]);
+  });
+
+  it('should merge overlapping matches', () => {
+    expect(splitHighlights('Sneakers', 'sneak eakers')).toEqual([
+      { text: 'Sneakers', match: true }
+    ]);
+  });
+
+  it('should return the text unmarked without a query', () => {
+    expect(splitHighlights('Shoe', '  ')).toEqual([{ text: 'Shoe', match: false }]);
+    expect(splitHighlights('', 'shoe')).toEqual([]);
+    expect(splitHighlights(null, 'shoe')).toEqual([]);
+  });
+});
@@ -0,0 +1,132 @@
+import {
+  formatMessage,
+  getTextDirection,
+  createTranslator,
+  translate,
+  translateError,
+  parseAcceptLanguage,
+  negotiateLocale
+} from '../i18n';
+import en from '../../locales/en.json';
+import de from '../../locales/de.json';
+
+describe('i18n', () => {
+  describe('formatMessage', () => {
+    it('should fill in arguments and keep missing ones', () => {
+      expect(formatMessage('SKU: {sku}', { sku: 'TS-S-RED' })).toBe('SKU: TS-S-RED');
+      expect(formatMessage('Hello {name}', {})).toBe('Hello {name}');
+    });
+
+    it('should pick plural branches by the locale plural rules', () => {
+      const template = '{count, plural, =0 {No reviews} one {# review} other {# reviews}}';
+
+      expect(formatMessage(template, { count: 0 })).toBe('No reviews');
+      expect(formatMessage(template, { count: 1 })).toBe('1 review');
+      expect(formatMessage(template, { count: 1200 })).toBe('1,200 reviews');
+      expect(formatMessage(template, { count: 1200 }, 'de-DE')).toBe('1.200 reviews');
+    });
+
+    it('should use the few and many categories of languages that have them', () => {
+      const template = '{count, plural, one {# opinia} few {# opinie} many {# opinii} other {# opinii}}';
+
+      expect(formatMessage(template, { count: 1 }, 'pl')).toBe('1 opinia');
+      expect(formatMessage(template, { count: 3 }, 'pl')).toBe('3 opinie');
+      expect(formatMessage(template, { count: 5 }, 'pl')).toBe('5 opinii');
+    });
+
+    it('should support select, offsets and nested arguments', () => {
+      expect(formatMessage('{reason, select, offline {Offline} other {Unavailable}}', { reason: 'offline' }))
+        .toBe('Offline');
+      expect(formatMessage('{reason, select, offline {Offline} other {Unavailable}}', { reason: 'down' }))
+        .toBe('Unavailable');
+      expect(formatMessage(
+        '{count, plural, offset:1 =0 {Nobody} =1 {{name}} one {{name} and # other} other {{name} and # others}}',
+        { count: 3, name: 'Ana' }
+      )).toBe('Ana and 2 others');
+    });
+
+    it('should treat quoted braces and doubled apostrophes as text', () => {
+      expect(formatMessage("Use '{braces}' and don''t {verb}", { verb: 'worry' }))
+        .toBe("Use {braces} and don't worry");
+    });
+
+    it('should reject malformed templates', () => {
+      expect(() => formatMessage('{count, plural, one {# item}}')).toThrow(SyntaxError);
+      expect(() => formatMessage('{count, plural, other {# items}')).toThrow(SyntaxError);
+      expect(() => formatMessage('{count, date}')).toThrow(SyntaxError);
+    });
+  });
+
+  describe('getTextDirection', () => {
+    it('should detect right-to-left languages', () => {
+      expect(getTextDirection('ar-EG')).toBe('rtl');
+      expect(getTextDirection('he')).toBe('rtl');
+      expect(getTextDirection('de-DE')).toBe('ltr');
+      expect(getTextDirection(undefined)).toBe('ltr');
+    });
+  });
+
+  describe('createTranslator', () => {
+    it('should translate from the catalog of the locale language', () => {
+      const t = createTranslator('de-AT');
+
+      expect(t('product.retry')).toBe('Erneut versuchen');
+      expect(t('reviews.basedOn', { count: 2 })).toBe('Basierend auf 2 Bewertungen');
+    });
+
+    it('should fall back to English, then to the given fallback or the key', () => {
+      const t = createTranslator('fr-FR', { 'product.retry': 'Réessayer' });
+
+      expect(t('product.retry')).toBe('Réessayer');
+      expect(t('product.details')).toBe('Product Details');
+      expect(t('missing.key', {}, 'Fallback')).toBe('Fallback');
+      expect(t('missing.key')).toBe('missing.key');
+    });
+
+    it('should have a German message for every English key', () => {
+      expect(Object.keys(de).sort()).toEqual(Object.keys(en).sort());
+    });
+  });
+
+  describe('parseAcceptLanguage', () => {
+    it('should order the tags by their quality and drop refused ones', () => {
+      expect(parseAcceptLanguage('en;q=0.5, de-AT, fr;q=0, de;q=0.9')).toEqual(['de-AT', 'de', 'en']);
+      expect(parseAcceptLanguage(undefined)).toEqual([]);
+    });
+  });
+
+  describe('negotiateLocale', () => {
+    it('should match supported locales exactly or by language', () => {
+      expect(negotiateLocale(['de-DE'])).toBe('de-DE');
+      expect(negotiateLocale(['fr-FR', 'de-CH', 'en-US'])).toBe('de-DE');
+      expect(negotiateLocale(['en-GB'])).toBe('en-US');
+    });
+
+    it('should fall back to the default locale', () => {
+      expect(negotiateLocale(['fr-FR', '*'])).toBe('en-US');
+      expect(negotiateLocale()).toBe('en-US');
+    });
+  });
+
+  describe('translateError', () => {
+    const t = createTranslator('de-DE');
+
+    it('should translate errors by their code', () => {
+      expect(translateError(t, { code: 'NOT_FOUND', message: 'Requested product could not be found' }))
+        .toBe('Das gesuchte Produkt wurde nicht gefunden');
+    });
+
+    it('should translate interceptor message keys', () => {
+      const error = { message: 'Request timed out after 5000ms', messageKey: 'api.timeout', messageValues: { timeout: 5000 } };
+
+      expect(translateError(t, error)).toBe('Zeitüberschreitung der Anfrage nach 5000 ms');
+    });
+
+    it('should fall back to the error message and then to the fallback key', () => {
+      expect(translateError(t, new Error('Custom failure'))).toBe('Custom failure');
+      expect(translateError(t, { code: 'SOMETHING_NEW' }, 'product.loadFailed'))
+        .toBe('Die Produktinformationen konnten nicht geladen werden');
+      expect(translateError(t, null)).toBe(translate('de', 'errors.UNKNOWN_ERROR'));
+    });
+  });
+});
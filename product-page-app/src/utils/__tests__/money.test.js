@@ -0,0 +1,128 @@
+import {
+  getCurrencyDigits,
+  detectCurrency,
+  toMoney,
+  toDecimal,
+  addMoney,
+  multiplyMoney,
+  formatMoney
+} from '../money';
+
+// Intl separates amount and symbol with non-breaking spaces in many locales
+const normalizeSpaces = value => value.replace(/[\u00a0\u202f]/g, ' ');
+
+describe('money', () => {
+  describe('getCurrencyDigits', () => {
+    it('should know the minor units of common currencies', () => {
+      expect(getCurrencyDigits('USD')).toBe(2);
+      expect(getCurrencyDigits('jpy')).toBe(0);
+      expect(getCurrencyDigits('KWD')).toBe(3);
+    });
+
+    it('should treat invalid codes as the default currency', () => {
+      expect(getCurrencyDigits('not-a-currency')).toBe(2);
+      expect(getCurrencyDigits(undefined)).toBe(2);
+    });
+  });
+
+  describe('detectCurrency', () => {
+    it('should map currency symbols to ISO codes', () => {
+      expect(detectCurrency('$10')).toBe('USD');
+      expect(detectCurrency('£10')).toBe('GBP');
+      expect(detectCurrency('10 €')).toBe('EUR');
+      expect(detectCurrency('10')).toBeNull();
+      expect(detectCurrency(10)).toBeNull();
+    });
+  });
+
+  describe('toMoney', () => {
+    it('should convert major units into integer minor units', () => {
+      expect(toMoney(12.5, 'USD')).toEqual({ amount: 1250, currency: 'USD' });
+      expect(toMoney(1200, 'JPY')).toEqual({ amount: 1200, currency: 'JPY' });
+      expect(toMoney(1.25, 'KWD')).toEqual({ amount: 1250, currency: 'KWD' });
+    });
+
+    it('should avoid binary rounding errors', () => {
+      expect(toMoney(1.005, 'USD').amount).toBe(101);
+      expect(toMoney(0.1 + 0.2, 'USD').amount).toBe(30);
+    });
+
+    it('should parse formatted strings', () => {
+      expect(toMoney('$1,234.56', 'USD')).toEqual({ amount: 123456, currency: 'USD' });
+      expect(toMoney('¥ 1,200', 'JPY')).toEqual({ amount: 1200, currency: 'JPY' });
+    });
+
+    it('should read either separator as the decimal one', () => {
+      expect(toMoney('1.234,56 €', 'EUR').amount).toBe(123456);
+      expect(toMoney('1\u00a0234,56\u00a0€', 'EUR').amount).toBe(123456);
+      expect(toMoney('12,5', 'EUR').amount).toBe(1250);
+      expect(toMoney('1.234.567', 'EUR').amount).toBe(123456700);
+      expect(toMoney("1'234.50", 'USD').amount).toBe(123450);
+    });
+
+    it('should read a lone separator before three digits by the currency', () => {
+      expect(toMoney('1.234', 'EUR').amount).toBe(123400);
+      expect(toMoney('1,234', 'USD').amount).toBe(123400);
+      expect(toMoney('1.234', 'KWD').amount).toBe(1234);
+    });
+
+    it('should return zero for malformed separators', () => {
+      ['1,23,4.5', '1.234,567.8', '12.', '1..5', '12,34,56'].forEach(value => {
+        expect(toMoney(value, 'EUR').amount).toBe(0);
+      });
+    });
+
+    it('should return zero for invalid or negative prices', () => {
+      [null, undefined, '', 'abc', NaN, Infinity, -5, {}, [], true].forEach(value => {
+        expect(toMoney(value, 'EUR')).toEqual({ amount: 0, currency: 'EUR' });
+      });
+    });
+
+    it('should handle prices in exponent notation', () => {
+      expect(toMoney(0.0000001, 'USD').amount).toBe(0);
+      expect(toMoney(1e21, 'USD').amount).toBe(1e23);
+    });
+  });
+
+  describe('arithmetic', () => {
+    it('should convert back to major units', () => {
+      expect(toDecimal({ amount: 1250, currency: 'KWD' })).toBe(1.25);
+      expect(toDecimal({ amount: 1250, currency: 'JPY' })).toBe(1250);
+    });
+
+    it('should add and multiply amounts of one currency', () => {
+      expect(addMoney({ amount: 100, currency: 'USD' }, { amount: 250, currency: 'USD' }))
+        .toEqual({ amount: 350, currency: 'USD' });
+      expect(multiplyMoney({ amount: 333, currency: 'USD' }, 3)).toEqual({ amount: 999, currency: 'USD' });
+    });
+
+    it('should refuse to add different currencies', () => {
+      expect(() => addMoney({ amount: 1, currency: 'USD' }, { amount: 1, currency: 'EUR' }))
+        .toThrow('Cannot add EUR to USD');
+    });
+  });
+
+  describe('formatMoney', () => {
+    it('should format two-decimal currencies', () => {
+      expect(formatMoney({ amount: 123450, currency: 'USD' }, 'en-US')).toBe('$1,234.50');
+      expect(normalizeSpaces(formatMoney({ amount: 123450, currency: 'EUR' }, 'de-DE'))).toBe('1.234,50 €');
+    });
+
+    it('should format zero-decimal currencies', () => {
+      expect(formatMoney({ amount: 1200, currency: 'JPY' }, 'en-US')).toBe('¥1,200');
+      expect(formatMoney({ amount: 1200, currency: 'JPY' }, 'ja-JP')).toBe('￥1,200');
+    });
+
+    it('should format three-decimal currencies', () => {
+      expect(normalizeSpaces(formatMoney({ amount: 1250, currency: 'KWD' }, 'en-US'))).toBe('KWD 1.250');
+    });
+
+    it('should fall back to the default locale for invalid locale tags', () => {
+      expect(formatMoney({ amount: 100, currency: 'USD' }, 'not a locale')).toBe('$1.00');
+    });
+
+    it('should format missing values as zero', () => {
+      expect(formatMoney(null)).toBe('$0.00');
+    });
+  });
+});
@@ -0,0 +1,118 @@
+import {
+  isSaleActive,
+  applyDiscount,
+  getPricing,
+  getNextSaleBoundary,
+  getVariantSale,
+  formatCountdown
+} from '../pricing';
+
+describe('pricing', () => {
+  const usd = amount => ({ amount, currency: 'USD' });
+  const start = Date.UTC(2026, 0, 1);
+  const end = Date.UTC(2026, 0, 8);
+  const window = { startsAt: new Date(start).toISOString(), endsAt: new Date(end).toISOString() };
+
+  describe('isSaleActive', () => {
+    it('should respect the promotion window', () => {
+      expect(isSaleActive(window, start - 1)).toBe(false);
+      expect(isSaleActive(window, start)).toBe(true);
+      expect(isSaleActive(window, end - 1)).toBe(true);
+      expect(isSaleActive(window, end)).toBe(false);
+    });
+
+    it('should treat open-ended windows as running', () => {
+      expect(isSaleActive({ startsAt: null, endsAt: null }, 0)).toBe(true);
+      expect(isSaleActive(null)).toBe(false);
+    });
+  });
+
+  describe('applyDiscount', () => {
+    it('should apply percentage and absolute discounts', () => {
+      expect(applyDiscount(usd(999), { type: 'percentage', value: 20 })).toEqual(usd(799));
+      expect(applyDiscount(usd(1000), { type: 'amount', value: usd(250) })).toEqual(usd(750));
+      expect(applyDiscount(usd(1000), { type: 'amount', value: usd(2000) })).toEqual(usd(0));
+      expect(applyDiscount(usd(1000), null)).toEqual(usd(1000));
+    });
+  });
+
+  describe('getPricing', () => {
+    it('should compare the price against the compare-at price during the sale', () => {
+      const sale = { compareAt: usd(10000), discount: null, ...window };
+
+      expect(getPricing(usd(8000), sale, start)).toEqual({
+        price: usd(8000),
+        compareAt: usd(10000),
+        percentOff: 20,
+        isOnSale: true,
+        endsAt: window.endsAt
+      });
+    });
+
+    it('should return to the regular price outside the window', () => {
+      const compareAtSale = { compareAt: usd(10000), discount: null, ...window };
+      expect(getPricing(usd(8000), compareAtSale, end)).toMatchObject({ price: usd(10000), isOnSale: false });
+
+      const discountSale = { compareAt: null, discount: { type: 'percentage', value: 25 }, ...window };
+      expect(getPricing(usd(8000), discountSale, start - 1)).toMatchObject({ price: usd(8000), compareAt: null });
+      expect(getPricing(usd(8000), discountSale, start)).toMatchObject({
+        price: usd(6000),
+        compareAt: usd(8000),
+        percentOff: 25
+      });
+    });
+
+    it('should ignore sales that do not lower the price', () => {
+      const sale = { compareAt: usd(500), discount: null, startsAt: null, endsAt: null };
+      expect(getPricing(usd(800), sale)).toMatchObject({ price: usd(800), isOnSale: false });
+    });
+
+    it('should ignore compare-at prices in another currency', () => {
+      const sale = { compareAt: { amount: 10000, currency: 'EUR' }, discount: null, startsAt: null, endsAt: null };
+      expect(getPricing(usd(8000), sale).isOnSale).toBe(false);
+    });
+
+    it('should pass regular prices through', () => {
+      expect(getPricing(usd(800), null)).toMatchObject({ price: usd(800), isOnSale: false });
+    });
+  });
+
+  describe('getNextSaleBoundary', () => {
+    it('should return the next start or end of the window', () => {
+      expect(getNextSaleBoundary(window, start - 10)).toBe(start);
+      expect(getNextSaleBoundary(window, start)).toBe(end);
+      expect(getNextSaleBoundary(window, end)).toBeNull();
+      expect(getNextSaleBoundary(null)).toBeNull();
+    });
+  });
+
+  describe('getVariantSale', () => {
+    const product = { sale: { compareAt: usd(10000), discount: null, ...window } };
+
+    it('should keep the product sale for variants that inherit the product price', () => {
+      expect(getVariantSale(product, null)).toBe(product.sale);
+      expect(getVariantSale(product, { money: null, compareAt: null })).toBe(product.sale);
+    });
+
+    it('should use the variant compare-at price with the product window', () => {
+      expect(getVariantSale(product, { money: usd(7000), compareAt: usd(9000) })).toEqual({
+        compareAt: usd(9000),
+        discount: null,
+        ...window
+      });
+    });
+
+    it('should drop the product compare-at price for variants with their own price', () => {
+      expect(getVariantSale(product, { money: usd(7000), compareAt: null }).compareAt).toBeNull();
+      expect(getVariantSale({}, { money: usd(7000), compareAt: null })).toBeNull();
+    });
+  });
+
+  describe('formatCountdown', () => {
+    it('should format remaining time', () => {
+      expect(formatCountdown(((26 * 60 + 3) * 60 + 4) * 1000)).toBe('1d 02:03:04');
+      expect(formatCountdown(59500)).toBe('00:01:00');
+      expect(formatCountdown(-5)).toBe('00:00:00');
+    });
+  });
+});
@@ -0,0 +1,47 @@
+import {
+  RECENTLY_VIEWED_STORAGE_KEY,
+  readRecentlyViewed,
+  addRecentlyViewed,
+  clearRecentlyViewed
+} from '../recentlyViewed';
+
+describe('recentlyViewed', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('should keep the latest view first without repeating products', () => {
+    addRecentlyViewed({ id: 1, title: 'Lamp', price: 20, description: 'Not stored' });
+    addRecentlyViewed({ id: '2', title: 'Chair' });
+    const items = addRecentlyViewed({ id: '1', title: 'Lamp', price: 18 });
+
+    expect(items).toEqual([
+      { id: '1', title: 'Lamp', price: 18 },
+      { id: '2', title: 'Chair' }
+    ]);
+    expect(readRecentlyViewed()).toEqual(items);
+  });
+
+  it('should cap the list, dropping the oldest products', () => {
+    ['a', 'b', 'c', 'd'].forEach(id => addRecentlyViewed({ id }, 3));
+
+    expect(readRecentlyViewed().map(item => item.id)).toEqual(['d', 'c', 'b']);
+    expect(readRecentlyViewed(2).map(item => item.id)).toEqual(['d', 'c']);
+  });
+
+  it('should ignore malformed storage', () => {
+    window.localStorage.setItem(RECENTLY_VIEWED_STORAGE_KEY, '{broken');
+    expect(readRecentlyViewed()).toEqual([]);
+
+    window.localStorage.setItem(RECENTLY_VIEWED_STORAGE_KEY, JSON.stringify([null, { title: 'No id' }, { id: 'a' }, { id: 'a' }]));
+    expect(readRecentlyViewed()).toEqual([{ id: 'a' }]);
+  });
+
+  it('should forget every product when cleared', () => {
+    addRecentlyViewed({ id: '1', title: 'Lamp', price: 18 });
+    clearRecentlyViewed();
+
+    expect(readRecentlyViewed()).toEqual([]);
+    expect(window.localStorage.getItem(RECENTLY_VIEWED_STORAGE_KEY)).toBeNull();
+  });
+});
@@ -0,0 +1,78 @@
+import { validateSchema } from '../schema';
+
+describe('schema', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      id: { type: ['string', 'number'], required: true },
+      title: { type: 'string', required: true, minLength: 1 },
+      note: { type: 'string', nullable: true },
+      rating: { type: 'number', minimum: 0 },
+      currency: { type: 'string', pattern: /^[A-Z]{3}$/ },
+      status: { type: 'string', enum: ['instock', 'soldout'], normalize: value => value.toLowerCase() },
+      releasedAt: { type: 'string', format: 'date' },
+      images: {
+        type: 'array',
+        items: { type: ['string', 'object'], format: 'url', properties: { src: { type: 'string', format: 'url', required: true } } }
+      }
+    }
+  };
+
+  it('should accept valid data', () => {
+    expect(validateSchema(schema, {
+      id: 7,
+      title: 'Lamp',
+      note: null,
+      rating: 4.5,
+      currency: 'EUR',
+      status: 'InStock',
+      releasedAt: '2024-05-01',
+      images: ['/images/lamp.jpg', { src: 'https://cdn.example.com/lamp-2.jpg' }]
+    })).toEqual([]);
+  });
+
+  it('should report required fields, types and empty strings', () => {
+    expect(validateSchema(schema, { title: '  ', rating: Number.NaN })).toEqual([
+      { field: 'id', rule: 'required', message: 'id is required', value: undefined },
+      { field: 'title', rule: 'minLength', message: 'title must not be empty', value: '  ' },
+      { field: 'rating', rule: 'type', message: 'rating must be of type number', value: Number.NaN }
+    ]);
+    expect(validateSchema(schema, { id: true, title: 'Lamp' })[0]).toMatchObject({
+      field: 'id',
+      message: 'id must be of type string or number'
+    });
+  });
+
+  it('should check enums, patterns, ranges and formats', () => {
+    const issues = validateSchema(schema, {
+      id: '1',
+      title: 'Lamp',
+      rating: -1,
+      currency: 'euro',
+      status: 'maybe',
+      releasedAt: 'soon'
+    });
+
+    expect(issues.map(issue => [issue.field, issue.rule])).toEqual([
+      ['rating', 'minimum'],
+      ['currency', 'pattern'],
+      ['status', 'enum'],
+      ['releasedAt', 'format']
+    ]);
+    expect(issues[2].message).toBe('status must be one of: instock, soldout');
+  });
+
+  it('should report nested fields with their path', () => {
+    const issues = validateSchema(schema, {
+      id: '1',
+      title: 'Lamp',
+      images: ['ftp://example.com/lamp.jpg', { alt: 'Side' }, { src: 42 }]
+    });
+
+    expect(issues.map(issue => issue.message)).toEqual([
+      'images[0] must be a valid url',
+      'images[1].src is required',
+      'images[2].src must be of type string'
+    ]);
+  });
+});
@@ -0,0 +1,174 @@
+import { buildOffer, buildProductStructuredData, buildProductHead } from '../seo';
+import { transformProductResponse } from '../transformers';
+
+const ORIGIN = 'https://shop.example.com';
+const NOW = Date.parse('2025-06-01T12:00:00Z');
+
+const lamp = transformProductResponse({
+  id: 'lamp 1',
+  title: 'Desk Lamp',
+  description: 'A warm, dimmable desk lamp.',
+  price: 80,
+  sku: 'LAMP-1',
+  gtin: '04012345678901',
+  brand: { name: 'Lumen' },
+  rating: 4.6,
+  reviewCount: 18,
+  images: ['/lamp.jpg', 'https://cdn.example.com/lamp-side.jpg']
+});
+
+const findTag = (head, key) => head.tags.find(tag => (
+  tag.attributes.name === key || tag.attributes.property === key || tag.attributes.rel === key
+));
+
+describe('seo', () => {
+  describe('buildProductStructuredData', () => {
+    it('should describe the product with brand, identifiers, rating and an offer', () => {
+      expect(buildProductStructuredData(lamp, { origin: ORIGIN, now: NOW })).toEqual({
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        name: 'Desk Lamp',
+        url: 'https://shop.example.com/products/lamp%201',
+        description: 'A warm, dimmable desk lamp.',
+        image: ['https://shop.example.com/lamp.jpg', 'https://cdn.example.com/lamp-side.jpg'],
+        sku: 'LAMP-1',
+        gtin: '04012345678901',
+        brand: { '@type': 'Brand', name: 'Lumen' },
+        aggregateRating: { '@type': 'AggregateRating', ratingValue: 4.6, reviewCount: 18, bestRating: 5, worstRating: 1 },
+        offers: {
+          '@type': 'Offer',
+          url: 'https://shop.example.com/products/lamp%201',
+          price: '80.00',
+          priceCurrency: 'USD',
+          availability: 'https://schema.org/InStock'
+        }
+      });
+    });
+
+    it('should leave out ratings without a review count and the description placeholder', () => {
+      const data = buildProductStructuredData(
+        transformProductResponse({ id: '2', title: 'Mug', price: 12, rating: 5 }),
+        { origin: ORIGIN, now: NOW }
+      );
+
+      expect(data).not.toHaveProperty('aggregateRating');
+      expect(data).not.toHaveProperty('description');
+      expect(data).not.toHaveProperty('brand');
+    });
+
+    it('should list one offer per variant with its own price, stock and identifiers', () => {
+      const shirt = transformProductResponse({
+        id: 'shirt',
+        title: 'Shirt',
+        price: 20,
+        variants: [
+          { id: 's', sku: 'SHIRT-S', gtin: '0001', options: { Size: 'S' }, inventory: 4 },
+          { id: 'm', sku: 'SHIRT-M', barcode: '0002', options: { Size: 'M' }, price: 24, inventory: 0 }
+        ]
+      });
+
+      const { offers } = buildProductStructuredData(shirt, { origin: ORIGIN, now: NOW });
+
+      expect(offers).toEqual([
+        expect.objectContaining({ price: '20.00', sku: 'SHIRT-S', gtin: '0001', availability: 'https://schema.org/LimitedAvailability' }),
+        expect.objectContaining({ price: '24.00', sku: 'SHIRT-M', gtin: '0002', availability: 'https://schema.org/OutOfStock' })
+      ]);
+    });
+  });
+
+  describe('buildOffer', () => {
+    it('should map each availability state and give the date backorders and pre-orders ship', () => {
+      const states = {
+        in_stock: 'InStock',
+        low_stock: 'LimitedAvailability',
+        backorder: 'BackOrder',
+        preorder: 'PreOrder',
+        out_of_stock: 'OutOfStock',
+        discontinued: 'Discontinued'
+      };
+      Object.entries(states).forEach(([status, schema]) => {
+        const product = { ...lamp, availability: { status, quantity: null, expectedDate: null } };
+        expect(buildOffer(product, null, { now: NOW }).availability).toBe(`https://schema.org/${schema}`);
+      });
+
+      const preorder = transformProductResponse({ id: '5', title: 'Game', price: 60, preorder: true, releaseDate: '2025-09-01' });
+      expect(buildOffer(preorder, null, { now: NOW })).toEqual(expect.objectContaining({
+        availability: 'https://schema.org/PreOrder',
+        availabilityStarts: '2025-09-01T00:00:00.000Z'
+      }));
+    });
+
+    it('should use the sale price while the sale runs, like the price shown on the page', () => {
+      const product = transformProductResponse({
+        id: '3',
+        title: 'Kettle',
+        price: 50,
+        discount: { type: 'percentage', value: 20 },
+        saleEndsAt: '2025-06-30T00:00:00Z'
+      });
+
+      expect(buildOffer(product, null, { url: `${ORIGIN}/products/3`, now: NOW })).toEqual(expect.objectContaining({
+        price: '40.00',
+        priceValidUntil: '2025-06-30'
+      }));
+      expect(buildOffer(product, null, { now: Date.parse('2025-07-01T00:00:00Z') }).price).toBe('50.00');
+    });
+
+    it('should use the minor units of the currency', () => {
+      const product = transformProductResponse({ id: '4', title: 'Tea', price: 1200, currency: 'JPY' });
+
+      expect(buildOffer(product, null, { now: NOW })).toEqual(expect.objectContaining({ price: '1200', priceCurrency: 'JPY' }));
+    });
+  });
+
+  describe('buildProductHead', () => {
+    it('should build the title, description, canonical URL and Open Graph tags', () => {
+      const head = buildProductHead(lamp, { origin: ORIGIN, now: NOW });
+
+      expect(head.title).toBe('Desk Lamp | Shop');
+      expect(findTag(head, 'description').attributes.content).toBe('A warm, dimmable desk lamp.');
+      expect(findTag(head, 'canonical').attributes.href).toBe('https://shop.example.com/products/lamp%201');
+      expect(findTag(head, 'og:type').attributes.content).toBe('product');
+      expect(findTag(head, 'og:image').attributes.content).toBe('https://shop.example.com/lamp.jpg');
+      expect(findTag(head, 'product:price:amount').attributes.content).toBe('80.00');
+      expect(findTag(head, 'product:availability').attributes.content).toBe('in stock');
+
+      const jsonLd = head.tags.find(tag => tag.tag === 'script');
+      expect(jsonLd.attributes.type).toBe('application/ld+json');
+      expect(JSON.parse(jsonLd.content)).toEqual(buildProductStructuredData(lamp, { origin: ORIGIN, now: NOW }));
+    });
+
+    it('should advertise the most buyable variant in Open Graph', () => {
+      const shirt = transformProductResponse({
+        id: 'shirt',
+        title: 'Shirt',
+        price: 20,
+        variants: [
+          { id: 's', options: { Size: 'S' }, inventory: 0 },
+          { id: 'm', options: { Size: 'M' }, inventory: 0, allowBackorder: true }
+        ]
+      });
+      expect(findTag(buildProductHead(shirt, { now: NOW }), 'product:availability').attributes.content).toBe('available for order');
+
+      const retired = { ...shirt, availability: { status: 'discontinued', quantity: null, expectedDate: null } };
+      expect(findTag(buildProductHead(retired, { now: NOW }), 'product:availability').attributes.content).toBe('discontinued');
+    });
+
+    it('should shorten long descriptions and describe products without one by their lowest price', () => {
+      const long = buildProductHead({ ...lamp, description: 'Bright light. '.repeat(30) }, { origin: ORIGIN, now: NOW });
+      const description = findTag(long, 'description').attributes.content;
+      expect(description.length).toBeLessThanOrEqual(160);
+      expect(description.endsWith('…')).toBe(true);
+
+      const shirt = transformProductResponse({
+        id: 'shirt',
+        title: 'Shirt',
+        price: 20,
+        variants: [{ id: 's', options: { Size: 'S' }, price: 18 }, { id: 'm', options: { Size: 'M' } }]
+      });
+      const head = buildProductHead(shirt, { origin: ORIGIN, now: NOW });
+      expect(findTag(head, 'description').attributes.content).toBe('Buy Shirt for $18.00.');
+      expect(findTag(head, 'product:price:amount').attributes.content).toBe('18.00');
+    });
+  });
+});
@@ -1,4 +1,18 @@
-import { transformProductResponse } from '../transformers';
+import {
+  transformProductResponse,
+  transformVariants,
+  transformImages,
+  transformCartResponse,
+  transformSale,
+  transformFacets,
+  transformAvailability,
+  transformReview,
+  transformReviewsResponse,
+  transformQuestion,
+  transformQuestionsResponse,
+  TransformError
+} from '../transformers';
+import { SCHEMA_MODES } from '../schema';
 
 describe('transformers', () => {
   describe('input validation', () => {
@@ -6,11 +20,12 @@ describe('transformers', () => {
       const result = transformProductResponse({});
       expect(result).toEqual({
         id: '',
-        title: 'Untitled Product',
-        description: 'No description available',
+        title: null,
+        description: null,
         price: '0.00',
+        money: { amount: 0, currency: 'USD' },
         image: null,
-        category: 'Uncategorized'
+        category: null
       });
     });
 
@@ -47,6 +62,7 @@ describe('transformers', () => {
         title: 'Test Product',
         description: 'Test Description',
         price: '99.99',
+        money: { amount: 9999, currency: 'USD' },
         image: 'test.jpg',
         category: 'Electronics'
       });
@@ -62,11 +78,12 @@ describe('transformers', () => {
 
       expect(result).toEqual({
         id: '123',
-        title: 'Untitled Product',
-        description: 'No description available',
+        title: null,
+        description: null,
         price: '99.99',
+        money: { amount: 9999, currency: 'USD' },
         image: null,
-        category: 'Uncategorized'
+        category: null
       });
     });
 
@@ -198,7 +215,13 @@ describe('transformers', () => {
       expect(result.price).toBe('99.99');
       // Verify that non-standard fields are preserved
       expect(result.details).toEqual(mockData.details);
-      expect(result.variants).toEqual(mockData.variants);
+      expect(result.options).toEqual([
+        { key: 'color', name: 'Color', values: ['red', 'blue'] }
+      ]);
+      expect(result.variants.map(variant => variant.options)).toEqual([
+        { color: 'red' },
+        { color: 'blue' }
+      ]);
     });
 
     it('should handle unicode characters in text fields', () => {
@@ -216,4 +239,500 @@ describe('transformers', () => {
       expect(result.category).toBe(mockData.category);
     });
   });
+
+  describe('schema validation', () => {
+    const invalidProduct = {
+      id: '1',
+      title: 'Lamp',
+      price: 20,
+      images: ['/lamp.jpg', { src: 'ftp://example.com/lamp.jpg' }],
+      availability: 'maybe'
+    };
+
+    it('should reject a product violating the schema in strict mode', () => {
+      const transform = () => transformProductResponse(invalidProduct, { mode: SCHEMA_MODES.STRICT });
+
+      expect(transform).toThrow(TransformError);
+      expect(transform).toThrow('Invalid product data: images[1].src must be a valid url');
+      let error;
+      try {
+        transform();
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error).toMatchObject({ field: 'images[1].src', value: 'ftp://example.com/lamp.jpg', step: 'validate' });
+      expect(error.issues.map(issue => issue.field)).toEqual(['images[1].src', 'availability']);
+    });
+
+    it('should accept a valid product in strict mode', () => {
+      const product = transformProductResponse(
+        { id: '1', title: 'Lamp', price: '19.99', availability: 'https://schema.org/InStock' },
+        { mode: SCHEMA_MODES.STRICT }
+      );
+      expect(product.price).toBe('19.99');
+    });
+
+    it('should hand violations to onInvalid and transform anyway in lenient mode', () => {
+      const onInvalid = jest.fn();
+
+      const product = transformProductResponse({ id: '1', price: 5 }, { onInvalid });
+
+      expect(product.title).toBeNull();
+      expect(onInvalid).toHaveBeenCalledWith([expect.any(TransformError)]);
+      expect(onInvalid.mock.calls[0][0][0]).toMatchObject({ field: 'title', step: 'validate', message: 'title is required' });
+    });
+
+    it('should name the step of transformation errors', () => {
+      expect(() => transformProductResponse({ id: '1', variants: 'S,M,L' })).toThrow(
+        expect.objectContaining({ field: 'variants', step: 'variants' })
+      );
+    });
+  });
+
+  describe('transformVariants', () => {
+    it('should normalize option axes and SKU combinations', () => {
+      const result = transformProductResponse({
+        id: '123',
+        price: 20,
+        options: [
+          { name: 'Size', values: ['S', 'M'] },
+          { name: 'Color', values: ['Red'] }
+        ],
+        variants: [
+          { id: 'v1', sku: 'TS-S-RED', options: { Size: 'S', Color: 'Red' }, price: '$22.50', inventory: 3, image: 's-red.jpg' },
+          { sku: 'TS-M-RED', options: [{ name: 'Size', value: 'M' }, { name: 'Color', value: 'Red' }], stock: 0 }
+        ]
+      });
+
+      expect(result.options).toEqual([
+        { key: 'size', name: 'Size', values: ['S', 'M'] },
+        { key: 'color', name: 'Color', values: ['Red'] }
+      ]);
+      expect(result.variants).toEqual([
+        {
+          id: 'v1',
+          sku: 'TS-S-RED',
+          gtin: null,
+          options: { size: 'S', color: 'Red' },
+          price: '22.50',
+          money: { amount: 2250, currency: 'USD' },
+          compareAt: null,
+          image: 's-red.jpg',
+          inventory: 3,
+          availability: { status: 'low_stock', quantity: 3, expectedDate: null },
+          available: true
+        },
+        {
+          id: 'TS-M-RED',
+          sku: 'TS-M-RED',
+          gtin: null,
+          options: { size: 'M', color: 'Red' },
+          price: null,
+          money: null,
+          compareAt: null,
+          image: null,
+          inventory: 0,
+          availability: { status: 'out_of_stock', quantity: 0, expectedDate: null },
+          available: false
+        }
+      ]);
+    });
+
+    it('should append values and axes only found on variants', () => {
+      const { options } = transformVariants(
+        [{ options: { Size: 'XL', 'Fabric Type': 'Linen' } }],
+        [{ name: 'Size', values: ['S'] }]
+      );
+
+      expect(options).toEqual([
+        { key: 'size', name: 'Size', values: ['S', 'XL'] },
+        { key: 'fabric_type', name: 'Fabric type', values: ['Linen'] }
+      ]);
+    });
+
+    it('should respect an explicit availability flag', () => {
+      const { variants } = transformVariants([{ id: 1, size: 'M', available: false }]);
+      expect(variants[0]).toMatchObject({ id: '1', inventory: null, available: false });
+    });
+
+    it('should skip malformed variant entries', () => {
+      const { variants } = transformVariants([null, 'bad', { id: 'ok', size: 'S' }]);
+      expect(variants).toHaveLength(1);
+      expect(variants[0].id).toBe('ok');
+    });
+
+    it('should throw a TransformError for non-array variants', () => {
+      expect(() => transformProductResponse({ id: '1', variants: 'S,M,L' })).toThrow(TransformError);
+      expect(() => transformVariants([], 'Size')).toThrow('Invalid variant options data');
+    });
+
+    it('should not add variant fields to products without variants', () => {
+      const result = transformProductResponse({ id: '1' });
+      expect(result).not.toHaveProperty('variants');
+      expect(result).not.toHaveProperty('options');
+    });
+  });
+
+  describe('transformImages', () => {
+    it('should normalize strings and image objects', () => {
+      const result = transformProductResponse({
+        id: '123',
+        title: 'Jacket',
+        images: [
+          'front.jpg',
+          { id: 'back', url: 'back.jpg', thumbnail: 'back-thumb.jpg', large: 'back-large.jpg', alt: 'Jacket back' }
+        ]
+      });
+
+      expect(result.images).toEqual([
+        { id: 'image-0', src: 'front.jpg', thumbnail: 'front.jpg', zoomSrc: 'front.jpg', alt: 'Jacket' },
+        { id: 'back', src: 'back.jpg', thumbnail: 'back-thumb.jpg', zoomSrc: 'back-large.jpg', alt: 'Jacket back' }
+      ]);
+    });
+
+    it('should use the first image as primary image when none is given', () => {
+      const result = transformProductResponse({ id: '123', images: ['front.jpg', 'back.jpg'] });
+      expect(result.image).toBe('front.jpg');
+
+      const withImage = transformProductResponse({ id: '123', image: 'hero.jpg', images: ['front.jpg'] });
+      expect(withImage.image).toBe('hero.jpg');
+    });
+
+    it('should drop duplicates and entries without a source', () => {
+      const images = transformImages(['a.jpg', 'a.jpg', null, {}, { src: 42 }, 'b.jpg'], 'Shirt');
+
+      expect(images.map(image => image.src)).toEqual(['a.jpg', 'b.jpg']);
+      expect(images.map(image => image.alt)).toEqual(['Shirt', 'Shirt (2)']);
+      expect(transformImages(['a.jpg'])[0].alt).toBeNull();
+    });
+
+    it('should throw a TransformError for non-array images', () => {
+      expect(() => transformProductResponse({ id: '1', images: 'a.jpg' })).toThrow(TransformError);
+    });
+  });
+
+  describe('transformCartResponse', () => {
+    it('should normalize line items and totals', () => {
+      const result = transformCartResponse({
+        id: 'cart-1',
+        items: [
+          { id: 7, product_id: 123, variant_id: 'm', quantity: '3', price: '$5.50' },
+          null,
+          { productId: '456', quantity: 0, price: 2, title: 'Socks', image: 'socks.jpg' }
+        ]
+      });
+
+      expect(result).toEqual({
+        id: 'cart-1',
+        currency: 'USD',
+        items: [
+          {
+            id: '7',
+            productId: '123',
+            variantId: 'm',
+            quantity: 3,
+            price: { amount: 550, currency: 'USD' },
+            title: null,
+            image: null
+          },
+          {
+            id: 'line-1',
+            productId: '456',
+            variantId: null,
+            quantity: 1,
+            price: { amount: 200, currency: 'USD' },
+            title: 'Socks',
+            image: 'socks.jpg'
+          }
+        ],
+        itemCount: 4,
+        subtotal: { amount: 1850, currency: 'USD' }
+      });
+    });
+
+    it('should price lines in the cart currency', () => {
+      const result = transformCartResponse({ currency: 'JPY', items: [{ productId: '1', quantity: 2, price: 1200 }] });
+
+      expect(result.items[0].price).toEqual({ amount: 1200, currency: 'JPY' });
+      expect(result.subtotal).toEqual({ amount: 2400, currency: 'JPY' });
+    });
+
+    it('should treat a missing item list as an empty cart', () => {
+      expect(transformCartResponse({ id: 'c' })).toEqual({
+        id: 'c',
+        currency: 'USD',
+        items: [],
+        itemCount: 0,
+        subtotal: { amount: 0, currency: 'USD' }
+      });
+    });
+
+    it('should throw a TransformError for malformed carts', () => {
+      expect(() => transformCartResponse(null)).toThrow('No cart data provided');
+      expect(() => transformCartResponse({ items: {} })).toThrow(TransformError);
+    });
+  });
+
+  describe('money', () => {
+    it('should read the currency from the product or its price symbol', () => {
+      expect(transformProductResponse({ id: '1', price: 1250, currency: 'JPY' }).money)
+        .toEqual({ amount: 1250, currency: 'JPY' });
+      expect(transformProductResponse({ id: '1', price: '£12.50' }).money)
+        .toEqual({ amount: 1250, currency: 'GBP' });
+      expect(transformProductResponse({ id: '1', price: '1.250', currencyCode: 'kwd' }).money)
+        .toEqual({ amount: 1250, currency: 'KWD' });
+    });
+
+    it('should fall back to the currency given in the options', () => {
+      expect(transformProductResponse({ id: '1', price: 10 }, { currency: 'EUR' }).money)
+        .toEqual({ amount: 1000, currency: 'EUR' });
+    });
+
+    it('should price variants in the product currency', () => {
+      const result = transformProductResponse({
+        id: '1',
+        price: 1000,
+        currency: 'JPY',
+        variants: [{ id: 'a', size: 'S', price: 1200 }]
+      });
+
+      expect(result.variants[0].money).toEqual({ amount: 1200, currency: 'JPY' });
+    });
+
+    it('should strip any currency symbol from legacy prices', () => {
+      expect(transformProductResponse({ id: '1', price: '¥1,200' }).price).toBe('1200.00');
+    });
+
+    it('should read comma decimals in legacy prices the same way as in money', () => {
+      const product = transformProductResponse({ id: '1', price: '1.234,56 €' });
+
+      expect(product.price).toBe('1234.56');
+      expect(product.money).toEqual({ amount: 123456, currency: 'EUR' });
+      expect(transformProductResponse({ id: '1', price: '12,5', currency: 'EUR' }).price).toBe('12.50');
+      expect(transformProductResponse({ id: '1', price: '1,2,3' }).price).toBe('0.00');
+    });
+  });
+
+  describe('transformSale', () => {
+    it('should normalize compare-at prices and promotion windows', () => {
+      const result = transformProductResponse({
+        id: '1',
+        price: 80,
+        compareAtPrice: '$100.00',
+        saleStartsAt: '2026-01-01T00:00:00Z',
+        saleEndsAt: Date.UTC(2026, 0, 8)
+      });
+
+      expect(result.sale).toEqual({
+        compareAt: { amount: 10000, currency: 'USD' },
+        discount: null,
+        startsAt: '2026-01-01T00:00:00.000Z',
+        endsAt: '2026-01-08T00:00:00.000Z'
+      });
+    });
+
+    it('should normalize percentage and absolute discounts', () => {
+      expect(transformSale({ discount: { type: 'percent', value: 120 } }).discount)
+        .toEqual({ type: 'percentage', value: 100 });
+      expect(transformSale({ discountPercent: '20' }).discount)
+        .toEqual({ type: 'percentage', value: 20 });
+      expect(transformSale({ discount: { type: 'fixed', value: 500 } }, 'JPY').discount)
+        .toEqual({ type: 'amount', value: { amount: 500, currency: 'JPY' } });
+      expect(transformSale({ discountAmount: 5 }).discount)
+        .toEqual({ type: 'amount', value: { amount: 500, currency: 'USD' } });
+    });
+
+    it('should price variant compare-at prices in the product currency', () => {
+      const result = transformProductResponse({
+        id: '1',
+        currency: 'EUR',
+        variants: [{ id: 'a', size: 'S', price: 40, compareAtPrice: 50 }]
+      });
+
+      expect(result.variants[0].compareAt).toEqual({ amount: 5000, currency: 'EUR' });
+    });
+
+    it('should drop zero compare-at prices', () => {
+      expect(transformSale({ compareAtPrice: 0 }).compareAt).toBeNull();
+    });
+
+    it('should not add sale data to regular products', () => {
+      expect(transformProductResponse({ id: '1', price: 10 })).not.toHaveProperty('sale');
+    });
+
+    it('should throw a TransformError for invalid sale dates', () => {
+      expect(() => transformProductResponse({ id: '1', saleEndsAt: 'next week' })).toThrow(TransformError);
+
+      expect(() => transformSale({ saleStartsAt: 'soon' }))
+        .toThrow(expect.objectContaining({ field: 'saleStartsAt', value: 'soon' }));
+    });
+  });
+
+  describe('transformFacets', () => {
+    it('should normalize value lists and count maps', () => {
+      expect(transformFacets({
+        category: [{ value: 'shoes', label: 'Shoes', count: '12' }, { value: null, count: 1 }],
+        brand: { acme: 3, zenith: 0 },
+        rating: [4, 3]
+      })).toEqual({
+        category: [{ value: 'shoes', label: 'Shoes', count: 12 }],
+        brand: [{ value: 'acme', label: 'acme', count: 3 }, { value: 'zenith', label: 'zenith', count: 0 }],
+        rating: [{ value: '4', label: '4', count: null }, { value: '3', label: '3', count: null }]
+      });
+    });
+
+    it('should turn price buckets into range values', () => {
+      expect(transformFacets([{ name: 'price', values: [{ max: 25, count: 4 }, { min: 25, max: 50, count: 2 }, { min: 100, count: 1 }] }])).toEqual({
+        price: [
+          { value: '-25', label: '-25', count: 4, min: null, max: 25 },
+          { value: '25-50', label: '25-50', count: 2, min: 25, max: 50 },
+          { value: '100-', label: '100-', count: 1, min: 100, max: null }
+        ]
+      });
+    });
+
+    it('should return no facets for missing data', () => {
+      expect(transformFacets(undefined)).toEqual({});
+      expect(transformFacets('facets')).toEqual({});
+    });
+  });
+
+  describe('transformAvailability', () => {
+    it('should derive the state from stock levels', () => {
+      expect(transformAvailability({ inventory: 40 })).toEqual({ status: 'in_stock', quantity: 40, expectedDate: null });
+      expect(transformAvailability({ stock: '2' })).toEqual({ status: 'low_stock', quantity: 2, expectedDate: null });
+      expect(transformAvailability({ inventory: 8, lowStockThreshold: 10 }).status).toBe('low_stock');
+      expect(transformAvailability({ inventory: 0 }).status).toBe('out_of_stock');
+      expect(transformAvailability({ inventory: 0, allowBackorder: true, restockDate: '2026-11-20' })).toEqual({
+        status: 'backorder',
+        quantity: 0,
+        expectedDate: '2026-11-20T00:00:00.000Z'
+      });
+    });
+
+    it('should accept explicit statuses in common spellings', () => {
+      expect(transformAvailability({ availability: 'https://schema.org/PreOrder', releaseDate: '2027-01-15' }))
+        .toEqual({ status: 'preorder', quantity: null, expectedDate: '2027-01-15T00:00:00.000Z' });
+      expect(transformAvailability({ availability: 'SOLD_OUT' }).status).toBe('out_of_stock');
+      expect(transformAvailability({ availability: { status: 'back-ordered', expectedDate: 'soon' } }))
+        .toEqual({ status: 'backorder', quantity: null, expectedDate: null });
+      expect(transformAvailability({ availability: 'in stock', inventory: 1 }).status).toBe('low_stock');
+    });
+
+    it('should let a discontinued flag override everything else', () => {
+      expect(transformAvailability({ discontinued: true, availability: 'preorder', inventory: 50 }))
+        .toEqual({ status: 'discontinued', quantity: 50, expectedDate: null });
+    });
+
+    it('should return null when nothing is reported', () => {
+      expect(transformAvailability({ id: '1', price: 10 })).toBeNull();
+      expect(transformProductResponse({ id: '1', price: 10 })).not.toHaveProperty('availability');
+      expect(transformProductResponse({ id: '1', availability: 'preorder' }).availability.status).toBe('preorder');
+    });
+
+    it('should make backordered variants purchasable', () => {
+      const { variants } = transformVariants([{ id: 'v1', inventory: 0, allowBackorder: true }]);
+      expect(variants[0]).toMatchObject({ inventory: 0, available: true, availability: { status: 'backorder' } });
+    });
+  });
+
+  describe('transformReviewsResponse', () => {
+    it('should normalize reviews and their photos', () => {
+      const review = transformReview({
+        id: 7,
+        stars: '4.6',
+        title: 'Great lamp',
+        text: 'Bright and warm.',
+        author: { name: 'Ada' },
+        created_at: '2026-03-01T10:00:00Z',
+        verified: true,
+        helpful: '3',
+        photos: ['desk.jpg', { url: 'night.jpg', alt: 'At night' }]
+      });
+
+      expect(review).toEqual({
+        id: '7',
+        rating: 5,
+        title: 'Great lamp',
+        body: 'Bright and warm.',
+        author: 'Ada',
+        createdAt: '2026-03-01T10:00:00.000Z',
+        verifiedPurchase: true,
+        helpfulCount: 3,
+        photos: [
+          { id: 'image-0', src: 'desk.jpg', thumbnail: 'desk.jpg', zoomSrc: 'desk.jpg', alt: null },
+          { id: 'image-1', src: 'night.jpg', thumbnail: 'night.jpg', zoomSrc: 'night.jpg', alt: 'At night' }
+        ],
+        status: 'published'
+      });
+      expect(transformReview({ rating: 'great', author: '  ' })).toMatchObject({ rating: null, author: null, createdAt: null });
+    });
+
+    it('should build the rating summary and paging', () => {
+      const result = transformReviewsResponse({
+        reviews: [{ id: 'a', rating: 5 }, null],
+        summary: { histogram: [{ rating: 5, count: 6 }, { rating: 4, count: '3' }, { rating: 1, count: 1 }] },
+        pageSize: 4
+      });
+
+      expect(result.reviews).toHaveLength(1);
+      expect(result.summary).toEqual({ average: 4.3, count: 10, histogram: { 5: 6, 4: 3, 3: 0, 2: 0, 1: 1 } });
+      expect(result).toMatchObject({ total: 10, page: 1, pageSize: 4, totalPages: 3 });
+
+      expect(transformReviewsResponse({ items: [], averageRating: 3.96, reviewCount: 12, ratingDistribution: { 5: 4 } }).summary)
+        .toEqual({ average: 4, count: 12, histogram: { 5: 4, 4: 0, 3: 0, 2: 0, 1: 0 } });
+    });
+
+    it('should reject malformed responses', () => {
+      expect(() => transformReviewsResponse(null)).toThrow(TransformError);
+      expect(() => transformReviewsResponse({ reviews: 'none' })).toThrow('Invalid reviews data');
+      expect(() => transformReview({ photos: 'a.jpg' })).toThrow(TransformError);
+    });
+  });
+
+  describe('transformQuestionsResponse', () => {
+    it('should normalize questions and mark answers from verified staff', () => {
+      const question = transformQuestion({
+        id: 3,
+        question: 'Is the shade glass?',
+        author: 'Ada',
+        created_at: '2026-04-02T08:00:00Z',
+        votes: '4',
+        answerCount: 5,
+        answers: [
+          { id: 1, text: 'Yes, frosted glass.', author: { name: 'Grace', role: 'staff' }, upvotes: 2 },
+          { id: 2, body: 'Mine is glass too.', author: 'Staff Linus', upvotes: -1 },
+          null
+        ]
+      });
+
+      expect(question).toEqual({
+        id: '3',
+        body: 'Is the shade glass?',
+        author: 'Ada',
+        createdAt: '2026-04-02T08:00:00.000Z',
+        upvotes: 4,
+        answers: [
+          { id: '1', body: 'Yes, frosted glass.', author: 'Grace', createdAt: null, upvotes: 2, verifiedStaff: true, status: 'published' },
+          { id: '2', body: 'Mine is glass too.', author: 'Staff Linus', createdAt: null, upvotes: 0, verifiedStaff: false, status: 'published' }
+        ],
+        answerCount: 5,
+        status: 'published'
+      });
+      expect(transformQuestion({ body: 'Size?', answers: [{ body: 'M', isStaff: true }] })).toMatchObject({
+        id: 'question-0',
+        author: null,
+        answerCount: 1,
+        answers: [{ verifiedStaff: true }]
+      });
+    });
+
+    it('should page the questions and reject malformed responses', () => {
+      expect(transformQuestionsResponse({ items: [{ id: 'a' }], total: 11 }, { page: 2, pageSize: 5 }))
+        .toMatchObject({ total: 11, page: 2, pageSize: 5, totalPages: 3 });
+      expect(() => transformQuestionsResponse(null)).toThrow(TransformError);
+      expect(() => transformQuestionsResponse({ questions: 'none' })).toThrow('Invalid questions data');
+      expect(() => transformQuestion({ answers: 'yes' })).toThrow('Invalid answers data');
+    });
+  });
 });
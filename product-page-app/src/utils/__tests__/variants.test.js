@@ -0,0 +1,86 @@
+import { findVariant, getOptionValueState, selectOptionValue, getDefaultSelection } from '../variants';
+
+describe('variants', () => {
+  const options = [
+    { key: 'size', name: 'Size', values: ['S', 'M', 'L'] },
+    { key: 'color', name: 'Color', values: ['Red', 'Blue'] }
+  ];
+  const variants = [
+    { id: 's-red', sku: 'TS-S-RED', options: { size: 'S', color: 'Red' }, available: false },
+    { id: 'm-red', sku: 'TS-M-RED', options: { size: 'M', color: 'Red' }, available: true },
+    { id: 'm-blue', sku: 'TS-M-BLUE', options: { size: 'M', color: 'Blue' }, available: true },
+    { id: 'l-blue', sku: 'TS-L-BLUE', options: { size: 'L', color: 'Blue' }, available: true }
+  ];
+
+  describe('findVariant', () => {
+    it('should return the variant matching a complete selection', () => {
+      expect(findVariant(variants, options, { size: 'M', color: 'Blue' }).id).toBe('m-blue');
+    });
+
+    it('should return null for incomplete selections', () => {
+      expect(findVariant(variants, options, { size: 'M' })).toBeNull();
+    });
+
+    it('should return null for combinations that do not exist', () => {
+      expect(findVariant(variants, options, { size: 'L', color: 'Red' })).toBeNull();
+    });
+
+    it('should handle products without variants', () => {
+      expect(findVariant(undefined, undefined, {})).toBeNull();
+    });
+  });
+
+  describe('getOptionValueState', () => {
+    it('should mark values with an in-stock combination as available', () => {
+      expect(getOptionValueState(variants, { color: 'Red' }, 'size', 'M')).toBe('available');
+    });
+
+    it('should mark values whose combinations are all out of stock as sold out', () => {
+      expect(getOptionValueState(variants, { color: 'Red' }, 'size', 'S')).toBe('soldOut');
+    });
+
+    it('should mark values in stock only with other selections as changing them', () => {
+      expect(getOptionValueState(variants, { color: 'Red' }, 'size', 'L')).toBe('changesSelection');
+      expect(getOptionValueState(variants, { size: 'S' }, 'color', 'Blue')).toBe('changesSelection');
+    });
+
+    it('should mark values no variant has as unavailable', () => {
+      expect(getOptionValueState(variants, { color: 'Red' }, 'size', 'XL')).toBe('unavailable');
+    });
+
+    it('should ignore the current value of the evaluated axis', () => {
+      expect(getOptionValueState(variants, { size: 'S', color: 'Blue' }, 'size', 'L')).toBe('available');
+    });
+  });
+
+  describe('selectOptionValue', () => {
+    it('should keep the rest of the selection when the value is in stock with it', () => {
+      expect(selectOptionValue(variants, { size: 'M', color: 'Red' }, 'color', 'Blue')).toEqual({ size: 'M', color: 'Blue' });
+    });
+
+    it('should switch the other options to the closest in-stock variant', () => {
+      expect(selectOptionValue(variants, { size: 'S', color: 'Red' }, 'size', 'L')).toEqual({ size: 'L', color: 'Blue' });
+      expect(selectOptionValue(variants, { size: 'S', color: 'Red' }, 'color', 'Blue')).toEqual({ size: 'M', color: 'Blue' });
+    });
+
+    it('should not change other options for sold-out or unknown values', () => {
+      expect(selectOptionValue(variants, { size: 'M', color: 'Red' }, 'size', 'S')).toEqual({ size: 'S', color: 'Red' });
+    });
+  });
+
+  describe('getDefaultSelection', () => {
+    it('should select the first in-stock variant', () => {
+      expect(getDefaultSelection({ variants })).toEqual({ size: 'M', color: 'Red' });
+    });
+
+    it('should fall back to the first variant when everything is sold out', () => {
+      const soldOut = variants.map(variant => ({ ...variant, available: false }));
+      expect(getDefaultSelection({ variants: soldOut })).toEqual({ size: 'S', color: 'Red' });
+    });
+
+    it('should return an empty selection for products without variants', () => {
+      expect(getDefaultSelection({})).toEqual({});
+      expect(getDefaultSelection(null)).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,56 @@
+// Normalized availability states, see transformAvailability
+export const AVAILABILITY = {
+  IN_STOCK: 'in_stock',
+  LOW_STOCK: 'low_stock',
+  BACKORDER: 'backorder',
+  PREORDER: 'preorder',
+  OUT_OF_STOCK: 'out_of_stock',
+  DISCONTINUED: 'discontinued'
+};
+
+// Stock at or below which a product is shown as running low
+export const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+const PURCHASABLE = [
+  AVAILABILITY.IN_STOCK,
+  AVAILABILITY.LOW_STOCK,
+  AVAILABILITY.BACKORDER,
+  AVAILABILITY.PREORDER
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Checks whether an item in the given state can be added to the cart
+ * @param {Object} availability - Normalized availability ({ status, quantity, expectedDate }) or null
+ * @returns {boolean} - True unless the item is out of stock or discontinued; unknown availability is purchasable
+ */
+export const isPurchasable = (availability) => (
+  !availability || PURCHASABLE.includes(availability.status)
+);
+
+// PUBLIC_INTERFACE
+/**
+ * Checks whether shoppers can ask to be told when an item is back in stock.
+ * Discontinued items will not come back, so they do not offer it.
+ * @param {Object} availability - Normalized availability or null
+ * @returns {boolean} - Whether the item is out of stock for now
+ */
+export const canNotifyWhenAvailable = (availability) => (
+  availability?.status === AVAILABILITY.OUT_OF_STOCK
+);
+
+// PUBLIC_INTERFACE
+/**
+ * Picks the availability that applies to the shopper's selection. A discontinued
+ * product stays discontinued whatever variant is chosen.
+ * @param {Object} product - Transformed product
+ * @param {Object} [variant] - Selected variant
+ * @returns {Object|null} - Normalized availability, or null when the API does not report it
+ */
+export const getSelectedAvailability = (product, variant) => {
+  const productAvailability = product?.availability ?? null;
+  if (productAvailability?.status === AVAILABILITY.DISCONTINUED) {
+    return productAvailability;
+  }
+  return variant?.availability ?? productAvailability;
+};
@@ -0,0 +1,136 @@
+import { DEFAULT_CURRENCY, addMoney, multiplyMoney } from './money';
+
+export const EMPTY_CART = {
+  id: null,
+  currency: DEFAULT_CURRENCY,
+  items: [],
+  itemCount: 0,
+  subtotal: { amount: 0, currency: DEFAULT_CURRENCY }
+};
+
+// Prefix of the IDs new lines carry until the server has created them
+const LOCAL_LINE_PREFIX = 'local-';
+
+/**
+ * Recomputes the item count and subtotal of a cart from its lines
+ * @param {Object} cart - Cart whose items changed
+ * @param {Array} items - New line items
+ * @returns {Object} - Cart with updated items, itemCount and subtotal
+ */
+const withItems = (cart, items) => ({
+  ...cart,
+  items,
+  itemCount: items.reduce((count, item) => count + item.quantity, 0),
+  subtotal: addMoney(
+    { amount: 0, currency: cart.currency || DEFAULT_CURRENCY },
+    ...items.map(item => multiplyMoney(item.price, item.quantity))
+  )
+});
+
+/**
+ * Checks whether a cart line holds the given product/variant
+ * @param {Object} item - Cart line
+ * @param {string} productId - Product ID
+ * @param {string|null} variantId - Variant ID
+ * @returns {boolean}
+ */
+const isSameLine = (item, productId, variantId) => (
+  item.productId === productId && (item.variantId ?? null) === (variantId ?? null)
+);
+
+// PUBLIC_INTERFACE
+/**
+ * Adds a quantity of a product/variant to a cart, merging with an existing line
+ * @param {Object} cart - Current cart
+ * @param {Object} item - { productId, variantId, quantity, price (money value), title, image }
+ * @returns {Object} - New cart
+ */
+export const addLineItem = (cart = EMPTY_CART, item) => {
+  const items = cart.items || [];
+  const existing = items.find(line => isSameLine(line, item.productId, item.variantId));
+
+  if (existing) {
+    return withItems(cart, items.map(line => (
+      line === existing ? { ...line, quantity: line.quantity + item.quantity } : line
+    )));
+  }
+
+  return withItems(cart, [
+    ...items,
+    {
+      id: `${LOCAL_LINE_PREFIX}${item.productId}-${item.variantId ?? 'default'}`,
+      productId: item.productId,
+      variantId: item.variantId ?? null,
+      quantity: item.quantity,
+      price: item.price ?? { amount: 0, currency: cart.currency || DEFAULT_CURRENCY },
+      title: item.title ?? null,
+      image: item.image ?? null
+    }
+  ]);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Checks whether a cart line was only added locally and the server has not created it yet.
+ * Such a line has no server ID, so it cannot be changed or removed until the cart is saved.
+ * @param {Object} item - Cart line
+ * @returns {boolean}
+ */
+export const isLocalLine = item => String(item?.id ?? '').startsWith(LOCAL_LINE_PREFIX);
+
+// PUBLIC_INTERFACE
+/**
+ * Takes a quantity of a product/variant back out of a cart, dropping the line when it reaches zero
+ * @param {Object} cart - Current cart
+ * @param {Object} item - { productId, variantId, quantity }
+ * @returns {Object} - New cart
+ */
+export const subtractLineItem = (cart = EMPTY_CART, item) => withItems(
+  cart,
+  (cart.items || [])
+    .map(line => (
+      isSameLine(line, item.productId, item.variantId)
+        ? { ...line, quantity: line.quantity - item.quantity }
+        : line
+    ))
+    .filter(line => line.quantity > 0)
+);
+
+// PUBLIC_INTERFACE
+/**
+ * Sets the quantity of a cart line
+ * @param {Object} cart - Current cart
+ * @param {string} itemId - Cart line ID
+ * @param {number} quantity - New quantity
+ * @returns {Object} - New cart
+ */
+export const setLineQuantity = (cart = EMPTY_CART, itemId, quantity) => withItems(
+  cart,
+  (cart.items || []).map(line => (line.id === itemId ? { ...line, quantity } : line))
+);
+
+// PUBLIC_INTERFACE
+/**
+ * Removes a line from a cart
+ * @param {Object} cart - Current cart
+ * @param {string} itemId - Cart line ID
+ * @returns {Object} - New cart
+ */
+export const removeLineItem = (cart = EMPTY_CART, itemId) => withItems(
+  cart,
+  (cart.items || []).filter(line => line.id !== itemId)
+);
+
+// PUBLIC_INTERFACE
+/**
+ * Puts a removed line back at its original position
+ * @param {Object} cart - Current cart
+ * @param {Object} line - Removed cart line
+ * @param {number} index - Original position of the line
+ * @returns {Object} - New cart
+ */
+export const restoreLineItem = (cart = EMPTY_CART, line, index) => {
+  const items = [...(cart.items || [])];
+  items.splice(Math.min(index, items.length), 0, line);
+  return withItems(cart, items);
+};
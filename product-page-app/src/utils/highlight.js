@@ -0,0 +1,76 @@
+/**
+ * Folds text for matching (lower case, no diacritics), remembering which
+ * original character each folded character came from
+ * @param {string} text - Text to fold
+ * @returns {{folded: string, sourceIndex: Array<number>}}
+ */
+const foldWithMap = (text) => {
+  let folded = '';
+  const sourceIndex = [];
+  Array.from(text).reduce((offset, char) => {
+    const foldedChar = char.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+    for (let index = 0; index < foldedChar.length; index++) {
+      sourceIndex.push(offset);
+    }
+    folded += foldedChar;
+    return offset + char.length;
+  }, 0);
+  sourceIndex.push(text.length);
+  return { folded, sourceIndex };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Splits text into segments that do and do not match the words of a query.
+ * Matching ignores case and diacritics.
+ * @param {string} text - Text to highlight
+ * @param {string} query - Search query
+ * @returns {Array<{text: string, match: boolean}>} - Segments in order
+ */
+export const splitHighlights = (text, query) => {
+  const source = text == null ? '' : String(text);
+  const terms = (query || '')
+    .split(/\s+/)
+    .map(term => foldWithMap(term).folded)
+    .filter(Boolean);
+
+  if (!source || terms.length === 0) {
+    return source ? [{ text: source, match: false }] : [];
+  }
+
+  const { folded, sourceIndex } = foldWithMap(source);
+  const ranges = [];
+  terms.forEach((term) => {
+    let position = folded.indexOf(term);
+    while (position !== -1) {
+      ranges.push([sourceIndex[position], sourceIndex[position + term.length]]);
+      position = folded.indexOf(term, position + term.length);
+    }
+  });
+
+  // Merge overlapping matches so every character is emitted once
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = ranges.reduce((acc, [start, end]) => {
+    const last = acc[acc.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      acc.push([start, end]);
+    }
+    return acc;
+  }, []);
+
+  const segments = [];
+  let cursor = 0;
+  merged.forEach(([start, end]) => {
+    if (start > cursor) {
+      segments.push({ text: source.slice(cursor, start), match: false });
+    }
+    segments.push({ text: source.slice(start, end), match: true });
+    cursor = end;
+  });
+  if (cursor < source.length) {
+    segments.push({ text: source.slice(cursor), match: false });
+  }
+  return segments;
+};
@@ -1,4 +1,8 @@
-import { useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+
+// Largest delay setTimeout accepts before it fires immediately
+const MAX_TIMEOUT_DELAY = 2147483647;
 
 // PUBLIC_INTERFACE
 /**
@@ -16,4 +20,117 @@ export const useMountedState = () => {
   }, []);
   
   return useCallback(() => mountedRef.current, []);
-};
\ No newline at end of file
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Custom hook returning the current time, re-rendering when it next matters
+ * @param {Function} getNextUpdate - Receives the current time and returns the timestamp of the
+ *   next re-render, or null to stop updating
+ * @returns {number} Current time in milliseconds
+ */
+export const useNow = (getNextUpdate) => {
+  const [now, setNow] = useState(() => Date.now());
+  const nextUpdate = getNextUpdate ? getNextUpdate(now) : null;
+
+  useEffect(() => {
+    if (nextUpdate === null || nextUpdate === undefined) {
+      return undefined;
+    }
+    const delay = Math.min(Math.max(nextUpdate - Date.now(), 0), MAX_TIMEOUT_DELAY);
+    const timeoutId = setTimeout(() => setNow(Date.now()), delay);
+    return () => {
+      clearTimeout(timeoutId);
+    };
+  }, [now, nextUpdate]);
+
+  return now;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Custom hook returning a value that only changes once it has been stable for a while
+ * @param {*} value - Value to debounce
+ * @param {number} delay - Milliseconds the value must stay unchanged
+ * @returns {*} Debounced value
+ */
+export const useDebouncedValue = (value, delay) => {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timeoutId = setTimeout(() => setDebouncedValue(value), delay);
+    return () => {
+      clearTimeout(timeoutId);
+    };
+  }, [value, delay]);
+
+  return debouncedValue;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Custom hook reporting whether an element has come near the viewport. It stays
+ * true once it is, so content loaded on the way in is not unloaded again.
+ * Where IntersectionObserver is not supported the element counts as seen.
+ * @param {Object} ref - Ref of the element to watch
+ * @param {string} rootMargin - How far outside the viewport already counts, as a CSS margin
+ * @returns {boolean} Whether the element has been near the viewport
+ */
+export const useInViewOnce = (ref, rootMargin = '0px') => {
+  const [seen, setSeen] = useState(false);
+
+  useEffect(() => {
+    const element = ref.current;
+    if (seen || !element) {
+      return undefined;
+    }
+    if (typeof IntersectionObserver === 'undefined') {
+      setSeen(true);
+      return undefined;
+    }
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        setSeen(true);
+      }
+    }, { rootMargin });
+    observer.observe(element);
+    return () => {
+      observer.disconnect();
+    };
+  }, [ref, seen, rootMargin]);
+
+  return seen;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Custom hook keeping state in the URL query string of the current route, so it
+ * survives reloads, can be shared and follows the back/forward buttons
+ * @returns {[Object, Function]} Current parameters, and a setter taking the parameters to change
+ *   (null, undefined or '' removes one) and { replace } to replace the history entry instead of adding one
+ */
+export const useQueryParams = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const params = useMemo(() => Object.fromEntries(new URLSearchParams(location.search)), [location.search]);
+
+  // Read when called rather than captured, so the setter stays the same while the query changes
+  const searchRef = useRef(location.search);
+  searchRef.current = location.search;
+
+  const updateParams = useCallback((changes, { replace = false } = {}) => {
+    const next = new URLSearchParams(searchRef.current);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value === null || value === undefined || value === '') {
+        next.delete(key);
+      } else {
+        next.set(key, String(value));
+      }
+    });
+    const search = next.toString();
+    searchRef.current = search ? `?${search}` : '';
+    navigate({ search: searchRef.current }, { replace });
+  }, [navigate]);
+
+  return [params, updateParams];
+};
@@ -0,0 +1,345 @@
+import en from '../locales/en.json';
+import de from '../locales/de.json';
+import { DEFAULT_LOCALE } from './money';
+
+// Message catalogs by language; English is the source and fills in keys a catalog lacks
+const CATALOGS = { en, de };
+
+// Languages written right to left
+const RTL_LANGUAGES = new Set(['ar', 'dv', 'fa', 'he', 'ps', 'ur', 'yi']);
+
+const parseCache = new Map();
+const pluralRulesCache = new Map();
+const numberFormatCache = new Map();
+
+/**
+ * Returns the language subtag of a locale ("de" for "de-AT")
+ * @param {string} locale - BCP 47 locale
+ * @returns {string} - Lower-case language
+ */
+const getLanguage = (locale) => String(locale || DEFAULT_LOCALE).split(/[-_]/)[0].toLowerCase();
+
+const getPluralRules = (locale) => {
+  if (!pluralRulesCache.has(locale)) {
+    let rules;
+    try {
+      rules = new Intl.PluralRules(locale);
+    } catch (error) {
+      rules = new Intl.PluralRules(DEFAULT_LOCALE);
+    }
+    pluralRulesCache.set(locale, rules);
+  }
+  return pluralRulesCache.get(locale);
+};
+
+const formatNumber = (value, locale) => {
+  if (!numberFormatCache.has(locale)) {
+    let formatter;
+    try {
+      formatter = new Intl.NumberFormat(locale);
+    } catch (error) {
+      formatter = new Intl.NumberFormat(DEFAULT_LOCALE);
+    }
+    numberFormatCache.set(locale, formatter);
+  }
+  return numberFormatCache.get(locale).format(value);
+};
+
+/**
+ * Parses an ICU message into text parts and argument nodes.
+ * Supports {name}, {name, number}, {name, plural, ...} with =N and # and
+ * {name, select, ...}; an apostrophe quotes braces and '' is a literal apostrophe.
+ * @param {string} source - Message template
+ * @param {number} start - Position to start at
+ * @param {boolean} nested - Whether the message is a plural or select branch
+ * @param {boolean} inPlural - Whether # stands for the plural count
+ * @returns {{parts: Array, end: number}} - Parsed parts and the position after them
+ */
+const parseParts = (source, start, nested, inPlural) => {
+  const parts = [];
+  let text = '';
+  let index = start;
+
+  const pushText = () => {
+    if (text) {
+      parts.push(text);
+      text = '';
+    }
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (char === "'") {
+      if (source[index + 1] === "'") {
+        text += "'";
+        index += 2;
+        continue;
+      }
+      const next = source[index + 1];
+      if (next === '{' || next === '}' || (inPlural && next === '#')) {
+        const close = source.indexOf("'", index + 1);
+        const end = close === -1 ? source.length : close;
+        text += source.slice(index + 1, end);
+        index = end + 1;
+        continue;
+      }
+      text += char;
+      index += 1;
+    } else if (char === '{') {
+      pushText();
+      const { node, end } = parseArgument(source, index + 1, inPlural);
+      parts.push(node);
+      index = end;
+    } else if (char === '}' && nested) {
+      pushText();
+      return { parts, end: index + 1 };
+    } else if (char === '#' && inPlural) {
+      pushText();
+      parts.push({ type: 'pound' });
+      index += 1;
+    } else {
+      text += char;
+      index += 1;
+    }
+  }
+
+  if (nested) {
+    throw new SyntaxError(`Unclosed branch in message "${source}"`);
+  }
+  pushText();
+  return { parts, end: index };
+};
+
+/**
+ * Parses the argument starting after an opening brace
+ * @param {string} source - Message template
+ * @param {number} start - Position after the brace
+ * @param {boolean} inPlural - Whether the argument sits inside a plural branch
+ * @returns {{node: Object, end: number}} - Argument node and the position after its closing brace
+ */
+const parseArgument = (source, start, inPlural) => {
+  const header = /^\s*([\w.]+)\s*(?:,\s*(\w+)\s*)?(,|})/.exec(source.slice(start));
+  if (!header) {
+    throw new SyntaxError(`Invalid argument in message "${source}"`);
+  }
+
+  const [match, name, type = 'string', terminator] = header;
+  let index = start + match.length;
+
+  if (terminator === '}' && (type === 'string' || type === 'number')) {
+    return { node: { type: type === 'number' ? 'number' : 'argument', name }, end: index };
+  }
+  if (terminator === '}' || (type !== 'plural' && type !== 'select')) {
+    throw new SyntaxError(`Unsupported argument type "${type}" in message "${source}"`);
+  }
+
+  const options = {};
+  let offset = 0;
+  const optionPattern = /\s*(offset:\s*(\d+)|=?[\w-]+)\s*/y;
+
+  while (index < source.length) {
+    while (/\s/.test(source[index])) index += 1;
+    if (source[index] === '}') {
+      if (!('other' in options)) {
+        throw new SyntaxError(`Missing "other" branch in message "${source}"`);
+      }
+      return { node: { type, name, offset, options }, end: index + 1 };
+    }
+
+    optionPattern.lastIndex = index;
+    const option = optionPattern.exec(source);
+    if (!option) {
+      throw new SyntaxError(`Invalid ${type} option in message "${source}"`);
+    }
+    index = optionPattern.lastIndex;
+
+    if (option[2] !== undefined) {
+      offset = Number(option[2]);
+      continue;
+    }
+    if (source[index] !== '{') {
+      throw new SyntaxError(`Expected "{" after "${option[1]}" in message "${source}"`);
+    }
+    const branch = parseParts(source, index + 1, true, type === 'plural' || inPlural);
+    options[option[1]] = branch.parts;
+    index = branch.end;
+  }
+
+  throw new SyntaxError(`Unclosed argument in message "${source}"`);
+};
+
+const parseMessage = (template) => {
+  if (!parseCache.has(template)) {
+    parseCache.set(template, parseParts(template, 0, false, false).parts);
+  }
+  return parseCache.get(template);
+};
+
+/**
+ * Renders parsed message parts
+ * @param {Array} parts - Parsed parts
+ * @param {Object} values - Argument values
+ * @param {string} locale - Locale for plural rules and numbers
+ * @param {number|null} pound - Value # stands for inside a plural branch
+ * @returns {string} - Rendered text
+ */
+const renderParts = (parts, values, locale, pound) => parts.map((part) => {
+  if (typeof part === 'string') {
+    return part;
+  }
+  if (part.type === 'pound') {
+    return pound === null ? '#' : formatNumber(pound, locale);
+  }
+
+  const value = values[part.name];
+  if (value === undefined || value === null) {
+    if (part.type === 'argument' || part.type === 'number') {
+      return `{${part.name}}`;
+    }
+  }
+
+  switch (part.type) {
+    case 'number':
+      return Number.isFinite(Number(value)) ? formatNumber(Number(value), locale) : String(value);
+    case 'plural': {
+      const count = Number(value) || 0;
+      const exact = part.options[`=${count}`];
+      const branch = exact
+        || part.options[getPluralRules(locale).select(count - part.offset)]
+        || part.options.other;
+      return renderParts(branch, values, locale, count - part.offset);
+    }
+    case 'select':
+      return renderParts(part.options[String(value)] || part.options.other, values, locale, pound);
+    default:
+      return String(value);
+  }
+}).join('');
+
+// PUBLIC_INTERFACE
+/**
+ * Formats an ICU message template
+ * @param {string} template - Message such as "{count, plural, one {# review} other {# reviews}}"
+ * @param {Object} values - Argument values; missing ones are left as "{name}"
+ * @param {string} locale - BCP 47 locale for plural rules and number formatting
+ * @returns {string} - Formatted message
+ * @throws {SyntaxError} When the template is malformed
+ */
+export const formatMessage = (template, values = {}, locale = DEFAULT_LOCALE) => (
+  renderParts(parseMessage(String(template)), values || {}, locale, null)
+);
+
+// PUBLIC_INTERFACE
+/**
+ * Returns the writing direction of a locale
+ * @param {string} locale - BCP 47 locale
+ * @returns {'ltr'|'rtl'}
+ */
+export const getTextDirection = (locale) => (RTL_LANGUAGES.has(getLanguage(locale)) ? 'rtl' : 'ltr');
+
+// PUBLIC_INTERFACE
+/**
+ * Locales the storefront is offered in, mapped to the currency assumed for prices that do not name one
+ */
+export const SUPPORTED_LOCALES = {
+  'en-US': 'USD',
+  'de-DE': 'EUR'
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Reads the language tags of an Accept-Language header, most preferred first
+ * @param {string} header - Header value, e.g. "de-AT,de;q=0.9,en;q=0.5"
+ * @returns {Array<string>} - Tags without the ones the client refuses (q=0)
+ */
+export const parseAcceptLanguage = (header) => String(header || '')
+  .split(',')
+  .map((range) => {
+    const [tag, ...params] = range.split(';').map(part => part.trim());
+    const weight = params.find(param => param.startsWith('q='));
+    const quality = weight ? Number.parseFloat(weight.slice(2)) : 1;
+    return { tag, quality: Number.isNaN(quality) ? 0 : quality };
+  })
+  .filter(range => range.tag && range.quality > 0)
+  .sort((a, b) => b.quality - a.quality)
+  .map(range => range.tag);
+
+// PUBLIC_INTERFACE
+/**
+ * Picks the supported locale that best matches the shopper's preferences. A tag matches
+ * a supported locale exactly or by its language, so "de-AT" is served in "de-DE".
+ * @param {Array<string>} preferred - Language tags, most preferred first
+ *   (navigator.languages in the browser, parseAcceptLanguage on the server)
+ * @returns {string} - Supported locale; DEFAULT_LOCALE when none matches
+ */
+export const negotiateLocale = (preferred = []) => {
+  const supported = Object.keys(SUPPORTED_LOCALES);
+  for (const tag of preferred) {
+    const match = supported.find(locale => locale.toLowerCase() === String(tag).toLowerCase())
+      || supported.find(locale => getLanguage(locale) === getLanguage(tag));
+    if (match) {
+      return match;
+    }
+  }
+  return DEFAULT_LOCALE;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Creates a translate function for a locale.
+ * Keys are looked up in the given messages, then the locale's catalog, then English.
+ * @param {string} locale - BCP 47 locale
+ * @param {Object} messages - Extra or overriding messages by key
+ * @returns {Function} - (key, values, fallback) => string; returns the fallback when given,
+ *   otherwise the key, when no catalog has it
+ */
+export const createTranslator = (locale = DEFAULT_LOCALE, messages = {}) => {
+  const catalog = {
+    ...CATALOGS.en,
+    ...CATALOGS[getLanguage(locale)],
+    ...messages
+  };
+
+  return (key, values, fallback) => {
+    const template = catalog[key];
+    if (typeof template !== 'string') {
+      return fallback === undefined ? key : fallback;
+    }
+    return formatMessage(template, values, locale);
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Translates a single key outside of React
+ * @param {string} locale - BCP 47 locale
+ * @param {string} key - Message key
+ * @param {Object} values - Argument values
+ * @returns {string} - Translated message
+ */
+export const translate = (locale, key, values) => createTranslator(locale)(key, values);
+
+// PUBLIC_INTERFACE
+/**
+ * Returns the message to show for an error: its code's translation when the catalog
+ * has one, otherwise the error's own message, otherwise the fallback key's translation
+ * @param {Function} t - Translate function from createTranslator or useTranslation
+ * @param {Object|string} error - APIError, Error or message
+ * @param {string} fallbackKey - Key used when the error has no message
+ * @returns {string} - Message for display
+ */
+export const translateError = (t, error, fallbackKey = 'errors.UNKNOWN_ERROR') => {
+  const code = error && typeof error === 'object' ? error.code : null;
+  if (code) {
+    const translated = t(`errors.${code}`, error.details, null);
+    if (translated) {
+      return translated;
+    }
+  }
+  if (error && typeof error === 'object' && error.messageKey) {
+    return t(error.messageKey, error.messageValues, error.message);
+  }
+  const message = typeof error === 'string' ? error : error?.message;
+  return message || t(fallbackKey);
+};
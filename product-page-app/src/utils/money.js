@@ -0,0 +1,205 @@
+export const DEFAULT_CURRENCY = 'USD';
+export const DEFAULT_LOCALE = 'en-US';
+
+// Minor unit digits for currencies the runtime's Intl data might not know
+const FALLBACK_CURRENCY_DIGITS = {
+  BHD: 3, CLP: 0, ISK: 0, JOD: 3, JPY: 0, KRW: 0, KWD: 3, OMR: 3, TND: 3, VND: 0
+};
+
+// Currency symbols accepted in formatted price strings
+const CURRENCY_SYMBOLS = {
+  '$': 'USD',
+  '£': 'GBP',
+  '€': 'EUR',
+  '¥': 'JPY',
+  '₹': 'INR',
+  '₩': 'KRW'
+};
+
+const formatterCache = new Map();
+const digitsCache = new Map();
+
+/**
+ * Normalizes a currency code, falling back to the default currency
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string} - Upper-case currency code
+ */
+const normalizeCurrency = (currency) => (
+  typeof currency === 'string' && /^[A-Za-z]{3}$/.test(currency.trim())
+    ? currency.trim().toUpperCase()
+    : DEFAULT_CURRENCY
+);
+
+// PUBLIC_INTERFACE
+/**
+ * Returns the number of minor unit digits of a currency (2 for USD, 0 for JPY, 3 for KWD)
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} - Number of digits after the decimal separator
+ */
+export const getCurrencyDigits = (currency) => {
+  const code = normalizeCurrency(currency);
+  if (!digitsCache.has(code)) {
+    let digits;
+    try {
+      digits = new Intl.NumberFormat('en', { style: 'currency', currency: code })
+        .resolvedOptions().maximumFractionDigits;
+    } catch (error) {
+      digits = FALLBACK_CURRENCY_DIGITS[code] ?? 2;
+    }
+    digitsCache.set(code, digits);
+  }
+  return digitsCache.get(code);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Detects the currency of a formatted price string from its symbol
+ * @param {string} value - Formatted price (e.g. "£12.00")
+ * @returns {string|null} - ISO currency code, or null when no known symbol is found
+ */
+export const detectCurrency = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find(candidate => value.includes(candidate));
+  return symbol ? CURRENCY_SYMBOLS[symbol] : null;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Reads a formatted price in major units, written with either "." or "," as the decimal
+ * separator ("1,234.56", "1.234,56", "12,5"). When both occur, the last one is the decimal
+ * separator; one occurring several times groups thousands. A single separator followed by
+ * exactly three digits groups thousands as well, unless the currency has three minor digits.
+ * @param {string} value - Formatted price
+ * @param {number} digits - Minor unit digits of the currency
+ * @returns {number} - Price, or NaN when the string is not a well-formed price
+ */
+export const parsePrice = (value, digits) => {
+  // Currency symbols, spaces (no-break ones included) and apostrophes ("1'234.50") carry no value
+  const clean = value.replace(/[\p{Sc}\s'’]/gu, '');
+  const separators = clean.match(/[.,]/g) || [];
+  const kinds = new Set(separators);
+
+  let decimal = null;
+  if (kinds.size === 2) {
+    decimal = clean[Math.max(clean.lastIndexOf('.'), clean.lastIndexOf(','))];
+  } else if (separators.length === 1) {
+    const fractionLength = clean.length - clean.indexOf(separators[0]) - 1;
+    decimal = fractionLength === 3 && digits !== 3 ? null : separators[0];
+  }
+
+  const decimalIndex = decimal ? clean.lastIndexOf(decimal) : clean.length;
+  const integer = clean.slice(0, decimalIndex);
+  const fraction = clean.slice(decimalIndex + 1);
+  const groups = integer.split(/[.,]/);
+  const isGrouped = groups.length > 1;
+  const isWellFormed = (decimal ? /^\d+$/.test(fraction) : clean !== '')
+    && (!decimal || !integer.includes(decimal))
+    && (isGrouped
+      ? /^\d{1,3}$/.test(groups[0]) && groups.slice(1).every(group => /^\d{3}$/.test(group))
+      : /^\d*$/.test(integer));
+
+  return isWellFormed ? parseFloat(`${groups.join('') || '0'}.${fraction || '0'}`) : NaN;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Creates a money value (integer amount in minor units plus ISO currency) from a raw price
+ * @param {*} value - Raw price: a number or formatted string in major units, with "." or ","
+ *   as the decimal separator
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {{amount: number, currency: string}} - Money value; amount is 0 for invalid or negative prices
+ */
+export const toMoney = (value, currency = DEFAULT_CURRENCY) => {
+  const code = normalizeCurrency(currency);
+  let price = value;
+
+  if (typeof price === 'string') {
+    price = parsePrice(price, getCurrencyDigits(code));
+  }
+
+  if (typeof price !== 'number' || !Number.isFinite(price) || price <= 0) {
+    return { amount: 0, currency: code };
+  }
+
+  // Shift the decimal point in the string form to avoid binary rounding (1.005 -> 101, not 100)
+  const digits = getCurrencyDigits(code);
+  const shifted = Number(`${price}e${digits}`);
+  return {
+    amount: Math.round(Number.isNaN(shifted) ? price * Math.pow(10, digits) : shifted),
+    currency: code
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Converts a money value back to a number in major units
+ * @param {{amount: number, currency: string}} money - Money value
+ * @returns {number} - Amount in major units (e.g. 12.5 for 1250 USD cents)
+ */
+export const toDecimal = (money) => (
+  (money?.amount || 0) / Math.pow(10, getCurrencyDigits(money?.currency))
+);
+
+// PUBLIC_INTERFACE
+/**
+ * Adds money values of the same currency
+ * @param {...Object} values - Money values
+ * @returns {{amount: number, currency: string}} - Sum
+ * @throws {Error} - If the currencies differ
+ */
+export const addMoney = (...values) => values.reduce((sum, money) => {
+  if (money.currency !== sum.currency) {
+    throw new Error(`Cannot add ${money.currency} to ${sum.currency}`);
+  }
+  return { amount: sum.amount + money.amount, currency: sum.currency };
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Multiplies a money value, e.g. by a quantity
+ * @param {{amount: number, currency: string}} money - Money value
+ * @param {number} factor - Multiplier
+ * @returns {{amount: number, currency: string}} - Product, rounded to whole minor units
+ */
+export const multiplyMoney = (money, factor) => ({
+  amount: Math.round(money.amount * factor),
+  currency: money.currency
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Formats a money value for display with Intl.NumberFormat
+ * @param {{amount: number, currency: string}} money - Money value
+ * @param {string} locale - BCP 47 locale used for symbols, separators and ordering
+ * @returns {string} - Formatted price (e.g. "$1,234.50", "¥1,200", "KWD 1.250")
+ */
+export const formatMoney = (money, locale = DEFAULT_LOCALE) => {
+  const currency = normalizeCurrency(money?.currency);
+  const key = `${locale}|${currency}`;
+
+  if (!formatterCache.has(key)) {
+    const digits = getCurrencyDigits(currency);
+    let formatter;
+    try {
+      formatter = new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits
+      });
+    } catch (error) {
+      // Unknown locale tags fall back to the default locale
+      formatter = new Intl.NumberFormat(DEFAULT_LOCALE, {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits
+      });
+    }
+    formatterCache.set(key, formatter);
+  }
+
+  return formatterCache.get(key).format(toDecimal({ amount: money?.amount || 0, currency }));
+};
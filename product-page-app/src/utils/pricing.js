@@ -0,0 +1,146 @@
+import { toMoney } from './money';
+
+const toTimestamp = (value) => (value ? new Date(value).getTime() : null);
+
+// PUBLIC_INTERFACE
+/**
+ * Checks whether a sale's promotion window is open
+ * @param {Object} sale - Normalized sale ({ startsAt, endsAt } as ISO strings or null)
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} - Whether the sale applies at the given time
+ */
+export const isSaleActive = (sale, now = Date.now()) => {
+  if (!sale) {
+    return false;
+  }
+  const startsAt = toTimestamp(sale.startsAt);
+  const endsAt = toTimestamp(sale.endsAt);
+  return (startsAt === null || now >= startsAt) && (endsAt === null || now < endsAt);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Applies a percentage or absolute discount to a price
+ * @param {{amount: number, currency: string}} money - Price before the discount
+ * @param {Object} discount - { type: 'percentage', value: 20 } or { type: 'amount', value: Money }
+ * @returns {{amount: number, currency: string}} - Discounted price, never below zero
+ */
+export const applyDiscount = (money, discount) => {
+  if (!discount) {
+    return money;
+  }
+  const reduction = discount.type === 'percentage'
+    ? Math.round((money.amount * discount.value) / 100)
+    : discount.value.amount;
+  return { amount: Math.max(0, money.amount - reduction), currency: money.currency };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Resolves the price a shopper pays at a given time
+ * @param {{amount: number, currency: string}} price - Listed price
+ * @param {Object} sale - Normalized sale ({ compareAt, discount, startsAt, endsAt }) or null
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} - { price, compareAt, percentOff, isOnSale, endsAt }; compareAt and
+ *   percentOff are null when there is no running sale
+ */
+export const getPricing = (price, sale, now = Date.now()) => {
+  const notOnSale = { price, compareAt: null, percentOff: null, isOnSale: false, endsAt: null };
+  if (!sale || !price) {
+    return notOnSale;
+  }
+
+  const compareAt = sale.compareAt && sale.compareAt.currency === price.currency ? sale.compareAt : null;
+  const original = compareAt && compareAt.amount > price.amount ? compareAt : price;
+
+  // Outside the window the regular price applies
+  if (!isSaleActive(sale, now)) {
+    return { ...notOnSale, price: original };
+  }
+
+  const current = applyDiscount(price, sale.discount);
+  if (current.amount >= original.amount || original.amount === 0) {
+    return notOnSale;
+  }
+
+  return {
+    price: current,
+    compareAt: original,
+    percentOff: Math.round(((original.amount - current.amount) / original.amount) * 100),
+    isOnSale: true,
+    endsAt: sale.endsAt || null
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Returns the next time a sale starts or ends
+ * @param {Object} sale - Normalized sale or null
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} - Timestamp of the next boundary, or null when nothing changes anymore
+ */
+export const getNextSaleBoundary = (sale, now = Date.now()) => {
+  if (!sale) {
+    return null;
+  }
+  const upcoming = [toTimestamp(sale.startsAt), toTimestamp(sale.endsAt)]
+    .filter(timestamp => timestamp !== null && timestamp > now);
+  return upcoming.length > 0 ? Math.min(...upcoming) : null;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Combines a product's sale with the selected variant's own compare-at price
+ * @param {Object} product - Transformed product
+ * @param {Object} variant - Selected variant or null
+ * @returns {Object|null} - Sale that applies to the variant's price
+ */
+export const getVariantSale = (product, variant) => {
+  const productSale = product?.sale || null;
+  if (!variant || (!variant.money && !variant.compareAt)) {
+    return productSale;
+  }
+
+  // The product's compare-at price only applies to variants that inherit the product price
+  const compareAt = variant.compareAt || (variant.money ? null : productSale?.compareAt) || null;
+  if (!productSale && !compareAt) {
+    return null;
+  }
+  return {
+    compareAt,
+    discount: productSale?.discount || null,
+    startsAt: productSale?.startsAt || null,
+    endsAt: productSale?.endsAt || null
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Returns the listed price of a product or of one of its variants
+ * @param {Object} product - Transformed product
+ * @param {Object} variant - Variant or null
+ * @param {string} currency - Currency for prices that do not name one
+ * @returns {{amount: number, currency: string}} - Listed price before any sale
+ */
+export const getListedPrice = (product, variant, currency) => (
+  variant?.money
+    ?? product.money
+    ?? toMoney(variant?.price ?? product.price, product.currency ?? currency)
+);
+
+// PUBLIC_INTERFACE
+/**
+ * Formats a remaining duration as a countdown
+ * @param {number} milliseconds - Remaining time
+ * @returns {string} - "1d 02:03:04" or "02:03:04" below one day
+ */
+export const formatCountdown = (milliseconds) => {
+  const totalSeconds = Math.max(0, Math.ceil(milliseconds / 1000));
+  const days = Math.floor(totalSeconds / 86400);
+  const clock = [
+    Math.floor((totalSeconds % 86400) / 3600),
+    Math.floor((totalSeconds % 3600) / 60),
+    totalSeconds % 60
+  ].map(part => String(part).padStart(2, '0')).join(':');
+  return days > 0 ? `${days}d ${clock}` : clock;
+};
@@ -0,0 +1,88 @@
+// localStorage key of the products the shopper viewed, most recent first
+export const RECENTLY_VIEWED_STORAGE_KEY = 'recently-viewed-products';
+
+// Most products remembered; older ones drop off the end
+export const RECENTLY_VIEWED_LIMIT = 12;
+
+// Product fields a product card needs; the rest of the product is not stored
+const SNAPSHOT_FIELDS = ['id', 'title', 'image', 'price', 'money', 'sale', 'rating', 'reviewCount'];
+
+/**
+ * Keeps the fields of a product needed to show it again
+ * @param {Object} product - Transformed product
+ * @returns {Object} - Snapshot with a string ID
+ */
+const toSnapshot = product => SNAPSHOT_FIELDS.reduce((snapshot, field) => {
+  if (product[field] !== undefined) {
+    snapshot[field] = product[field];
+  }
+  return snapshot;
+}, { id: String(product.id) });
+
+/**
+ * Drops malformed entries and repeated IDs, keeping the first of each
+ * @param {Array} items - Stored products
+ * @param {number} limit - Most products to keep
+ * @returns {Array<Object>} - Clean list
+ */
+const normalize = (items, limit) => {
+  const seen = new Set();
+  return items
+    .filter((item) => {
+      if (!item || typeof item !== 'object' || item.id == null || seen.has(String(item.id))) {
+        return false;
+      }
+      seen.add(String(item.id));
+      return true;
+    })
+    .slice(0, limit);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Reads the products the shopper viewed on this device, most recent first
+ * @param {number} limit - Most products to return
+ * @returns {Array<Object>} - Product snapshots; empty when nothing is stored or storage is unavailable
+ */
+export const readRecentlyViewed = (limit = RECENTLY_VIEWED_LIMIT) => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(RECENTLY_VIEWED_STORAGE_KEY));
+    return Array.isArray(saved) ? normalize(saved, limit) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Records a product view. A product viewed before moves to the front with its
+ * current details instead of being listed twice.
+ * @param {Object} product - Transformed product
+ * @param {number} limit - Most products to remember
+ * @returns {Array<Object>} - Remembered products after the view, most recent first
+ */
+export const addRecentlyViewed = (product, limit = RECENTLY_VIEWED_LIMIT) => {
+  if (!product || product.id == null) {
+    return readRecentlyViewed(limit);
+  }
+
+  const items = normalize([toSnapshot(product), ...readRecentlyViewed(limit)], limit);
+  try {
+    window.localStorage.setItem(RECENTLY_VIEWED_STORAGE_KEY, JSON.stringify(items));
+  } catch (error) {
+    // Storage may be full or disabled; the list is only a convenience
+  }
+  return items;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Forgets the products viewed on this device, e.g. when the session that saw their prices ends
+ */
+export const clearRecentlyViewed = () => {
+  try {
+    window.localStorage.removeItem(RECENTLY_VIEWED_STORAGE_KEY);
+  } catch (error) {
+    // Nothing was stored when storage is unavailable
+  }
+};
@@ -0,0 +1,141 @@
+// PUBLIC_INTERFACE
+/**
+ * How schema violations are handled: strict rejects the payload,
+ * lenient reports the violations and keeps the transform's defaults
+ */
+export const SCHEMA_MODES = {
+  STRICT: 'strict',
+  LENIENT: 'lenient'
+};
+
+// Protocols a URL field may resolve to; relative URLs resolve against the page
+const URL_PROTOCOLS = ['http:', 'https:'];
+
+/**
+ * Returns the schema type name of a value
+ * @param {*} value - Value to check
+ * @returns {string} - array, integer, number, string, boolean, object or the typeof result
+ */
+const typeOf = (value) => {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+};
+
+/**
+ * Checks a value against the allowed types; integers count as numbers
+ * @param {*} value - Value to check
+ * @param {string|Array} type - Allowed type or types
+ * @returns {boolean}
+ */
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  if (Number.isNaN(value)) {
+    return false;
+  }
+  return [].concat(type).some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+};
+
+const isUrl = (value) => {
+  try {
+    return URL_PROTOCOLS.includes(new URL(value, 'http://localhost').protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+const isDate = value => !Number.isNaN(new Date(value).getTime());
+
+// Checks of the format rule
+const FORMATS = {
+  url: isUrl,
+  date: isDate
+};
+
+/**
+ * Joins a property name or array index onto a field path
+ * @param {string} path - Parent path
+ * @param {string|number} key - Property name or index
+ * @returns {string} - e.g. "images[2].src"
+ */
+const joinPath = (path, key) => {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+};
+
+/**
+ * Checks one value against its schema, adding violations to issues
+ * @param {Object} schema - Field schema
+ * @param {*} value - Value to check
+ * @param {string} path - Field path of the value
+ * @param {Array} issues - Collected violations
+ */
+const checkValue = (schema, value, path, issues) => {
+  const fail = (rule, message) => issues.push({ field: path, rule, message: `${path || 'value'} ${message}`, value });
+
+  if (value === undefined || value === null) {
+    if (schema.required && !(value === null && schema.nullable)) {
+      fail('required', 'is required');
+    }
+    return;
+  }
+  if (schema.type && !matchesType(value, schema.type)) {
+    fail('type', `must be of type ${[].concat(schema.type).join(' or ')}`);
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.trim().length < schema.minLength) {
+      fail('minLength', schema.minLength === 1 ? 'must not be empty' : `must have at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+      fail('pattern', 'has an invalid format');
+    }
+  }
+  if (typeof value === 'number' && schema.minimum != null && value < schema.minimum) {
+    fail('minimum', `must be at least ${schema.minimum}`);
+  }
+  if (schema.format && typeof value !== 'object' && !FORMATS[schema.format](value)) {
+    fail('format', `must be a valid ${schema.format}`);
+  }
+  if (schema.enum && typeof value !== 'object') {
+    const normalized = schema.normalize ? schema.normalize(value) : value;
+    if (!schema.enum.includes(normalized)) {
+      fail('enum', `must be one of: ${schema.enum.join(', ')}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.items) {
+      value.forEach((item, index) => checkValue(schema.items, item, joinPath(path, index), issues));
+    }
+  } else if (typeof value === 'object' && schema.properties) {
+    Object.entries(schema.properties).forEach(([key, fieldSchema]) => {
+      checkValue(fieldSchema, value[key], joinPath(path, key), issues);
+    });
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Validates a value against a declarative schema. A schema is a plain object with the rules
+ * type (string, number, integer, boolean, object or array, or a list of them), required,
+ * nullable, enum (with an optional normalize function), format (url or date), pattern,
+ * minLength, minimum, properties (schemas of object fields) and items (schema of array items).
+ * Rules for strings, numbers, objects and arrays apply when the value has that type, so a field
+ * may accept e.g. a URL string or an object with its own properties.
+ * @param {Object} schema - Schema of the value
+ * @param {*} value - Value to validate
+ * @returns {Array} - Violations ({ field, rule, message, value }); empty when the value is valid
+ */
+export const validateSchema = (schema, value) => {
+  const issues = [];
+  checkValue(schema, value, '', issues);
+  return issues;
+};
@@ -0,0 +1,229 @@
+import { formatMoney, getCurrencyDigits, toDecimal, DEFAULT_LOCALE } from './money';
+import { getListedPrice, getPricing, getVariantSale } from './pricing';
+import { AVAILABILITY, getSelectedAvailability } from './availability';
+
+export const SITE_NAME = process.env.REACT_APP_SITE_NAME || 'Shop';
+
+// Search results cut descriptions off at about this length
+const DESCRIPTION_LENGTH = 160;
+
+// schema.org ItemAvailability and Open Graph product:availability values of each state
+const AVAILABILITY_VALUES = {
+  [AVAILABILITY.IN_STOCK]: { schema: 'https://schema.org/InStock', openGraph: 'in stock' },
+  [AVAILABILITY.LOW_STOCK]: { schema: 'https://schema.org/LimitedAvailability', openGraph: 'in stock' },
+  [AVAILABILITY.BACKORDER]: { schema: 'https://schema.org/BackOrder', openGraph: 'available for order' },
+  [AVAILABILITY.PREORDER]: { schema: 'https://schema.org/PreOrder', openGraph: 'preorder' },
+  [AVAILABILITY.OUT_OF_STOCK]: { schema: 'https://schema.org/OutOfStock', openGraph: 'out of stock' },
+  [AVAILABILITY.DISCONTINUED]: { schema: 'https://schema.org/Discontinued', openGraph: 'discontinued' }
+};
+
+// When variants differ, the page advertises the most buyable one
+const OPEN_GRAPH_PRECEDENCE = ['in stock', 'available for order', 'preorder', 'out of stock', 'discontinued'];
+
+/**
+ * Shortens text to a description length, at a word boundary
+ * @param {string} text - Text to shorten
+ * @returns {string} - Text of at most DESCRIPTION_LENGTH characters
+ */
+const truncate = (text) => {
+  const clean = String(text).replace(/\s+/g, ' ').trim();
+  if (clean.length <= DESCRIPTION_LENGTH) return clean;
+  const cut = clean.slice(0, DESCRIPTION_LENGTH - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > DESCRIPTION_LENGTH / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:]+$/, '')}…`;
+};
+
+const toAbsoluteUrl = (url, origin) => {
+  if (!url) return null;
+  try {
+    return new URL(url, origin || undefined).href;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Formats a money value as schema.org and Open Graph expect it ("1234.50")
+ * @param {{amount: number, currency: string}} money - Money value
+ * @returns {string} - Decimal amount without symbols or grouping
+ */
+const toSchemaPrice = money => toDecimal(money).toFixed(getCurrencyDigits(money.currency));
+
+/**
+ * Reads the brand name of a product
+ * @param {Object} product - Transformed product
+ * @returns {string|null} - Brand name
+ */
+const getBrandName = (product) => {
+  const brand = product.brand?.name ?? product.brand;
+  return typeof brand === 'string' && brand.trim() ? brand.trim() : null;
+};
+
+/**
+ * Availability state of a product or variant, falling back to the legacy
+ * available/inStock flags when the API reports no availability
+ * @param {Object} product - Transformed product
+ * @param {Object} variant - Variant or null
+ * @returns {string} - One of AVAILABILITY
+ */
+const getAvailabilityStatus = (product, variant) => {
+  const availability = getSelectedAvailability(product, variant);
+  if (availability && AVAILABILITY_VALUES[availability.status]) {
+    return availability.status;
+  }
+  const available = variant
+    ? variant.available
+    : product.available !== false && product.inventory !== 0 && product.inStock !== false;
+  return available ? AVAILABILITY.IN_STOCK : AVAILABILITY.OUT_OF_STOCK;
+};
+
+/**
+ * Price a shopper pays for a product or variant, as shown on the product page
+ * @param {Object} product - Transformed product
+ * @param {Object} variant - Variant or null
+ * @param {string} currency - Currency for prices that do not name one
+ * @param {number} now - Current time
+ * @returns {{amount: number, currency: string}} - Price after any running sale
+ */
+const getCurrentPrice = (product, variant, currency, now) => (
+  getPricing(getListedPrice(product, variant, currency), getVariantSale(product, variant), now).price
+);
+
+// PUBLIC_INTERFACE
+/**
+ * Builds the schema.org Offer for a product or one of its variants. Prices go
+ * through the same helpers as the price shown on the page, so both agree.
+ * @param {Object} product - Transformed product
+ * @param {Object} variant - Variant or null
+ * @param {Object} options
+ * @param {string} options.url - Absolute URL of the product page
+ * @param {string} options.currency - Currency for prices that do not name one
+ * @param {number} options.now - Current time, for sales with a promotion window
+ * @returns {Object} - Offer
+ */
+export const buildOffer = (product, variant, { url, currency, now = Date.now() } = {}) => {
+  const pricing = getPricing(getListedPrice(product, variant, currency), getVariantSale(product, variant), now);
+  const offer = {
+    '@type': 'Offer',
+    url,
+    price: toSchemaPrice(pricing.price),
+    priceCurrency: pricing.price.currency,
+    availability: AVAILABILITY_VALUES[getAvailabilityStatus(product, variant)].schema
+  };
+
+  const sku = variant?.sku;
+  const gtin = variant?.gtin;
+  if (sku) offer.sku = sku;
+  if (gtin) offer.gtin = String(gtin);
+  const expectedDate = getSelectedAvailability(product, variant)?.expectedDate;
+  if (expectedDate) offer.availabilityStarts = expectedDate;
+  if (pricing.isOnSale && pricing.endsAt) {
+    offer.priceValidUntil = new Date(pricing.endsAt).toISOString().slice(0, 10);
+  }
+  return offer;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Builds schema.org Product structured data (JSON-LD) with one Offer per variant
+ * @param {Object} product - Transformed product
+ * @param {Object} options
+ * @param {string} options.origin - Origin of absolute URLs
+ * @param {string} options.currency - Currency for prices that do not name one
+ * @param {number} options.now - Current time, for sales with a promotion window
+ * @returns {Object} - JSON-LD object
+ */
+export const buildProductStructuredData = (product, { origin, currency, now = Date.now() } = {}) => {
+  const url = toAbsoluteUrl(`/products/${encodeURIComponent(product.id)}`, origin);
+  const images = (product.images?.length ? product.images.map(image => image.src) : [product.image])
+    .map(src => toAbsoluteUrl(src, origin))
+    .filter(Boolean);
+
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': 'Product',
+    name: product.title
+  };
+
+  if (url) data.url = url;
+  if (product.description) {
+    data.description = product.description;
+  }
+  if (images.length > 0) data.image = images;
+  if (product.sku) data.sku = product.sku;
+  const gtin = product.gtin ?? product.barcode;
+  if (gtin) data.gtin = String(gtin);
+
+  const brand = getBrandName(product);
+  if (brand) data.brand = { '@type': 'Brand', name: brand };
+
+  const rating = Number(product.rating);
+  const reviewCount = Number.parseInt(product.reviewCount, 10);
+  // Rich results only use ratings that say how many reviews they come from
+  if (product.rating != null && Number.isFinite(rating) && reviewCount > 0) {
+    data.aggregateRating = {
+      '@type': 'AggregateRating',
+      ratingValue: rating,
+      reviewCount,
+      bestRating: 5,
+      worstRating: 1
+    };
+  }
+
+  const variants = product.variants || [];
+  data.offers = variants.length > 0
+    ? variants.map(variant => buildOffer(product, variant, { url, currency, now }))
+    : buildOffer(product, null, { url, currency, now });
+
+  return data;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Builds the document head of a product page: title, description, canonical
+ * URL, Open Graph tags and JSON-LD structured data
+ * @param {Object} product - Transformed product
+ * @param {Object} options
+ * @param {string} options.origin - Origin of absolute URLs
+ * @param {string} options.locale - Locale of the formatted price in the description
+ * @param {string} options.currency - Currency for prices that do not name one
+ * @param {number} options.now - Current time, for sales with a promotion window
+ * @returns {Object} - { title, tags } for useDocumentHead
+ */
+export const buildProductHead = (product, { origin, locale = DEFAULT_LOCALE, currency, now = Date.now() } = {}) => {
+  const structuredData = buildProductStructuredData(product, { origin, currency, now });
+  const availability = (product.variants?.length ? product.variants : [null])
+    .map(variant => AVAILABILITY_VALUES[getAvailabilityStatus(product, variant)].openGraph)
+    .sort((a, b) => OPEN_GRAPH_PRECEDENCE.indexOf(a) - OPEN_GRAPH_PRECEDENCE.indexOf(b))[0];
+  // Variants can differ in price; the lowest is the "from" price shoppers will find
+  const lowestPrice = (product.variants?.length ? product.variants : [null])
+    .map(variant => getCurrentPrice(product, variant, currency, now))
+    .reduce((lowest, price) => (price.amount < lowest.amount ? price : lowest));
+
+  const title = `${product.title} | ${SITE_NAME}`;
+  const description = structuredData.description
+    ? truncate(structuredData.description)
+    : `Buy ${product.title} for ${formatMoney(lowestPrice, locale)}.`;
+  const image = structuredData.image?.[0] || null;
+
+  const meta = (attribute, key, content) => ({ tag: 'meta', attributes: { [attribute]: key, content: String(content) } });
+  const tags = [
+    meta('name', 'description', description),
+    structuredData.url && { tag: 'link', attributes: { rel: 'canonical', href: structuredData.url } },
+    meta('property', 'og:type', 'product'),
+    meta('property', 'og:site_name', SITE_NAME),
+    meta('property', 'og:title', product.title),
+    meta('property', 'og:description', description),
+    structuredData.url && meta('property', 'og:url', structuredData.url),
+    meta('property', 'product:price:amount', toSchemaPrice(lowestPrice)),
+    meta('property', 'product:price:currency', lowestPrice.currency),
+    meta('property', 'product:availability', availability),
+    meta('name', 'twitter:card', image ? 'summary_large_image' : 'summary')
+  ].filter(Boolean);
+  if (image) {
+    tags.push(meta('property', 'og:image', image));
+  }
+  tags.push({ tag: 'script', attributes: { type: 'application/ld+json' }, content: JSON.stringify(structuredData) });
+
+  return { title, tags };
+};
@@ -1,65 +1,522 @@
-// Custom error class for data transformation errors
+import { DEFAULT_CURRENCY, addMoney, detectCurrency, getCurrencyDigits, multiplyMoney, parsePrice, toMoney } from './money';
+import { AVAILABILITY, DEFAULT_LOW_STOCK_THRESHOLD, isPurchasable } from './availability';
+import { SCHEMA_MODES, validateSchema } from './schema';
+
+/**
+ * Custom error class for data transformation errors
+ * @param {string} message - Error message
+ * @param {string} field - Path of the offending field, e.g. "images[2].src"
+ * @param {*} value - Offending value
+ * @param {string} step - Transformation step that failed: validate (schema check), product, sale,
+ *   variants, images, cart, reviews or questions
+ */
 class TransformError extends Error {
-  constructor(message, field, value) {
+  constructor(message, field, value, step) {
     super(message);
     this.name = 'TransformError';
     this.field = field;
     this.value = value;
+    this.step = step;
   }
 }
 
 /**
- * Transforms raw product data from the API into the format expected by the UI
- * @param {Object} data - Raw product data from the API
- * @returns {Object} - Transformed product data
- * @throws {TransformError} - If data validation or transformation fails
+ * Normalizes a raw price value into a two-decimal string (legacy display format, see toMoney)
+ * @param {*} price - Raw price value (number, formatted string or empty)
+ * @param {string} [currency] - ISO currency of the price, which decides how strings are read
+ * @returns {string} - Price with exactly two decimal places, '0.00' when invalid
  */
-export const transformProductResponse = (data) => {
-  // Validate input data
-  if (!data || typeof data !== 'object' || Array.isArray(data)) {
-    throw new TransformError('No product data provided', 'data', data);
+const transformPrice = (price, currency = DEFAULT_CURRENCY) => {
+  // Handle empty object case
+  if (price === null || price === undefined || (typeof price === 'object' && Object.keys(price).length === 0)) {
+    return '0.00';
   }
 
-  // Handle price transformation with enhanced validation
-  const transformPrice = (price) => {
-    // Handle empty object case
-    if (price === null || price === undefined || (typeof price === 'object' && Object.keys(price).length === 0)) {
-      return '0.00';
-    }
+  // Strings are read the same way toMoney reads them, so price and money always agree
+  if (typeof price === 'string') {
+    price = parsePrice(price, getCurrencyDigits(currency));
+  }
+  
+  if (typeof price !== 'number' || isNaN(price)) {
+    return '0.00';
+  }
+
+  // Handle precision and rounding
+  const roundedPrice = Math.round(Math.max(0, price) * 100) / 100;
+  
+  // Always return with exactly 2 decimal places
+  return roundedPrice.toFixed(2);
+};
+
+/**
+ * Resolves the ISO currency of a raw price record
+ * @param {Object} data - Raw record with optional currency/currencyCode and price fields
+ * @param {string} [fallback] - Currency used when the record does not name one
+ * @returns {string} - ISO 4217 currency code
+ */
+const resolveCurrency = (data, fallback = DEFAULT_CURRENCY) => (
+  data.currency ?? data.currencyCode ?? detectCurrency(data.price) ?? fallback
+);
+
+/**
+ * Normalizes an optional sale timestamp into an ISO string
+ * @param {*} value - Date, ISO string or epoch milliseconds
+ * @param {string} field - Field name reported on failure
+ * @returns {string|null} - ISO timestamp, or null when not set
+ * @throws {TransformError} - If the value is not a valid date
+ */
+const transformSaleDate = (value, field) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new TransformError('Invalid sale date', field, value, 'sale');
+  }
+  return date.toISOString();
+};
+
+/**
+ * Normalizes a date that is only shown to the shopper, like an expected shipping
+ * date or when a review was written. Unlike sale dates a bad value is dropped,
+ * as it only affects wording.
+ * @param {*} value - Date, ISO string or epoch milliseconds
+ * @returns {string|null} - ISO timestamp, or null when not set or invalid
+ */
+const transformDisplayDate = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// Discount type spellings, by the kind of discount they stand for
+const PERCENTAGE_DISCOUNT_TYPES = ['percentage', 'percent'];
+const AMOUNT_DISCOUNT_TYPES = ['amount', 'fixed', 'absolute'];
+
+/**
+ * Normalizes the discount of a sale
+ * @param {Object} data - Raw record with discount, discountPercent or discountAmount
+ * @param {string} currency - Currency of absolute discounts
+ * @returns {Object|null} - { type: 'percentage', value } or { type: 'amount', value: Money }
+ */
+const transformDiscount = (data, currency) => {
+  const discount = data.discount && typeof data.discount === 'object' ? data.discount : null;
+  const type = discount?.type;
+
+  if (discount && PERCENTAGE_DISCOUNT_TYPES.includes(type)) {
+    return { type: 'percentage', value: Math.min(100, Math.max(0, Number(discount.value) || 0)) };
+  }
+  if (discount && AMOUNT_DISCOUNT_TYPES.includes(type)) {
+    return { type: 'amount', value: toMoney(discount.value, currency) };
+  }
+  if (data.discountPercent != null || data.discountPercentage != null) {
+    const value = Number(data.discountPercent ?? data.discountPercentage) || 0;
+    return { type: 'percentage', value: Math.min(100, Math.max(0, value)) };
+  }
+  if (data.discountAmount != null) {
+    return { type: 'amount', value: toMoney(data.discountAmount, currency) };
+  }
+  return null;
+};
+
+/**
+ * Normalizes compare-at price, discount and promotion window of a product
+ * @param {Object} data - Raw product data
+ * @param {string} currency - Product currency
+ * @returns {Object|null} - { compareAt, discount, startsAt, endsAt }, or null when the product has no sale data
+ * @throws {TransformError} - If a sale date is invalid
+ */
+export const transformSale = (data, currency = DEFAULT_CURRENCY) => {
+  const rawCompareAt = data.compareAtPrice ?? data.compare_at_price ?? data.originalPrice;
+  const discount = transformDiscount(data, currency);
+  const startsAt = transformSaleDate(data.saleStartsAt, 'saleStartsAt');
+  const endsAt = transformSaleDate(data.saleEndsAt, 'saleEndsAt');
+
+  if (rawCompareAt == null && !discount && !startsAt && !endsAt) {
+    return null;
+  }
+
+  const compareAt = rawCompareAt != null ? toMoney(rawCompareAt, currency) : null;
+  return {
+    compareAt: compareAt && compareAt.amount > 0 ? compareAt : null,
+    discount,
+    startsAt,
+    endsAt
+  };
+};
+
+// Status spellings seen across inventory systems, compared without case, spaces, dashes or underscores
+const AVAILABILITY_ALIASES = {
+  instock: AVAILABILITY.IN_STOCK,
+  available: AVAILABILITY.IN_STOCK,
+  lowstock: AVAILABILITY.LOW_STOCK,
+  limitedavailability: AVAILABILITY.LOW_STOCK,
+  backorder: AVAILABILITY.BACKORDER,
+  backordered: AVAILABILITY.BACKORDER,
+  preorder: AVAILABILITY.PREORDER,
+  presale: AVAILABILITY.PREORDER,
+  outofstock: AVAILABILITY.OUT_OF_STOCK,
+  soldout: AVAILABILITY.OUT_OF_STOCK,
+  unavailable: AVAILABILITY.OUT_OF_STOCK,
+  discontinued: AVAILABILITY.DISCONTINUED
+};
+
+/**
+ * Converts a raw stock status into its AVAILABILITY_ALIASES key
+ * @param {*} status - Status string, possibly a schema.org URL such as "https://schema.org/InStock"
+ * @returns {string} - Lower-case status without the schema.org prefix, spaces, dashes or underscores
+ */
+const toAvailabilityKey = (status) => (
+  String(status).toLowerCase().replace(/^https?:\/\/schema\.org\//, '').replace(/[\s_-]/g, '')
+);
+
+const AVAILABILITY_FIELDS = [
+  'availability', 'available', 'inventory', 'stock', 'discontinued', 'preorder', 'allowBackorder', 'backorder'
+];
+
+/**
+ * Normalizes the stock state of a product or variant
+ * @param {Object} data - Raw record with availability (status string or { status, quantity, expectedDate }),
+ *   inventory/stock, discontinued, preorder, allowBackorder, lowStockThreshold and
+ *   expectedDate/restockDate/releaseDate
+ * @returns {{status: string, quantity: (number|null), expectedDate: (string|null)}|null} - Status is
+ *   one of AVAILABILITY; null when the record reports nothing about its stock
+ */
+export const transformAvailability = (data) => {
+  if (!data || typeof data !== 'object' || !AVAILABILITY_FIELDS.some(field => data[field] != null)) {
+    return null;
+  }
+
+  const raw = data.availability && typeof data.availability === 'object' ? data.availability : { status: data.availability };
+  const stock = Number.parseInt(raw.quantity ?? data.inventory ?? data.stock, 10);
+  const quantity = Number.isNaN(stock) ? null : Math.max(0, stock);
+  const threshold = Number.isFinite(data.lowStockThreshold) ? data.lowStockThreshold : DEFAULT_LOW_STOCK_THRESHOLD;
+  const explicit = raw.status != null
+    ? AVAILABILITY_ALIASES[toAvailabilityKey(raw.status)]
+    : undefined;
+  const allowBackorder = data.allowBackorder === true || data.backorder === true;
 
-    // Handle string inputs
-    if (typeof price === 'string') {
-      // Remove currency symbols, commas and whitespace
-      const cleanPrice = price.replace(/[$\u00a3\u20ac,\s]/g, '').trim();
-      if (!/^\d*\.?\d+$/.test(cleanPrice)) {
-        return '0.00';
+  let status;
+  if (data.discontinued === true) {
+    status = AVAILABILITY.DISCONTINUED;
+  } else if (explicit && explicit !== AVAILABILITY.IN_STOCK) {
+    status = explicit;
+  } else if (data.preorder === true) {
+    status = AVAILABILITY.PREORDER;
+  } else if (quantity === 0 || data.available === false) {
+    status = allowBackorder ? AVAILABILITY.BACKORDER : AVAILABILITY.OUT_OF_STOCK;
+  } else if (quantity !== null && quantity <= threshold) {
+    status = AVAILABILITY.LOW_STOCK;
+  } else {
+    status = AVAILABILITY.IN_STOCK;
+  }
+
+  const expectedDate = [AVAILABILITY.BACKORDER, AVAILABILITY.PREORDER, AVAILABILITY.OUT_OF_STOCK].includes(status)
+    ? transformDisplayDate(raw.expectedDate ?? data.expectedDate ?? data.restockDate ?? data.releaseDate)
+    : null;
+
+  return { status, quantity, expectedDate };
+};
+
+// Option axes that may be given as top-level variant fields instead of an options map
+const VARIANT_AXES = ['size', 'color', 'material'];
+
+/**
+ * Converts an option axis name into the key used in variant selections
+ * @param {string} name - Axis name as sent by the API (e.g. "Size", "Fabric Type")
+ * @returns {string} - Normalized key (e.g. "size", "fabric_type")
+ */
+const toOptionKey = (name) => String(name).trim().toLowerCase().replace(/\s+/g, '_');
+
+/**
+ * Extracts the option values of a raw variant as a key/value map
+ * @param {Object} variant - Raw variant data
+ * @returns {Object} - Map of option key to option value
+ */
+const extractVariantOptions = (variant) => {
+  const rawOptions = variant.options ?? variant.attributes;
+  const options = {};
+
+  if (Array.isArray(rawOptions)) {
+    rawOptions.forEach((option) => {
+      if (option && option.name != null && option.value != null) {
+        options[toOptionKey(option.name)] = String(option.value);
+      }
+    });
+  } else if (rawOptions && typeof rawOptions === 'object') {
+    Object.entries(rawOptions).forEach(([name, value]) => {
+      if (value != null) {
+        options[toOptionKey(name)] = String(value);
+      }
+    });
+  } else {
+    VARIANT_AXES.forEach((axis) => {
+      if (variant[axis] != null) {
+        options[axis] = String(variant[axis]);
+      }
+    });
+  }
+
+  return options;
+};
+
+/**
+ * Normalizes option axes and SKU combinations of a product
+ * @param {Array} rawVariants - Raw variant list from the API
+ * @param {Array} [rawOptions] - Optional ordered list of option axes ({ name, values })
+ * @param {string} [currency] - Currency of variant prices that do not name one
+ * @returns {{options: Array, variants: Array}} - Normalized option axes and variants
+ * @throws {TransformError} - If variants or options are not arrays
+ */
+export const transformVariants = (rawVariants, rawOptions, currency = DEFAULT_CURRENCY) => {
+  if (!Array.isArray(rawVariants)) {
+    throw new TransformError('Invalid variants data', 'variants', rawVariants, 'variants');
+  }
+  if (rawOptions != null && !Array.isArray(rawOptions)) {
+    throw new TransformError('Invalid variant options data', 'options', rawOptions, 'variants');
+  }
+
+  const variants = rawVariants
+    .filter((variant) => variant && typeof variant === 'object')
+    .map((variant, index) => {
+      const stock = Number.parseInt(variant.inventory ?? variant.stock, 10);
+      const inventory = Number.isNaN(stock) ? null : Math.max(0, stock);
+      const availability = transformAvailability(variant);
+
+      return {
+        id: String(variant.id ?? variant.sku ?? `variant-${index}`),
+        sku: variant.sku ?? null,
+        gtin: variant.gtin ?? variant.barcode ?? null,
+        options: extractVariantOptions(variant),
+        price: variant.price != null ? transformPrice(variant.price, resolveCurrency(variant, currency)) : null,
+        money: variant.price != null ? toMoney(variant.price, resolveCurrency(variant, currency)) : null,
+        compareAt: variant.compareAtPrice != null ? toMoney(variant.compareAtPrice, resolveCurrency(variant, currency)) : null,
+        image: variant.image ?? null,
+        inventory,
+        availability,
+        available: availability ? isPurchasable(availability) : variant.available !== false
+      };
+    });
+
+  // Declared axes keep their order and labels; values only seen on variants are appended
+  const axes = new Map();
+  (rawOptions || []).forEach((option) => {
+    const name = typeof option === 'string' ? option : option?.name;
+    if (name == null) return;
+    axes.set(toOptionKey(name), {
+      key: toOptionKey(name),
+      name: String(name),
+      values: Array.isArray(option?.values) ? option.values.map(String) : []
+    });
+  });
+
+  variants.forEach((variant) => {
+    Object.entries(variant.options).forEach(([key, value]) => {
+      if (!axes.has(key)) {
+        axes.set(key, { key, name: key.charAt(0).toUpperCase() + key.slice(1).replace(/_/g, ' '), values: [] });
+      }
+      const axis = axes.get(key);
+      if (!axis.values.includes(value)) {
+        axis.values.push(value);
       }
-      price = parseFloat(cleanPrice);
+    });
+  });
+
+  return { options: Array.from(axes.values()), variants };
+};
+
+/**
+ * Normalizes a product image list for the gallery
+ * @param {Array} rawImages - Raw images (URL strings or objects with src/url, thumbnail, zoom and alt)
+ * @param {string} [title] - Product title used to build default alt texts; without one, images the
+ *   API sends no alt text for keep a null alt, which the UI fills in in the shopper's language
+ * @returns {Array} - Normalized images ({ id, src, thumbnail, zoomSrc, alt }) without duplicates
+ * @throws {TransformError} - If images is not an array
+ */
+export const transformImages = (rawImages, title = null) => {
+  if (!Array.isArray(rawImages)) {
+    throw new TransformError('Invalid images data', 'images', rawImages, 'images');
+  }
+
+  const seen = new Set();
+  return rawImages.reduce((images, image, index) => {
+    const entry = typeof image === 'string' ? { src: image } : image;
+    const src = entry?.src ?? entry?.url;
+    if (!src || typeof src !== 'string' || seen.has(src)) {
+      return images;
     }
-    
-    if (typeof price !== 'number' || isNaN(price)) {
-      return '0.00';
+    seen.add(src);
+
+    images.push({
+      id: String(entry.id ?? `image-${index}`),
+      src,
+      thumbnail: entry.thumbnail ?? entry.thumb ?? src,
+      zoomSrc: entry.zoom ?? entry.large ?? src,
+      alt: entry.alt ?? (title ? (images.length === 0 ? title : `${title} (${images.length + 1})`) : null)
+    });
+    return images;
+  }, []);
+};
+
+const URL_FIELD = { type: 'string', format: 'url' };
+const PRICE_FIELD = { type: ['number', 'string'] };
+const DATE_FIELD = { type: ['string', 'number'], format: 'date' };
+const STOCK_STATUS_FIELD = { type: 'string', enum: Object.keys(AVAILABILITY_ALIASES), normalize: toAvailabilityKey };
+const AVAILABILITY_FIELD = {
+  ...STOCK_STATUS_FIELD,
+  type: ['string', 'object'],
+  properties: {
+    status: STOCK_STATUS_FIELD,
+    quantity: { type: 'number', minimum: 0 },
+    expectedDate: DATE_FIELD
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Schema of a raw product from the API (see validateSchema). It covers the fields the
+ * transforms read; other fields are passed through unchecked.
+ */
+export const PRODUCT_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: ['string', 'number'], required: true },
+    title: { type: 'string', required: true, minLength: 1 },
+    description: { type: 'string', nullable: true },
+    price: { ...PRICE_FIELD, required: true },
+    currency: { type: 'string', pattern: /^[A-Z]{3}$/ },
+    category: { type: 'string' },
+    image: { ...URL_FIELD, nullable: true },
+    images: {
+      type: 'array',
+      items: {
+        ...URL_FIELD,
+        type: ['string', 'object'],
+        properties: { src: URL_FIELD, url: URL_FIELD, thumbnail: URL_FIELD, zoom: URL_FIELD, alt: { type: 'string' } }
+      }
+    },
+    compareAtPrice: PRICE_FIELD,
+    discount: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', required: true, enum: [...PERCENTAGE_DISCOUNT_TYPES, ...AMOUNT_DISCOUNT_TYPES] },
+        value: { ...PRICE_FIELD, required: true }
+      }
+    },
+    saleStartsAt: DATE_FIELD,
+    saleEndsAt: DATE_FIELD,
+    availability: AVAILABILITY_FIELD,
+    options: {
+      type: 'array',
+      items: {
+        type: ['string', 'object'],
+        properties: { name: { type: 'string', required: true }, values: { type: 'array' } }
+      }
+    },
+    variants: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: ['string', 'number'] },
+          sku: { type: 'string' },
+          price: PRICE_FIELD,
+          compareAtPrice: PRICE_FIELD,
+          image: { ...URL_FIELD, nullable: true },
+          availability: AVAILABILITY_FIELD
+        }
+      }
     }
+  }
+};
 
-    // Handle precision and rounding
-    const roundedPrice = Math.round(Math.max(0, price) * 100) / 100;
-    
-    // Always return with exactly 2 decimal places
-    return roundedPrice.toFixed(2);
-  };
+/**
+ * Checks raw product data against PRODUCT_SCHEMA
+ * @param {Object} data - Raw product data
+ * @param {Object} options - { mode, onInvalid } as taken by transformProductResponse
+ * @throws {TransformError} - In strict mode, for the first violation; all of them are in its `issues`
+ */
+const checkProductSchema = (data, { mode = SCHEMA_MODES.LENIENT, onInvalid } = {}) => {
+  const issues = validateSchema(PRODUCT_SCHEMA, data)
+    .map(issue => new TransformError(issue.message, issue.field, issue.value, 'validate'));
+  if (issues.length === 0) {
+    return;
+  }
+
+  if (mode === SCHEMA_MODES.STRICT) {
+    const [first] = issues;
+    const error = new TransformError(`Invalid product data: ${first.message}`, first.field, first.value, 'validate');
+    error.issues = issues;
+    throw error;
+  }
+  if (onInvalid) {
+    onInvalid(issues);
+  }
+};
 
+/**
+ * Transforms raw product data from the API into the format expected by the UI
+ * @param {Object} data - Raw product data from the API
+ * @param {Object} options - Transform options
+ * @param {string} options.currency - Currency assumed when the product does not name one
+ * @param {string} options.mode - One of SCHEMA_MODES: strict rejects data violating PRODUCT_SCHEMA,
+ *   lenient (the default) hands the violations to onInvalid and transforms the data anyway
+ * @param {Function} options.onInvalid - Called in lenient mode with the violations, as TransformErrors
+ * @returns {Object} - Transformed product data; `price` is the legacy two-decimal string,
+ *   `money` the amount in minor units with its ISO currency
+ * @throws {TransformError} - If data validation or transformation fails
+ */
+export const transformProductResponse = (data, options = {}) => {
+  // Validate input data
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new TransformError('No product data provided', 'data', data, 'product');
+  }
+  checkProductSchema(data, options);
 
   try {
+    const currency = resolveCurrency(data, options.currency);
+
     // Create base object with required fields
     const transformed = {
       id: data.id ?? '',
-      title: data.title ?? 'Untitled Product',
-      description: data.description ?? 'No description available',
-      price: transformPrice(data.price),
+      // Missing texts stay empty; the UI shows its translated placeholders
+      title: data.title ?? null,
+      description: data.description ?? null,
+      price: transformPrice(data.price, currency),
+      money: toMoney(data.price, currency),
       image: data.image ?? null,
-      category: data.category ?? 'Uncategorized',
+      category: data.category ?? null,
     };
 
+    // Normalize sale pricing when the product has a compare-at price, discount or promotion window
+    const sale = transformSale(data, currency);
+    if (sale) {
+      transformed.sale = sale;
+    }
+
+    // Normalize the stock state when the API reports one
+    const availability = transformAvailability(data);
+    if (availability) {
+      transformed.availability = availability;
+    }
+
+    // Normalize the gallery images; the first one doubles as the primary image
+    if (data.images != null) {
+      transformed.images = transformImages(data.images, transformed.title);
+      if (transformed.image === null && transformed.images.length > 0) {
+        transformed.image = transformed.images[0].src;
+      }
+    }
+
+    // Normalize variant axes and SKU combinations when the product has any
+    if (data.variants != null) {
+      const { options, variants } = transformVariants(data.variants, data.options, currency);
+      transformed.options = options;
+      transformed.variants = variants;
+    }
+
     // Preserve all additional fields from the input data
     for (const [key, value] of Object.entries(data)) {
       if (!transformed.hasOwnProperty(key)) {
@@ -72,8 +529,318 @@ export const transformProductResponse = (data) => {
     if (error instanceof TransformError) {
       throw error;
     }
-    throw new TransformError('Failed to transform product data', 'unknown', error.message);
+    throw new TransformError('Failed to transform product data', 'unknown', error.message, 'product');
+  }
+};
+
+/**
+ * Transforms raw cart data from the API into the format expected by the UI
+ * @param {Object} data - Raw cart data from the API
+ * @returns {Object} - Cart with normalized line items, item count and subtotal (prices as money values)
+ * @throws {TransformError} - If the cart or its items are malformed
+ */
+export const transformCartResponse = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new TransformError('No cart data provided', 'data', data, 'cart');
+  }
+
+  const rawItems = data.items ?? [];
+  if (!Array.isArray(rawItems)) {
+    throw new TransformError('Invalid cart items data', 'items', rawItems, 'cart');
+  }
+
+  const currency = resolveCurrency(data);
+  const items = rawItems
+    .filter((item) => item && typeof item === 'object')
+    .map((item, index) => {
+      const quantity = Number.parseInt(item.quantity, 10);
+      return {
+        id: String(item.id ?? `line-${index}`),
+        productId: String(item.productId ?? item.product_id ?? ''),
+        variantId: item.variantId ?? item.variant_id ?? null,
+        quantity: Number.isNaN(quantity) ? 1 : Math.max(1, quantity),
+        price: toMoney(item.price, currency),
+        title: item.title ?? null,
+        image: item.image ?? null
+      };
+    });
+
+  return {
+    id: data.id ?? null,
+    currency,
+    items,
+    itemCount: items.reduce((count, item) => count + item.quantity, 0),
+    subtotal: addMoney({ amount: 0, currency }, ...items.map(item => multiplyMoney(item.price, item.quantity)))
+  };
+};
+
+const RATING_VALUES = [5, 4, 3, 2, 1];
+
+/**
+ * Reads a vote count, never below zero
+ * @param {*} value - Raw count
+ * @returns {number} - Count, 0 when missing or invalid
+ */
+const toVoteCount = (value) => {
+  const count = Number.parseInt(value, 10);
+  return Number.isNaN(count) ? 0 : Math.max(0, count);
+};
+
+/**
+ * Clamps a raw star rating to a whole number of stars
+ * @param {*} value - Raw rating
+ * @returns {number|null} - 1 to 5, or null when not a number
+ */
+const toStarRating = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const rating = Math.round(Number(value));
+  return Number.isFinite(rating) ? Math.min(5, Math.max(1, rating)) : null;
+};
+
+/**
+ * Transforms a raw review into the format expected by the UI
+ * @param {Object} data - Raw review (rating, title, body/text, author, createdAt, photos, helpfulCount)
+ * @param {number} [index] - Position in the list, used for a fallback ID
+ * @returns {Object} - { id, rating, title, body, author, createdAt, verifiedPurchase, helpfulCount, photos, status }
+ * @throws {TransformError} - If the review is not an object or its photos are not an array
+ */
+export const transformReview = (data, index = 0) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new TransformError('No review data provided', 'review', data, 'reviews');
+  }
+
+  const author = String(data.author?.name ?? data.author ?? data.authorName ?? '').trim() || null;
+  const createdAt = data.createdAt ?? data.created_at ?? data.date;
+
+  return {
+    id: String(data.id ?? `review-${index}`),
+    rating: toStarRating(data.rating ?? data.stars),
+    title: data.title ?? '',
+    body: data.body ?? data.text ?? data.content ?? '',
+    author,
+    createdAt: transformDisplayDate(createdAt),
+    verifiedPurchase: data.verifiedPurchase === true || data.verified === true,
+    helpfulCount: toVoteCount(data.helpfulCount ?? data.helpful ?? data.helpfulVotes),
+    photos: data.photos != null ? transformImages(data.photos) : [],
+    status: data.status ?? 'published'
+  };
+};
+
+/**
+ * Normalizes the rating summary of a product's reviews
+ * @param {Object} data - Raw summary ({ average, count, histogram }); the histogram may be a map of
+ *   stars to counts or [{ rating, count }]
+ * @returns {{average: number, count: number, histogram: Object}} - Histogram keyed 5 to 1; the
+ *   average and count are derived from it when the API leaves them out
+ */
+const transformRatingSummary = (data = {}) => {
+  const raw = data.histogram ?? data.distribution ?? data.ratingDistribution ?? {};
+  const entries = Array.isArray(raw)
+    ? raw.map(entry => [entry?.rating ?? entry?.stars, entry?.count])
+    : Object.entries(raw);
+
+  const histogram = RATING_VALUES.reduce((acc, rating) => ({ ...acc, [rating]: 0 }), {});
+  entries.forEach(([rating, count]) => {
+    const stars = toStarRating(rating);
+    const value = Number.parseInt(count, 10);
+    if (stars !== null && !Number.isNaN(value)) {
+      histogram[stars] += Math.max(0, value);
+    }
+  });
+
+  const histogramCount = RATING_VALUES.reduce((sum, rating) => sum + histogram[rating], 0);
+  const count = Number.parseInt(data.count ?? data.total ?? data.reviewCount, 10);
+  const rawAverage = data.average ?? data.averageRating ?? data.rating;
+  let average = rawAverage == null ? NaN : Number(rawAverage);
+  if (!Number.isFinite(average)) {
+    average = histogramCount > 0
+      ? RATING_VALUES.reduce((sum, rating) => sum + rating * histogram[rating], 0) / histogramCount
+      : 0;
+  }
+
+  return {
+    average: Math.round(Math.min(5, Math.max(0, average)) * 10) / 10,
+    count: Number.isNaN(count) ? histogramCount : Math.max(0, count),
+    histogram
+  };
+};
+
+/**
+ * Transforms one page of a product's reviews
+ * @param {Object} data - Raw response ({ reviews|items, summary, total, page, pageSize })
+ * @param {Object} requested - { page, pageSize } asked for, used when the response does not say
+ * @returns {Object} - { reviews, summary, total, page, pageSize, totalPages }
+ * @throws {TransformError} - If the response or its reviews are malformed
+ */
+export const transformReviewsResponse = (data, { page = 1, pageSize = 10 } = {}) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new TransformError('No reviews data provided', 'data', data, 'reviews');
+  }
+
+  const rawReviews = data.reviews ?? data.items ?? [];
+  if (!Array.isArray(rawReviews)) {
+    throw new TransformError('Invalid reviews data', 'reviews', rawReviews, 'reviews');
+  }
+
+  const reviews = rawReviews
+    .filter(review => review && typeof review === 'object')
+    .map(transformReview);
+  const summary = transformRatingSummary(data.summary ?? data);
+  const total = Number.isFinite(Number(data.total)) ? Number(data.total) : summary.count;
+  const resultPageSize = Number(data.pageSize) || pageSize;
+
+  return {
+    reviews,
+    summary,
+    total,
+    page: Number(data.page) || page,
+    pageSize: resultPageSize,
+    totalPages: Math.max(1, Math.ceil(total / resultPageSize))
+  };
+};
+
+/**
+ * Transforms a raw answer to a customer question
+ * @param {Object} data - Raw answer (body/text, author, createdAt, upvotes, verifiedStaff)
+ * @param {number} [index] - Position in the list, used for a fallback ID
+ * @returns {Object} - { id, body, author, createdAt, upvotes, verifiedStaff, status }
+ * @throws {TransformError} - If the answer is not an object
+ */
+export const transformAnswer = (data, index = 0) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new TransformError('No answer data provided', 'answer', data, 'questions');
+  }
+
+  const author = data.author && typeof data.author === 'object' ? data.author : { name: data.author ?? data.authorName };
+  return {
+    id: String(data.id ?? `answer-${index}`),
+    body: data.body ?? data.text ?? data.answer ?? '',
+    author: String(author.name ?? '').trim() || null,
+    createdAt: transformDisplayDate(data.createdAt ?? data.created_at ?? data.date),
+    upvotes: toVoteCount(data.upvotes ?? data.votes ?? data.helpfulCount),
+    // Only the server can vouch for staff; a role the shopper typed into their name does not count
+    verifiedStaff: data.verifiedStaff === true || data.isStaff === true || author.role === 'staff',
+    status: data.status ?? 'published'
+  };
+};
+
+/**
+ * Transforms a raw customer question with its answers
+ * @param {Object} data - Raw question (body/text/question, author, createdAt, upvotes, answers, answerCount)
+ * @param {number} [index] - Position in the list, used for a fallback ID
+ * @returns {Object} - { id, body, author, createdAt, upvotes, answers, answerCount, status }
+ * @throws {TransformError} - If the question or its answers are malformed
+ */
+export const transformQuestion = (data, index = 0) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new TransformError('No question data provided', 'question', data, 'questions');
   }
+
+  const rawAnswers = data.answers ?? [];
+  if (!Array.isArray(rawAnswers)) {
+    throw new TransformError('Invalid answers data', 'answers', rawAnswers, 'questions');
+  }
+  const answers = rawAnswers
+    .filter(answer => answer && typeof answer === 'object')
+    .map(transformAnswer);
+  const answerCount = Number.parseInt(data.answerCount, 10);
+
+  return {
+    id: String(data.id ?? `question-${index}`),
+    body: data.body ?? data.text ?? data.question ?? '',
+    author: String(data.author?.name ?? data.author ?? data.authorName ?? '').trim() || null,
+    createdAt: transformDisplayDate(data.createdAt ?? data.created_at ?? data.date),
+    upvotes: toVoteCount(data.upvotes ?? data.votes),
+    answers,
+    answerCount: Number.isNaN(answerCount) ? answers.length : Math.max(answers.length, answerCount),
+    status: data.status ?? 'published'
+  };
+};
+
+/**
+ * Transforms one page of a product's customer questions
+ * @param {Object} data - Raw response ({ questions|items, total, page, pageSize })
+ * @param {Object} requested - { page, pageSize } asked for, used when the response does not say
+ * @returns {Object} - { questions, total, page, pageSize, totalPages }
+ * @throws {TransformError} - If the response or its questions are malformed
+ */
+export const transformQuestionsResponse = (data, { page = 1, pageSize = 10 } = {}) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new TransformError('No questions data provided', 'data', data, 'questions');
+  }
+
+  const rawQuestions = data.questions ?? data.items ?? [];
+  if (!Array.isArray(rawQuestions)) {
+    throw new TransformError('Invalid questions data', 'questions', rawQuestions, 'questions');
+  }
+
+  const questions = rawQuestions
+    .filter(question => question && typeof question === 'object')
+    .map(transformQuestion);
+  const total = Number.isFinite(Number(data.total)) ? Number(data.total) : questions.length;
+  const resultPageSize = Number(data.pageSize) || pageSize;
+
+  return {
+    questions,
+    total,
+    page: Number(data.page) || page,
+    pageSize: resultPageSize,
+    totalPages: Math.max(1, Math.ceil(total / resultPageSize))
+  };
+};
+
+/**
+ * Normalizes the values of one facet
+ * @param {Array|Object} rawValues - [{ value, label, count }] or a map of value to count
+ * @returns {Array} - [{ value, label, count }] with string values
+ */
+const transformFacetValues = (rawValues) => {
+  const entries = Array.isArray(rawValues)
+    ? rawValues
+    : Object.entries(rawValues || {}).map(([value, count]) => ({ value, count }));
+
+  return entries
+    .map((entry) => {
+      if (entry === null || typeof entry !== 'object') {
+        return { value: entry, label: entry, count: null };
+      }
+      // Price buckets are sent as ranges; their value is "min-max" with an open end left empty
+      const value = entry.value ?? (entry.min != null || entry.max != null
+        ? `${entry.min ?? ''}-${entry.max ?? ''}`
+        : null);
+      return {
+        value,
+        label: entry.label ?? entry.name ?? value,
+        count: Number.isFinite(Number(entry.count)) ? Number(entry.count) : null,
+        ...(entry.min != null || entry.max != null
+          ? { min: entry.min != null ? Number(entry.min) : null, max: entry.max != null ? Number(entry.max) : null }
+          : {})
+      };
+    })
+    .filter(entry => entry.value !== null && entry.value !== undefined && entry.value !== '')
+    .map(entry => ({ ...entry, value: String(entry.value), label: String(entry.label) }));
+};
+
+/**
+ * Transforms the facet counts of a product listing response
+ * @param {Array|Object} rawFacets - Map of facet name to values, or [{ name, values }]
+ * @returns {Object} - Map of facet name to [{ value, label, count }]; price buckets also carry min and max
+ */
+export const transformFacets = (rawFacets) => {
+  if (!rawFacets || typeof rawFacets !== 'object') {
+    return {};
+  }
+
+  const named = Array.isArray(rawFacets)
+    ? rawFacets.filter(facet => facet && facet.name != null).map(facet => [facet.name, facet.values])
+    : Object.entries(rawFacets);
+
+  return named.reduce((facets, [name, values]) => {
+    facets[String(name)] = transformFacetValues(values);
+    return facets;
+  }, {});
 };
 
 // Export error class for use in other modules
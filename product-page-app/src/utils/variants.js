@@ -0,0 +1,85 @@
+/**
+ * Checks whether a variant matches every option set in a (partial) selection
+ * @param {Object} variant - Normalized variant
+ * @param {Object} selection - Map of option key to selected value
+ * @returns {boolean} - Whether the variant matches the selection
+ */
+const matchesSelection = (variant, selection) => (
+  Object.entries(selection).every(([key, value]) => value == null || variant.options[key] === value)
+);
+
+// PUBLIC_INTERFACE
+/**
+ * Finds the variant for a complete option selection
+ * @param {Array} variants - Normalized variants of a product
+ * @param {Array} options - Normalized option axes of a product
+ * @param {Object} selection - Map of option key to selected value
+ * @returns {Object|null} - Matching variant, or null when the selection is incomplete or does not exist
+ */
+export const findVariant = (variants = [], options = [], selection = {}) => {
+  const isComplete = options.every((option) => selection[option.key] != null);
+  if (!isComplete) {
+    return null;
+  }
+  return variants.find((variant) => matchesSelection(variant, selection)) || null;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Determines whether an option value can be picked given the rest of the selection
+ * @param {Array} variants - Normalized variants of a product
+ * @param {Object} selection - Current selection
+ * @param {string} key - Option key being evaluated
+ * @param {string} value - Option value being evaluated
+ * @returns {'available'|'changesSelection'|'soldOut'|'unavailable'} - 'changesSelection' when the value
+ *   is only in stock with other values of the remaining options, 'soldOut' when every variant with the
+ *   value is out of stock, 'unavailable' when no variant has the value at all
+ */
+export const getOptionValueState = (variants = [], selection = {}, key, value) => {
+  const candidate = { ...selection, [key]: value };
+  if (variants.some((variant) => variant.available && matchesSelection(variant, candidate))) {
+    return 'available';
+  }
+
+  const withValue = variants.filter((variant) => variant.options[key] === value);
+  if (withValue.length === 0) {
+    return 'unavailable';
+  }
+  return withValue.some((variant) => variant.available) ? 'changesSelection' : 'soldOut';
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Applies a picked option value to a selection. When the value is not in stock with the
+ * rest of the selection, the other options switch to the in-stock variant keeping most of them.
+ * @param {Array} variants - Normalized variants of a product
+ * @param {Object} selection - Current selection
+ * @param {string} key - Option key that was picked
+ * @param {string} value - Picked value
+ * @returns {Object} - New selection
+ */
+export const selectOptionValue = (variants = [], selection = {}, key, value) => {
+  const candidate = { ...selection, [key]: value };
+  if (getOptionValueState(variants, selection, key, value) !== 'changesSelection') {
+    return candidate;
+  }
+
+  const keptCount = (variant) => Object.keys(selection)
+    .filter((option) => option !== key && variant.options[option] === selection[option]).length;
+  const [closest] = variants
+    .filter((variant) => variant.available && variant.options[key] === value)
+    .sort((a, b) => keptCount(b) - keptCount(a));
+  return { ...candidate, ...closest.options };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Picks the initial selection for a product: the first in-stock variant, else the first variant
+ * @param {Object} product - Transformed product
+ * @returns {Object} - Map of option key to selected value (empty when the product has no variants)
+ */
+export const getDefaultSelection = (product) => {
+  const variants = product?.variants || [];
+  const variant = variants.find((item) => item.available) || variants[0];
+  return variant ? { ...variant.options } : {};
+};